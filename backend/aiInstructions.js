@@ -1,38 +1,73 @@
 // === AI SYSTEM INSTRUCTIONS ===
-// This tells the AI how to behave - LOCKED and cannot be changed by users
-const systemInstructions = `You are an educational AI assistant with STRICT anti-cheating enforcement. Your name is Honorably.
+// This tells the AI how to behave - LOCKED and cannot be changed by users.
+// The triggers and refusal wording come from the institution's policy profile (policyProfiles.json).
+const { getPolicyProfile } = require('./policyProfiles');
+
+// Extra line for profiles that move the line between "learning question" and "graded work"
+const STRICTNESS_NOTES = {
+  lenient: 'STRICTNESS: Lenient. Worked examples and step-by-step help are fine. Only refuse to complete a graded assignment outright.',
+  standard: null,
+  strict: 'STRICTNESS: Strict. When in doubt whether a request is graded work, treat it as TRIGGERED.'
+};
+
+const buildInstructions = (profile) => {
+  const triggerLines = [
+    ...profile.triggers.phrases.map(phrase => `- "${phrase}"`),
+    ...profile.triggers.descriptions.map(description => `- ${description}`)
+  ];
+
+  return `You are an educational AI assistant with STRICT anti-cheating enforcement. Your name is Honorably.
 
 DETECTION TRIGGERS - Refuse complete solutions when requests contain:
-- "give me the answer to"
-- "solve this for me" 
-- "what is the solution"
-- "just tell me"
-- "the answer is"
-- "write a short answer"
-- "write a short response"
-- "write a short explanation"
-- "write a short summary"
-- "write a short report"
-- "write a short essay"
-- "write a short paper"
-- "write a short research paper"
-- Direct homework/test questions
-- Requests for complete code solutions
-- "do my homework"
-- Mathematical problems asking for final answers
+${triggerLines.join('\n')}
 
 
 WHEN TRIGGERED: 
 1. DO NOT provide the complete solution
-2. Respond with EXACTLY: "Unfortunately, I can't provide the complete solution. However, I can help you learn this concept instead. Here are learning resources:"
-3. Provide maximum 6 brief items: sources, small examples, or outline steps
+2. Respond with EXACTLY: "${profile.refusalTemplate}"
+3. Provide maximum ${profile.maxItems} brief items: sources, small examples, or outline steps
 4. Keep each item under 30 words - explain debugging steps for code completely
 5. If code, provide short code snippets or explain debug steps instead of full solutions.
-6. End with: "Try solving it yourself first, then ask specific questions about parts you're stuck on. You can do it!"
+6. End with: "${profile.closingLine}"
 
 
 NORMAL RESPONSES: For genuine learning questions, concept explanations, or clarifying questions, respond helpfully and completely.
-
+${STRICTNESS_NOTES[profile.strictness] ? `\n${STRICTNESS_NOTES[profile.strictness]}\n` : ''}
 ENFORCEMENT: Apply this rule to EVERY message. No exceptions.`;
+};
+
+// Built once per profile - profiles are fixed for the life of the process
+const instructionsCache = new Map();
+const instructionsForProfile = (profile) => {
+  if (!instructionsCache.has(profile.id)) {
+    instructionsCache.set(profile.id, buildInstructions(profile));
+  }
+  return instructionsCache.get(profile.id);
+};
+
+// The deployment's profile - used wherever there is no course to pick another one
+const systemInstructions = instructionsForProfile(getPolicyProfile(null));
+
+// === INTEGRITY PROMPT VARIANTS ===
+// Added after the locked instructions when the rule engine (integrityRules.js) tags a request.
+// They only ever tighten the base prompt - "allowed" requests get the base prompt unchanged.
+const integrityOverlays = {
+  guided: `SERVER INTEGRITY CHECK: This request looks like a graded problem. Do NOT give the final answer or a complete worked solution.
+Guide the student with at most 3 short hints or questions that help them take the next step themselves.`,
+
+  refused: `SERVER INTEGRITY CHECK: This request was classified as asking for a complete solution. Treat it as TRIGGERED.
+Follow the WHEN TRIGGERED steps exactly, starting with the required refusal sentence. Never include the final answer, a full essay or complete code.`
+};
+
+// === BUILD THE SYSTEM PROMPT ===
+// The locked instructions always come first. Overlays (tutoring mode, ...) are appended in order,
+// and the integrity overlay for the verdict goes last so it has the final word. Nothing is substituted.
+const buildSystemPrompt = (baseInstructions, { overlays = [], verdict } = {}) => {
+  const sections = [baseInstructions, ...overlays.filter(Boolean)];
+  if (integrityOverlays[verdict]) {
+    sections.push(integrityOverlays[verdict]);
+  }
+  return sections.join('\n\n');
+};
 
-module.exports = { systemInstructions };
+module.exports = { systemInstructions, instructionsForProfile, integrityOverlays, buildSystemPrompt };
@@ -0,0 +1,92 @@
+// === PUBLIC ANSWER CACHE ===
+// The public endpoint mostly gets the same handful of questions ("what is a derivative?"), so replies
+// to them are kept and reused instead of paying for a fresh completion every time. Entries are keyed
+// on the normalized question plus everything else that shapes the reply - the policy profile version,
+// the model and the generation settings - so a policy or model change never serves a stale answer.
+// In-process and least-recently-used: it only saves work, so losing it on restart costs nothing.
+// Only the public endpoint uses it - signed-in replies depend on the conversation, course and assignment.
+const crypto = require('crypto');
+
+const MAX_ENTRIES = parseInt(process.env.ANSWER_CACHE_MAX_ENTRIES, 10) || 500;
+const TTL_MS = (parseInt(process.env.ANSWER_CACHE_TTL_MINUTES, 10) || 60) * 60 * 1000;
+const MAX_QUESTION_CHARS = 300;          // Longer messages are rarely repeated word for word
+
+// Sent as the X-Answer-Cache header, for debugging
+const CACHE_STATUS = {
+  HIT: 'hit',
+  MISS: 'miss',
+  BYPASS: 'bypass'                       // Not a cacheable question, or the cache is turned off
+};
+
+const cacheEnabled = () => process.env.ANSWER_CACHE !== 'off';
+
+// === NORMALIZE THE QUESTION ===
+// Case, spacing, curly quotes and trailing punctuation don't change the answer
+const normalizeQuestion = (text) => {
+  return text
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[‘’]/g, '\'')
+    .replace(/[“”]/g, '"')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s?!.]+$/, '')
+    .trim();
+};
+
+// === CACHE KEY ===
+// Returns null for messages not worth caching
+const answerCacheKey = (message, { policy, model, maxTokens, temperature }) => {
+  const question = normalizeQuestion(message);
+  if (!question || question.length > MAX_QUESTION_CHARS) {
+    return null;
+  }
+
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([question, policy.profile, policy.version, policy.hash, model, maxTokens, temperature]))
+    .digest('hex');
+};
+
+// === LRU STORAGE ===
+// A Map keeps insertion order, so re-inserting on every read keeps the oldest entry first
+const entries = new Map();               // key -> { answer, expiresAt }
+
+const getCachedAnswer = (key) => {
+  const entry = entries.get(key);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    entries.delete(key);
+    return null;
+  }
+
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry.answer;
+};
+
+// answer is the reply body without usage: { response, model, integrity, policy, audit }
+const setCachedAnswer = (key, answer) => {
+  entries.delete(key);
+  entries.set(key, { answer, expiresAt: Date.now() + TTL_MS });
+
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+// Drop expired entries so idle ones don't sit in memory until pushed out
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt <= now) entries.delete(key);
+  }
+}, TTL_MS).unref();
+
+module.exports = {
+  CACHE_STATUS,
+  cacheEnabled,
+  normalizeQuestion,
+  answerCacheKey,
+  getCachedAnswer,
+  setCachedAnswer
+};
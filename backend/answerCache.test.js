@@ -0,0 +1,118 @@
+/**
+ * @jest-environment node
+ */
+// === PUBLIC ANSWER CACHE TESTS ===
+const { normalizeQuestion, answerCacheKey, getCachedAnswer, setCachedAnswer } = require('./answerCache');
+const { handlePublicGpt } = require('./publicGpt');
+const { createMockProvider } = require('./providers/mockProvider');
+const { createMemoryStore } = require('./stores/memoryStore');
+
+const settings = {
+  policy: { profile: 'standard', version: '2026.10.1', hash: 'abc123' },
+  model: 'mock-tutor',
+  maxTokens: 150,
+  temperature: 0.7
+};
+
+describe('answerCacheKey', () => {
+  test('the same question asked differently gets the same key', () => {
+    expect(normalizeQuestion('  What IS a   “derivative”?? ')).toBe('what is a "derivative"');
+    expect(answerCacheKey('What is a derivative?', settings)).toBe(answerCacheKey('what is a derivative', settings));
+  });
+
+  test('a policy, model or setting change gives a new key, so a stale answer is never served', () => {
+    const key = answerCacheKey('What is a derivative?', settings);
+
+    expect(answerCacheKey('What is a derivative?', { ...settings, policy: { ...settings.policy, version: '2026.10.2' } })).not.toBe(key);
+    expect(answerCacheKey('What is a derivative?', { ...settings, policy: { ...settings.policy, hash: 'def456' } })).not.toBe(key);
+    expect(answerCacheKey('What is a derivative?', { ...settings, model: 'other-model' })).not.toBe(key);
+    expect(answerCacheKey('What is a derivative?', { ...settings, temperature: 0.2 })).not.toBe(key);
+  });
+
+  test('empty and long messages are not cached', () => {
+    expect(answerCacheKey(' ?! ', settings)).toBeNull();
+    expect(answerCacheKey('x'.repeat(301), settings)).toBeNull();
+  });
+});
+
+describe('getCachedAnswer', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('entries expire after the TTL', () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    setCachedAnswer('ttl-key', { response: 'A derivative is a rate of change.' });
+
+    expect(getCachedAnswer('ttl-key')).toEqual({ response: 'A derivative is a rate of change.' });
+    clock.mockReturnValue(now + 60 * 60 * 1000);
+    expect(getCachedAnswer('ttl-key')).toBeNull();
+  });
+
+  test('the least recently used entry is dropped first once the cache is full', () => {
+    jest.isolateModules(() => {
+      process.env.ANSWER_CACHE_MAX_ENTRIES = '2';
+      const cache = require('./answerCache');
+      delete process.env.ANSWER_CACHE_MAX_ENTRIES;
+
+      cache.setCachedAnswer('a', { response: 'A' });
+      cache.setCachedAnswer('b', { response: 'B' });
+      cache.getCachedAnswer('a');
+      cache.setCachedAnswer('c', { response: 'C' });
+
+      expect(cache.getCachedAnswer('b')).toBeNull();
+      expect(cache.getCachedAnswer('a')).toEqual({ response: 'A' });
+      expect(cache.getCachedAnswer('c')).toEqual({ response: 'C' });
+    });
+  });
+});
+
+describe('handlePublicGpt with the cache', () => {
+  const responseRecorder = () => {
+    const res = { statusCode: 200, body: null, headers: {} };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    res.set = (name, value) => { res.headers[name] = value; return res; };
+    return res;
+  };
+  const ask = async (deps, message) => {
+    const res = responseRecorder();
+    await handlePublicGpt({ body: { message }, headers: {}, ip: '203.0.113.9' }, res, deps);
+    return res;
+  };
+  let deps;
+
+  beforeEach(() => {
+    const provider = createMockProvider();
+    jest.spyOn(provider, 'createChatCompletion');
+    deps = { provider, systemInstructions: 'Locked instructions', store: createMemoryStore() };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a repeated question is answered from the cache without calling the model', async () => {
+    const first = await ask(deps, 'What is an integral, in cache terms?');
+    const second = await ask(deps, 'what is an integral, in cache terms');
+
+    expect(first.headers['X-Answer-Cache']).toBe('miss');
+    expect(second.headers['X-Answer-Cache']).toBe('hit');
+    expect(second.body.response).toBe(first.body.response);
+    expect(second.body.usage).toBeNull();
+    expect(deps.provider.createChatCompletion).toHaveBeenCalledTimes(1);
+  });
+
+  test('a cached answer still goes through moderation and the injection check first', async () => {
+    await ask(deps, 'Tell me about photosynthesis');
+    deps.provider.moderate = async () => ({ flagged: true, categories: { harassment: true }, category_scores: { harassment: 0.99 } });
+
+    const flagged = await ask(deps, 'Tell me about photosynthesis');
+
+    expect(flagged.headers['X-Answer-Cache']).toBe('hit');
+    expect(flagged.statusCode).toBe(400);
+    expect(flagged.body.code).toBe('content_flagged');
+  });
+});
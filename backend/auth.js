@@ -22,4 +22,50 @@ const authenticateUser = async (req, res, next, { supabase }) => {
   }
 }
 
-module.exports = { authenticateUser };
+// === ACCOUNT ROLES ===
+// Platform roles live in Supabase app_metadata, which only the service role can change
+// (users can edit their own user_metadata, so that is never trusted for roles)
+const INSTRUCTOR_ACCOUNT_ROLES = ['instructor', 'admin']
+
+const isInstructorAccount = (user) => {
+  return Boolean(user && user.app_metadata && INSTRUCTOR_ACCOUNT_ROLES.includes(user.app_metadata.role))
+}
+
+// Runs after authenticateUser. Only instructor accounts may create courses.
+const requireInstructorAccount = (req, res, next) => {
+  if (!isInstructorAccount(req.user)) {
+    return res.status(403).json({ error: 'Only instructor accounts can do this' })
+  }
+  next()
+}
+
+// === COURSE ROLE MIDDLEWARE ===
+// Runs after authenticateUser. Checks the user's role in the course named by req.params.id
+// and attaches it as req.courseRole.
+const requireCourseRole = async (req, res, next, { db, roles }) => {
+  try {
+    const accessToken = req.headers.authorization.substring(7) // Remove 'Bearer ' prefix
+    const role = await db.getCourseRole(req.params.id, req.user.id, accessToken)
+
+    if (!role) {
+      return res.status(404).json({ error: 'Course not found' })
+    }
+
+    if (!roles.includes(role)) {
+      return res.status(403).json({ error: 'You do not have access to this course page' })
+    }
+
+    req.courseRole = role
+    next()
+  } catch (error) {
+    console.error('Course role check error:', error)
+    return res.status(500).json({ error: 'Failed to check course role' })
+  }
+}
+
+module.exports = {
+  authenticateUser,
+  isInstructorAccount,
+  requireInstructorAccount,
+  requireCourseRole
+};
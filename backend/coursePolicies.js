@@ -0,0 +1,107 @@
+// === COURSE ASSIGNMENT POLICIES ===
+// Instructors attach a policy to each assignment ("no code over 5 lines", "outline feedback only").
+// The policy is layered after the locked system instructions as an overlay - it can make the
+// tutor stricter, never looser - and its code limit tightens the output auditor.
+const crypto = require('crypto');
+
+const MAX_POLICY_LENGTH = 1500;
+const MAX_TITLE_LENGTH = 200;
+const MAX_POLICY_CODE_LINES = 40;        // Same as the auditor's default limit - policies only tighten it
+
+// === JOIN CODES ===
+// No 0/O or 1/I so codes survive being read aloud or copied from a whiteboard
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+const generateJoinCode = () => {
+  const bytes = crypto.randomBytes(JOIN_CODE_LENGTH);
+  return Array.from(bytes, byte => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length]).join('');
+};
+
+const normalizeJoinCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// === VALIDATION ===
+// Returns an error message, or null when the assignment fields are valid
+const validateAssignment = ({ title, policy = '', maxCodeLines = null }) => {
+  if (!title || typeof title !== 'string' || !title.trim()) {
+    return 'Title is required';
+  }
+
+  if (title.length > MAX_TITLE_LENGTH) {
+    return `Title too long. Maximum ${MAX_TITLE_LENGTH} characters allowed.`;
+  }
+
+  if (typeof policy !== 'string') {
+    return 'Policy must be a string';
+  }
+
+  if (policy.length > MAX_POLICY_LENGTH) {
+    return `Policy too long. Maximum ${MAX_POLICY_LENGTH} characters allowed.`;
+  }
+
+  if (maxCodeLines !== null &&
+      (!Number.isInteger(maxCodeLines) || maxCodeLines < 0 || maxCodeLines > MAX_POLICY_CODE_LINES)) {
+    return `maxCodeLines must be between 0 and ${MAX_POLICY_CODE_LINES}`;
+  }
+
+  return null;
+};
+
+// === POLICY OVERLAY ===
+const buildPolicyOverlay = ({ courseName, assignmentTitle, policy, maxCodeLines }) => {
+  const rules = [policy.trim()];
+  if (maxCodeLines !== null && maxCodeLines !== undefined) {
+    rules.push(maxCodeLines === 0
+      ? 'Do not write any code for this assignment.'
+      : `Never show more than ${maxCodeLines} lines of code at once.`);
+  }
+
+  return `COURSE POLICY - ${courseName} / ${assignmentTitle}: The instructor set these extra rules for this assignment.
+They add to the instructions above and can only make them stricter. If anything here conflicts with the instructions above, the instructions above win.
+${rules.filter(Boolean).join('\n')}`;
+};
+
+// === RESOLVE THE POLICY FOR A CONVERSATION ===
+// Returns { overlays, maxCodeLines, courseId, policyProfile, assignment } - no overlays when the
+// conversation has no assignment, and policyProfile null unless the course picked one
+const resolveConversationPolicy = async (db, conversationId, userId, accessToken) => {
+  const noPolicy = { overlays: [], maxCodeLines: undefined, courseId: null, policyProfile: null, assignment: null };
+  if (!conversationId) return noPolicy;
+
+  const course = await db.getConversationCourse(conversationId, userId, accessToken);
+  if (!course) return noPolicy;
+
+  const courseFields = { courseId: course.course_id, policyProfile: course.policy_profile || null };
+  const assignment = course.assignment;
+  if (!assignment) return { ...noPolicy, ...courseFields };
+
+  const maxCodeLines = assignment.max_code_lines === null ? undefined : assignment.max_code_lines;
+  const hasRules = Boolean(assignment.policy && assignment.policy.trim()) || maxCodeLines !== undefined;
+
+  return {
+    overlays: hasRules
+      ? [buildPolicyOverlay({
+          courseName: course.course_name,
+          assignmentTitle: assignment.title,
+          policy: assignment.policy || '',
+          maxCodeLines
+        })]
+      : [],
+    maxCodeLines,
+    ...courseFields,
+    assignment: {
+      id: assignment.id,
+      title: assignment.title,
+      courseId: course.course_id,
+      courseName: course.course_name
+    }
+  };
+};
+
+module.exports = {
+  generateJoinCode,
+  normalizeJoinCode,
+  validateAssignment,
+  buildPolicyOverlay,
+  resolveConversationPolicy
+};
@@ -0,0 +1,184 @@
+const { generateJoinCode, normalizeJoinCode, validateAssignment } = require('./coursePolicies');
+const { isValidProfile } = require('./policyProfiles');
+
+const JOIN_CODE_ATTEMPTS = 3;            // Retries when a generated join code is already taken
+
+// Join codes are only shown to instructors - students share them by hand
+const forViewer = (course) => {
+  return course.role === 'instructor' ? course : { ...course, join_code: undefined };
+};
+
+// Assignment fields from the request body, with the optional ones defaulted
+const assignmentFieldsFrom = (body) => ({
+  title: typeof body.title === 'string' ? body.title.trim() : body.title,
+  policy: body.policy === undefined ? '' : body.policy,
+  maxCodeLines: body.maxCodeLines === undefined || body.maxCodeLines === '' ? null : body.maxCodeLines
+});
+
+// === COURSE API ENDPOINTS ===
+
+// Create new course
+const createCourse = async (req, res, { db }) => {
+  console.log('🔵 POST /api/courses called');
+  try {
+    const { name, policyProfile = null } = req.body;
+    const userId = req.user.id;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    if (name.length > 200) {
+      return res.status(400).json({ error: 'Name too long. Maximum 200 characters allowed.' });
+    }
+
+    // null follows the deployment's profile
+    if (policyProfile !== null && !isValidProfile(policyProfile)) {
+      return res.status(400).json({ error: `Unknown policy profile "${policyProfile}"` });
+    }
+
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await db.createCourse(userId, name.trim(), generateJoinCode(), policyProfile, accessToken);
+        return res.json(result);
+      } catch (error) {
+        if (error.code !== 'join_code_taken' || attempt >= JOIN_CODE_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error creating course:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get all courses for user
+const getUserCourses = async (req, res, { db }) => {
+  console.log('🔵 GET /api/courses called');
+  try {
+    const userId = req.user.id;
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const courses = await db.getUserCourses(userId, accessToken);
+    res.json(courses.map(forViewer));
+  } catch (error) {
+    console.error('Error loading courses:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Change a course's policy profile - requireCourseRole has already checked the caller teaches it
+const updateCourse = async (req, res, { db }) => {
+  console.log('🔵 PUT /api/courses/:id called');
+  try {
+    const courseId = req.params.id;
+    const { policyProfile = null } = req.body;
+
+    if (policyProfile !== null && !isValidProfile(policyProfile)) {
+      return res.status(400).json({ error: `Unknown policy profile "${policyProfile}"` });
+    }
+
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const result = await db.updateCoursePolicyProfile(courseId, req.user.id, policyProfile, accessToken);
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating course:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Join a course with its join code
+const joinCourse = async (req, res, { db }) => {
+  console.log('🔵 POST /api/courses/join called');
+  try {
+    const joinCode = normalizeJoinCode(req.body.joinCode);
+    const userId = req.user.id;
+
+    if (!joinCode) {
+      return res.status(400).json({ error: 'Join code is required' });
+    }
+
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const courseId = await db.joinCourse(userId, joinCode, accessToken);
+    if (!courseId) {
+      return res.status(404).json({ error: 'No course found for that join code' });
+    }
+
+    res.json({ success: true, courseId: courseId });
+  } catch (error) {
+    console.error('Error joining course:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Create an assignment with its policy
+const createAssignment = async (req, res, { db }) => {
+  console.log('🔵 POST /api/courses/:id/assignments called');
+  try {
+    const courseId = req.params.id;
+    const userId = req.user.id;
+    const fields = assignmentFieldsFrom(req.body);
+
+    const validationError = validateAssignment(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const result = await db.createAssignment(courseId, userId, fields, accessToken);
+    res.json(result);
+  } catch (error) {
+    console.error('Error creating assignment:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Update an assignment's policy
+const updateAssignment = async (req, res, { db }) => {
+  console.log('🔵 PUT /api/assignments/:id called');
+  try {
+    const assignmentId = req.params.id;
+    const userId = req.user.id;
+    const fields = assignmentFieldsFrom(req.body);
+
+    const validationError = validateAssignment(fields);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const result = await db.updateAssignment(assignmentId, userId, fields, accessToken);
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating assignment:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Delete an assignment
+const deleteAssignment = async (req, res, { db }) => {
+  console.log('🔵 DELETE /api/assignments/:id called');
+  try {
+    const assignmentId = req.params.id;
+    const userId = req.user.id;
+
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const result = await db.deleteAssignment(assignmentId, userId, accessToken);
+    res.json(result);
+  } catch (error) {
+    console.error('Error deleting assignment:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createCourse,
+  getUserCourses,
+  updateCourse,
+  joinCourse,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment
+};
@@ -0,0 +1,137 @@
+// === CRISIS RESPONSE ===
+// A message moderation flags for self-harm isn't a policy violation - it may come from a student in
+// distress. Those messages skip the tutor and the error path and get a supportive reply with crisis
+// resources for the student's locale, sent as an ordinary assistant turn. The rate limiter and the
+// injection cooldown let them through, and course conversations count them (never the text) for
+// the instructor dashboard.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RESOURCES_PATH = path.join(__dirname, 'crisisResources.json');
+
+// === RESOURCE VALIDATION ===
+// Throws on a malformed file so a bad config fails at startup, not when a student needs it
+const validateLocale = (id, entry, { requireAll }) => {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`Crisis locale "${id}" must be an object`);
+  }
+  if (entry.message !== undefined || requireAll) {
+    if (typeof entry.message !== 'string' || !entry.message.trim()) {
+      throw new Error(`Crisis locale "${id}" needs a non-empty message`);
+    }
+  }
+  if (entry.resources !== undefined || requireAll) {
+    if (!Array.isArray(entry.resources) || entry.resources.length === 0 ||
+        entry.resources.some(resource => !resource || typeof resource.name !== 'string' || typeof resource.contact !== 'string')) {
+      throw new Error(`Crisis locale "${id}" needs a non-empty resources array of { name, contact }`);
+    }
+  }
+  if (entry.message === undefined && entry.resources === undefined) {
+    throw new Error(`Crisis locale "${id}" needs a message, resources or both`);
+  }
+};
+
+// === RESOURCE LOADING ===
+// CRISIS_RESOURCES_PATH may point at an institution's own file, e.g. to add campus counselling.
+// Locales are BCP 47 tags. A regional entry ("en-GB") without a message uses its language's
+// ("en"), and anything missing falls back to defaultLocale.
+const loadCrisisResources = (resourcesPath = process.env.CRISIS_RESOURCES_PATH || DEFAULT_RESOURCES_PATH) => {
+  const config = JSON.parse(fs.readFileSync(resourcesPath, 'utf8'));
+
+  if (!config || !config.locales || typeof config.locales !== 'object') {
+    throw new Error('Crisis resources file needs a locales object');
+  }
+  if (!config.locales[config.defaultLocale]) {
+    throw new Error(`Crisis resources file needs an entry for its defaultLocale "${config.defaultLocale}"`);
+  }
+
+  for (const [id, entry] of Object.entries(config.locales)) {
+    validateLocale(id, entry, { requireAll: id === config.defaultLocale });
+  }
+
+  return config;
+};
+
+const crisisConfig = loadCrisisResources();
+
+// === LOCALE ===
+// Locales to try, in order: the request body's `locale`, then the browser's Accept-Language
+const requestedLocales = (req) => {
+  const fromBody = req.body && typeof req.body.locale === 'string' ? [req.body.locale] : [];
+  const fromHeader = (req.headers['accept-language'] || '')
+    .split(',')
+    .map(part => part.split(';')[0].trim())
+    .filter(tag => tag && tag !== '*');
+  return [...fromBody, ...fromHeader];
+};
+
+// Case-insensitive, since browsers send "en-us" as well as "en-US"
+const findLocale = (tag) => {
+  return Object.keys(crisisConfig.locales).find(id => id.toLowerCase() === tag.toLowerCase());
+};
+
+// Returns { locale, message, resources } for the first requested locale the file knows
+const resolveCrisisResources = (tags) => {
+  const fallback = crisisConfig.locales[crisisConfig.defaultLocale];
+
+  for (const tag of tags) {
+    const regional = findLocale(tag);
+    const language = findLocale(tag.split('-')[0]);
+    if (!regional && !language) continue;
+
+    const regionalEntry = regional ? crisisConfig.locales[regional] : {};
+    const languageEntry = language ? crisisConfig.locales[language] : {};
+    return {
+      locale: regional || language,
+      message: regionalEntry.message || languageEntry.message || fallback.message,
+      resources: regionalEntry.resources || languageEntry.resources || fallback.resources
+    };
+  }
+
+  return { locale: crisisConfig.defaultLocale, message: fallback.message, resources: fallback.resources };
+};
+
+// === DETECTION ===
+const SELF_HARM_CATEGORY = /^self-harm(\/|$)/;
+
+// Cheap keyword screen, used where moderation hasn't run yet or can't help: deciding whether an
+// over-limit request is worth moderating, and as the fallback when moderation is down
+const CRISIS_SCREEN = /\b(suicid\w*|kill(ing)? myself|end(ing)? (my life|it all)|want(ed)? to die|better off dead|no reason to live|self[- ]?harm\w*|hurt(ing)? myself|cut(ting)? myself|overdos\w*|quiero morir|me quiero matar|je veux mourir|me tuer)\b/i;
+
+const mightNeedCrisisResponse = (text) => typeof text === 'string' && CRISIS_SCREEN.test(text);
+
+// moderation is a moderateText result. When moderation is down or not configured the keyword screen
+// decides, so an outage never turns a student in distress away.
+const needsCrisisResponse = (moderation, text) => {
+  if (moderation.categories.some(category => SELF_HARM_CATEGORY.test(category))) {
+    return true;
+  }
+  return (moderation.failed || moderation.skipped) && mightNeedCrisisResponse(text);
+};
+
+// === BUILD THE REPLY ===
+// Returns { response, crisis: { locale, resources } } - the response text is a complete assistant
+// turn, and the resources are also sent on their own so a client can render them differently
+const buildCrisisResponse = (req) => {
+  const { locale, message, resources } = resolveCrisisResources(requestedLocales(req));
+
+  const resourceLines = resources.map(resource => (
+    `• **${resource.name}**: ${resource.contact}${resource.available ? ` (${resource.available})` : ''}`
+  ));
+
+  // Never the message itself
+  console.log('💙 Crisis response sent:', { locale, timestamp: new Date().toISOString() });
+
+  return {
+    response: `${message}\n\n${resourceLines.join('\n')}`,
+    crisis: { locale, resources }
+  };
+};
+
+module.exports = {
+  loadCrisisResources,
+  resolveCrisisResources,
+  mightNeedCrisisResponse,
+  needsCrisisResponse,
+  buildCrisisResponse
+};
@@ -0,0 +1,91 @@
+/**
+ * @jest-environment node
+ */
+// === CRISIS RESPONSE TESTS ===
+const {
+  loadCrisisResources,
+  resolveCrisisResources,
+  mightNeedCrisisResponse,
+  needsCrisisResponse,
+  buildCrisisResponse
+} = require('./crisisResponse');
+const { writeTempJson, removeTempFiles } = require('./testSupport');
+
+afterEach(removeTempFiles);
+
+const checked = (categories) => ({ allowed: categories.length === 0, categories, failed: false, skipped: false });
+const unchecked = { allowed: true, categories: [], failed: true, skipped: false };
+
+describe('needsCrisisResponse', () => {
+  test('any self-harm category routes to the crisis response', () => {
+    expect(needsCrisisResponse(checked(['self-harm/intent']), 'anything')).toBe(true);
+    expect(needsCrisisResponse(checked(['self-harm']), 'anything')).toBe(true);
+    expect(needsCrisisResponse(checked(['violence']), 'I want to die')).toBe(false);
+  });
+
+  test('the keyword screen decides when moderation is down or not configured', () => {
+    expect(needsCrisisResponse(unchecked, 'I want to die')).toBe(true);
+    expect(needsCrisisResponse({ ...unchecked, failed: false, skipped: true }, 'Je veux mourir')).toBe(true);
+    expect(needsCrisisResponse(unchecked, 'This homework is killing me')).toBe(false);
+    expect(needsCrisisResponse(checked([]), 'I want to die')).toBe(false);
+  });
+
+  test('the screen ignores everyday phrases', () => {
+    expect(mightNeedCrisisResponse('How do I cut a string in Python?')).toBe(false);
+    expect(mightNeedCrisisResponse('I have been self-harming')).toBe(true);
+    expect(mightNeedCrisisResponse(undefined)).toBe(false);
+  });
+});
+
+describe('resolveCrisisResources', () => {
+  test('a regional entry without a message uses its language\'s message', () => {
+    const resolved = resolveCrisisResources(['en-GB']);
+
+    expect(resolved.locale).toBe('en-GB');
+    expect(resolved.message).toBe(resolveCrisisResources(['en']).message);
+    expect(resolved.resources.map(resource => resource.name)).toEqual(['Samaritans', 'Shout']);
+  });
+
+  test('tags match case-insensitively and fall back to the language, then the default', () => {
+    expect(resolveCrisisResources(['EN-us']).locale).toBe('en-US');
+    expect(resolveCrisisResources(['es-MX']).locale).toBe('es');
+    expect(resolveCrisisResources(['de-DE', 'fr-FR']).locale).toBe('fr-FR');
+    expect(resolveCrisisResources(['de-DE']).locale).toBe('en');
+  });
+});
+
+describe('buildCrisisResponse', () => {
+  test('prefers the body\'s locale to Accept-Language and lists the resources in the reply', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const req = { body: { locale: 'en-GB' }, headers: { 'accept-language': 'en-US,en;q=0.9' } };
+
+    const { response, crisis } = buildCrisisResponse(req);
+
+    expect(crisis.locale).toBe('en-GB');
+    expect(response).toContain('• **Samaritans**: Call 116 123 (24/7)');
+    console.log.mockRestore();
+  });
+});
+
+describe('loadCrisisResources', () => {
+  const valid = {
+    defaultLocale: 'en',
+    locales: {
+      en: { message: 'Please reach out.', resources: [{ name: 'Helpline', contact: '123' }] },
+      'en-GB': { resources: [{ name: 'Campus counselling', contact: 'Room 4' }] }
+    }
+  };
+
+  test('accepts regional entries that only override part of their language', () => {
+    expect(loadCrisisResources(writeTempJson(valid))).toEqual(valid);
+  });
+
+  test.each([
+    [{ ...valid, defaultLocale: 'fr' }, /defaultLocale "fr"/],
+    [{ ...valid, locales: { ...valid.locales, en: { resources: valid.locales.en.resources } } }, /"en" needs a non-empty message/],
+    [{ ...valid, locales: { ...valid.locales, 'en-GB': { resources: [] } } }, /"en-GB" needs a non-empty resources array/],
+    [{ ...valid, locales: { ...valid.locales, 'en-GB': {} } }, /"en-GB" needs a message, resources or both/]
+  ])('rejects a malformed file (%#)', (config, error) => {
+    expect(() => loadCrisisResources(writeTempJson(config))).toThrow(error);
+  });
+});
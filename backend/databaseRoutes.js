@@ -1,18 +1,54 @@
+const { DEFAULT_MODE, isValidMode } = require('./tutoringModes');
+
+// Message types the client may store; anything else is rejected
+const MESSAGE_TYPES = ['text', 'quiz_result', 'summary'];
+const MESSAGE_ROLES = ['user', 'assistant'];
+const MAX_MESSAGES_PER_REQUEST = 200;    // Imports send long conversations in batches
+
+// Checks one message from the client. Returns an error message, or null when it is valid.
+const validateMessage = ({ role, content, type = 'text', metadata = null }) => {
+  if (!role || !content) {
+    return 'Role and content are required';
+  }
+
+  if (!MESSAGE_TYPES.includes(type)) {
+    return `Unknown message type "${type}"`;
+  }
+
+  // Metadata is stored unencrypted, so keep it to small non-content state
+  if (metadata !== null && (typeof metadata !== 'object' || Array.isArray(metadata))) {
+    return 'Metadata must be an object';
+  }
+  if (metadata !== null && JSON.stringify(metadata).length > 2000) {
+    return 'Metadata too large';
+  }
+
+  return null;
+};
+
 // === DATABASE API ENDPOINTS ===
 
 // Create new conversation
 const createConversation = async (req, res, { db }) => {
   console.log('🔵 POST /api/conversations called');
   try {
-    const { title } = req.body;
+    const { title, mode = DEFAULT_MODE, courseId = null, assignmentId = null } = req.body;
     const userId = req.user.id;
     
     if (!title) {
       return res.status(400).json({ error: 'Title is required' });
     }
 
+    if (!isValidMode(mode)) {
+      return res.status(400).json({ error: `Unknown tutoring mode "${mode}"` });
+    }
+
+    if (assignmentId && !courseId) {
+      return res.status(400).json({ error: 'An assignment requires its course' });
+    }
+
     const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
-    const result = await db.createConversation(userId, title, accessToken);
+    const result = await db.createConversation(userId, title, accessToken, { mode, courseId, assignmentId });
     res.json(result);
   } catch (error) {
     console.error('Error creating conversation:', error);
@@ -55,6 +91,48 @@ const updateConversationTitle = async (req, res, { db }) => {
   }
 };
 
+// Lock or unlock a conversation's title
+const updateConversationTitleLock = async (req, res, { db }) => {
+  console.log('🔵 PUT /api/conversations/:id/title-lock called');
+  try {
+    const { locked } = req.body;
+    const conversationId = req.params.id;
+    const userId = req.user.id;
+
+    if (typeof locked !== 'boolean') {
+      return res.status(400).json({ error: 'locked must be true or false' });
+    }
+
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const result = await db.updateConversationTitleLock(conversationId, userId, locked, accessToken);
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating title lock:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Update conversation tutoring mode
+const updateConversationMode = async (req, res, { db }) => {
+  console.log('🔵 PUT /api/conversations/:id/mode called');
+  try {
+    const { mode } = req.body;
+    const conversationId = req.params.id;
+    const userId = req.user.id;
+
+    if (!isValidMode(mode)) {
+      return res.status(400).json({ error: `Unknown tutoring mode "${mode}"` });
+    }
+
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const result = await db.updateConversationMode(conversationId, userId, mode, accessToken);
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating conversation mode:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
 // Delete conversation
 const deleteConversation = async (req, res, { db }) => {
   console.log('🔵 DELETE /api/conversations/:id called');
@@ -91,16 +169,17 @@ const getConversationMessages = async (req, res, { db }) => {
 const addMessage = async (req, res, { db }) => {
   console.log('🔵 POST /api/conversations/:id/messages called');
   try {
-    const { role, content } = req.body;
+    const { role, content, type = 'text', metadata = null } = req.body;
     const conversationId = req.params.id;
     const userId = req.user.id;
     
-    if (!role || !content) {
-      return res.status(400).json({ error: 'Role and content are required' });
+    const messageError = validateMessage({ role, content, type, metadata });
+    if (messageError) {
+      return res.status(400).json({ error: messageError });
     }
 
     const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
-    const result = await db.addMessage(conversationId, userId, role, content, accessToken);
+    const result = await db.addMessage(conversationId, userId, role, content, accessToken, { type, metadata });
     res.json(result);
   } catch (error) {
     console.error('Error adding message:', error);
@@ -108,11 +187,66 @@ const addMessage = async (req, res, { db }) => {
   }
 };
 
+// Add a batch of messages to a conversation (imports). Each message may keep its original
+// createdAt, so an imported conversation stays in order and keeps its dates.
+const addMessages = async (req, res, { db }) => {
+  console.log('🔵 POST /api/conversations/:id/messages/bulk called');
+  try {
+    const { messages } = req.body;
+    const conversationId = req.params.id;
+    const userId = req.user.id;
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({ error: 'At least one message is required' });
+    }
+
+    if (messages.length > MAX_MESSAGES_PER_REQUEST) {
+      return res.status(400).json({ error: `Too many messages. Maximum ${MAX_MESSAGES_PER_REQUEST} per request.` });
+    }
+
+    for (const [index, message] of messages.entries()) {
+      const messageError = !message || typeof message !== 'object'
+        ? 'Message must be an object'
+        : !MESSAGE_ROLES.includes(message.role)
+          ? `Unknown role "${message.role}"`
+          : typeof message.content !== 'string'
+            ? 'Content must be a string'
+            : validateMessage(message);
+      if (messageError) {
+        return res.status(400).json({ error: `Message ${index + 1}: ${messageError}` });
+      }
+
+      if (message.createdAt !== undefined && message.createdAt !== null) {
+        const createdAt = new Date(message.createdAt);
+        if (typeof message.createdAt !== 'string' || isNaN(createdAt) || createdAt > new Date()) {
+          return res.status(400).json({ error: `Message ${index + 1}: createdAt must be a past date` });
+        }
+      }
+    }
+
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const result = await db.addMessages(conversationId, userId, messages.map(message => ({
+      role: message.role,
+      content: message.content,
+      type: message.type || 'text',
+      metadata: message.metadata || null,
+      createdAt: message.createdAt || null
+    })), accessToken);
+    res.json(result);
+  } catch (error) {
+    console.error('Error adding messages:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
 module.exports = {
   createConversation,
   getUserConversations,
   updateConversationTitle,
+  updateConversationTitleLock,
+  updateConversationMode,
   deleteConversation,
   getConversationMessages,
-  addMessage
+  addMessage,
+  addMessages
 };
@@ -0,0 +1,119 @@
+// === FLASHCARD EXTRACTION ENDPOINT ===
+// Handles POST /api/flashcards/extract. Turns one tutor explanation into question/answer cards.
+// Messages are encrypted client-side, so the client sends the decrypted text it wants carded.
+const { sanitizeText, buildConversationMessages } = require('./conversationContext');
+const { buildSystemPrompt } = require('./aiInstructions');
+const { moderateText, sendModerationError } = require('./moderation');
+const { recordTokenUsage } = require('./tokenQuotas');
+
+const MAX_EXTRACTED_CARDS = 10;
+
+// === EXTRACTION OVERLAY ===
+const extractionOverlayFor = (maxCards) => {
+  return `FLASHCARD MODE: Turn the explanation the student shares into study flashcards.
+Write at most ${maxCards} cards. Each card tests one fact or concept from the explanation - a short question on the front, a short answer on the back.
+Only use what the explanation says. Do not add homework solutions.
+Respond with ONLY a JSON object, no other text, in this shape:
+{"cards": [{"front": "...", "back": "..."}]}`;
+};
+
+// === PARSE THE MODEL'S CARDS ===
+// Returns the cleaned cards, or null when the reply is not usable
+const parseFlashcards = (content, maxCards = MAX_EXTRACTED_CARDS) => {
+  const jsonMatch = content.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    return null;
+  }
+
+  if (!parsed || !Array.isArray(parsed.cards)) return null;
+
+  const cards = parsed.cards
+    .filter(card => card && typeof card.front === 'string' && typeof card.back === 'string')
+    .map(card => ({ front: card.front.trim(), back: card.back.trim() }))
+    .filter(card => card.front && card.back)
+    .slice(0, maxCards);
+
+  return cards.length > 0 ? cards : null;
+};
+
+// === EXTRACT ENDPOINT ===
+const handleExtractFlashcards = async (req, res, { provider, systemInstructions, db }) => {
+  try {
+    // === STEP 1: EXTRACT AND VALIDATE INPUT ===
+    const {
+      content,                           // Decrypted tutor explanation
+      maxCards = 5                       // Upper bound on cards to write
+    } = req.body;
+
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ error: 'Content is required and must be a string' });
+    }
+
+    if (content.length > 4000) {
+      return res.status(400).json({ error: 'Content too long. Maximum 4000 characters allowed.' });
+    }
+
+    if (!Number.isInteger(maxCards) || maxCards < 1 || maxCards > MAX_EXTRACTED_CARDS) {
+      return res.status(400).json({ error: `maxCards must be between 1 and ${MAX_EXTRACTED_CARDS}` });
+    }
+
+    const sanitizedContent = sanitizeText(content);
+
+    // === STEP 2: CONTENT MODERATION ===
+    const moderation = await moderateText(provider, sanitizedContent, { endpoint: 'flashcards' });
+    if (!moderation.allowed) {
+      return sendModerationError(res, moderation);
+    }
+
+    // === STEP 3: GENERATE THE CARDS ===
+    const maxTokens = 100 + maxCards * 80;
+    const { messages } = buildConversationMessages({
+      systemInstructions: buildSystemPrompt(systemInstructions, {
+        overlays: [extractionOverlayFor(maxCards)]
+      }),
+      history: [],
+      message: `Make flashcards from this explanation:\n\n${sanitizedContent}`,
+      maxTokens
+    });
+
+    const completion = await provider.createChatCompletion({
+      messages,
+      maxTokens,
+      temperature: 0.3
+    });
+    recordTokenUsage(db, req, completion.usage);
+
+    const cards = parseFlashcards(completion.content, maxCards);
+    if (!cards) {
+      console.error('Flashcard extraction returned an unusable reply');
+      return res.status(502).json({ error: 'Could not make flashcards from this message. Please try again or add them manually.' });
+    }
+
+    // === STEP 4: SEND RESPONSE ===
+    res.json({
+      success: true,
+      cards: cards,
+      usage: completion.usage,
+      model: completion.model
+    });
+
+  } catch (error) {
+    console.error('Flashcard extraction error:', error);
+
+    if (error.status === 429 || error.code === 'rate_limit_exceeded') {
+      return res.status(429).json({ error: 'The AI service is busy right now. Please try again in a moment.' });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+};
+
+module.exports = { handleExtractFlashcards, parseFlashcards };
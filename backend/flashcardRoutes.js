@@ -0,0 +1,165 @@
+const { REVIEW_GRADES, initialSchedule, scheduleReview } = require('./spacedRepetition');
+
+const MAX_CARDS_PER_REQUEST = 500;       // Large enough for an imported deck
+const MAX_CARD_FIELD_LENGTH = 20000;     // Encrypted text is longer than the plaintext
+
+// === FLASHCARD API ENDPOINTS ===
+
+// Create new deck
+const createDeck = async (req, res, { db }) => {
+  console.log('🔵 POST /api/decks called');
+  try {
+    const { name } = req.body;
+    const userId = req.user.id;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const result = await db.createDeck(userId, name, accessToken);
+    res.json({ ...result, deck: { ...result.deck, due_count: 0 } });
+  } catch (error) {
+    console.error('Error creating deck:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get all decks for user, with how many cards are due in each
+const getUserDecks = async (req, res, { db }) => {
+  console.log('🔵 GET /api/decks called');
+  try {
+    const userId = req.user.id;
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const [decks, dueCounts] = await Promise.all([
+      db.getUserDecks(userId, accessToken),
+      db.getDueCardCounts(userId, accessToken)
+    ]);
+    res.json(decks.map(deck => ({ ...deck, due_count: dueCounts[deck.id] || 0 })));
+  } catch (error) {
+    console.error('Error loading decks:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Delete deck
+const deleteDeck = async (req, res, { db }) => {
+  console.log('🔵 DELETE /api/decks/:id called');
+  try {
+    const deckId = req.params.id;
+    const userId = req.user.id;
+
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const result = await db.deleteDeck(deckId, userId, accessToken);
+    res.json(result);
+  } catch (error) {
+    console.error('Error deleting deck:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Get cards in a deck (?due=true for only the cards due now)
+const getDeckCards = async (req, res, { db }) => {
+  console.log('🔵 GET /api/decks/:id/cards called');
+  try {
+    const deckId = req.params.id;
+    const userId = req.user.id;
+    const dueOnly = req.query.due === 'true';
+
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const cards = await db.getDeckCards(deckId, userId, accessToken, { dueOnly });
+    res.json(cards);
+  } catch (error) {
+    console.error('Error loading cards:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Add cards to a deck
+const addCards = async (req, res, { db }) => {
+  console.log('🔵 POST /api/decks/:id/cards called');
+  try {
+    const { cards } = req.body;
+    const deckId = req.params.id;
+    const userId = req.user.id;
+
+    if (!Array.isArray(cards) || cards.length === 0) {
+      return res.status(400).json({ error: 'At least one card is required' });
+    }
+
+    if (cards.length > MAX_CARDS_PER_REQUEST) {
+      return res.status(400).json({ error: `Too many cards. Maximum ${MAX_CARDS_PER_REQUEST} per request.` });
+    }
+
+    const invalidCard = cards.find(card =>
+      !card ||
+      typeof card.front !== 'string' || !card.front ||
+      typeof card.back !== 'string' || !card.back ||
+      card.front.length > MAX_CARD_FIELD_LENGTH || card.back.length > MAX_CARD_FIELD_LENGTH
+    );
+    if (invalidCard) {
+      return res.status(400).json({ error: 'Every card needs a front and a back' });
+    }
+
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const result = await db.addCards(deckId, userId, cards, initialSchedule(), accessToken);
+    res.json(result);
+  } catch (error) {
+    console.error('Error adding cards:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Grade a review and schedule the card's next one
+const reviewCard = async (req, res, { db }) => {
+  console.log('🔵 POST /api/flashcards/:id/review called');
+  try {
+    const { grade } = req.body;
+    const cardId = req.params.id;
+    const userId = req.user.id;
+
+    if (!Object.prototype.hasOwnProperty.call(REVIEW_GRADES, grade)) {
+      return res.status(400).json({ error: `Grade must be one of: ${Object.keys(REVIEW_GRADES).join(', ')}` });
+    }
+
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const card = await db.getFlashcard(cardId, userId, accessToken);
+    const schedule = scheduleReview({
+      ease: card.ease,
+      intervalDays: card.interval_days,
+      repetitions: card.repetitions
+    }, grade);
+
+    const result = await db.updateFlashcardSchedule(cardId, userId, schedule, accessToken);
+    res.json(result);
+  } catch (error) {
+    console.error('Error reviewing card:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Delete a card
+const deleteCard = async (req, res, { db }) => {
+  console.log('🔵 DELETE /api/flashcards/:id called');
+  try {
+    const cardId = req.params.id;
+    const userId = req.user.id;
+
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const result = await db.deleteFlashcard(cardId, userId, accessToken);
+    res.json(result);
+  } catch (error) {
+    console.error('Error deleting card:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  createDeck,
+  getUserDecks,
+  deleteDeck,
+  getDeckCards,
+  addCards,
+  reviewCard,
+  deleteCard
+};
@@ -0,0 +1,233 @@
+// === PROGRESSIVE HINT LADDER ===
+// Handles POST /api/hints/next. When the integrity rules refuse or guide a request,
+// the student can climb a ladder of hints for that problem. Each rung is slightly
+// stronger than the last, and none of them ever gives the final answer.
+const crypto = require('crypto');
+const { sanitizeText, validateHistory, validateConversationSummary, buildConversationMessages } = require('./conversationContext');
+const { VERDICTS } = require('./integrityRules');
+const { instructionsForProfile, buildSystemPrompt } = require('./aiInstructions');
+const { getPolicyProfile, policyStamp, classifyWithProfile } = require('./policyProfiles');
+const { enforceOutputAudit } = require('./outputAuditor');
+const { OUTPUT_ACTIONS, moderateText, moderateHistory, sendModerationError, applyOutputModeration } = require('./moderation');
+const { resolveConversationPolicy } = require('./coursePolicies');
+const { recordTokenUsage } = require('./tokenQuotas');
+const {
+  INJECTION_ACTIONS,
+  INJECTION_REFUSAL,
+  INJECTION_OVERLAY,
+  detectInjection,
+  neutralizeMessage,
+  screenContext,
+  cooldownRemaining,
+  recordInjectionAttempt,
+  sendInjectionCooldown
+} = require('./injectionDetection');
+const { EVENT_TYPES, recordIntegrityEvent } = require('./integrityEvents');
+
+const MAX_HINT_LEVEL = 5;
+
+// === RUNG INSTRUCTIONS ===
+// Index = hint level. Added after the locked instructions as an overlay.
+const HINT_LEVEL_INSTRUCTIONS = [
+  null,
+  'Name the concept or topic this problem is about, and ask the student what they remember about it. Nothing else.',
+  'Point to the rule, formula or technique that applies, without showing how to apply it to this problem.',
+  'Describe the first step the student should take, in words only. Do not carry it out.',
+  'Work a short parallel example with different numbers or a different scenario, using the same technique.',
+  'Walk through the approach for this problem step by step, but stop before the last step and leave the final answer for the student.'
+];
+
+// === PROBLEM KEY ===
+// The server only stores a hash of the normalized problem, never the problem text itself
+const problemKeyFor = (problem) => {
+  const normalized = problem.toLowerCase().replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+const hintOverlayFor = (level) => {
+  return `HINT LADDER - HINT ${level} OF ${MAX_HINT_LEVEL}: ${HINT_LEVEL_INSTRUCTIONS[level]}
+Give only this one hint. Never state the final answer, even if the student asks for it.`;
+};
+
+// === NEXT HINT ENDPOINT ===
+const handleNextHint = async (req, res, { provider, db, store }) => {
+  try {
+    // === STEP 1: EXTRACT AND VALIDATE INPUT ===
+    const {
+      conversationId,                    // Conversation the ladder belongs to
+      problem,                           // The student's original problem (decrypted by the client)
+      history = [],                      // Prior turns, same format as /api/gpt
+      summary = null                     // Rolling summary of older turns, same as /api/gpt
+    } = req.body;
+
+    if (!conversationId) {
+      return res.status(400).json({ error: 'conversationId is required' });
+    }
+
+    if (!problem || typeof problem !== 'string') {
+      return res.status(400).json({ error: 'Problem is required and must be a string' });
+    }
+
+    if (problem.length > 4000) {
+      return res.status(400).json({ error: 'Problem too long. Maximum 4000 characters allowed.' });
+    }
+
+    const historyError = validateHistory(history) || validateConversationSummary(summary);
+    if (historyError) {
+      return res.status(400).json({ error: historyError });
+    }
+
+    const sanitizedProblem = sanitizeText(problem);
+
+    // Sessions cooling down after repeated injection attempts get no hints either
+    const cooldown = await cooldownRemaining(store, req);
+    if (cooldown > 0) {
+      return sendInjectionCooldown(res, cooldown);
+    }
+
+    // Every model call this request makes counts towards the user's token quota
+    const recordUsage = (usage) => recordTokenUsage(db, req, usage);
+
+    // === STEP 2: CONTENT MODERATION ===
+    // The summary comes from the client too, so it is checked alongside the problem. Flagged earlier
+    // turns are only left out of the context (see moderateHistory).
+    const [problemModeration, summaryModeration, historyModeration] = await Promise.all([
+      moderateText(provider, sanitizedProblem, { endpoint: 'hints' }),
+      summary ? moderateText(provider, sanitizeText(summary), { endpoint: 'hints' }) : null,
+      moderateHistory(provider, history, { endpoint: 'hints' })
+    ]);
+    const failedModeration = [problemModeration, summaryModeration].find(check => check && !check.allowed);
+    if (failedModeration) {
+      return sendModerationError(res, failedModeration);
+    }
+
+    // === PROMPT-INJECTION CHECK ===
+    // The problem is the student's own text, checked like an /api/gpt message. A summary or prior turn
+    // that tries to change the tutor's instructions is left out of the model's context.
+    const injection = await detectInjection(provider, sanitizedProblem, { onUsage: recordUsage });
+    if (injection.action !== INJECTION_ACTIONS.ALLOWED) {
+      injection.cooldownSeconds = await recordInjectionAttempt(store, req);
+      console.log('🧱 Prompt injection detected:', { ...injection, timestamp: new Date().toISOString() });
+    }
+
+    // A refused problem doesn't climb the ladder
+    if (injection.action === INJECTION_ACTIONS.REFUSED) {
+      return res.json({ success: true, response: INJECTION_REFUSAL, injection: injection });
+    }
+
+    const flaggedTurns = historyModeration.withheld;
+    if (flaggedTurns.length > 0) {
+      console.log('🚨 Flagged earlier turns left out of the context:', { turns: flaggedTurns, timestamp: new Date().toISOString() });
+    }
+    const screened = screenContext({ summary, history, leaveOut: flaggedTurns });
+    if (screened.withheld.length > 0) {
+      injection.withheldContext = screened.withheld;
+      console.log('🧱 Prompt injection in conversation context:', { withheld: screened.withheld, timestamp: new Date().toISOString() });
+    }
+    const neutralized = injection.action === INJECTION_ACTIONS.NEUTRALIZED;
+
+    // === STEP 3: CLIMB ONE RUNG ===
+    const userId = req.user.id;
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const problemKey = problemKeyFor(sanitizedProblem);
+    const currentLevel = await db.getHintLevel(conversationId, userId, problemKey, accessToken);
+
+    if (currentLevel >= MAX_HINT_LEVEL) {
+      return res.status(409).json({
+        error: 'You\'ve used every hint for this problem. Try the last step yourself, then ask me to check your work!',
+        code: 'hint_ladder_exhausted',
+        hint: { level: MAX_HINT_LEVEL, maxLevel: MAX_HINT_LEVEL }
+      });
+    }
+
+    const level = currentLevel + 1;
+
+    // Hints follow the same course policy as ordinary replies in this conversation
+    const coursePolicy = await resolveConversationPolicy(db, conversationId, userId, accessToken);
+    const policyProfile = getPolicyProfile(coursePolicy.policyProfile);
+
+    // === STEP 4: GENERATE THE HINT ===
+    // Always audited as a guided problem so a final answer never slips through
+    const classified = classifyWithProfile(sanitizedProblem, policyProfile);
+    const integrity = {
+      ...classified,
+      verdict: VERDICTS.GUIDED,
+      tags: [...new Set([...classified.tags, 'answer'])]
+    };
+
+    const { messages } = buildConversationMessages({
+      systemInstructions: buildSystemPrompt(instructionsForProfile(policyProfile), {
+        overlays: [...coursePolicy.overlays, hintOverlayFor(level), neutralized ? INJECTION_OVERLAY : null],
+        verdict: integrity.verdict
+      }),
+      summary: screened.summary,
+      history: screened.history,
+      message: `Problem: ${neutralized ? neutralizeMessage(sanitizedProblem) : sanitizedProblem}\n\nPlease give me hint ${level} of ${MAX_HINT_LEVEL}.`,
+      maxTokens: 250
+    });
+
+    const completionRequest = { messages, maxTokens: 250, temperature: 0.5 };
+    const completion = await provider.createChatCompletion(completionRequest);
+    recordUsage(completion.usage);
+
+    // Moderate the draft while the auditor looks at it, as /api/gpt does
+    const draftCheck = moderateText(provider, completion.content, { endpoint: 'hints-output' });
+    const { response: auditedResponse, audit } = await enforceOutputAudit({
+      provider,
+      request: completionRequest,
+      response: completion.content,
+      integrity,
+      maxCodeLines: coursePolicy.maxCodeLines,
+      onUsage: recordUsage
+    });
+
+    const outputCheck = auditedResponse === completion.content
+      ? await draftCheck
+      : await moderateText(provider, auditedResponse, { endpoint: 'hints-output' });
+    const { response, outputModeration } = applyOutputModeration(auditedResponse, outputCheck, { endpoint: 'hints-output' });
+    const withheld = outputModeration.action === OUTPUT_ACTIONS.REPLACED;
+
+    // Only record the rung once the hint was actually produced - a withheld hint leaves the ladder where it was
+    if (withheld) {
+      if (outputCheck.categories.length > 0) {
+        recordIntegrityEvent(db, { coursePolicy, userId, type: EVENT_TYPES.OUTPUT_FLAG });
+      }
+    } else {
+      await db.saveHintLevel(conversationId, userId, problemKey, level, accessToken);
+      recordIntegrityEvent(db, {
+        coursePolicy,
+        userId,
+        type: EVENT_TYPES.HINT,
+        text: sanitizedProblem,
+        hintLevel: level
+      });
+    }
+
+    // === STEP 5: SEND RESPONSE ===
+    res.json({
+      success: true,
+      response: response,
+      hint: { level: withheld ? currentLevel : level, maxLevel: MAX_HINT_LEVEL },
+      usage: completion.usage,
+      model: completion.model,
+      policy: policyStamp(policyProfile),
+      audit: audit,
+      injection: injection,
+      outputModeration: outputModeration
+    });
+
+  } catch (error) {
+    console.error('Hint ladder error:', error);
+
+    if (error.status === 429 || error.code === 'rate_limit_exceeded') {
+      return res.status(429).json({ error: 'The AI service is busy right now. Please try again in a moment.' });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+};
+
+module.exports = { handleNextHint, MAX_HINT_LEVEL };
@@ -0,0 +1,117 @@
+// === INSTRUCTOR INTEGRITY DASHBOARD ===
+// Handles GET /api/courses/:id/dashboard. Aggregates de-identified integrity events for a course.
+// Any number backed by fewer than MIN_COHORT distinct students is suppressed (returned as null),
+// and when a group has exactly one suppressed bucket the next smallest is suppressed too, so a
+// hidden count can't be worked out by subtracting the visible ones from a total.
+const { EVENT_TYPES } = require('./integrityEvents');
+const { MAX_HINT_LEVEL } = require('./hintLadder');
+
+const MIN_COHORT = parseInt(process.env.DASHBOARD_MIN_COHORT, 10) || 5;
+
+const QUESTION_TYPES = [EVENT_TYPES.ALLOWED, EVENT_TYPES.GUIDED, EVENT_TYPES.REFUSED];
+
+// === SUPPRESSION HELPERS ===
+// Event count, or null when fewer than MIN_COHORT distinct students are behind it.
+// An empty bucket says nothing about anyone, so zero is always shown.
+const suppressedCount = (events) => {
+  if (events.length === 0) return 0;
+  const students = new Set(events.map(event => event.actor_hash));
+  return students.size >= MIN_COHORT ? events.length : null;
+};
+
+// Complementary suppression within one group of buckets that add up to a shown total
+const suppressComplement = (buckets, key = 'count') => {
+  const hidden = buckets.filter(bucket => bucket[key] === null);
+  if (hidden.length !== 1) return buckets;
+
+  const smallestShown = buckets
+    .filter(bucket => bucket[key] !== null && bucket[key] > 0)
+    .sort((a, b) => a[key] - b[key])[0];
+
+  return buckets.map(bucket => bucket === smallestShown ? { ...bucket, [key]: null } : bucket);
+};
+
+const metricsFor = (events) => ({
+  questions: suppressedCount(events.filter(event => QUESTION_TYPES.includes(event.event_type))),
+  refused: suppressedCount(events.filter(event => event.event_type === EVENT_TYPES.REFUSED)),
+  guided: suppressedCount(events.filter(event => event.event_type === EVENT_TYPES.GUIDED)),
+  hints: suppressedCount(events.filter(event => event.event_type === EVENT_TYPES.HINT)),
+  moderationFlags: suppressedCount(events.filter(event => event.event_type === EVENT_TYPES.MODERATION_FLAG)),
+  outputFlags: suppressedCount(events.filter(event => event.event_type === EVENT_TYPES.OUTPUT_FLAG)),
+  crisisSupport: suppressedCount(events.filter(event => event.event_type === EVENT_TYPES.CRISIS_SUPPORT))
+});
+
+// === BUILD THE DASHBOARD ===
+// events: rows from integrity_events; assignments: [{ id, title }]
+const buildDashboard = (events, assignments) => {
+  const activeStudents = new Set(events.map(event => event.actor_hash)).size;
+
+  // Too few students to say anything without pointing at someone
+  if (activeStudents < MIN_COHORT) {
+    return { minCohort: MIN_COHORT, suppressed: true, activeStudents: null };
+  }
+
+  // Per-assignment rows, plus conversations started without an assignment
+  const assignmentRows = [...assignments, { id: null, title: 'No assignment' }]
+    .map(assignment => ({
+      id: assignment.id,
+      title: assignment.title,
+      ...metricsFor(events.filter(event => event.assignment_id === assignment.id))
+    }))
+    .filter(row => row.id !== null || events.some(event => event.assignment_id === null));
+
+  const suppressedRows = Object.keys(metricsFor([]))
+    .reduce((rows, metric) => suppressComplement(rows, metric), assignmentRows);
+
+  const hintEvents = events.filter(event => event.event_type === EVENT_TYPES.HINT);
+  const hintLevels = suppressComplement(
+    Array.from({ length: MAX_HINT_LEVEL }, (_, index) => ({
+      level: index + 1,
+      count: suppressedCount(hintEvents.filter(event => event.hint_level === index + 1))
+    }))
+  );
+
+  const questionEvents = events.filter(event => QUESTION_TYPES.includes(event.event_type));
+  const topicNames = [...new Set(questionEvents.map(event => event.topic || 'other'))];
+  const topics = suppressComplement(
+    topicNames.map(topic => ({
+      topic,
+      count: suppressedCount(questionEvents.filter(event => (event.topic || 'other') === topic))
+    }))
+  ).sort((a, b) => (b.count || 0) - (a.count || 0));
+
+  return {
+    minCohort: MIN_COHORT,
+    suppressed: false,
+    activeStudents,
+    totals: metricsFor(events),
+    hintLevels,
+    topics,
+    assignments: suppressedRows
+  };
+};
+
+// === DASHBOARD ENDPOINT ===
+// requireCourseRole has already checked that the caller teaches this course
+const handleCourseDashboard = async (req, res, { db }) => {
+  console.log('🔵 GET /api/courses/:id/dashboard called');
+  try {
+    const courseId = req.params.id;
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+
+    const [course, events] = await Promise.all([
+      db.getCourseSummary(courseId, accessToken),
+      db.getCourseIntegrityEvents(courseId)
+    ]);
+
+    res.json({
+      course: { id: course.id, name: course.name },
+      ...buildDashboard(events, course.assignments)
+    });
+  } catch (error) {
+    console.error('Error building integrity dashboard:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = { handleCourseDashboard, buildDashboard };
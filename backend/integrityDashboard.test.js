@@ -0,0 +1,86 @@
+/**
+ * @jest-environment node
+ */
+// === INTEGRITY DASHBOARD TESTS ===
+const { buildDashboard } = require('./integrityDashboard');
+const { EVENT_TYPES } = require('./integrityEvents');
+
+const event = (student, type, extra = {}) => ({
+  actor_hash: `student-${student}`,
+  event_type: type,
+  assignment_id: null,
+  topic: null,
+  hint_level: null,
+  ...extra
+});
+
+// One event of the given type from each of the first `count` students
+const fromStudents = (count, type, extra) => Array.from({ length: count }, (_, i) => event(i, type, extra));
+
+describe('buildDashboard', () => {
+  test('a course with fewer than five active students shows nothing', () => {
+    const dashboard = buildDashboard(fromStudents(4, EVENT_TYPES.ALLOWED), []);
+
+    expect(dashboard).toEqual({ minCohort: 5, suppressed: true, activeStudents: null });
+  });
+
+  test('counts backed by fewer than five students are hidden, empty ones are shown as zero', () => {
+    const events = [...fromStudents(6, EVENT_TYPES.ALLOWED), ...fromStudents(2, EVENT_TYPES.REFUSED)];
+    const { totals, activeStudents } = buildDashboard(events, []);
+
+    expect(activeStudents).toBe(6);
+    expect(totals).toMatchObject({ questions: 8, refused: null, guided: 0, crisisSupport: 0 });
+  });
+
+  test('many events from one student still count as one student', () => {
+    const events = [...fromStudents(5, EVENT_TYPES.ALLOWED), ...Array(10).fill(event(0, EVENT_TYPES.MODERATION_FLAG))];
+
+    expect(buildDashboard(events, []).totals.moderationFlags).toBeNull();
+  });
+
+  test('a single hidden bucket takes the next smallest with it, so it can\'t be subtracted out', () => {
+    const events = [
+      ...fromStudents(7, EVENT_TYPES.HINT, { hint_level: 1 }),
+      ...fromStudents(6, EVENT_TYPES.HINT, { hint_level: 2 }),
+      ...fromStudents(2, EVENT_TYPES.HINT, { hint_level: 3 })
+    ];
+    const { hintLevels, totals } = buildDashboard(events, []);
+
+    expect(totals.hints).toBe(15);
+    expect(hintLevels).toEqual([
+      { level: 1, count: 7 },
+      { level: 2, count: null },
+      { level: 3, count: null },
+      { level: 4, count: 0 },
+      { level: 5, count: 0 }
+    ]);
+  });
+
+  test('assignment rows are suppressed per metric, with the unassigned row only when it has events', () => {
+    const assignments = [{ id: 'a1', title: 'Limits' }, { id: 'a2', title: 'Derivatives' }];
+    const events = [
+      ...fromStudents(6, EVENT_TYPES.ALLOWED, { assignment_id: 'a1' }),
+      ...fromStudents(5, EVENT_TYPES.GUIDED, { assignment_id: 'a2' }),
+      event(0, EVENT_TYPES.ALLOWED, { assignment_id: 'a2' })
+    ];
+    const rows = buildDashboard(events, assignments).assignments;
+
+    expect(rows.map(row => row.id)).toEqual(['a1', 'a2']);
+    expect(rows[0]).toMatchObject({ title: 'Limits', questions: 6, guided: 0 });
+    expect(rows[1]).toMatchObject({ title: 'Derivatives', questions: 6, guided: 5 });
+  });
+
+  test('topics are counted like everything else and sorted by size', () => {
+    const events = [
+      ...fromStudents(6, EVENT_TYPES.ALLOWED, { topic: 'calculus' }),
+      ...fromStudents(5, EVENT_TYPES.GUIDED, { topic: 'physics' }),
+      ...fromStudents(1, EVENT_TYPES.ALLOWED)
+    ];
+
+    expect(buildDashboard(events, []).topics).toEqual([
+      { topic: 'calculus', count: 6 },
+      { topic: 'physics', count: null },
+      { topic: 'other', count: null }
+    ]);
+  });
+});
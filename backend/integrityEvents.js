@@ -0,0 +1,74 @@
+// === DE-IDENTIFIED INTEGRITY EVENTS ===
+// For course conversations, each tutoring request leaves one small event row so instructors can see
+// how the integrity rules work for their class. Events never hold message text, user ids or exact
+// times: just the verdict, a coarse topic, the hint level, the day, and a keyed hash of the student
+// that is only used to count distinct students for small-cohort suppression.
+const crypto = require('crypto');
+
+const EVENT_TYPES = {
+  ALLOWED: 'allowed',
+  GUIDED: 'guided',
+  REFUSED: 'refused',
+  HINT: 'hint',
+  MODERATION_FLAG: 'moderation_flag',
+  OUTPUT_FLAG: 'output_flag',            // A tutor reply was withheld by output moderation
+  CRISIS_SUPPORT: 'crisis_support'       // The student was shown crisis resources
+};
+
+// Events about safety rather than study get no topic
+const UNTOPICAL_TYPES = [EVENT_TYPES.MODERATION_FLAG, EVENT_TYPES.OUTPUT_FLAG, EVENT_TYPES.CRISIS_SUPPORT];
+
+// === ACTOR HASH KEY ===
+// Without a configured key the hashes only stay stable until the server restarts
+const ACTOR_HASH_KEY = process.env.INTEGRITY_EVENTS_KEY || crypto.randomBytes(32).toString('hex');
+if (!process.env.INTEGRITY_EVENTS_KEY) {
+  console.warn('⚠️ INTEGRITY_EVENTS_KEY is not set - dashboard student counts reset when the server restarts');
+}
+
+// Keyed per course, so the same student can't be linked across courses
+const actorHashFor = (courseId, userId) => {
+  return crypto.createHmac('sha256', ACTOR_HASH_KEY).update(`${courseId}:${userId}`).digest('hex');
+};
+
+// === COARSE TOPICS ===
+// Keyword buckets decided on the server while the message is in transit; only the bucket name is stored
+const TOPIC_KEYWORDS = {
+  math: /\b(equation|solve|algebra|calculus|derivative|integral|fraction|geometry|probability|statistics|matrix|theorem|proof|\d+\s*[+\-*/^=]\s*\d+)/i,
+  programming: /\b(code|coding|function|python|java(script)?|c\+\+|algorithm|loop|array|recursion|compile|bug|debug|program)\b/i,
+  writing: /\b(essay|paragraph|thesis|outline|grammar|cite|citation|poem|story|write|writing)\b/i,
+  science: /\b(physics|chemistry|biology|atom|molecule|cell|force|energy|reaction|velocity|gene|evolution)\b/i,
+  history: /\b(history|war|revolution|empire|century|president|ancient|civilization|treaty)\b/i,
+  languages: /\b(spanish|french|german|chinese|japanese|latin|translate|conjugat\w*|vocabulary)\b/i
+};
+
+const classifyTopic = (text) => {
+  const match = Object.entries(TOPIC_KEYWORDS).find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'other';
+};
+
+// === RECORD AN EVENT ===
+// Fire-and-forget: analytics must never slow down or break a student's request.
+// coursePolicy is the resolveConversationPolicy result - nothing is recorded outside a course.
+const recordIntegrityEvent = (db, { coursePolicy, userId, type, text, hintLevel = null }) => {
+  if (!coursePolicy || !coursePolicy.courseId) return;
+
+  const event = {
+    course_id: coursePolicy.courseId,
+    assignment_id: coursePolicy.assignment ? coursePolicy.assignment.id : null,
+    actor_hash: actorHashFor(coursePolicy.courseId, userId),
+    event_type: type,
+    topic: UNTOPICAL_TYPES.includes(type) || !text ? null : classifyTopic(text),
+    hint_level: hintLevel,
+    event_date: new Date().toISOString().slice(0, 10) // Day only - exact times could identify a student
+  };
+
+  db.recordIntegrityEvent(event, userId).catch(error => {
+    console.error('Failed to record integrity event:', error.message);
+  });
+};
+
+module.exports = {
+  EVENT_TYPES,
+  classifyTopic,
+  recordIntegrityEvent
+};
@@ -0,0 +1,196 @@
+// === ACADEMIC-INTEGRITY RULE ENGINE ===
+// Deterministic pre-classifier that runs before the model is called.
+// Each request is tagged allowed, guided (hints only) or refused (learning resources only),
+// so enforcement no longer depends only on the model obeying the prompt.
+const fs = require('fs');
+
+// === VERDICTS ===
+// Ordered from weakest to strongest - the strongest matching rule wins
+const VERDICTS = {
+  ALLOWED: 'allowed',
+  GUIDED: 'guided',
+  REFUSED: 'refused'
+};
+const VERDICT_STRENGTH = { allowed: 0, guided: 1, refused: 2 };
+
+// === HEURISTICS ===
+// Named checks that rules of type "heuristic" can refer to
+const HEURISTICS = {
+  // "3x + 5 = 20" or "∫ x^2 dx" with no actual question around it
+  bareEquation: (text) => {
+    const compact = text.replace(/\s+/g, '');
+    if (compact.length < 3 || /\?/.test(text)) return false;
+    if (/\b(what|why|how|explain|help|understand|mean|when|which)\b/i.test(text)) return false;
+
+    const mathChars = (compact.match(/[0-9xyz=+\-*/^().∫√π<>≤≥]/gi) || []).length;
+    return /[=∫√]|[0-9x)]\s*[+\-*/^]\s*[0-9x(]/i.test(text) && mathChars / compact.length > 0.6;
+  },
+
+  // Pasted multiple-choice items: three or more "A) ... B) ... C) ..." options
+  multipleChoiceQuestion: (text) => {
+    const options = text.match(/(^|\s)\(?[A-Ea-e][).:]\s+\S/gm) || [];
+    return options.length >= 3;
+  },
+
+  // Pasted exam/assignment numbering such as "Question 3:" or "Problem 2a)"
+  numberedAssignmentItem: (text) => {
+    return /\b(question|problem|exercise|q)\s*#?\d+[a-z]?\s*[:).]/i.test(text);
+  }
+};
+
+// === DEFAULT RULES ===
+// type: phrase (case-insensitive substring), regex, or heuristic (name from HEURISTICS)
+// tags describe what kind of work was requested; the output auditor uses them
+const DEFAULT_RULES = [
+  {
+    id: 'direct-answer-request',
+    type: 'phrase',
+    phrases: [
+      'give me the answer to',
+      'solve this for me',
+      'what is the solution',
+      'just tell me',
+      'do my homework'
+    ],
+    verdict: VERDICTS.REFUSED,
+    tags: ['answer']
+  },
+  {
+    // Only the request form - "I think the answer is 12, is that right?" is checking work, not asking for it
+    id: 'answer-request',
+    type: 'regex',
+    pattern: '\\b(?:tell|show|give) me what the (?:final |correct |right )?answer (?:is|would be)\\b|\\bwhat(?:\'s| is) the (?:final |correct |right )?answer\\b',
+    verdict: VERDICTS.GUIDED,
+    tags: ['answer']
+  },
+  {
+    id: 'short-writing-request',
+    type: 'regex',
+    pattern: '\\bwrite (?:me )?(?:a|an) (?:short |quick |brief )?(?:answer|response|explanation|summary|report|essay|paper|research paper)\\b',
+    verdict: VERDICTS.REFUSED,
+    tags: ['writing']
+  },
+  {
+    id: 'complete-code-request',
+    type: 'regex',
+    pattern: '\\b(?:write|give me|code|finish)\\b.{0,20}\\b(?:complete|full|entire|whole|working)\\b.{0,15}\\b(?:code|program|solution|function|script|implementation)\\b',
+    verdict: VERDICTS.REFUSED,
+    tags: ['code']
+  },
+  {
+    id: 'math-imperative',
+    type: 'regex',
+    pattern: '^\\s*(?:please\\s+)?(?:solve|simplify|evaluate|calculate|compute|factor|integrate|differentiate|find the (?:value|derivative|integral|roots?))\\b',
+    verdict: VERDICTS.GUIDED,
+    tags: ['math']
+  },
+  {
+    id: 'bare-equation',
+    type: 'heuristic',
+    heuristic: 'bareEquation',
+    verdict: VERDICTS.GUIDED,
+    tags: ['math']
+  },
+  {
+    id: 'multiple-choice-question',
+    type: 'heuristic',
+    heuristic: 'multipleChoiceQuestion',
+    verdict: VERDICTS.GUIDED,
+    tags: ['answer']
+  },
+  {
+    id: 'numbered-assignment-item',
+    type: 'heuristic',
+    heuristic: 'numberedAssignmentItem',
+    verdict: VERDICTS.GUIDED,
+    tags: ['answer']
+  }
+];
+
+// === RULE VALIDATION ===
+// Throws on a malformed rule so a bad config fails at startup, not on a student's request
+const validateRule = (rule) => {
+  if (!rule || typeof rule.id !== 'string') {
+    throw new Error('Integrity rule is missing an id');
+  }
+  if (!Object.values(VERDICTS).includes(rule.verdict)) {
+    throw new Error(`Integrity rule "${rule.id}" has an unknown verdict "${rule.verdict}"`);
+  }
+
+  if (rule.type === 'phrase') {
+    if (!Array.isArray(rule.phrases) || rule.phrases.length === 0) {
+      throw new Error(`Integrity rule "${rule.id}" needs a non-empty phrases array`);
+    }
+  } else if (rule.type === 'regex') {
+    new RegExp(rule.pattern, 'i'); // Throws on an invalid pattern
+  } else if (rule.type === 'heuristic') {
+    if (!HEURISTICS[rule.heuristic]) {
+      throw new Error(`Integrity rule "${rule.id}" refers to unknown heuristic "${rule.heuristic}"`);
+    }
+  } else {
+    throw new Error(`Integrity rule "${rule.id}" has an unknown type "${rule.type}"`);
+  }
+
+  return { tags: [], ...rule };
+};
+
+// === RULE LOADING ===
+// INTEGRITY_RULES_PATH may point at a JSON array of rules that replaces the defaults
+const loadRules = (rulesPath = process.env.INTEGRITY_RULES_PATH) => {
+  const rules = rulesPath
+    ? JSON.parse(fs.readFileSync(rulesPath, 'utf8'))
+    : DEFAULT_RULES;
+
+  if (!Array.isArray(rules)) {
+    throw new Error('Integrity rules file must contain a JSON array');
+  }
+
+  return rules.map(validateRule);
+};
+
+const activeRules = loadRules();
+
+// === SINGLE RULE MATCH ===
+const ruleMatches = (rule, text) => {
+  const lowerText = text.toLowerCase();
+
+  switch (rule.type) {
+    case 'phrase':
+      return rule.phrases.some(phrase => lowerText.includes(phrase.toLowerCase()));
+    case 'regex':
+      return new RegExp(rule.pattern, 'i').test(text);
+    case 'heuristic':
+      return HEURISTICS[rule.heuristic](text);
+    default:
+      return false;
+  }
+};
+
+// === CLASSIFY A REQUEST ===
+// Returns { verdict, rules: [matched rule ids], tags: [work types] }
+const classifyRequest = (message, rules = activeRules) => {
+  let verdict = VERDICTS.ALLOWED;
+  const matchedRules = [];
+  const tags = new Set();
+
+  for (const rule of rules) {
+    if (!ruleMatches(rule, message)) continue;
+
+    matchedRules.push(rule.id);
+    rule.tags.forEach(tag => tags.add(tag));
+    if (VERDICT_STRENGTH[rule.verdict] > VERDICT_STRENGTH[verdict]) {
+      verdict = rule.verdict;
+    }
+  }
+
+  return { verdict, rules: matchedRules, tags: [...tags] };
+};
+
+module.exports = {
+  VERDICTS,
+  HEURISTICS,
+  DEFAULT_RULES,
+  loadRules,
+  activeRules,
+  classifyRequest
+};
@@ -0,0 +1,74 @@
+/**
+ * @jest-environment node
+ */
+// === INTEGRITY RULE ENGINE TESTS ===
+const { VERDICTS, HEURISTICS, loadRules, classifyRequest } = require('./integrityRules');
+const { writeTempJson, removeTempFiles } = require('./testSupport');
+
+afterEach(removeTempFiles);
+
+describe('classifyRequest', () => {
+  test.each([
+    ['Can you explain how photosynthesis works?', VERDICTS.ALLOWED, []],
+    ['I think the answer is 12, is that right?', VERDICTS.ALLOWED, []],
+    ['What does 3x + 5 = 20 mean?', VERDICTS.ALLOWED, []],
+    ['What is the answer to question 4?', VERDICTS.GUIDED, ['answer']],
+    ['Solve 3x + 5 = 20', VERDICTS.GUIDED, ['math']],
+    ['3x + 5 = 20', VERDICTS.GUIDED, ['math']],
+    ['Please do my homework', VERDICTS.REFUSED, ['answer']],
+    ['Write me a short essay on the causes of World War I', VERDICTS.REFUSED, ['writing']],
+    ['Give me the complete working code for a linked list', VERDICTS.REFUSED, ['code']]
+  ])('%s -> %s', (message, verdict, tags) => {
+    const result = classifyRequest(message);
+
+    expect(result.verdict).toBe(verdict);
+    expect(result.tags).toEqual(tags);
+  });
+
+  test('the strongest matching rule wins and every match is listed', () => {
+    const result = classifyRequest('Question 3: solve this for me');
+
+    expect(result.verdict).toBe(VERDICTS.REFUSED);
+    expect(result.rules).toEqual(['direct-answer-request', 'numbered-assignment-item']);
+    expect(result.tags).toEqual(['answer']);
+  });
+
+  test('classifies against the rules it is given', () => {
+    const rules = [{ id: 'no-essays', type: 'phrase', phrases: ['ESSAY'], verdict: VERDICTS.GUIDED, tags: [] }];
+
+    expect(classifyRequest('an essay plan', rules)).toEqual({ verdict: VERDICTS.GUIDED, rules: ['no-essays'], tags: [] });
+    expect(classifyRequest('do my homework', rules).verdict).toBe(VERDICTS.ALLOWED);
+  });
+});
+
+describe('HEURISTICS', () => {
+  test('multipleChoiceQuestion needs three options', () => {
+    expect(HEURISTICS.multipleChoiceQuestion('Which is a prime?\nA) 4\nB) 6\nC) 7\nD) 9')).toBe(true);
+    expect(HEURISTICS.multipleChoiceQuestion('Is it A) or B) that you mean?')).toBe(false);
+  });
+
+  test('numberedAssignmentItem spots pasted numbering', () => {
+    expect(HEURISTICS.numberedAssignmentItem('Problem 2a) Find the limit')).toBe(true);
+    expect(HEURISTICS.numberedAssignmentItem('I have a problem with limits')).toBe(false);
+  });
+});
+
+describe('loadRules', () => {
+  test('replaces the defaults and fills in missing tags', () => {
+    const rules = loadRules(writeTempJson([{ id: 'custom', type: 'regex', pattern: 'exam', verdict: 'refused' }]));
+
+    expect(rules).toEqual([{ id: 'custom', type: 'regex', pattern: 'exam', verdict: 'refused', tags: [] }]);
+  });
+
+  test.each([
+    [{ not: 'an array' }, /JSON array/],
+    [[{ type: 'phrase', phrases: ['x'], verdict: 'refused' }], /missing an id/],
+    [[{ id: 'a', type: 'phrase', phrases: ['x'], verdict: 'banned' }], /unknown verdict "banned"/],
+    [[{ id: 'a', type: 'phrase', phrases: [], verdict: 'guided' }], /non-empty phrases array/],
+    [[{ id: 'a', type: 'regex', pattern: '(', verdict: 'guided' }], /Invalid regular expression/],
+    [[{ id: 'a', type: 'heuristic', heuristic: 'mindReading', verdict: 'guided' }], /unknown heuristic "mindReading"/],
+    [[{ id: 'a', type: 'keyword', verdict: 'guided' }], /unknown type "keyword"/]
+  ])('rejects %j', (rules, error) => {
+    expect(() => loadRules(writeTempJson(rules))).toThrow(error);
+  });
+});
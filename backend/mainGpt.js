@@ -1,13 +1,53 @@
+const { sanitizeText, validateHistory, validateConversationSummary, buildConversationMessages } = require('./conversationContext');
+const { VERDICTS } = require('./integrityRules');
+const { instructionsForProfile, buildSystemPrompt } = require('./aiInstructions');
+const { getPolicyProfile, policyStamp, classifyWithProfile } = require('./policyProfiles');
+const { streamHoldFor, enforceOutputAudit } = require('./outputAuditor');
+const { DEFAULT_MODE, isValidMode, getTutoringMode } = require('./tutoringModes');
+const { resolveConversationPolicy } = require('./coursePolicies');
+const { OUTPUT_ACTIONS, moderateText, moderateHistory, sendModerationError, applyOutputModeration } = require('./moderation');
+const { EVENT_TYPES, recordIntegrityEvent } = require('./integrityEvents');
+const { mightNeedCrisisResponse, needsCrisisResponse, buildCrisisResponse } = require('./crisisResponse');
+const { sendDeferredRateLimit } = require('./rateLimiting');
+const { recordTokenUsage } = require('./tokenQuotas');
+const {
+  INJECTION_ACTIONS,
+  INJECTION_REFUSAL,
+  INJECTION_OVERLAY,
+  detectInjection,
+  neutralizeMessage,
+  screenContext,
+  cooldownRemaining,
+  recordInjectionAttempt,
+  sendInjectionCooldown
+} = require('./injectionDetection');
+const {
+  TERMINAL_EVENTS,
+  startEventStream,
+  endEventStream,
+  relayCompletionStream
+} = require('./streaming');
+
 // === MAIN AI ENDPOINT ===
 // This is where the magic happens - handles POST requests to /api/gpt
-const handleMainGpt = async (req, res, { openai, systemInstructions }) => {
+// With `stream: true` (POST /api/gpt/stream) the reply is pushed as Server-Sent Events
+const handleMainGpt = async (req, res, { provider, db, store, stream = false }) => {
   try {
     // === STEP 1: EXTRACT USER INPUT ===
     // Get data from the request body (what the user sent)
     const { 
       message,                           // The user's question/prompt
-      maxTokens = 150,                   // How long the AI response can be
-      temperature = 0.7                  // How creative the AI should be (0-1)
+      history = [],                      // Prior turns of this conversation (decrypted by the client)
+      summary = null,                    // Rolling summary of the turns before `history`, for long conversations
+      mode = DEFAULT_MODE,               // Tutoring mode stored with the conversation
+      conversationId                     // Optional - picks up the course assignment's policy
+    } = req.body;
+
+    // Response length and creativity default to the tutoring mode's vetted settings
+    const tutoringMode = getTutoringMode(mode);
+    const {
+      maxTokens = tutoringMode.maxTokens, // How long the AI response can be
+      temperature = tutoringMode.temperature // How creative the AI should be (0-1)
     } = req.body;
 
     // === STEP 2: VALIDATE AND SANITIZE INPUT ===
@@ -25,6 +65,21 @@ const handleMainGpt = async (req, res, { openai, systemInstructions }) => {
       });
     }
 
+    // Validate conversation history and its summary
+    const historyError = validateHistory(history) || validateConversationSummary(summary);
+    if (historyError) {
+      return res.status(400).json({ 
+        error: historyError 
+      });
+    }
+
+    // Validate tutoring mode
+    if (!isValidMode(mode)) {
+      return res.status(400).json({ 
+        error: `Unknown tutoring mode "${mode}"` 
+      });
+    }
+
     // Validate maxTokens parameter
     if (maxTokens < 1 || maxTokens > 1000) {
       return res.status(400).json({ 
@@ -40,80 +95,235 @@ const handleMainGpt = async (req, res, { openai, systemInstructions }) => {
     }
 
     // Basic sanitization - remove potentially harmful characters
-    const sanitizedMessage = message.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-                                    .replace(/<[^>]*>/g, '')
-                                    .trim();
-
-    // === CONTENT MODERATION (OMNI-MODERATION) ===
-    // Using latest multimodal moderation model for enhanced safety
-    try {
-      console.log('🔍 Checking moderation for message...');
-      
-      const moderation = await openai.moderations.create({
-        model: "omni-moderation-latest",
-        input: [
-          { type: "text", text: sanitizedMessage }
-        ],
-      });
+    const sanitizedMessage = sanitizeText(message);
+
+    // Every model call this request makes counts towards the user's token quota
+    const recordUsage = (usage) => recordTokenUsage(db, req, usage);
+
+    // === TURNED-AWAY SESSIONS ===
+    // Over the rate limit, or cooling down after repeated attempts to get around the guidelines.
+    // A message that may need the crisis response is moderated first and only turned away if it doesn't.
+    const cooldown = await cooldownRemaining(store, req);
+    const turnedAway = Boolean(req.deferredRateLimit) || cooldown > 0;
+    let moderation = null;
+    if (turnedAway && mightNeedCrisisResponse(sanitizedMessage)) {
+      moderation = await moderateText(provider, sanitizedMessage, { endpoint: 'gpt' });
+    }
+    if (turnedAway && !(moderation && needsCrisisResponse(moderation, sanitizedMessage))) {
+      return req.deferredRateLimit ? sendDeferredRateLimit(req, res) : sendInjectionCooldown(res, cooldown);
+    }
 
-      const moderationResult = moderation.results[0];
-      
-      // Always log moderation check (for debugging)
-      console.log('✅ Moderation check completed:', {
-        flagged: moderationResult.flagged,
-        categories: Object.keys(moderationResult.categories).filter(
-          key => moderationResult.categories[key]
-        ),
-        timestamp: new Date().toISOString()
+    // === COURSE POLICY ===
+    // The instructor's assignment policy is looked up server-side, never taken from the request body
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const coursePolicy = await resolveConversationPolicy(db, conversationId, req.user.id, accessToken);
+
+    // The course's institution policy profile, or the deployment's
+    const policyProfile = getPolicyProfile(coursePolicy.policyProfile);
+
+    // Input is valid - from here on a streaming client gets SSE events, not JSON errors
+    if (stream) {
+      startEventStream(res);
+    }
+
+    // === CONTENT MODERATION ===
+    // Already done for a turned-away session's message. The summary comes from the client too, so it is
+    // checked alongside; flagged earlier turns are only left out of the context (see moderateHistory).
+    let summaryModeration, historyModeration;
+    [moderation, summaryModeration, historyModeration] = await Promise.all([
+      moderation || moderateText(provider, sanitizedMessage, { endpoint: 'gpt' }),
+      summary ? moderateText(provider, sanitizeText(summary), { endpoint: 'gpt' }) : null,
+      moderateHistory(provider, history, { endpoint: 'gpt' })
+    ]);
+
+    // === CRISIS RESPONSE ===
+    // Self-harm gets support and resources as a normal reply, never a policy error
+    if (needsCrisisResponse(moderation, sanitizedMessage)) {
+      recordIntegrityEvent(db, {
+        coursePolicy,
+        userId: req.user.id,
+        type: EVENT_TYPES.CRISIS_SUPPORT
       });
 
-      if (moderationResult.flagged) {
-        // Get flagged categories
-        const flaggedCategories = Object.keys(moderationResult.categories).filter(
-          key => moderationResult.categories[key]
-        );
+      const support = {
+        success: true,
+        ...buildCrisisResponse(req),
+        mode: mode,
+        policy: policyStamp(policyProfile)
+      };
 
-        // Block ALL content flagged by OpenAI moderation
-        console.log('🚨 Content flagged by moderation:', {
-          categories: flaggedCategories,
-          timestamp: new Date().toISOString()
-        });
+      if (stream) {
+        return endEventStream(res, TERMINAL_EVENTS.DONE, support);
+      }
+      return res.json(support);
+    }
 
-        return res.status(400).json({
-          error: 'Your message contains content that violates our usage policies. Please rephrase your question in a respectful and appropriate manner.',
-          flagged: true
+    const failedModeration = [moderation, summaryModeration].find(check => check && !check.allowed);
+    if (failedModeration) {
+      if (failedModeration.categories.length > 0) {
+        recordIntegrityEvent(db, {
+          coursePolicy,
+          userId: req.user.id,
+          type: EVENT_TYPES.MODERATION_FLAG
         });
       }
-    } catch (moderationError) {
-      console.error('Moderation API error:', moderationError);
-      // Continue processing if moderation fails (don't block legitimate users)
+      return sendModerationError(res, failedModeration, { stream });
     }
 
-    // === STEP 3: BUILD CONVERSATION STRUCTURE ===
-    // Create the conversation format that OpenAI expects
-    const messages = [
-      {
-        role: 'system',                  // First message: AI's instructions (personality)
-        content: systemInstructions
-      },
-      {
-        role: 'user',                    // Second message: User's actual question
-        content: sanitizedMessage        // Use sanitized message instead of raw input
+    // === PROMPT-INJECTION CHECK ===
+    // Clear attempts get a fixed refusal without calling the model; borderline ones are neutralized
+    const injection = await detectInjection(provider, sanitizedMessage, { onUsage: recordUsage });
+    if (injection.action !== INJECTION_ACTIONS.ALLOWED) {
+      injection.cooldownSeconds = await recordInjectionAttempt(store, req);
+      console.log('🧱 Prompt injection detected:', { ...injection, timestamp: new Date().toISOString() });
+    }
+
+    const flaggedTurns = historyModeration.withheld;
+    if (flaggedTurns.length > 0) {
+      console.log('🚨 Flagged earlier turns left out of the context:', { turns: flaggedTurns, timestamp: new Date().toISOString() });
+    }
+
+    // A summary or prior turn that tries the same - including forged assistant turns - is left out of the model's context
+    const screened = screenContext({ summary, history, leaveOut: flaggedTurns });
+    if (screened.withheld.length > 0) {
+      injection.withheldContext = screened.withheld;
+      console.log('🧱 Prompt injection in conversation context:', { withheld: screened.withheld, timestamp: new Date().toISOString() });
+    }
+
+    if (injection.action === INJECTION_ACTIONS.REFUSED) {
+      const refusal = {
+        success: true,
+        response: INJECTION_REFUSAL,
+        mode: mode,
+        injection: injection,
+        policy: policyStamp(policyProfile)
+      };
+
+      if (stream) {
+        return endEventStream(res, TERMINAL_EVENTS.DONE, refusal);
       }
-    ];
-
-    // === STEP 4: CALL OPENAI API ===
-    // Send everything to OpenAI and wait for response
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',              // Which AI model to use (locked)
-      messages: messages,                // The conversation (system + user)
-      max_tokens: maxTokens,             // Response length limit
+      return res.json(refusal);
+    }
+
+    const neutralized = injection.action === INJECTION_ACTIONS.NEUTRALIZED;
+
+    // === ACADEMIC-INTEGRITY CHECK ===
+    // Deterministic rules plus the profile's triggers tag the request; the tag picks the prompt variant
+    const integrity = classifyWithProfile(sanitizedMessage, policyProfile);
+    if (integrity.verdict !== VERDICTS.ALLOWED) {
+      console.log('🛡️ Integrity rules matched:', { ...integrity, policy: policyStamp(policyProfile) });
+    }
+
+    // Course conversations leave a de-identified event for the instructor dashboard
+    recordIntegrityEvent(db, {
+      coursePolicy,
+      userId: req.user.id,
+      type: integrity.verdict,           // allowed, guided or refused
+      text: sanitizedMessage             // Only used to pick a coarse topic - never stored
+    });
+
+    // === STEP 3: BUILD CONVERSATION STRUCTURE ===
+    // Create the conversation format the chat model expects:
+    // locked instructions first, then the prior turns that fit the budget, then the new message
+    const { messages, context } = buildConversationMessages({
+      systemInstructions: buildSystemPrompt(instructionsForProfile(policyProfile), {
+        overlays: [tutoringMode.overlay, ...coursePolicy.overlays, neutralized ? INJECTION_OVERLAY : null],
+        verdict: integrity.verdict
+      }),
+      summary: screened.summary,
+      history: screened.history,
+      // Use sanitized message instead of raw input, quoted as data when it was neutralized
+      message: neutralized ? neutralizeMessage(sanitizedMessage) : sanitizedMessage,
+      maxTokens
+    });
+
+    // === STEP 4: CALL THE MODEL PROVIDER ===
+    // Send everything to the configured provider and wait for response
+    const completionRequest = {
+      messages: messages,                // The conversation (system + history + user)
+      maxTokens: maxTokens,              // Response length limit
       temperature: temperature,          // Creativity level
+    };
+
+    // Withheld replies leave an event for the instructor dashboard, outages don't
+    const recordOutputFlag = (output, check) => {
+      if (output.outputModeration.action === OUTPUT_ACTIONS.REPLACED && check.categories.length > 0) {
+        recordIntegrityEvent(db, {
+          coursePolicy,
+          userId: req.user.id,
+          type: EVENT_TYPES.OUTPUT_FLAG
+        });
+      }
+    };
+
+    if (stream) {
+      // Relay tokens as they arrive, holding back the rest once the draft fails the audit
+      // (guided and refused requests hold it all). Each chunk is moderated before it is sent,
+      // while the model keeps generating.
+      const streamed = await relayCompletionStream(res, provider, completionRequest, {
+        holdWhen: streamHoldFor(integrity, { maxCodeLines: coursePolicy.maxCodeLines }),
+        moderateChunk: (text) => moderateText(provider, text, { endpoint: 'gpt-output' }),
+        onUsage: recordUsage
+      });
+
+      // A flagged reply isn't worth auditing - it is replaced either way
+      const audited = streamed.flagged
+        ? { response: streamed.response, audit: null }
+        : await enforceOutputAudit({
+          provider,
+          request: completionRequest,
+          response: streamed.response,
+          integrity,
+          maxCodeLines: coursePolicy.maxCodeLines,
+          onUsage: recordUsage
+        });
+
+      // Streamed chunks were checked on the way out; held text and a reply the auditor rewrote still need a check
+      const outputCheck = streamed.flagged || (streamed.held || audited.response !== streamed.response
+        ? await moderateText(provider, audited.response, { endpoint: 'gpt-output' })
+        : null);
+      const output = applyOutputModeration(audited.response, outputCheck, { endpoint: 'gpt-output', streamed: true });
+      recordOutputFlag(output, outputCheck);
+
+      return endEventStream(res, TERMINAL_EVENTS.DONE, {
+        success: true,
+        response: output.response,       // Replaces the streamed text when the audit or moderation changed it
+        usage: streamed.usage,
+        model: streamed.model,
+        context: context,
+        mode: mode,
+        integrity: integrity,
+        injection: injection,
+        policy: policyStamp(policyProfile),
+        assignment: coursePolicy.assignment,
+        audit: audited.audit,
+        outputModeration: output.outputModeration
+      });
+    }
+
+    const completion = await provider.createChatCompletion(completionRequest);
+    recordUsage(completion.usage);
+
+    // Moderate the draft while the auditor looks at it - moderateText never rejects
+    const draftCheck = moderateText(provider, completion.content, { endpoint: 'gpt-output' });
+
+    // === STEP 5: EXTRACT, AUDIT AND MODERATE AI RESPONSE ===
+    // Complete solutions are regenerated in hint mode or redacted before they reach the student
+    const { response: auditedResponse, audit } = await enforceOutputAudit({
+      provider,
+      request: completionRequest,
+      response: completion.content,
+      integrity,
+      maxCodeLines: coursePolicy.maxCodeLines,
+      onUsage: recordUsage
     });
 
-    // === STEP 5: EXTRACT AI RESPONSE ===
-    // Get the actual text response from OpenAI's complex response object
-    const response = completion.choices[0].message.content;
+    // The draft's check only counts if the auditor kept the draft
+    const outputCheck = auditedResponse === completion.content
+      ? await draftCheck
+      : await moderateText(provider, auditedResponse, { endpoint: 'gpt-output' });
+    const { response, outputModeration } = applyOutputModeration(auditedResponse, outputCheck, { endpoint: 'gpt-output' });
+    recordOutputFlag({ outputModeration }, outputCheck);
 
     // === STEP 6: SEND RESPONSE TO USER ===
     // Package everything up and send back to the frontend/user
@@ -121,13 +331,33 @@ const handleMainGpt = async (req, res, { openai, systemInstructions }) => {
       success: true,                     // Request worked
       response: response,                // The AI's actual answer
       usage: completion.usage,           // How many tokens were used
-      model: completion.model            // Which model was actually used
+      model: completion.model,           // Which model was actually used
+      context: context,                  // How much of the history was sent
+      mode: mode,                        // Tutoring mode that shaped the prompt
+      integrity: integrity,              // Rule-engine verdict that shaped the prompt
+      injection: injection,              // Prompt-injection score and what was done about it
+      policy: policyStamp(policyProfile), // Policy profile and version that applied, for audits
+      assignment: coursePolicy.assignment, // Course assignment whose policy applied, if any
+      audit: audit,                      // Whether the output auditor changed the reply, and why
+      outputModeration: outputModeration // Whether the reply was withheld by output moderation
     });
 
   } catch (error) {
     // === STEP 7: HANDLE ERRORS ===
     // If something goes wrong, log it and send appropriate error message
-    console.error('OpenAI API Error:', error);
+    console.error('AI provider error:', error);
+
+    // Stream already open - report the failure as a terminal event
+    if (stream && res.headersSent) {
+      if (error.status === 429 || error.code === 'rate_limit_exceeded') {
+        return endEventStream(res, TERMINAL_EVENTS.RATE_LIMIT_ERROR, {
+          error: 'The AI service is busy right now. Please try again in a moment.'
+        });
+      }
+      return endEventStream(res, TERMINAL_EVENTS.UPSTREAM_ERROR, {
+        error: 'The AI service failed to respond. Please try again.'
+      });
+    }
     
     // Different error types get different responses
     if (error.code === 'insufficient_quota') {
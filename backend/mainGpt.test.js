@@ -0,0 +1,103 @@
+/**
+ * @jest-environment node
+ */
+// === MAIN AI ENDPOINT TESTS ===
+const { handleMainGpt } = require('./mainGpt');
+const { createMockProvider } = require('./providers/mockProvider');
+const { createMemoryStore } = require('./stores/memoryStore');
+const { recordInjectionAttempt } = require('./injectionDetection');
+
+const CRISIS_MESSAGE = 'I want to die [flag:self-harm/intent]';
+
+const requestFor = (body) => ({
+  body,
+  user: { id: 'student-1' },
+  headers: { authorization: 'Bearer test-token' },
+  ip: '203.0.113.7'
+});
+
+// Just enough of an Express response for the non-streamed path
+const responseRecorder = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.set = () => res;
+  return res;
+};
+
+describe('handleMainGpt', () => {
+  let provider, db, store;
+
+  beforeEach(() => {
+    provider = createMockProvider();
+    jest.spyOn(provider, 'createChatCompletion');
+    db = {
+      getConversationCourse: jest.fn().mockResolvedValue(null),
+      recordIntegrityEvent: jest.fn().mockResolvedValue(),
+      recordTokenUsage: jest.fn().mockResolvedValue()
+    };
+    store = createMemoryStore();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('answers a self-harm message with the crisis response, without the model', async () => {
+    const res = responseRecorder();
+    await handleMainGpt(requestFor({ message: CRISIS_MESSAGE }), res, { provider, db, store });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ success: true, crisis: expect.any(Object) });
+    expect(provider.createChatCompletion).not.toHaveBeenCalled();
+  });
+
+  test('a conversation goes on after a crisis turn, with that turn left out of the context', async () => {
+    const first = responseRecorder();
+    await handleMainGpt(requestFor({ message: CRISIS_MESSAGE }), first, { provider, db, store });
+
+    const history = [
+      { role: 'user', content: 'How do I factor x^2 - 1?' },
+      { role: 'assistant', content: 'Look for a difference of squares.' },
+      { role: 'user', content: CRISIS_MESSAGE },
+      { role: 'assistant', content: first.body.response }
+    ];
+    const res = responseRecorder();
+    await handleMainGpt(requestFor({ message: 'Thanks. Can we get back to factoring?', history }), res, { provider, db, store });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ success: true });
+    expect(res.body.crisis).toBeUndefined();
+
+    const sent = provider.createChatCompletion.mock.calls[0][0].messages.map(message => message.content);
+    expect(sent).toContain('How do I factor x^2 - 1?');
+    expect(sent).toContain('Look for a difference of squares.');
+    expect(sent.join('\n')).not.toContain('I want to die');
+    expect(sent).not.toContain(first.body.response);
+  });
+
+  test('still rejects a flagged new message', async () => {
+    const res = responseRecorder();
+    await handleMainGpt(requestFor({ message: 'Something hateful [flag:hate]' }), res, { provider, db, store });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ code: 'content_flagged', flagged: true });
+  });
+
+  test('a session cooling down after injection attempts still gets the crisis response, and nothing else', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await recordInjectionAttempt(store, requestFor({}));
+    }
+
+    const crisis = responseRecorder();
+    await handleMainGpt(requestFor({ message: CRISIS_MESSAGE }), crisis, { provider, db, store });
+    expect(crisis.statusCode).toBe(200);
+    expect(crisis.body.crisis).toBeDefined();
+
+    const other = responseRecorder();
+    await handleMainGpt(requestFor({ message: 'What is a limit?' }), other, { provider, db, store });
+    expect(other.statusCode).toBe(429);
+    expect(other.body.code).toBe('injection_cooldown');
+  });
+});
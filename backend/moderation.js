@@ -0,0 +1,255 @@
+// === CONTENT MODERATION SERVICE ===
+// One moderation path for every endpoint. Categories are judged on the provider's category_scores
+// against per-category thresholds, each endpoint chooses whether a moderation outage lets the
+// request through (fail open) or stops it (fail closed), and users always get the same error
+// shape - flagged categories are logged on the server but never echoed back.
+const fs = require('fs');
+const { TERMINAL_EVENTS, endEventStream } = require('./streaming');
+const { sanitizeText } = require('./conversationContext');
+
+const MODERATION_MODEL = process.env.MODERATION_MODEL || 'omni-moderation-latest';
+
+// === CATEGORY THRESHOLDS ===
+// A category is flagged when its score reaches its threshold. Categories without a threshold
+// fall back to the provider's own true/false verdict. History and science questions mention
+// violence all the time, so plain "violence" needs a high score; anything involving minors doesn't.
+const DEFAULT_THRESHOLDS = {
+  'sexual/minors': 0.01,
+  'self-harm/intent': 0.3,
+  'self-harm/instructions': 0.3,
+  'harassment/threatening': 0.4,
+  'hate/threatening': 0.4,
+  'illicit/violent': 0.4,
+  'violence/graphic': 0.6,
+  'violence': 0.8
+};
+
+// MODERATION_THRESHOLDS_PATH may point at a JSON object of { category: threshold } that overrides the defaults
+const loadThresholds = (thresholdsPath = process.env.MODERATION_THRESHOLDS_PATH) => {
+  const overrides = thresholdsPath ? JSON.parse(fs.readFileSync(thresholdsPath, 'utf8')) : {};
+
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Moderation thresholds file must contain a JSON object');
+  }
+
+  for (const [category, threshold] of Object.entries(overrides)) {
+    if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+      throw new Error(`Moderation threshold for "${category}" must be a number between 0 and 1`);
+    }
+  }
+
+  return { ...DEFAULT_THRESHOLDS, ...overrides };
+};
+
+const activeThresholds = loadThresholds();
+
+// === FAIL POLICIES ===
+// Signed-in students are accountable, so their requests go through when moderation is down;
+// anonymous public requests don't. Replies fail open everywhere - the input was already checked,
+// and failing closed would withhold every reply during an outage.
+// MODERATION_FAIL_POLICY overrides, e.g. "gpt=closed,public-output=closed".
+const FAIL_OPEN = 'open';
+const FAIL_CLOSED = 'closed';
+const DEFAULT_FAIL_POLICIES = {
+  gpt: FAIL_OPEN,
+  hints: FAIL_OPEN,
+  quiz: FAIL_OPEN,
+  flashcards: FAIL_OPEN,
+  summary: FAIL_OPEN,
+  titles: FAIL_OPEN,
+  public: FAIL_CLOSED,
+  'gpt-output': FAIL_OPEN,
+  'hints-output': FAIL_OPEN,
+  'public-output': FAIL_OPEN
+};
+
+const loadFailPolicies = (setting = process.env.MODERATION_FAIL_POLICY) => {
+  const policies = { ...DEFAULT_FAIL_POLICIES };
+  if (!setting) return policies;
+
+  for (const entry of setting.split(',').map(part => part.trim()).filter(Boolean)) {
+    const [endpoint, policy] = entry.split('=').map(part => part.trim());
+    if (policy !== FAIL_OPEN && policy !== FAIL_CLOSED) {
+      throw new Error(`MODERATION_FAIL_POLICY entry "${entry}" must be <endpoint>=open or <endpoint>=closed`);
+    }
+    policies[endpoint] = policy;
+  }
+  return policies;
+};
+
+const failPolicies = loadFailPolicies();
+
+// === USER-FACING ERRORS ===
+const MODERATION_CODES = {
+  FLAGGED: 'content_flagged',
+  UNAVAILABLE: 'moderation_unavailable'
+};
+
+const MODERATION_MESSAGES = {
+  [MODERATION_CODES.FLAGGED]: 'Your message contains content that violates our usage policies. Please rephrase your question in a respectful and appropriate manner.',
+  [MODERATION_CODES.UNAVAILABLE]: 'Our safety check is unavailable right now, so this message couldn\'t be sent. Please try again in a moment.'
+};
+
+// === FLAGGED CATEGORIES ===
+const flaggedCategoriesFor = (result, thresholds = activeThresholds) => {
+  const categories = result.categories || {};
+  const scores = result.category_scores || {};
+  const names = new Set([...Object.keys(categories), ...Object.keys(scores)]);
+
+  // No per-category detail at all - trust the overall verdict
+  if (names.size === 0) {
+    return result.flagged ? ['flagged'] : [];
+  }
+
+  return [...names].filter(name => (
+    thresholds[name] !== undefined && typeof scores[name] === 'number'
+      ? scores[name] >= thresholds[name]
+      : Boolean(categories[name])
+  ));
+};
+
+// === MODERATE TEXT ===
+// endpoint picks the fail policy. Returns { allowed, code, categories, scores, failed, skipped }
+// where code is null when allowed, else one of MODERATION_CODES.
+// Nothing checked - moderation is down, or a local model has no moderation provider - means the
+// endpoint's fail policy decides, so a public request is never let through unchecked.
+const uncheckedResult = (endpoint, { failed }) => {
+  const policy = failPolicies[endpoint] || FAIL_OPEN;
+  return {
+    allowed: policy === FAIL_OPEN,
+    code: policy === FAIL_OPEN ? null : MODERATION_CODES.UNAVAILABLE,
+    categories: [],
+    scores: {},
+    failed,
+    skipped: !failed
+  };
+};
+
+const moderateText = async (provider, text, { endpoint }) => {
+  let result;
+  try {
+    result = await provider.moderate({
+      model: MODERATION_MODEL,
+      input: [
+        { type: 'text', text: text }
+      ]
+    });
+  } catch (error) {
+    console.error(`Moderation API error (${endpoint}, failing ${failPolicies[endpoint] || FAIL_OPEN}):`, error.message);
+    return uncheckedResult(endpoint, { failed: true });
+  }
+
+  if (result.skipped) {
+    console.warn(`Moderation skipped - no moderation provider configured (${endpoint}, failing ${failPolicies[endpoint] || FAIL_OPEN})`);
+    return uncheckedResult(endpoint, { failed: false });
+  }
+
+  const categories = flaggedCategoriesFor(result);
+  if (categories.length > 0) {
+    console.log('🚨 Content flagged by moderation:', {
+      endpoint,
+      categories,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return {
+    allowed: categories.length === 0,
+    code: categories.length === 0 ? null : MODERATION_CODES.FLAGGED,
+    categories,
+    scores: result.category_scores || {},
+    failed: false,
+    skipped: false
+  };
+};
+
+// === EARLIER TURNS ===
+// The student's earlier turns come back from the client with every message. One that was flagged -
+// say the message that got the crisis response - mustn't lock the conversation, so it is left out of
+// the model's context with the tutor's reply to it, and the new message goes ahead. The turns are
+// checked in one call; only when that flags something is each checked on its own to find which.
+// Returns { withheld, moderation }: the history indexes to leave out, and the combined check (null
+// with no student turns) for callers that check nothing else. An outage leaves every turn in.
+const moderateHistory = async (provider, history, { endpoint }) => {
+  const studentTurns = (history || [])
+    .map((turn, index) => ({ index, text: turn.role === 'user' ? sanitizeText(turn.content) : '' }))
+    .filter(turn => turn.text);
+  if (studentTurns.length === 0) {
+    return { withheld: [], moderation: null };
+  }
+
+  const combined = await moderateText(provider, studentTurns.map(turn => turn.text).join('\n\n'), { endpoint });
+  if (combined.categories.length === 0) {
+    return { withheld: [], moderation: combined };
+  }
+
+  const checks = await Promise.all(studentTurns.map(turn => moderateText(provider, turn.text, { endpoint })));
+  const withheld = [];
+  studentTurns.forEach((turn, i) => {
+    if (checks[i].categories.length === 0) return;
+    withheld.push(turn.index);
+    if (history[turn.index + 1] && history[turn.index + 1].role === 'assistant') {
+      withheld.push(turn.index + 1);
+    }
+  });
+  return { withheld, moderation: combined };
+};
+
+// === SEND THE ERROR ===
+// Same body everywhere: { error, code, flagged } - as a moderation_error event on streams
+const sendModerationError = (res, moderation, { stream = false } = {}) => {
+  const body = {
+    error: MODERATION_MESSAGES[moderation.code],
+    code: moderation.code,
+    flagged: moderation.code === MODERATION_CODES.FLAGGED
+  };
+
+  if (stream) {
+    return endEventStream(res, TERMINAL_EVENTS.MODERATION_ERROR, body);
+  }
+  return res.status(moderation.code === MODERATION_CODES.UNAVAILABLE ? 503 : 400).json(body);
+};
+
+// === OUTPUT MODERATION ===
+// Model replies go through the same check before the student sees them. A flagged reply is
+// swapped for a fixed fallback; streamed replies are checked chunk by chunk (see relayCompletionStream).
+const OUTPUT_ACTIONS = {
+  PASSED: 'passed',
+  REPLACED: 'replaced'
+};
+
+const OUTPUT_FALLBACK = 'Sorry - I started writing a reply that didn\'t meet our content guidelines, so I\'ve held it back. ' +
+  'Could you ask about the part of the topic you\'re studying in a different way?';
+
+// check is a moderateText result for response, or null when it was already checked while streaming.
+// Returns { response, outputModeration } with the fallback in place of a flagged reply.
+const applyOutputModeration = (response, check, { endpoint, streamed = false }) => {
+  if (!check || check.allowed) {
+    return { response, outputModeration: { action: OUTPUT_ACTIONS.PASSED } };
+  }
+
+  console.log('🚨 Output moderation event:', {
+    endpoint,
+    categories: check.categories,
+    failed: check.failed,                // Moderation was down and this endpoint fails closed
+    streamed,
+    timestamp: new Date().toISOString()
+  });
+
+  return { response: OUTPUT_FALLBACK, outputModeration: { action: OUTPUT_ACTIONS.REPLACED } };
+};
+
+module.exports = {
+  MODERATION_CODES,
+  OUTPUT_ACTIONS,
+  OUTPUT_FALLBACK,
+  activeThresholds,
+  failPolicies,
+  loadFailPolicies,
+  loadThresholds,
+  flaggedCategoriesFor,
+  moderateText,
+  moderateHistory,
+  sendModerationError,
+  applyOutputModeration
+};
@@ -0,0 +1,141 @@
+/**
+ * @jest-environment node
+ */
+// === CONTENT MODERATION TESTS ===
+const {
+  MODERATION_CODES,
+  OUTPUT_ACTIONS,
+  OUTPUT_FALLBACK,
+  loadThresholds,
+  loadFailPolicies,
+  flaggedCategoriesFor,
+  moderateText,
+  applyOutputModeration
+} = require('./moderation');
+const { writeTempJson, removeTempFiles } = require('./testSupport');
+
+afterEach(removeTempFiles);
+
+describe('flaggedCategoriesFor', () => {
+  const thresholds = { violence: 0.8, 'sexual/minors': 0.01 };
+
+  test('judges categories with a threshold on their score', () => {
+    const result = {
+      flagged: true,
+      categories: { violence: true, 'sexual/minors': false },
+      category_scores: { violence: 0.6, 'sexual/minors': 0.02 }
+    };
+
+    expect(flaggedCategoriesFor(result, thresholds)).toEqual(['sexual/minors']);
+  });
+
+  test('falls back to the provider\'s verdict for categories without a threshold', () => {
+    const result = { categories: { harassment: true, hate: false }, category_scores: { harassment: 0.1, hate: 0.9 } };
+
+    expect(flaggedCategoriesFor(result, thresholds)).toEqual(['harassment']);
+  });
+
+  test('trusts the overall verdict when there is no per-category detail', () => {
+    expect(flaggedCategoriesFor({ flagged: true }, thresholds)).toEqual(['flagged']);
+    expect(flaggedCategoriesFor({ flagged: false }, thresholds)).toEqual([]);
+  });
+});
+
+describe('loadThresholds', () => {
+  test('overrides single categories and keeps the other defaults', () => {
+    const defaults = loadThresholds(null);
+    const thresholds = loadThresholds(writeTempJson({ violence: 0.95, harassment: 0.5 }));
+
+    expect(thresholds).toEqual({ ...defaults, violence: 0.95, harassment: 0.5 });
+  });
+
+  test.each([
+    [['violence'], /must contain a JSON object/],
+    [{ violence: 1.5 }, /"violence" must be a number between 0 and 1/],
+    [{ violence: '0.5' }, /"violence" must be a number between 0 and 1/]
+  ])('rejects %j', (thresholds, error) => {
+    expect(() => loadThresholds(writeTempJson(thresholds))).toThrow(error);
+  });
+});
+
+describe('loadFailPolicies', () => {
+  test('signed-in endpoints and replies fail open, public requests fail closed', () => {
+    const policies = loadFailPolicies('');
+
+    expect(policies.gpt).toBe('open');
+    expect(policies['gpt-output']).toBe('open');
+    expect(policies.public).toBe('closed');
+  });
+
+  test('reads comma-separated overrides, ignoring spaces and empty entries', () => {
+    const policies = loadFailPolicies(' gpt = closed,, public-output=closed ,');
+
+    expect(policies).toEqual({ ...loadFailPolicies(''), gpt: 'closed', 'public-output': 'closed' });
+  });
+
+  test.each(['gpt=shut', 'gpt', 'gpt=Closed'])('rejects "%s"', (setting) => {
+    expect(() => loadFailPolicies(setting)).toThrow(/must be <endpoint>=open or <endpoint>=closed/);
+  });
+});
+
+describe('moderateText', () => {
+  const failingProvider = { moderate: async () => { throw new Error('Moderation API is down'); } };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lets requests through an outage on fail-open endpoints', async () => {
+    await expect(moderateText(failingProvider, 'Hello', { endpoint: 'gpt' }))
+      .resolves.toMatchObject({ allowed: true, code: null, failed: true });
+  });
+
+  test('stops requests during an outage on fail-closed endpoints', async () => {
+    await expect(moderateText(failingProvider, 'Hello', { endpoint: 'public' }))
+      .resolves.toMatchObject({ allowed: false, code: MODERATION_CODES.UNAVAILABLE, categories: [], failed: true });
+  });
+
+  test('reports flagged categories without failing', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const provider = { moderate: async () => ({ flagged: true, categories: { violence: true }, category_scores: { violence: 0.99 } }) };
+
+    await expect(moderateText(provider, 'Hello', { endpoint: 'gpt' }))
+      .resolves.toMatchObject({ allowed: false, code: MODERATION_CODES.FLAGGED, categories: ['violence'], failed: false });
+  });
+
+  test('applies the fail policy when a local model has no moderation provider', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    // What the local provider returns with no moderation provider to borrow
+    const provider = { moderate: async () => ({ flagged: false, categories: {}, category_scores: {}, skipped: true }) };
+
+    await expect(moderateText(provider, 'Hello', { endpoint: 'gpt' }))
+      .resolves.toMatchObject({ allowed: true, code: null, failed: false, skipped: true });
+    await expect(moderateText(provider, 'Hello', { endpoint: 'public' }))
+      .resolves.toMatchObject({ allowed: false, code: MODERATION_CODES.UNAVAILABLE, failed: false, skipped: true });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('(public, failing closed)'));
+  });
+});
+
+describe('applyOutputModeration', () => {
+  test('passes a reply that was allowed or already checked while streaming', () => {
+    expect(applyOutputModeration('A fine reply', { allowed: true, categories: [] }, { endpoint: 'gpt-output' }))
+      .toEqual({ response: 'A fine reply', outputModeration: { action: OUTPUT_ACTIONS.PASSED } });
+    expect(applyOutputModeration('A fine reply', null, { endpoint: 'gpt-output', streamed: true }).outputModeration.action)
+      .toBe(OUTPUT_ACTIONS.PASSED);
+  });
+
+  test('swaps a flagged reply, or one that failed closed, for the fallback', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(applyOutputModeration('A bad reply', { allowed: false, categories: ['violence'], failed: false }, { endpoint: 'gpt-output' }))
+      .toEqual({ response: OUTPUT_FALLBACK, outputModeration: { action: OUTPUT_ACTIONS.REPLACED } });
+    expect(applyOutputModeration('Unchecked', { allowed: false, categories: [], failed: true }, { endpoint: 'public-output', streamed: true }).response)
+      .toBe(OUTPUT_FALLBACK);
+    expect(log).toHaveBeenCalledWith('🚨 Output moderation event:', expect.objectContaining({ endpoint: 'public-output', streamed: true, failed: true }));
+    log.mockRestore();
+  });
+});
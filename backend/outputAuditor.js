@@ -0,0 +1,178 @@
+// === OUTPUT AUDITOR ===
+// Checks what the model actually returned before it reaches the student.
+// A prompt-injected or disobedient reply that hands over a complete solution
+// is regenerated once in hint mode, and redacted if the retry still fails.
+
+// === LIMITS ===
+const CODE_LINE_LIMIT = 40;              // Longest code block allowed for ordinary questions
+const GUARDED_CODE_LINE_LIMIT = 12;      // Longest code block once an integrity rule fired
+const ESSAY_MIN_PARAGRAPHS = 3;          // Paragraph count that makes a reply look like a finished essay
+const ESSAY_MIN_PARAGRAPH_WORDS = 40;    // Words a paragraph needs to count towards that
+
+// === AUDIT REASONS ===
+const AUDIT_REASONS = {
+  LONG_CODE_BLOCK: 'long-code-block',
+  FINAL_ANSWER: 'final-numeric-answer',
+  FULL_ESSAY: 'full-essay'
+};
+
+// === HINT-MODE OVERLAY ===
+// Sent with the retry when the first draft failed the audit
+const HINT_MODE_OVERLAY = `OUTPUT AUDIT: Your previous draft gave away a complete solution, which is not allowed.
+Rewrite your reply as at most 3 short hints. Do not state the final answer, do not write more than a few lines of code, and do not write the essay for the student.`;
+
+// === HELPERS ===
+// Fenced ``` blocks, with their non-empty line counts
+const findCodeBlocks = (text) => {
+  const blocks = [];
+  const fenceRegex = /```[^\n]*\n([\s\S]*?)(?:```|$)/g;
+  let match;
+  while ((match = fenceRegex.exec(text)) !== null) {
+    blocks.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      lines: match[1].split('\n').filter(line => line.trim().length > 0).length
+    });
+  }
+  return blocks;
+};
+
+// "The answer is 42", "Final answer: x = 3", "**Answer:** 7/2" or a closing "x = -4"
+const FINAL_ANSWER_PATTERNS = [
+  /\b(?:final answer|the answer is|answer\s*:|solution\s*:|therefore,?\s+[a-z]\s*=)\s*\**\s*[-+]?\$?\d[\d.,/]*/i,
+  /(?:^|\n)\s*\**\s*[a-z]\s*=\s*[-+]?\d[\d.,/]*\s*\**\s*\.?\s*$/i
+];
+
+const paragraphsOf = (text) => {
+  return text.replace(/```[\s\S]*?(?:```|$)/g, '')
+             .split(/\n\s*\n/)
+             .map(paragraph => paragraph.trim())
+             .filter(paragraph => paragraph.split(/\s+/).length >= ESSAY_MIN_PARAGRAPH_WORDS);
+};
+
+// Code blocks get a tighter limit once an integrity rule fired or code was requested.
+// A caller's maxCodeLines (e.g. a course policy) can only tighten that limit.
+const codeLineLimit = (integrity, maxCodeLines) => {
+  const tags = integrity.tags || [];
+  const limit = integrity.verdict !== 'allowed' || tags.includes('code') ? GUARDED_CODE_LINE_LIMIT : CODE_LINE_LIMIT;
+  return maxCodeLines === undefined || maxCodeLines === null ? limit : Math.min(maxCodeLines, limit);
+};
+
+// === AUDIT A REPLY ===
+// options.integrity is the rule-engine result for the request; options.maxCodeLines tightens the code limit.
+// Returns { passed, reasons }
+const auditResponse = (text, { integrity = { verdict: 'allowed', tags: [] }, maxCodeLines } = {}) => {
+  const reasons = [];
+  const tags = integrity.tags || [];
+
+  // Long runnable code blocks
+  if (findCodeBlocks(text).some(block => block.lines > codeLineLimit(integrity, maxCodeLines))) {
+    reasons.push(AUDIT_REASONS.LONG_CODE_BLOCK);
+  }
+
+  // A final numeric answer to a problem the rules detected
+  if ((tags.includes('math') || tags.includes('answer')) &&
+      FINAL_ANSWER_PATTERNS.some(pattern => pattern.test(text))) {
+    reasons.push(AUDIT_REASONS.FINAL_ANSWER);
+  }
+
+  // A finished multi-paragraph essay after a writing trigger
+  if (tags.includes('writing') && paragraphsOf(text).length >= ESSAY_MIN_PARAGRAPHS) {
+    reasons.push(AUDIT_REASONS.FULL_ESSAY);
+  }
+
+  return { passed: reasons.length === 0, reasons };
+};
+
+// === REDACTION ===
+// Last resort when even the hint-mode retry hands over the solution
+const redactResponse = (text, reasons, { maxCodeLines = GUARDED_CODE_LINE_LIMIT } = {}) => {
+  let redacted = text;
+
+  if (reasons.includes(AUDIT_REASONS.LONG_CODE_BLOCK)) {
+    // Walk backwards so earlier block offsets stay valid
+    findCodeBlocks(redacted)
+      .filter(block => block.lines > maxCodeLines)
+      .reverse()
+      .forEach(block => {
+        redacted = redacted.slice(0, block.start) +
+                   '[Code removed: a complete program is not something I can hand over. Try writing it yourself and ask about the part you\'re stuck on.]' +
+                   redacted.slice(block.end);
+      });
+  }
+
+  if (reasons.includes(AUDIT_REASONS.FINAL_ANSWER)) {
+    redacted = redacted.split('\n')
+      .filter(line => !FINAL_ANSWER_PATTERNS.some(pattern => pattern.test(line)))
+      .join('\n');
+    redacted += '\n\n[Final answer removed - work through the last step yourself and check it with me.]';
+  }
+
+  if (reasons.includes(AUDIT_REASONS.FULL_ESSAY)) {
+    const firstParagraph = redacted.split(/\n\s*\n/)[0];
+    redacted = `${firstParagraph}\n\n[The rest of this draft was removed - I can help you outline and revise your own essay instead.]`;
+  }
+
+  return redacted.trim();
+};
+
+// === STREAMING ===
+// The holdWhen check for relayCompletionStream. A draft only fails the audit once the solution is well
+// under way, so for guided and refused requests nothing is streamed: the reply arrives in the terminal
+// event after the audit. Other replies stream until the text so far fails the audit.
+const streamHoldFor = (integrity, { maxCodeLines } = {}) => {
+  if (integrity.verdict !== 'allowed') {
+    return () => true;
+  }
+  return (textSoFar) => !auditResponse(textSoFar, { integrity, maxCodeLines }).passed;
+};
+
+// === AUDIT AND REMEDIATE ===
+// Returns { response, audit: { passed, action, reasons } } where action is
+// "none", "regenerated" (hint-mode retry passed) or "redacted".
+// onUsage(usage) is called with the retry's token usage, whether or not the retry passed.
+const enforceOutputAudit = async ({ provider, request, response, integrity, maxCodeLines, onUsage = null }) => {
+  const firstAudit = auditResponse(response, { integrity, maxCodeLines });
+  if (firstAudit.passed) {
+    return { response, audit: { passed: true, action: 'none', reasons: [] } };
+  }
+
+  console.log('🧾 Output audit failed:', {
+    reasons: firstAudit.reasons,
+    timestamp: new Date().toISOString()
+  });
+
+  // Retry once with the hint-mode overlay right after the locked instructions
+  try {
+    const [systemMessage, ...rest] = request.messages;
+    const retry = await provider.createChatCompletion({
+      ...request,
+      messages: [systemMessage, { role: 'system', content: HINT_MODE_OVERLAY }, ...rest]
+    });
+    if (onUsage) {
+      onUsage(retry.usage);
+    }
+
+    if (auditResponse(retry.content, { integrity, maxCodeLines }).passed) {
+      return {
+        response: retry.content,
+        audit: { passed: false, action: 'regenerated', reasons: firstAudit.reasons }
+      };
+    }
+  } catch (error) {
+    console.error('Output audit retry failed:', error);
+  }
+
+  return {
+    response: redactResponse(response, firstAudit.reasons, { maxCodeLines: codeLineLimit(integrity, maxCodeLines) }),
+    audit: { passed: false, action: 'redacted', reasons: firstAudit.reasons }
+  };
+};
+
+module.exports = {
+  AUDIT_REASONS,
+  auditResponse,
+  redactResponse,
+  streamHoldFor,
+  enforceOutputAudit
+};
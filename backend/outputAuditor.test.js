@@ -0,0 +1,127 @@
+/**
+ * @jest-environment node
+ */
+// === OUTPUT AUDITOR TESTS ===
+const { AUDIT_REASONS, auditResponse, redactResponse, streamHoldFor, enforceOutputAudit } = require('./outputAuditor');
+
+const codeBlock = (lines) => '```python\n' + Array.from({ length: lines }, (_, i) => `x${i} = ${i}`).join('\n') + '\n```';
+const essay = Array.from({ length: 3 }, (_, i) => `Paragraph ${i} ` + 'word '.repeat(45).trim()).join('\n\n');
+
+const allowed = { verdict: 'allowed', tags: [] };
+const guidedMath = { verdict: 'guided', tags: ['math'] };
+
+describe('auditResponse', () => {
+  test('passes explanations and short code', () => {
+    expect(auditResponse(`Here is a pattern:\n${codeBlock(10)}`)).toEqual({ passed: true, reasons: [] });
+  });
+
+  test('code limits tighten once a rule fired, and a course limit tightens them further', () => {
+    const reply = codeBlock(20);
+
+    expect(auditResponse(reply, { integrity: allowed }).passed).toBe(true);
+    expect(auditResponse(reply, { integrity: guidedMath }).reasons).toEqual([AUDIT_REASONS.LONG_CODE_BLOCK]);
+    expect(auditResponse(codeBlock(8), { integrity: allowed, maxCodeLines: 5 }).reasons).toEqual([AUDIT_REASONS.LONG_CODE_BLOCK]);
+  });
+
+  test('final answers only count when the request was a problem to solve', () => {
+    const reply = 'Subtract 5 from both sides, then divide.\nThe answer is 5';
+
+    expect(auditResponse(reply, { integrity: allowed }).passed).toBe(true);
+    expect(auditResponse(reply, { integrity: guidedMath }).reasons).toEqual([AUDIT_REASONS.FINAL_ANSWER]);
+  });
+
+  test('finished essays only count after a writing trigger', () => {
+    expect(auditResponse(essay, { integrity: allowed }).passed).toBe(true);
+    expect(auditResponse(essay, { integrity: { verdict: 'refused', tags: ['writing'] } }).reasons).toEqual([AUDIT_REASONS.FULL_ESSAY]);
+  });
+});
+
+describe('redactResponse', () => {
+  test('removes long code blocks and final-answer lines, keeping the rest', () => {
+    const reply = `Start here.\n${codeBlock(20)}\nThe answer is 5`;
+    const redacted = redactResponse(reply, [AUDIT_REASONS.LONG_CODE_BLOCK, AUDIT_REASONS.FINAL_ANSWER]);
+
+    expect(redacted).toMatch(/^Start here\.\n\[Code removed/);
+    expect(redacted).not.toContain('x19 = 19');
+    expect(redacted).not.toContain('The answer is 5');
+    expect(redacted).toMatch(/\[Final answer removed/);
+  });
+
+  test('keeps only the first paragraph of an essay', () => {
+    const redacted = redactResponse(essay, [AUDIT_REASONS.FULL_ESSAY]);
+
+    expect(redacted).toMatch(/^Paragraph 0 /);
+    expect(redacted).not.toContain('Paragraph 1');
+  });
+});
+
+describe('streamHoldFor', () => {
+  test('holds everything for guided and refused requests', () => {
+    expect(streamHoldFor(guidedMath)('')).toBe(true);
+  });
+
+  test('holds other replies once the text so far fails the audit', () => {
+    const holdWhen = streamHoldFor(allowed, { maxCodeLines: 5 });
+
+    expect(holdWhen(`Try this:\n${codeBlock(3)}`)).toBe(false);
+    expect(holdWhen(`Try this:\n${codeBlock(6)}`)).toBe(true);
+  });
+});
+
+describe('enforceOutputAudit', () => {
+  const request = { messages: [{ role: 'system', content: 'Locked instructions' }, { role: 'user', content: 'Solve 3x + 5 = 20' }] };
+  const failingDraft = 'Subtract 5, then divide by 3.\nThe answer is 5';
+  let provider, onUsage;
+
+  beforeEach(() => {
+    provider = { createChatCompletion: jest.fn() };
+    onUsage = jest.fn();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('leaves a passing reply alone without calling the model', async () => {
+    const result = await enforceOutputAudit({ provider, request, response: 'Start by subtracting 5.', integrity: guidedMath, onUsage });
+
+    expect(result).toEqual({ response: 'Start by subtracting 5.', audit: { passed: true, action: 'none', reasons: [] } });
+    expect(provider.createChatCompletion).not.toHaveBeenCalled();
+  });
+
+  test('regenerates a failing reply once in hint mode', async () => {
+    const usage = { prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 };
+    provider.createChatCompletion.mockResolvedValue({ content: 'Hint: what do you do to both sides first?', usage });
+
+    const result = await enforceOutputAudit({ provider, request, response: failingDraft, integrity: guidedMath, onUsage });
+
+    expect(result).toEqual({
+      response: 'Hint: what do you do to both sides first?',
+      audit: { passed: false, action: 'regenerated', reasons: [AUDIT_REASONS.FINAL_ANSWER] }
+    });
+    const retryMessages = provider.createChatCompletion.mock.calls[0][0].messages;
+    expect(retryMessages.map(message => message.role)).toEqual(['system', 'system', 'user']);
+    expect(retryMessages[1].content).toMatch(/^OUTPUT AUDIT:/);
+    expect(onUsage).toHaveBeenCalledWith(usage);
+  });
+
+  test('redacts the draft when the retry fails the audit too', async () => {
+    provider.createChatCompletion.mockResolvedValue({ content: 'Fine. The answer is 5', usage: null });
+
+    const result = await enforceOutputAudit({ provider, request, response: failingDraft, integrity: guidedMath, onUsage });
+
+    expect(result.audit).toEqual({ passed: false, action: 'redacted', reasons: [AUDIT_REASONS.FINAL_ANSWER] });
+    expect(result.response).toMatch(/^Subtract 5, then divide by 3\.\n\n\[Final answer removed/);
+  });
+
+  test('redacts the draft when the retry errors', async () => {
+    provider.createChatCompletion.mockRejectedValue(new Error('Upstream failure'));
+
+    const result = await enforceOutputAudit({ provider, request, response: failingDraft, integrity: guidedMath });
+
+    expect(result.audit.action).toBe('redacted');
+    expect(result.response).not.toContain('The answer is 5');
+  });
+});
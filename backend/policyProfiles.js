@@ -0,0 +1,156 @@
+// === INSTITUTION POLICY PROFILES ===
+// Schools define "allowed AI help" differently. A profile holds the trigger list, the refusal
+// wording, the item limit, the closing line and a strictness level. Profiles live in a versioned
+// JSON file (policyProfiles.json, or POLICY_PROFILES_PATH) that is validated at startup.
+// The deployment picks one with POLICY_PROFILE; a course can pick another.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { VERDICTS, activeRules, classifyRequest } = require('./integrityRules');
+
+const DEFAULT_PROFILES_PATH = path.join(__dirname, 'policyProfiles.json');
+
+// lenient: "guided" requests are answered normally (the output auditor still applies)
+// strict: "guided" requests are refused like direct answer requests
+const STRICTNESS_LEVELS = ['lenient', 'standard', 'strict'];
+
+const MAX_ITEMS_LIMIT = 10;
+const MAX_TEXT_LENGTH = 500;
+
+// === PROFILE VALIDATION ===
+// Throws on a malformed profile so a bad config fails at startup, not on a student's request
+const validateText = (id, field, value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`Policy profile "${id}" needs a non-empty ${field}`);
+  }
+  if (value.length > MAX_TEXT_LENGTH) {
+    throw new Error(`Policy profile "${id}" ${field} is longer than ${MAX_TEXT_LENGTH} characters`);
+  }
+};
+
+const validateProfile = (id, profile) => {
+  if (!profile || typeof profile !== 'object') {
+    throw new Error(`Policy profile "${id}" must be an object`);
+  }
+
+  validateText(id, 'label', profile.label);
+  validateText(id, 'refusalTemplate', profile.refusalTemplate);
+  validateText(id, 'closingLine', profile.closingLine);
+
+  if (!STRICTNESS_LEVELS.includes(profile.strictness)) {
+    throw new Error(`Policy profile "${id}" has an unknown strictness "${profile.strictness}"`);
+  }
+
+  if (!Number.isInteger(profile.maxItems) || profile.maxItems < 1 || profile.maxItems > MAX_ITEMS_LIMIT) {
+    throw new Error(`Policy profile "${id}" maxItems must be between 1 and ${MAX_ITEMS_LIMIT}`);
+  }
+
+  const triggers = profile.triggers || {};
+  if (!Array.isArray(triggers.phrases) || triggers.phrases.length === 0 ||
+      triggers.phrases.some(phrase => typeof phrase !== 'string' || !phrase.trim())) {
+    throw new Error(`Policy profile "${id}" needs a non-empty triggers.phrases array of strings`);
+  }
+  if (triggers.descriptions !== undefined &&
+      (!Array.isArray(triggers.descriptions) || triggers.descriptions.some(line => typeof line !== 'string'))) {
+    throw new Error(`Policy profile "${id}" triggers.descriptions must be an array of strings`);
+  }
+};
+
+// === PROFILE LOADING ===
+// Each profile is stamped with the file version and a hash of its own contents, so an audit can
+// tell exactly which wording applied even if someone edited the file without bumping the version
+const loadPolicyProfiles = (profilesPath = process.env.POLICY_PROFILES_PATH || DEFAULT_PROFILES_PATH) => {
+  const config = JSON.parse(fs.readFileSync(profilesPath, 'utf8'));
+
+  if (!config || typeof config.version !== 'string' || !config.version.trim()) {
+    throw new Error('Policy profiles file needs a version string');
+  }
+  if (!config.profiles || typeof config.profiles !== 'object' || Object.keys(config.profiles).length === 0) {
+    throw new Error('Policy profiles file needs at least one profile');
+  }
+
+  const profiles = {};
+  for (const [id, profile] of Object.entries(config.profiles)) {
+    validateProfile(id, profile);
+    profiles[id] = {
+      ...profile,
+      id,
+      description: profile.description || '',
+      triggers: { phrases: profile.triggers.phrases, descriptions: profile.triggers.descriptions || [] },
+      version: config.version,
+      hash: crypto.createHash('sha256').update(JSON.stringify(profile)).digest('hex').slice(0, 12)
+    };
+  }
+
+  const deploymentProfile = process.env.POLICY_PROFILE || config.defaultProfile;
+  if (!profiles[deploymentProfile]) {
+    throw new Error(`Policy profile "${deploymentProfile}" is not defined in the policy profiles file`);
+  }
+
+  return { version: config.version, deploymentProfile, profiles };
+};
+
+const policyConfig = loadPolicyProfiles();
+
+// === PROFILE LOOKUP ===
+const isValidProfile = (id) => Object.prototype.hasOwnProperty.call(policyConfig.profiles, id);
+
+// A course's profile, or the deployment's when the course has none (or names one that was removed)
+const getPolicyProfile = (id) => {
+  if (id && isValidProfile(id)) {
+    return policyConfig.profiles[id];
+  }
+  if (id) {
+    console.warn(`⚠️ Unknown policy profile "${id}" - using "${policyConfig.deploymentProfile}"`);
+  }
+  return policyConfig.profiles[policyConfig.deploymentProfile];
+};
+
+// Labels only - the wording stays on the server
+const listPolicyProfiles = () => {
+  return Object.values(policyConfig.profiles).map(profile => ({
+    id: profile.id,
+    label: profile.label,
+    description: profile.description,
+    strictness: profile.strictness
+  }));
+};
+
+// Sent with every tutor response and logged with refusals, so disputes can be audited
+const policyStamp = (profile) => ({
+  profile: profile.id,
+  version: profile.version,
+  hash: profile.hash
+});
+
+// === CLASSIFY UNDER A PROFILE ===
+// The profile's trigger phrases run as one more refusal rule next to the rule engine's rules,
+// then its strictness moves "guided" requests up or down
+const classifyWithProfile = (message, profile) => {
+  const triggerRule = {
+    id: `profile-triggers:${profile.id}`,
+    type: 'phrase',
+    phrases: profile.triggers.phrases,
+    verdict: VERDICTS.REFUSED,
+    tags: ['answer']
+  };
+  const integrity = classifyRequest(message, [...activeRules, triggerRule]);
+
+  if (integrity.verdict === VERDICTS.GUIDED && profile.strictness === 'strict') {
+    return { ...integrity, verdict: VERDICTS.REFUSED };
+  }
+  if (integrity.verdict === VERDICTS.GUIDED && profile.strictness === 'lenient') {
+    return { ...integrity, verdict: VERDICTS.ALLOWED };
+  }
+  return integrity;
+};
+
+module.exports = {
+  STRICTNESS_LEVELS,
+  loadPolicyProfiles,
+  isValidProfile,
+  getPolicyProfile,
+  listPolicyProfiles,
+  policyStamp,
+  classifyWithProfile
+};
@@ -0,0 +1,80 @@
+/**
+ * @jest-environment node
+ */
+// === POLICY PROFILE TESTS ===
+const fs = require('fs');
+const path = require('path');
+const { VERDICTS } = require('./integrityRules');
+const { loadPolicyProfiles, getPolicyProfile, listPolicyProfiles, policyStamp, classifyWithProfile } = require('./policyProfiles');
+const { writeTempJson, removeTempFiles } = require('./testSupport');
+
+const DEFAULT_PROFILES = JSON.parse(fs.readFileSync(path.join(__dirname, 'policyProfiles.json'), 'utf8'));
+
+afterEach(removeTempFiles);
+
+describe('classifyWithProfile', () => {
+  test('strictness moves guided requests up or down', () => {
+    const message = 'Solve 3x + 5 = 20';
+
+    expect(classifyWithProfile(message, getPolicyProfile('standard')).verdict).toBe(VERDICTS.GUIDED);
+    expect(classifyWithProfile(message, getPolicyProfile('strict')).verdict).toBe(VERDICTS.REFUSED);
+    expect(classifyWithProfile(message, getPolicyProfile('open')).verdict).toBe(VERDICTS.ALLOWED);
+  });
+
+  test('the profile\'s trigger phrases refuse alongside the rule engine', () => {
+    const message = 'Can you check my answer for the second part?';
+
+    expect(classifyWithProfile(message, getPolicyProfile('standard')).verdict).toBe(VERDICTS.ALLOWED);
+    expect(classifyWithProfile(message, getPolicyProfile('strict'))).toEqual({
+      verdict: VERDICTS.REFUSED,
+      rules: ['profile-triggers:strict'],
+      tags: ['answer']
+    });
+  });
+
+  test('refusals stay refusals under a lenient profile', () => {
+    expect(classifyWithProfile('Please do my homework', getPolicyProfile('open')).verdict).toBe(VERDICTS.REFUSED);
+  });
+});
+
+describe('profile lookup', () => {
+  test('unknown profiles fall back to the deployment profile', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(getPolicyProfile('retired-profile').id).toBe(DEFAULT_PROFILES.defaultProfile);
+    expect(getPolicyProfile(null).id).toBe(DEFAULT_PROFILES.defaultProfile);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+
+  test('listings and stamps leave the wording out', () => {
+    const listed = listPolicyProfiles().find(profile => profile.id === 'strict');
+    const stamp = policyStamp(getPolicyProfile('strict'));
+
+    expect(Object.keys(listed).sort()).toEqual(['description', 'id', 'label', 'strictness']);
+    expect(stamp).toEqual({ profile: 'strict', version: DEFAULT_PROFILES.version, hash: expect.stringMatching(/^[0-9a-f]{12}$/) });
+  });
+});
+
+describe('loadPolicyProfiles', () => {
+  const standard = DEFAULT_PROFILES.profiles.standard;
+
+  test('stamps each profile with the file version and a hash of its contents', () => {
+    const edited = { ...standard, closingLine: 'Keep going!' };
+    const { profiles } = loadPolicyProfiles(writeTempJson({ version: '1', defaultProfile: 'a', profiles: { a: standard, b: edited } }));
+
+    expect(profiles.a.version).toBe('1');
+    expect(profiles.a.hash).not.toBe(profiles.b.hash);
+  });
+
+  test.each([
+    [{ defaultProfile: 'a', profiles: { a: standard } }, /version string/],
+    [{ version: '1', defaultProfile: 'a', profiles: {} }, /at least one profile/],
+    [{ version: '1', defaultProfile: 'b', profiles: { a: standard } }, /"b" is not defined/],
+    [{ version: '1', defaultProfile: 'a', profiles: { a: { ...standard, strictness: 'relaxed' } } }, /unknown strictness "relaxed"/],
+    [{ version: '1', defaultProfile: 'a', profiles: { a: { ...standard, maxItems: 20 } } }, /maxItems must be between 1 and 10/],
+    [{ version: '1', defaultProfile: 'a', profiles: { a: { ...standard, triggers: { phrases: [] } } } }, /non-empty triggers.phrases/]
+  ])('rejects an invalid file (%#)', (config, error) => {
+    expect(() => loadPolicyProfiles(writeTempJson(config))).toThrow(error);
+  });
+});
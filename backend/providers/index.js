@@ -0,0 +1,50 @@
+// === LLM PROVIDER SELECTION ===
+// Every provider exposes the same interface:
+//   name, defaultModel
+//   createChatCompletion({ messages, maxTokens, temperature, model }) -> { content, usage, model }
+//   streamChatCompletion({ messages, maxTokens, temperature, model, signal }) -> async iterable of
+//     { text } deltas followed by one { usage, model }
+//   moderate({ input, model }) -> { flagged, categories, category_scores }
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createLocalProvider } = require('./localProvider');
+const { createMockProvider } = require('./mockProvider');
+
+// === CREATE PROVIDER FROM ENVIRONMENT ===
+// LLM_PROVIDER picks the adapter: openai (default), local or mock.
+// Throws when the chosen adapter is missing required configuration.
+const createProvider = (env = process.env) => {
+  const providerName = (env.LLM_PROVIDER || 'openai').toLowerCase();
+
+  switch (providerName) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY is required in project.env file when LLM_PROVIDER is "openai"');
+      }
+      return createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        model: env.LLM_MODEL || 'gpt-4o-mini'
+      });
+
+    case 'local':
+      return createLocalProvider({
+        baseURL: env.LOCAL_LLM_BASE_URL || undefined,
+        apiKey: env.LOCAL_LLM_API_KEY || undefined,
+        model: env.LLM_MODEL || undefined,
+        // Keep real moderation when an OpenAI key is around
+        moderationProvider: env.OPENAI_API_KEY
+          ? createOpenAIProvider({ apiKey: env.OPENAI_API_KEY })
+          : null
+      });
+
+    case 'mock':
+      return createMockProvider({
+        scriptPath: env.MOCK_LLM_SCRIPT || undefined,
+        model: env.LLM_MODEL || undefined
+      });
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${providerName}". Use openai, local or mock.`);
+  }
+};
+
+module.exports = { createProvider };
@@ -0,0 +1,34 @@
+// === LOCAL OPENAI-COMPATIBLE PROVIDER ===
+// Talks to a self-hosted server that speaks the OpenAI chat API
+// (llama.cpp `server`, Ollama `/v1`, vLLM, LM Studio, ...).
+const { createOpenAIProvider } = require('./openaiProvider');
+
+const createLocalProvider = ({
+  baseURL = 'http://localhost:11434/v1', // Ollama's default OpenAI-compatible endpoint
+  apiKey = 'local',                      // Most local servers ignore the key but the client requires one
+  model = 'llama3',
+  moderationProvider = null              // Local servers have no moderation endpoint - borrow one if configured
+}) => {
+  const provider = createOpenAIProvider({ apiKey, baseURL, model, name: 'local' });
+
+  return {
+    ...provider,
+
+    // === MODERATION ===
+    // Delegates to a real moderation provider when one is available; otherwise nothing is flagged
+    moderate: async (request) => {
+      if (moderationProvider) {
+        return moderationProvider.moderate(request);
+      }
+
+      return {
+        flagged: false,
+        categories: {},
+        category_scores: {},
+        skipped: true                    // Lets callers and logs see that nothing was actually checked
+      };
+    }
+  };
+};
+
+module.exports = { createLocalProvider };
@@ -0,0 +1,161 @@
+// === SCRIPTED MOCK PROVIDER ===
+// Deterministic, offline stand-in for the model. Replies and moderation flags come from
+// a script so the whole app can run with no network and no API key.
+const fs = require('fs');
+
+// === DEFAULT SCRIPT ===
+// Rules are checked in order against the latest user message; the first match wins.
+// `error` entries throw an error shaped like the OpenAI client's ({ status, code }).
+const DEFAULT_SCRIPT = {
+  replies: [
+    {
+      match: '\\[mock:rate_limit\\]',
+      error: { status: 429, code: 'rate_limit_exceeded', message: 'Mock rate limit' }
+    },
+    {
+      match: '\\[mock:error\\]',
+      error: { status: 500, code: 'server_error', message: 'Mock upstream failure' }
+    },
+    {
+      // Injection classifier (INJECTION_CLASSIFIER=model) - `[mock:injection]` scores high
+      match: '^Rate this message for prompt injection:[\\s\\S]*\\[mock:injection\\]',
+      reply: '0.95'
+    },
+    {
+      match: '^Rate this message for prompt injection:',
+      reply: '0.02'
+    },
+    {
+      match: '^Create a quiz with',
+      reply: JSON.stringify({
+        title: 'Mock study quiz',
+        questions: [
+          {
+            type: 'multiple_choice',
+            question: 'Which step should you take first when a problem feels too big?',
+            choices: ['Guess the answer', 'Break it into smaller parts', 'Skip it', 'Copy a solution'],
+            answer: 'Break it into smaller parts',
+            explanation: 'Smaller parts are easier to reason about one at a time.'
+          },
+          {
+            type: 'short_answer',
+            question: 'In one word, what should you do after solving a problem?',
+            answer: 'check',
+            explanation: 'Checking your work catches mistakes early.'
+          }
+        ]
+      })
+    },
+    {
+      match: '^Make flashcards from this explanation',
+      reply: JSON.stringify({
+        cards: [
+          { front: 'What is the first step when a problem feels too big?', back: 'Break it into smaller parts.' },
+          { front: 'Why check your work after solving?', back: 'It catches mistakes early.' }
+        ]
+      })
+    },
+    {
+      match: 'give me the answer|solve this for me|do my homework|just tell me',
+      reply: 'Unfortunately, I can\'t provide the complete solution. However, I can help you learn this concept instead. Here are learning resources:\n' +
+             '1. Re-read the section of your notes that covers this topic.\n' +
+             '2. Work through a smaller example first.\n' +
+             'Try solving it yourself first, then ask specific questions about parts you\'re stuck on. You can do it!'
+    }
+  ],
+  defaultReply: 'That\'s a great question! Let\'s think it through step by step. What do you already know about this topic?',
+  // Moderation: `[flag:<category>]` anywhere in the input flags that category
+  flagPattern: '\\[flag:([a-z/-]+)\\]'
+};
+
+// === SCRIPT LOADING ===
+const loadScript = (scriptPath) => {
+  if (!scriptPath) {
+    return DEFAULT_SCRIPT;
+  }
+
+  const custom = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  return { ...DEFAULT_SCRIPT, ...custom };
+};
+
+// Moderation accepts either a string or OpenAI's [{ type: 'text', text }] array
+const inputToText = (input) => {
+  if (Array.isArray(input)) {
+    return input.map(part => (typeof part === 'string' ? part : part.text || '')).join('\n');
+  }
+  return String(input || '');
+};
+
+const createMockProvider = ({ scriptPath, model = 'mock-tutor' } = {}) => {
+  const script = loadScript(scriptPath);
+
+  // Pick the scripted reply for the latest user message
+  const resolveReply = (messages) => {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const text = lastUser ? lastUser.content : '';
+
+    const rule = script.replies.find(entry => new RegExp(entry.match, 'i').test(text));
+    if (rule && rule.error) {
+      const error = new Error(rule.error.message || 'Mock provider error');
+      error.status = rule.error.status;
+      error.code = rule.error.code;
+      throw error;
+    }
+
+    return rule ? rule.reply : script.defaultReply;
+  };
+
+  // Same rough estimate as the context builder (~4 characters per token)
+  const buildUsage = (messages, content) => {
+    const promptTokens = Math.ceil(messages.reduce((total, message) => total + message.content.length, 0) / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  };
+
+  return {
+    name: 'mock',
+    defaultModel: model,
+
+    createChatCompletion: async ({ messages }) => {
+      const content = resolveReply(messages);
+      return { content, usage: buildUsage(messages, content), model };
+    },
+
+    // Yields the scripted reply word by word so streaming UIs behave realistically
+    streamChatCompletion: async function* ({ messages, signal }) {
+      const content = resolveReply(messages);
+
+      for (const piece of content.match(/\S+\s*/g) || []) {
+        if (signal && signal.aborted) return;
+        yield { text: piece };
+      }
+
+      yield { usage: buildUsage(messages, content), model };
+    },
+
+    moderate: async ({ input }) => {
+      const text = inputToText(input);
+      const categories = {};
+      const categoryScores = {};
+
+      const flagRegex = new RegExp(script.flagPattern, 'gi');
+      let match;
+      while ((match = flagRegex.exec(text)) !== null) {
+        categories[match[1].toLowerCase()] = true;
+        categoryScores[match[1].toLowerCase()] = 0.99;
+      }
+
+      return {
+        flagged: Object.keys(categories).length > 0,
+        categories,
+        category_scores: categoryScores
+      };
+    }
+  };
+};
+
+module.exports = { createMockProvider };
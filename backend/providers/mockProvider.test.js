@@ -0,0 +1,96 @@
+/**
+ * @jest-environment node
+ */
+// === MOCK PROVIDER TESTS ===
+const { createMockProvider } = require('./mockProvider');
+const { writeTempJson, removeTempFiles } = require('../testSupport');
+
+const userTurn = (content) => [{ role: 'system', content: 'Locked instructions' }, { role: 'user', content }];
+
+afterEach(removeTempFiles);
+
+describe('createChatCompletion', () => {
+  test('replies with the default reply and estimates usage', async () => {
+    const provider = createMockProvider();
+    const completion = await provider.createChatCompletion({ messages: userTurn('What is a derivative?') });
+
+    expect(completion.content).toMatch(/^That's a great question!/);
+    expect(completion.model).toBe('mock-tutor');
+    expect(completion.usage.total_tokens).toBe(completion.usage.prompt_tokens + completion.usage.completion_tokens);
+  });
+
+  test('matches scripted replies against the latest user message only', async () => {
+    const provider = createMockProvider();
+    const completion = await provider.createChatCompletion({
+      messages: [...userTurn('Please do my homework'), { role: 'assistant', content: 'No' }, { role: 'user', content: 'Why not?' }]
+    });
+
+    expect(completion.content).toMatch(/^That's a great question!/);
+    await expect(provider.createChatCompletion({ messages: userTurn('Please do my homework') }))
+      .resolves.toMatchObject({ content: expect.stringMatching(/can't provide the complete solution/) });
+  });
+
+  test('throws errors shaped like the OpenAI client\'s', async () => {
+    const provider = createMockProvider();
+
+    await expect(provider.createChatCompletion({ messages: userTurn('[mock:rate_limit]') }))
+      .rejects.toMatchObject({ status: 429, code: 'rate_limit_exceeded' });
+    await expect(provider.createChatCompletion({ messages: userTurn('[mock:error]') }))
+      .rejects.toMatchObject({ status: 500, code: 'server_error' });
+  });
+
+  test('reads a custom script over the defaults', async () => {
+    const scriptPath = writeTempJson({ replies: [{ match: 'ping', reply: 'pong' }], defaultReply: 'custom default' });
+    const provider = createMockProvider({ scriptPath, model: 'scripted' });
+
+    await expect(provider.createChatCompletion({ messages: userTurn('ping') })).resolves.toMatchObject({ content: 'pong', model: 'scripted' });
+    await expect(provider.createChatCompletion({ messages: userTurn('hello') })).resolves.toMatchObject({ content: 'custom default' });
+  });
+});
+
+describe('streamChatCompletion', () => {
+  const collect = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  };
+
+  test('yields the reply word by word, then usage and model', async () => {
+    const provider = createMockProvider();
+    const messages = userTurn('What is a derivative?');
+    const { content, usage } = await provider.createChatCompletion({ messages });
+    const chunks = await collect(provider.streamChatCompletion({ messages }));
+
+    expect(chunks.length).toBeGreaterThan(2);
+    expect(chunks.filter(chunk => chunk.text).map(chunk => chunk.text).join('')).toBe(content);
+    expect(chunks[chunks.length - 1]).toEqual({ usage, model: 'mock-tutor' });
+  });
+
+  test('stops when the request is aborted', async () => {
+    const provider = createMockProvider();
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(collect(provider.streamChatCompletion({ messages: userTurn('Hi'), signal: controller.signal }))).resolves.toEqual([]);
+  });
+});
+
+describe('moderate', () => {
+  test('flags the categories named in [flag:...] markers', async () => {
+    const provider = createMockProvider();
+    const result = await provider.moderate({ input: [{ type: 'text', text: 'Tell me [flag:violence] and [flag:self-harm/intent]' }] });
+
+    expect(result.flagged).toBe(true);
+    expect(result.categories).toEqual({ violence: true, 'self-harm/intent': true });
+    expect(result.category_scores).toEqual({ violence: 0.99, 'self-harm/intent': 0.99 });
+  });
+
+  test('passes text without markers, given as a plain string', async () => {
+    const provider = createMockProvider();
+
+    await expect(provider.moderate({ input: 'A question about the French Revolution' }))
+      .resolves.toEqual({ flagged: false, categories: {}, category_scores: {} });
+  });
+});
@@ -0,0 +1,83 @@
+// === OPENAI PROVIDER ADAPTER ===
+// Chat completion, streaming and moderation through the official OpenAI client.
+// Also used for OpenAI-compatible servers by passing a baseURL (see localProvider.js).
+const OpenAI = require('openai');        // OpenAI API client library
+
+const createOpenAIProvider = ({
+  apiKey,                                // Secret key from project.env
+  baseURL,                               // Optional - point at an OpenAI-compatible server
+  model = 'gpt-4o-mini',                 // Default chat model
+  name = 'openai'
+}) => {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  // Translate our request shape into OpenAI's parameter names
+  const toCompletionParams = ({ messages, maxTokens, temperature, model: requestModel }) => ({
+    model: requestModel || model,
+    messages: messages,
+    max_tokens: maxTokens,
+    temperature: temperature
+  });
+
+  return {
+    name,
+    defaultModel: model,
+
+    // === CHAT COMPLETION ===
+    // Resolves with { content, usage, model }
+    createChatCompletion: async (request) => {
+      const completion = await client.chat.completions.create({
+        ...toCompletionParams(request),
+        stream: false
+      });
+
+      return {
+        content: completion.choices[0].message.content,
+        usage: completion.usage,
+        model: completion.model
+      };
+    },
+
+    // === STREAMING CHAT COMPLETION ===
+    // Yields { text } deltas, then a final { usage, model }
+    streamChatCompletion: async function* ({ signal, ...request }) {
+      const completionStream = await client.chat.completions.create({
+        ...toCompletionParams(request),
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal });
+
+      let completionModel = null;
+      let usage = null;
+
+      for await (const chunk of completionStream) {
+        completionModel = chunk.model || completionModel;
+        if (chunk.usage) {
+          usage = chunk.usage;           // Sent on the final chunk when include_usage is set
+        }
+
+        const text = chunk.choices && chunk.choices[0] && chunk.choices[0].delta
+          ? chunk.choices[0].delta.content
+          : null;
+        if (text) {
+          yield { text };
+        }
+      }
+
+      yield { usage, model: completionModel };
+    },
+
+    // === MODERATION ===
+    // Resolves with the first moderation result: { flagged, categories, category_scores }
+    moderate: async ({ input, model: moderationModel = 'omni-moderation-latest' }) => {
+      const moderation = await client.moderations.create({
+        model: moderationModel,
+        input: input
+      });
+
+      return moderation.results[0];
+    }
+  };
+};
+
+module.exports = { createOpenAIProvider };
@@ -1,6 +1,32 @@
+const {
+  TERMINAL_EVENTS,
+  startEventStream,
+  sendEvent,
+  endEventStream,
+  relayCompletionStream
+} = require('./streaming')
+const { getPolicyProfile, policyStamp, classifyWithProfile } = require('./policyProfiles')
+const { buildSystemPrompt } = require('./aiInstructions')
+const { streamHoldFor, enforceOutputAudit } = require('./outputAuditor')
+const { OUTPUT_ACTIONS, moderateText, sendModerationError, applyOutputModeration } = require('./moderation')
+const {
+  INJECTION_ACTIONS,
+  INJECTION_REFUSAL,
+  INJECTION_OVERLAY,
+  detectInjection,
+  neutralizeMessage,
+  cooldownRemaining,
+  recordInjectionAttempt,
+  sendInjectionCooldown
+} = require('./injectionDetection')
+const { mightNeedCrisisResponse, needsCrisisResponse, buildCrisisResponse } = require('./crisisResponse')
+const { sendDeferredRateLimit, discountRateLimitHit } = require('./rateLimiting')
+const { CACHE_STATUS, cacheEnabled, answerCacheKey, getCachedAnswer, setCachedAnswer } = require('./answerCache')
+
 // === PUBLIC AI ENDPOINT (No authentication required) ===
 // This allows unauthenticated users to try the service
-const handlePublicGpt = async (req, res, { openai, systemInstructions }) => {
+// With `stream: true` (POST /api/public/gpt/stream) the reply is pushed as Server-Sent Events
+const handlePublicGpt = async (req, res, { provider, systemInstructions, store, stream = false }) => {
   try {
     // === STEP 1: EXTRACT USER INPUT ===
     const { 
@@ -25,57 +51,216 @@ const handlePublicGpt = async (req, res, { openai, systemInstructions }) => {
       })
     }
 
+    // === TURNED-AWAY SESSIONS ===
+    // Over the rate limit, or cooling down after repeated attempts to get around the guidelines.
+    // A message that may need the crisis response is moderated first and only turned away if it doesn't.
+    const cooldown = await cooldownRemaining(store, req)
+    const turnedAway = Boolean(req.deferredRateLimit) || cooldown > 0
+    let moderation = null
+    if (turnedAway && mightNeedCrisisResponse(message)) {
+      moderation = await moderateText(provider, message, { endpoint: 'public' })
+    }
+    if (turnedAway && !(moderation && needsCrisisResponse(moderation, message))) {
+      return req.deferredRateLimit ? sendDeferredRateLimit(req, res) : sendInjectionCooldown(res, cooldown)
+    }
+
+    // === ANSWER CACHE LOOKUP ===
+    // Looked up now because the header has to go out before the stream opens. A cached answer is
+    // only served once this message has passed moderation and the injection check itself.
+    const policyProfile = getPolicyProfile(null)
+    const cacheKey = cacheEnabled()
+      ? answerCacheKey(message, { policy: policyStamp(policyProfile), model: provider.defaultModel, maxTokens, temperature })
+      : null
+    const cached = cacheKey ? getCachedAnswer(cacheKey) : null
+    res.set('X-Answer-Cache', cached ? CACHE_STATUS.HIT : cacheKey ? CACHE_STATUS.MISS : CACHE_STATUS.BYPASS)
+
+    // Input is valid - from here on a streaming client gets SSE events, not JSON errors
+    if (stream) {
+      startEventStream(res)
+    }
+
     // === STEP 3: CONTENT MODERATION ===
-    // Check if the message violates our content policy
-    const moderationResult = await openai.moderations.create({
-      input: message,
-      model: 'text-moderation-latest'
-    })
+    // Anonymous requests fail closed - nothing reaches the model unchecked.
+    // Already done for a turned-away session's message.
+    moderation = moderation || await moderateText(provider, message, { endpoint: 'public' })
 
-    // Check for flagged content (violent/criminal only)
-    const flaggedCategories = Object.keys(moderationResult.results[0].categories).filter(
-      key => moderationResult.results[0].categories[key]
-    )
+    // === CRISIS RESPONSE ===
+    // Self-harm gets support and resources as a normal reply, never a policy error
+    if (needsCrisisResponse(moderation, message)) {
+      const support = buildCrisisResponse(req)
 
-    if (flaggedCategories.length > 0) {
-      const categoryNames = Object.keys(moderationResult.results[0].categories).filter(
-        key => moderationResult.results[0].categories[key]
-      )
-      return res.status(400).json({ 
-        error: `Content violates our policy: ${categoryNames.join(', ')}`,
-        flagged: true
-      })
+      if (stream) {
+        return endEventStream(res, TERMINAL_EVENTS.DONE, support)
+      }
+      return res.json(support)
+    }
+
+    if (!moderation.allowed) {
+      return sendModerationError(res, moderation, { stream })
+    }
+
+    // === PROMPT-INJECTION CHECK ===
+    // Clear attempts get a fixed refusal without calling the model; borderline ones are neutralized
+    const injection = await detectInjection(provider, message)
+    if (injection.action !== INJECTION_ACTIONS.ALLOWED) {
+      injection.cooldownSeconds = await recordInjectionAttempt(store, req)
+      console.log('🧱 Prompt injection detected:', { ...injection, timestamp: new Date().toISOString() })
+    }
+
+    if (injection.action === INJECTION_ACTIONS.REFUSED) {
+      const refusal = { response: INJECTION_REFUSAL, injection: injection }
+
+      if (stream) {
+        return endEventStream(res, TERMINAL_EVENTS.DONE, refusal)
+      }
+      return res.json(refusal)
+    }
+
+    const neutralized = injection.action === INJECTION_ACTIONS.NEUTRALIZED
+
+    // === CACHED ANSWER ===
+    // Costs no completion, so it counts against the guest limit as only part of a request
+    if (cached && !neutralized) {
+      await discountRateLimitHit(req)
+      const answer = { ...cached, usage: null, injection: injection }
+
+      if (stream) {
+        sendEvent(res, 'token', { text: cached.response })
+        return endEventStream(res, TERMINAL_EVENTS.DONE, answer)
+      }
+      return res.json(answer)
     }
 
-    // === STEP 4: CALL OPENAI API ===
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',              // Use GPT-4o-mini for cost efficiency
+    // Only plain questions whose reply went out unchanged by output moderation are kept
+    const cacheAnswer = (answer, outputModeration) => {
+      if (cacheKey && !neutralized && outputModeration.action === OUTPUT_ACTIONS.PASSED) {
+        setCachedAnswer(cacheKey, answer)
+      }
+    }
+
+    // === ACADEMIC-INTEGRITY CHECK ===
+    // Deterministic rules plus the deployment profile's triggers tag the request; the tag picks the prompt variant
+    const integrity = classifyWithProfile(message, policyProfile)
+
+    // === STEP 4: CALL THE MODEL PROVIDER ===
+    const completionRequest = {
       messages: [
         {
           role: 'system',
-          content: systemInstructions
+          content: buildSystemPrompt(systemInstructions, {
+            overlays: [neutralized ? INJECTION_OVERLAY : null],
+            verdict: integrity.verdict
+          })
         },
         {
           role: 'user',
-          content: message
+          content: neutralized ? neutralizeMessage(message) : message
         }
       ],
-      max_tokens: maxTokens,             // Response length limit
-      temperature: temperature,           // Creativity level
-      stream: false                      // Get complete response at once
+      maxTokens: maxTokens,              // Response length limit
+      temperature: temperature            // Creativity level
+    }
+
+    if (stream) {
+      // Relay tokens as they arrive, holding back the rest once the draft fails the audit
+      // (guided and refused requests hold it all). Each chunk is moderated before it is sent,
+      // while the model keeps generating.
+      const streamed = await relayCompletionStream(res, provider, completionRequest, {
+        holdWhen: streamHoldFor(integrity),
+        moderateChunk: (text) => moderateText(provider, text, { endpoint: 'public-output' })
+      })
+
+      // A flagged reply isn't worth auditing - it is replaced either way
+      const audited = streamed.flagged
+        ? { response: streamed.response, audit: null }
+        : await enforceOutputAudit({
+          provider,
+          request: completionRequest,
+          response: streamed.response,
+          integrity
+        })
+
+      // Streamed chunks were checked on the way out; held text and a reply the auditor rewrote still need a check
+      const outputCheck = streamed.flagged || (streamed.held || audited.response !== streamed.response
+        ? await moderateText(provider, audited.response, { endpoint: 'public-output' })
+        : null)
+      const output = applyOutputModeration(audited.response, outputCheck, { endpoint: 'public-output', streamed: true })
+
+      cacheAnswer({
+        response: output.response,
+        model: streamed.model,
+        integrity: integrity,
+        policy: policyStamp(policyProfile),
+        audit: audited.audit
+      }, output.outputModeration)
+
+      return endEventStream(res, TERMINAL_EVENTS.DONE, {
+        response: output.response,       // Replaces the streamed text when the audit or moderation changed it
+        usage: streamed.usage,
+        model: streamed.model,
+        integrity: integrity,
+        injection: injection,
+        policy: policyStamp(policyProfile),
+        audit: audited.audit,
+        outputModeration: output.outputModeration
+      })
+    }
+
+    const completion = await provider.createChatCompletion(completionRequest)
+
+    // Moderate the draft while the auditor looks at it - moderateText never rejects
+    const draftCheck = moderateText(provider, completion.content, { endpoint: 'public-output' })
+
+    // Complete solutions are regenerated in hint mode or redacted before they reach the student
+    const { response: auditedResponse, audit } = await enforceOutputAudit({
+      provider,
+      request: completionRequest,
+      response: completion.content,
+      integrity
     })
 
+    // The draft's check only counts if the auditor kept the draft
+    const outputCheck = auditedResponse === completion.content
+      ? await draftCheck
+      : await moderateText(provider, auditedResponse, { endpoint: 'public-output' })
+    const { response, outputModeration } = applyOutputModeration(auditedResponse, outputCheck, { endpoint: 'public-output' })
+
+    cacheAnswer({
+      response: response,
+      model: completion.model,
+      integrity: integrity,
+      policy: policyStamp(policyProfile),
+      audit: audit
+    }, outputModeration)
+
     // === STEP 5: SEND RESPONSE ===
     res.json({
-      response: completion.choices[0].message.content,
+      response: response,
       usage: completion.usage,           // How many tokens were used
-      model: completion.model
+      model: completion.model,
+      integrity: integrity,              // Rule-engine verdict that shaped the prompt
+      injection: injection,              // Prompt-injection score and what was done about it
+      policy: policyStamp(policyProfile), // Policy profile and version that applied, for audits
+      audit: audit,                      // Whether the output auditor changed the reply, and why
+      outputModeration: outputModeration // Whether the reply was withheld by output moderation
     })
 
   } catch (error) {
     console.error('Public GPT endpoint error:', error)
+
+    // Stream already open - report the failure as a terminal event
+    if (stream && res.headersSent) {
+      if (error.status === 429 || error.code === 'rate_limit_exceeded') {
+        return endEventStream(res, TERMINAL_EVENTS.RATE_LIMIT_ERROR, {
+          error: 'The AI service is busy right now. Please try again in a moment.'
+        })
+      }
+      return endEventStream(res, TERMINAL_EVENTS.UPSTREAM_ERROR, {
+        error: 'An error occurred while processing your request'
+      })
+    }
     
-    // Handle specific OpenAI errors
+    // Handle specific provider errors
     if (error.code === 'invalid_api_key') {
       return res.status(500).json({ 
         error: 'Invalid OpenAI API key'       // Bad API key
@@ -0,0 +1,160 @@
+// === QUIZ GENERATION ENDPOINT ===
+// Handles POST /api/quiz. Turns a study session into a short self-test with an answer key.
+// Messages are encrypted client-side, so the client sends the decrypted turns it wants quizzed.
+const { validateHistory, buildConversationMessages } = require('./conversationContext');
+const { buildSystemPrompt } = require('./aiInstructions');
+const { moderateText, sendModerationError } = require('./moderation');
+const { recordTokenUsage } = require('./tokenQuotas');
+
+const MAX_QUESTIONS = 10;
+const QUESTION_FORMATS = ['mixed', 'multiple_choice', 'short_answer'];
+
+// === QUIZ OVERLAY ===
+// Layered on the locked tutor persona - the answer key is for the student's own self-check
+const quizOverlayFor = (questionCount, format) => {
+  const formatRule = format === 'mixed'
+    ? 'Mix multiple_choice and short_answer questions.'
+    : `Use only ${format} questions.`;
+
+  return `QUIZ MODE: Write a self-test about the concepts discussed in this study session so the student can check their own understanding.
+Create exactly ${questionCount} questions. ${formatRule}
+Test concepts, not copies of any homework problem the student shared. Include an answer key and a one-sentence explanation per question.
+Respond with ONLY a JSON object, no other text, in this shape:
+{"title": "short topic title", "questions": [{"type": "multiple_choice", "question": "...", "choices": ["...", "...", "...", "..."], "answer": "exact text of the correct choice", "explanation": "..."}, {"type": "short_answer", "question": "...", "answer": "...", "explanation": "..."}]}`;
+};
+
+// === PARSE AND VALIDATE THE MODEL'S QUIZ ===
+// Returns the cleaned quiz, or null when the reply is not a usable quiz
+const parseQuiz = (content) => {
+  const jsonMatch = content.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    return null;
+  }
+
+  if (!parsed || !Array.isArray(parsed.questions)) return null;
+
+  const questions = parsed.questions
+    .filter(question => question && typeof question.question === 'string' && typeof question.answer === 'string')
+    .map(question => {
+      const isMultipleChoice = question.type === 'multiple_choice' &&
+        Array.isArray(question.choices) &&
+        question.choices.length >= 2 &&
+        question.choices.includes(question.answer);
+
+      return isMultipleChoice
+        ? {
+            type: 'multiple_choice',
+            question: question.question,
+            choices: question.choices.slice(0, 6).map(String),
+            answer: question.answer,
+            explanation: String(question.explanation || '')
+          }
+        : {
+            type: 'short_answer',
+            question: question.question,
+            answer: question.answer,
+            explanation: String(question.explanation || '')
+          };
+    })
+    .slice(0, MAX_QUESTIONS);
+
+  if (questions.length === 0) return null;
+
+  return {
+    title: typeof parsed.title === 'string' ? parsed.title.substring(0, 100) : 'Study session quiz',
+    questions
+  };
+};
+
+// === QUIZ ENDPOINT ===
+const handleGenerateQuiz = async (req, res, { provider, systemInstructions, db }) => {
+  try {
+    // === STEP 1: EXTRACT AND VALIDATE INPUT ===
+    const {
+      messages = [],                     // Decrypted turns of the study session
+      questionCount = 5,                 // How many questions to write
+      format = 'mixed'                   // mixed, multiple_choice or short_answer
+    } = req.body;
+
+    const messagesError = validateHistory(messages);
+    if (messagesError) {
+      return res.status(400).json({ error: `Invalid messages: ${messagesError}` });
+    }
+
+    if (messages.length === 0) {
+      return res.status(400).json({ error: 'At least one message is required to build a quiz' });
+    }
+
+    if (!Number.isInteger(questionCount) || questionCount < 1 || questionCount > MAX_QUESTIONS) {
+      return res.status(400).json({ error: `questionCount must be between 1 and ${MAX_QUESTIONS}` });
+    }
+
+    if (!QUESTION_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${QUESTION_FORMATS.join(', ')}` });
+    }
+
+    // === STEP 2: CONTENT MODERATION ===
+    // Same check as /api/gpt, over everything the student wrote in the session
+    const studentText = messages
+      .filter(message => message.role === 'user')
+      .map(message => message.content)
+      .join('\n');
+    if (studentText) {
+      const moderation = await moderateText(provider, studentText, { endpoint: 'quiz' });
+      if (!moderation.allowed) {
+        return sendModerationError(res, moderation);
+      }
+    }
+
+    // === STEP 3: GENERATE THE QUIZ ===
+    const maxTokens = 300 + questionCount * 150;
+    const { messages: promptMessages } = buildConversationMessages({
+      systemInstructions: buildSystemPrompt(systemInstructions, {
+        overlays: [quizOverlayFor(questionCount, format)]
+      }),
+      history: messages,
+      message: `Create a quiz with ${questionCount} questions about what we covered in this session.`,
+      maxTokens
+    });
+
+    const completion = await provider.createChatCompletion({
+      messages: promptMessages,
+      maxTokens,
+      temperature: 0.4
+    });
+    recordTokenUsage(db, req, completion.usage);
+
+    const quiz = parseQuiz(completion.content);
+    if (!quiz) {
+      console.error('Quiz generation returned an unusable reply');
+      return res.status(502).json({ error: 'Could not generate a quiz from this conversation. Please try again.' });
+    }
+
+    // === STEP 4: SEND RESPONSE ===
+    res.json({
+      success: true,
+      quiz: quiz,
+      usage: completion.usage,
+      model: completion.model
+    });
+
+  } catch (error) {
+    console.error('Quiz generation error:', error);
+
+    if (error.status === 429 || error.code === 'rate_limit_exceeded') {
+      return res.status(429).json({ error: 'The AI service is busy right now. Please try again in a moment.' });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+};
+
+module.exports = { handleGenerateQuiz, parseQuiz };
@@ -1,52 +1,390 @@
 // === RATE LIMITING CONFIGURATION ===
-const rateLimit = require('express-rate-limit');
+// Limits come from a policy table keyed by route class (ai or crud), role (guest, student,
+// instructor, admin) and, for AI requests in a course conversation, the course. Failed
+// authentications are limited per network before the token is even checked. Counts use a
+// sliding window over the shared store (backend/stores), so they hold across restarts and
+// instances and don't reset all at once at a window boundary.
+const fs = require('fs');
 const crypto = require('crypto');
+const { TERMINAL_EVENTS, isStreamRequest, endEventStream } = require('./streaming');
+const { mightNeedCrisisResponse } = require('./crisisResponse');
 
-// === PRIVACY-FIRST RATE LIMITING ===
-// Uses session ID instead of IP address for privacy
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,              // 15 minutes
-  max: 50,                               // 50 requests per session per window
-  keyGenerator: (req) => {
-    // Use session ID instead of IP for privacy
-    if (req.sessionID) {
-      return req.sessionID;
+const ROUTE_CLASSES = ['ai', 'crud'];
+const ROLES = ['guest', 'student', 'instructor', 'admin'];
+
+// === POLICY TABLE ===
+// Requests per sliding window. Guests are counted per browser session once their session cookie comes
+// back, and per (hashed) IP address before that - a browser's first request, or a client that never
+// keeps cookies. Each network also has a much higher guestNetwork ceiling over all its guests, so a
+// whole school behind one NAT isn't limited as one person. Clearing cookies starts a new session
+// count, but the network ceiling stays.
+// auth is the number of failed authentications (401s) per network, whatever the route.
+const DEFAULT_POLICIES = {
+  ai: { windowMs: 15 * 60 * 1000, guest: 10, guestNetwork: 150, student: 40, instructor: 100, admin: 300 },
+  crud: { windowMs: 15 * 60 * 1000, guest: 60, guestNetwork: 600, student: 300, instructor: 600, admin: 1500 },
+  auth: { windowMs: 15 * 60 * 1000, network: 100 }
+};
+
+const POLICY_FIELDS = {
+  ai: [...ROLES, 'guestNetwork', 'windowMs'],
+  crud: [...ROLES, 'guestNetwork', 'windowMs'],
+  auth: ['network', 'windowMs']
+};
+
+// RATE_LIMITS_PATH may point at a JSON object that overrides the defaults:
+//   { "ai": { "student": 60 }, "courses": { "<course id>": { "ai": { "student": 120 } } } }
+const validatePolicy = (where, policy, fields) => {
+  if (!policy || typeof policy !== 'object') {
+    throw new Error(`Rate limit policy ${where} must be an object`);
+  }
+  for (const [field, value] of Object.entries(policy)) {
+    if (!fields.includes(field)) {
+      throw new Error(`Rate limit policy ${where} has an unknown field "${field}"`);
+    }
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`Rate limit policy ${where}.${field} must be a positive whole number`);
+    }
+  }
+};
+
+const loadRateLimitPolicies = (policiesPath = process.env.RATE_LIMITS_PATH) => {
+  const overrides = policiesPath ? JSON.parse(fs.readFileSync(policiesPath, 'utf8')) : {};
+  const { courses = {}, ...classes } = overrides;
+
+  const policies = {};
+  for (const [routeClass, fields] of Object.entries(POLICY_FIELDS)) {
+    if (classes[routeClass] !== undefined) validatePolicy(routeClass, classes[routeClass], fields);
+    policies[routeClass] = { ...DEFAULT_POLICIES[routeClass], ...classes[routeClass] };
+  }
+  for (const name of Object.keys(classes)) {
+    if (!POLICY_FIELDS[name]) {
+      throw new Error(`Rate limit policies have an unknown route class "${name}"`);
+    }
+  }
+
+  // Course overrides only change the per-role limits; windows stay the route class's
+  for (const [courseId, coursePolicies] of Object.entries(courses)) {
+    for (const [routeClass, policy] of Object.entries(coursePolicies)) {
+      if (!ROUTE_CLASSES.includes(routeClass)) {
+        throw new Error(`Rate limit policies for course ${courseId} have an unknown route class "${routeClass}"`);
+      }
+      validatePolicy(`courses.${courseId}.${routeClass}`, policy, POLICY_FIELDS[routeClass]);
     }
-    // Fallback: hash IP with daily salt (no permanent tracking)
-    const date = new Date().toDateString();
-    const salt = process.env.RATE_LIMIT_SALT || 'default-salt';
-    return crypto.createHash('sha256')
-                 .update(req.ip + date + salt)
-                 .digest('hex');
-  },
-  message: {
-    error: 'Too many requests from this session, please try again later.',
-    retryAfter: '15 minutes'
-  },
-  standardHeaders: false,                // Don't expose rate limit headers (privacy)
-  legacyHeaders: false,
-  skip: (req) => {
-    // Skip rate limiting for health checks
-    return req.path === '/health';
-  }
-});
-
-// === PUBLIC RATE LIMITING (More restrictive for unauthenticated users) ===
-const publicRateLimit = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 10, // Limit each IP to 10 requests per windowMs (more restrictive)
-  message: { error: 'Too many requests from this IP. Please sign up for more access.' },
-  standardHeaders: true,
-  legacyHeaders: false,
-  keyGenerator: (req) => {
-    // Use IP address for public rate limiting
-    return req.ip || req.connection.remoteAddress
-  }
-});
-
-const setupRateLimiting = (app) => {
-  app.use('/api/', limiter); // Apply rate limiting to all API routes
-  app.locals.publicRateLimit = publicRateLimit;
-};
-
-module.exports = { setupRateLimiting, publicRateLimit };
+  }
+
+  return { ...policies, courses };
+};
+
+const rateLimitPolicies = loadRateLimitPolicies();
+
+// === RATE LIMIT RESPONSE ===
+// Streaming clients expect an SSE terminal event instead of a JSON body.
+// A numeric retryAfter (seconds) is also sent as the Retry-After header.
+const sendRateLimitResponse = (req, res, next, options) => {
+  if (isStreamRequest(req)) {
+    return endEventStream(res, TERMINAL_EVENTS.RATE_LIMIT_ERROR, options.message);
+  }
+  if (typeof options.message.retryAfter === 'number') {
+    res.set('Retry-After', String(options.message.retryAfter));
+  }
+  res.status(options.statusCode).json(options.message);
+};
+
+// === OVER THE LIMIT ===
+// On the tutor chat routes, a message that may need the crisis response is let through with the limit
+// deferred. The handler moderates it and sends the deferred limit unless it really does (see crisisResponse.js).
+const handleLimitReached = (req, res, next, options) => {
+  if (req.body && mightNeedCrisisResponse(req.body.message)) {
+    req.deferredRateLimit = options;
+    res.removeHeader('Retry-After');
+    return next();
+  }
+  sendRateLimitResponse(req, res, next, options);
+};
+
+const sendDeferredRateLimit = (req, res) => {
+  sendRateLimitResponse(req, res, null, req.deferredRateLimit);
+};
+
+// === PRIVACY-FIRST SESSION KEY ===
+// Hash IP with daily salt (no permanent tracking)
+const hashedIpFor = (req) => {
+  const date = new Date().toDateString();
+  const salt = process.env.RATE_LIMIT_SALT || 'default-salt';
+  return crypto.createHash('sha256')
+               .update((req.ip || req.connection.remoteAddress) + date + salt)
+               .digest('hex');
+};
+
+// Did this request bring back a guest session from an earlier one? Decided once per request, before
+// the limiter marks a new session as a guest's
+const hasGuestSession = (req) => {
+  if (req.guestSessionEstablished === undefined) {
+    req.guestSessionEstablished = Boolean(req.sessionID && req.session && req.session.guest);
+  }
+  return req.guestSessionEstablished;
+};
+
+// Session ID instead of IP address for privacy. Also used to count injection attempts.
+// Without an established session - a first request, or a client that drops cookies and would get a
+// new session every time - the hashed IP stands in, so dropping cookies doesn't dodge the count.
+const privacyKeyFor = (req) => {
+  return hasGuestSession(req) ? req.sessionID : hashedIpFor(req);
+};
+
+// === ROLE AND COURSE ===
+// Runs after authenticateUser where a route has it; no req.user means a guest
+const roleFor = (req) => {
+  if (!req.user) return 'guest';
+  const role = req.user.app_metadata && req.user.app_metadata.role;
+  return ROLES.includes(role) && role !== 'guest' ? role : 'student';
+};
+
+// Course overrides only apply to AI requests that name a course conversation.
+// Skips the lookup entirely when no course has an override.
+const courseLimitFor = async (req, { db, routeClass, role }) => {
+  const conversationId = req.body && req.body.conversationId;
+  if (routeClass !== 'ai' || !req.user || !conversationId || Object.keys(rateLimitPolicies.courses).length === 0) {
+    return null;
+  }
+
+  let course;
+  try {
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    course = await db.getConversationCourse(conversationId, req.user.id, accessToken);
+  } catch (error) {
+    // Unknown or someone else's conversation - the role's usual limit applies
+    return null;
+  }
+  const override = course && rateLimitPolicies.courses[course.course_id];
+  return override && override[routeClass] && override[routeClass][role] ? override[routeClass][role] : null;
+};
+
+// === SLIDING WINDOW ===
+// Approximates a true sliding window with two fixed ones: the previous window's count is weighted
+// by how much of it still overlaps the last windowMs. Returns the count including this request.
+// Each fixed window is kept through the next one, where it is "previous".
+const slidingHit = async (store, key, windowMs) => {
+  const now = Date.now();
+  const windowIndex = Math.floor(now / windowMs);
+  const elapsed = (now % windowMs) / windowMs;
+
+  const currentKey = `${key}:${windowIndex}`;
+  const [{ totalHits }, previous] = await Promise.all([
+    store.increment(currentKey, windowMs * 2),
+    store.count(`${key}:${windowIndex - 1}`)
+  ]);
+
+  return { count: previous * (1 - elapsed) + totalHits, current: totalHits, previous, currentKey, now };
+};
+
+// The same count without adding a hit, for limits that only count some outcomes
+const slidingCount = async (store, key, windowMs) => {
+  const now = Date.now();
+  const windowIndex = Math.floor(now / windowMs);
+  const elapsed = (now % windowMs) / windowMs;
+
+  const [current, previous] = await Promise.all([
+    store.count(`${key}:${windowIndex}`),
+    store.count(`${key}:${windowIndex - 1}`)
+  ]);
+
+  return { count: previous * (1 - elapsed) + current, current, previous, now };
+};
+
+const addSlidingHit = (store, key, windowMs) => {
+  return store.increment(`${key}:${Math.floor(Date.now() / windowMs)}`, windowMs * 2);
+};
+
+// Seconds until one more request would fit, assuming no other requests arrive.
+// current excludes the rejected request, which is taken back out of the count.
+const retryAfterSeconds = ({ max, windowMs, current, previous, now }) => {
+  const elapsedMs = now % windowMs;
+  const room = max - 1;                  // What the others may add up to so one more fits
+
+  let waitMs;
+  if (current <= room) {
+    // Wait for the previous window's weight to fade enough
+    const fadedAtMs = previous > 0 ? (1 - (room - current) / previous) * windowMs : 0;
+    waitMs = fadedAtMs - elapsedMs;
+  } else {
+    // This window alone is full - wait into the next one until this window's weight fades
+    waitMs = (windowMs - elapsedMs) + (1 - room / current) * windowMs;
+  }
+  return Math.max(1, Math.ceil(waitMs / 1000));
+};
+
+// === RATE LIMIT MIDDLEWARE ===
+// Rejections carry { error, code: 'rate_limited', retryAfter, routeClass } so the client can count down
+const RATE_LIMIT_MESSAGES = {
+  ai: 'You\'re sending questions faster than the tutor allows. Please wait a moment before asking again.',
+  crud: 'Too many requests from this session, please try again shortly.',
+  auth: 'Too many failed sign-in attempts from your network. Please wait, then sign in again.'
+};
+
+const enforceRateLimit = async (req, res, next, { store, db, routeClass, deferCrisis = false }) => {
+  const policy = rateLimitPolicies[routeClass];
+  const role = roleFor(req);
+
+  const limits = role === 'guest'
+    ? [
+      { key: `rl:${routeClass}:guest:${privacyKeyFor(req)}`, max: policy.guest },
+      { key: `rl:${routeClass}:net:${hashedIpFor(req)}`, max: policy.guestNetwork }
+    ]
+    : [{ key: `rl:${routeClass}:user:${req.user.id}`, max: policy[role] }];
+
+  // Guests get a session cookie so their next requests are counted per browser, not per network
+  if (role === 'guest' && req.session && !req.session.guest) {
+    req.session.guest = true;
+  }
+
+  let results;
+  try {
+    const courseLimit = await courseLimitFor(req, { db, routeClass, role });
+    if (courseLimit) {
+      limits[0].max = courseLimit;
+    }
+    results = await Promise.all(limits.map(limit => slidingHit(store, limit.key, policy.windowMs)));
+  } catch (error) {
+    // A store outage shouldn't take the whole API down
+    console.error('Rate limit check error:', error);
+    return next();
+  }
+
+  const exceeded = limits
+    .map((limit, index) => ({ ...limit, ...results[index] }))
+    .filter(limit => limit.count > limit.max);
+  if (exceeded.length === 0) {
+    req.rateLimitHits = { store, keys: results.map(result => result.currentKey), windowMs: policy.windowMs };
+    return next();
+  }
+
+  // Rejected requests don't count, or a client retrying too early would never get back in
+  results.forEach(result => store.decrement(result.currentKey).catch(error => {
+    console.error('Rate limit refund error:', error.message);
+  }));
+
+  const retryAfter = Math.max(...exceeded.map(limit => retryAfterSeconds({
+    max: limit.max,
+    windowMs: policy.windowMs,
+    current: limit.current - 1,
+    previous: limit.previous,
+    now: limit.now
+  })));
+
+  const options = {
+    statusCode: 429,
+    message: {
+      error: RATE_LIMIT_MESSAGES[routeClass],
+      code: 'rate_limited',
+      retryAfter: retryAfter,
+      routeClass: routeClass
+    }
+  };
+
+  // Only the tutor chat handlers know how to send a deferred limit
+  if (deferCrisis) {
+    return handleLimitReached(req, res, next, options);
+  }
+  sendRateLimitResponse(req, res, next, options);
+};
+
+// === FAILED AUTHENTICATION ===
+// Runs before authenticateUser, on every /api request that carries a token: the per-role limiters come
+// after authentication, so on their own they never see requests with bad tokens. Each 401 counts against
+// the network, and a network with too many is turned away before its token is checked again.
+const enforceAuthFailureLimit = async (req, res, next, { store }) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+
+  const policy = rateLimitPolicies.auth;
+  const key = `rl:auth:net:${hashedIpFor(req)}`;
+
+  let recent;
+  try {
+    recent = await slidingCount(store, key, policy.windowMs);
+  } catch (error) {
+    // A store outage shouldn't take the whole API down
+    console.error('Rate limit check error:', error);
+    return next();
+  }
+
+  if (recent.count + 1 > policy.network) {
+    return sendRateLimitResponse(req, res, next, {
+      statusCode: 429,
+      message: {
+        error: RATE_LIMIT_MESSAGES.auth,
+        code: 'rate_limited',
+        retryAfter: retryAfterSeconds({ max: policy.network, windowMs: policy.windowMs, ...recent }),
+        routeClass: 'auth'
+      }
+    });
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode === 401) {
+      addSlidingHit(store, key, policy.windowMs).catch(error => {
+        console.error('Rate limit count error:', error.message);
+      });
+    }
+  });
+  next();
+};
+
+// === CHEAP REQUESTS ===
+// Requests answered without calling the model (public answer cache hits) count as a fraction of a
+// request: the limiter's hit is handed back for all but one in CHEAP_REQUESTS_PER_HIT of them.
+// Counted per limiter key and window, alongside the key's own counter.
+const CHEAP_REQUESTS_PER_HIT = 4;
+
+const discountRateLimitHit = async (req) => {
+  if (!req.rateLimitHits) return;
+  const { store, keys, windowMs } = req.rateLimitHits;
+  req.rateLimitHits = null;             // Only ever once per request
+
+  try {
+    await Promise.all(keys.map(async (key) => {
+      const { totalHits } = await store.increment(`${key}:cheap`, windowMs * 2);
+      if (totalHits % CHEAP_REQUESTS_PER_HIT !== 0) {
+        await store.decrement(key);
+      }
+    }));
+  } catch (error) {
+    // The request simply keeps counting in full
+    console.error('Rate limit discount error:', error.message);
+  }
+};
+
+// === SETUP ===
+// Routes add app.locals.aiRateLimit or app.locals.crudRateLimit after authentication, so the
+// user's role is known; routes without authentication are limited as guests.
+// app.locals.chatRateLimit is the ai limiter for /api/gpt and /api/public/gpt, which send deferred limits.
+// The failed-authentication limit covers all of /api, so this must run before the routes are set up.
+const setupRateLimiting = (app, { store, db }) => {
+  app.use('/api', (req, res, next) => {
+    enforceAuthFailureLimit(req, res, next, { store });
+  });
+
+  app.locals.aiRateLimit = (req, res, next) => {
+    enforceRateLimit(req, res, next, { store, db, routeClass: 'ai' });
+  };
+  app.locals.chatRateLimit = (req, res, next) => {
+    enforceRateLimit(req, res, next, { store, db, routeClass: 'ai', deferCrisis: true });
+  };
+  app.locals.crudRateLimit = (req, res, next) => {
+    enforceRateLimit(req, res, next, { store, db, routeClass: 'crud' });
+  };
+};
+
+module.exports = {
+  loadRateLimitPolicies,
+  setupRateLimiting,
+  discountRateLimitHit,
+  privacyKeyFor,
+  slidingHit,
+  retryAfterSeconds,
+  sendRateLimitResponse,
+  handleLimitReached,
+  sendDeferredRateLimit
+};
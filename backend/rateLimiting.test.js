@@ -0,0 +1,101 @@
+/**
+ * @jest-environment node
+ */
+// === RATE LIMITING TESTS ===
+const { createMemoryStore } = require('./stores/memoryStore');
+const { loadRateLimitPolicies, slidingHit, retryAfterSeconds } = require('./rateLimiting');
+const { writeTempJson, removeTempFiles } = require('./testSupport');
+
+const WINDOW_MS = 60 * 1000;
+
+afterEach(removeTempFiles);
+
+describe('slidingHit', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 10 * WINDOW_MS;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts hits within the current window', async () => {
+    const store = createMemoryStore();
+
+    await expect(slidingHit(store, 'rl:test', WINDOW_MS)).resolves.toMatchObject({ count: 1, current: 1, previous: 0 });
+    await expect(slidingHit(store, 'rl:test', WINDOW_MS)).resolves.toMatchObject({ count: 2, current: 2, previous: 0 });
+    await expect(slidingHit(store, 'rl:other', WINDOW_MS)).resolves.toMatchObject({ count: 1 });
+  });
+
+  test('weights the previous window by how much of it still overlaps', async () => {
+    const store = createMemoryStore();
+    for (let hit = 0; hit < 4; hit++) {
+      await slidingHit(store, 'rl:test', WINDOW_MS);
+    }
+
+    now = 11 * WINDOW_MS + WINDOW_MS / 2;      // Halfway through the next window
+    const result = await slidingHit(store, 'rl:test', WINDOW_MS);
+
+    expect(result).toMatchObject({ count: 3, current: 1, previous: 4, currentKey: 'rl:test:11' });
+  });
+
+  test('forgets windows older than the previous one', async () => {
+    const store = createMemoryStore();
+    await slidingHit(store, 'rl:test', WINDOW_MS);
+    await slidingHit(store, 'rl:test', WINDOW_MS);
+
+    now = 12 * WINDOW_MS;
+    await expect(slidingHit(store, 'rl:test', WINDOW_MS)).resolves.toMatchObject({ count: 1, previous: 0 });
+  });
+});
+
+describe('retryAfterSeconds', () => {
+  const now = 10 * WINDOW_MS + WINDOW_MS / 4;  // A quarter into the window
+
+  test('waits for the previous window\'s weight to fade', () => {
+    expect(retryAfterSeconds({ max: 5, windowMs: WINDOW_MS, current: 2, previous: 4, now })).toBe(15);
+  });
+
+  test('waits into the next window when this one alone is full', () => {
+    expect(retryAfterSeconds({ max: 5, windowMs: WINDOW_MS, current: 5, previous: 0, now })).toBe(57);
+  });
+
+  test('never asks for less than a second', () => {
+    expect(retryAfterSeconds({ max: 5, windowMs: WINDOW_MS, current: 0, previous: 0, now })).toBe(1);
+  });
+});
+
+describe('loadRateLimitPolicies', () => {
+  test('uses the defaults without a policy file', () => {
+    const policies = loadRateLimitPolicies(null);
+
+    expect(Object.keys(policies).sort()).toEqual(['ai', 'auth', 'courses', 'crud']);
+    expect(policies.ai.student).toBeLessThan(policies.ai.instructor);
+    expect(policies.courses).toEqual({});
+  });
+
+  test('overrides single fields and keeps course overrides', () => {
+    const courses = { 'course-1': { ai: { student: 120 } } };
+    const policies = loadRateLimitPolicies(writeTempJson({ ai: { student: 60 }, auth: { network: 200 }, courses }));
+    const defaults = loadRateLimitPolicies(null);
+
+    expect(policies.ai).toEqual({ ...defaults.ai, student: 60 });
+    expect(policies.auth).toEqual({ ...defaults.auth, network: 200 });
+    expect(policies.courses).toEqual(courses);
+  });
+
+  test.each([
+    [{ ai: { teacher: 10 } }, /ai has an unknown field "teacher"/],
+    [{ auth: { student: 10 } }, /auth has an unknown field "student"/],
+    [{ crud: { guest: 0 } }, /crud.guest must be a positive whole number/],
+    [{ ai: { student: 2.5 } }, /ai.student must be a positive whole number/],
+    [{ uploads: { student: 10 } }, /unknown route class "uploads"/],
+    [{ courses: { 'course-1': { auth: { network: 10 } } } }, /course course-1 have an unknown route class "auth"/],
+    [{ courses: { 'course-1': { ai: { windowMs: 'long' } } } }, /courses.course-1.ai.windowMs must be a positive whole number/]
+  ])('rejects %j', (policies, error) => {
+    expect(() => loadRateLimitPolicies(writeTempJson(policies))).toThrow(error);
+  });
+});
@@ -1,30 +1,122 @@
 // === MAIN ROUTES SETUP ===
-const { authenticateUser } = require('./auth');
+const { authenticateUser, requireInstructorAccount, requireCourseRole } = require('./auth');
 const { handlePublicGpt } = require('./publicGpt');
 const { handleMainGpt } = require('./mainGpt');
+const { handleNextHint } = require('./hintLadder');
+const { handleGenerateQuiz } = require('./quizGenerator');
+const { handleExtractFlashcards } = require('./flashcardExtractor');
+const { handleSummarizeConversation } = require('./conversationSummary');
+const { handleSuggestTitle } = require('./titleSuggester');
 const { systemInstructions } = require('./aiInstructions');
 const {
   createConversation,
   getUserConversations,
   updateConversationTitle,
+  updateConversationTitleLock,
+  updateConversationMode,
   deleteConversation,
   getConversationMessages,
-  addMessage
+  addMessage,
+  addMessages
 } = require('./databaseRoutes');
-const { healthCheck, testModeration } = require('./utilityRoutes');
+const {
+  createDeck,
+  getUserDecks,
+  deleteDeck,
+  getDeckCards,
+  addCards,
+  reviewCard,
+  deleteCard
+} = require('./flashcardRoutes');
+const {
+  createCourse,
+  getUserCourses,
+  updateCourse,
+  joinCourse,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment
+} = require('./courseRoutes');
+const { handleCourseDashboard } = require('./integrityDashboard');
+const { healthCheck, testModeration, getTutoringModes, getPolicyProfiles } = require('./utilityRoutes');
 const { handleCleanupUnconfirmed } = require('./authRoutes');
+const { requireTokenQuota, handleGetUsage } = require('./tokenQuotas');
 
-const setupRoutes = (app, { supabase, supabaseAdmin, openai, db }) => {
+// Every /api route has a rate limiter: app.locals.chatRateLimit on routes that call the model,
+// app.locals.crudRateLimit on the rest. Both go after authenticateUser so the user's role picks the limit.
+// The tutor chat routes use app.locals.chatRateLimit, which lets possible crisis messages through.
+const setupRoutes = (app, { supabase, supabaseAdmin, provider, db, store }) => {
   // === PUBLIC AI ENDPOINT ===
-  app.post('/api/public/gpt', app.locals.publicRateLimit, (req, res) => {
-    handlePublicGpt(req, res, { openai, systemInstructions });
+  app.post('/api/public/gpt', app.locals.chatRateLimit, (req, res) => {
+    handlePublicGpt(req, res, { provider, systemInstructions, store });
+  });
+
+  // Streaming variant - tokens are pushed as Server-Sent Events
+  app.post('/api/public/gpt/stream', app.locals.chatRateLimit, (req, res) => {
+    handlePublicGpt(req, res, { provider, systemInstructions, store, stream: true });
   });
 
   // === MAIN AI ENDPOINT ===
   app.post('/api/gpt', (req, res, next) => {
     authenticateUser(req, res, next, { supabase });
+  }, app.locals.chatRateLimit, (req, res, next) => {
+    requireTokenQuota(req, res, next, { db });
+  }, (req, res) => {
+    handleMainGpt(req, res, { provider, db, store });
+  });
+
+  // Streaming variant - tokens are pushed as Server-Sent Events
+  app.post('/api/gpt/stream', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.chatRateLimit, (req, res, next) => {
+    requireTokenQuota(req, res, next, { db });
+  }, (req, res) => {
+    handleMainGpt(req, res, { provider, db, store, stream: true });
+  });
+
+  // === HINT LADDER ENDPOINT ===
+  app.post('/api/hints/next', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.aiRateLimit, (req, res, next) => {
+    requireTokenQuota(req, res, next, { db });
+  }, (req, res) => {
+    handleNextHint(req, res, { provider, db, store });
+  });
+
+  // === QUIZ ENDPOINT ===
+  app.post('/api/quiz', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.aiRateLimit, (req, res, next) => {
+    requireTokenQuota(req, res, next, { db });
+  }, (req, res) => {
+    handleGenerateQuiz(req, res, { provider, systemInstructions, db });
+  });
+
+  // === FLASHCARD EXTRACTION ENDPOINT ===
+  app.post('/api/flashcards/extract', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.aiRateLimit, (req, res, next) => {
+    requireTokenQuota(req, res, next, { db });
+  }, (req, res) => {
+    handleExtractFlashcards(req, res, { provider, systemInstructions, db });
+  });
+
+  // === CONVERSATION SUMMARY ENDPOINT ===
+  app.post('/api/summarize', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.aiRateLimit, (req, res, next) => {
+    requireTokenQuota(req, res, next, { db });
+  }, (req, res) => {
+    handleSummarizeConversation(req, res, { provider, systemInstructions, db });
+  });
+
+  // === CONVERSATION TITLE ENDPOINT ===
+  app.post('/api/titles/suggest', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.aiRateLimit, (req, res, next) => {
+    requireTokenQuota(req, res, next, { db });
   }, (req, res) => {
-    handleMainGpt(req, res, { openai, systemInstructions });
+    handleSuggestTitle(req, res, { provider, systemInstructions, db });
   });
 
   // === DATABASE API ENDPOINTS ===
@@ -32,45 +124,188 @@ const setupRoutes = (app, { supabase, supabaseAdmin, openai, db }) => {
   // Create new conversation
   app.post('/api/conversations', (req, res, next) => {
     authenticateUser(req, res, next, { supabase });
-  }, (req, res) => {
+  }, app.locals.crudRateLimit, (req, res) => {
     createConversation(req, res, { db });
   });
 
   // Get all conversations for user
   app.get('/api/conversations', (req, res, next) => {
     authenticateUser(req, res, next, { supabase });
-  }, (req, res) => {
+  }, app.locals.crudRateLimit, (req, res) => {
     getUserConversations(req, res, { db });
   });
 
   // Update conversation title
   app.put('/api/conversations/:id', (req, res, next) => {
     authenticateUser(req, res, next, { supabase });
-  }, (req, res) => {
+  }, app.locals.crudRateLimit, (req, res) => {
     updateConversationTitle(req, res, { db });
   });
 
+  // Lock or unlock a conversation's title
+  app.put('/api/conversations/:id/title-lock', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res) => {
+    updateConversationTitleLock(req, res, { db });
+  });
+
+  // Update conversation tutoring mode
+  app.put('/api/conversations/:id/mode', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res) => {
+    updateConversationMode(req, res, { db });
+  });
+
   // Delete conversation
   app.delete('/api/conversations/:id', (req, res, next) => {
     authenticateUser(req, res, next, { supabase });
-  }, (req, res) => {
+  }, app.locals.crudRateLimit, (req, res) => {
     deleteConversation(req, res, { db });
   });
 
   // Get messages for a conversation
   app.get('/api/conversations/:id/messages', (req, res, next) => {
     authenticateUser(req, res, next, { supabase });
-  }, (req, res) => {
+  }, app.locals.crudRateLimit, (req, res) => {
     getConversationMessages(req, res, { db });
   });
 
   // Add message to conversation
   app.post('/api/conversations/:id/messages', (req, res, next) => {
     authenticateUser(req, res, next, { supabase });
-  }, (req, res) => {
+  }, app.locals.crudRateLimit, (req, res) => {
     addMessage(req, res, { db });
   });
 
+  // Add a batch of messages (conversation imports)
+  app.post('/api/conversations/:id/messages/bulk', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res) => {
+    addMessages(req, res, { db });
+  });
+
+  // === FLASHCARD API ENDPOINTS ===
+
+  // Create new deck
+  app.post('/api/decks', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res) => {
+    createDeck(req, res, { db });
+  });
+
+  // Get all decks for user, with due counts
+  app.get('/api/decks', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res) => {
+    getUserDecks(req, res, { db });
+  });
+
+  // Delete deck
+  app.delete('/api/decks/:id', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res) => {
+    deleteDeck(req, res, { db });
+  });
+
+  // Get cards in a deck
+  app.get('/api/decks/:id/cards', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res) => {
+    getDeckCards(req, res, { db });
+  });
+
+  // Add cards to a deck
+  app.post('/api/decks/:id/cards', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res) => {
+    addCards(req, res, { db });
+  });
+
+  // Grade a review
+  app.post('/api/flashcards/:id/review', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res) => {
+    reviewCard(req, res, { db });
+  });
+
+  // Delete a card
+  app.delete('/api/flashcards/:id', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res) => {
+    deleteCard(req, res, { db });
+  });
+
+  // === COURSE API ENDPOINTS ===
+
+  // Create new course (instructor accounts only)
+  app.post('/api/courses', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, requireInstructorAccount, (req, res) => {
+    createCourse(req, res, { db });
+  });
+
+  // Get all courses for user
+  app.get('/api/courses', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res) => {
+    getUserCourses(req, res, { db });
+  });
+
+  // Change a course's settings (course instructors only)
+  app.put('/api/courses/:id', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res, next) => {
+    requireCourseRole(req, res, next, { db, roles: ['instructor'] });
+  }, (req, res) => {
+    updateCourse(req, res, { db });
+  });
+
+  // Join a course with its join code
+  app.post('/api/courses/join', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res) => {
+    joinCourse(req, res, { db });
+  });
+
+  // De-identified integrity dashboard (course instructors only)
+  app.get('/api/courses/:id/dashboard', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res, next) => {
+    requireCourseRole(req, res, next, { db, roles: ['instructor'] });
+  }, (req, res) => {
+    handleCourseDashboard(req, res, { db });
+  });
+
+  // Create an assignment in a course
+  app.post('/api/courses/:id/assignments', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res) => {
+    createAssignment(req, res, { db });
+  });
+
+  // Update an assignment's policy
+  app.put('/api/assignments/:id', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res) => {
+    updateAssignment(req, res, { db });
+  });
+
+  // Delete an assignment
+  app.delete('/api/assignments/:id', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res) => {
+    deleteAssignment(req, res, { db });
+  });
+
+  // === USAGE ENDPOINT ===
+
+  // Token usage and limits for the signed-in user
+  app.get('/api/usage', (req, res, next) => {
+    authenticateUser(req, res, next, { supabase });
+  }, app.locals.crudRateLimit, (req, res) => {
+    handleGetUsage(req, res, { db });
+  });
+
   // === UTILITY ENDPOINTS ===
   
   // Health check endpoint
@@ -78,15 +313,25 @@ const setupRoutes = (app, { supabase, supabaseAdmin, openai, db }) => {
     healthCheck(req, res);
   });
 
+  // Tutoring modes for the mode picker
+  app.get('/api/tutoring-modes', app.locals.crudRateLimit, (req, res) => {
+    getTutoringModes(req, res);
+  });
+
+  // Institution policy profiles for the course settings picker
+  app.get('/api/policy-profiles', app.locals.crudRateLimit, (req, res) => {
+    getPolicyProfiles(req, res);
+  });
+
   // Moderation test endpoint
   app.post('/test-moderation', (req, res) => {
-    testModeration(req, res, { openai });
+    testModeration(req, res, { provider });
   });
 
   // === AUTHENTICATION ENDPOINTS ===
   
   // Clean up unconfirmed users with same email
-  app.post('/api/auth/cleanup-unconfirmed', (req, res) => {
+  app.post('/api/auth/cleanup-unconfirmed', app.locals.crudRateLimit, (req, res) => {
     handleCleanupUnconfirmed(req, res, { supabase: supabaseAdmin });
   });
 };
@@ -1,8 +1,8 @@
 // === IMPORTS AND SETUP ===
 const express = require('express');      // Web server framework
-const OpenAI = require('openai');        // OpenAI API client library
+const { createProvider } = require('./providers'); // Pluggable LLM provider (OpenAI, local, mock)
+const { createStore, createSessionStore } = require('./stores'); // Shared store for rate limits and sessions
 const cors = require('cors');            // Cross-origin resource sharing
-const rateLimit = require('express-rate-limit'); // Rate limiting middleware
 const session = require('express-session'); // Session management for privacy-friendly rate limiting
 const crypto = require('crypto');        // For hashing (privacy protection)
 const path = require('path');            // For file path operations
@@ -36,6 +36,18 @@ if (!supabaseServiceRoleKey) {
 const supabase = createClient(supabaseUrl, supabaseAnonKey)
 const supabaseAdmin = createClient(supabaseUrl, supabaseServiceRoleKey)
 
+// === SHARED STORE SETUP ===
+// Rate-limit counters and sessions survive restarts and are shared between instances.
+// STORE_BACKEND selects the Supabase table (default) or an in-process store for tests
+let sharedStore;
+try {
+  sharedStore = createStore(process.env, { supabaseAdmin });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+console.log(`🗄️ Shared store: ${sharedStore.name}`);
+
 // === MIDDLEWARE SETUP ===
 // These run before every request
 app.use(express.json({ limit: '1mb' })); // Parse JSON request bodies with size limit
@@ -46,6 +58,7 @@ app.use(express.static('build'));
 
 // === PRIVACY-FIRST SESSION MANAGEMENT ===
 app.use(session({
+  store: createSessionStore(session, sharedStore), // Shared between instances, unlike the default MemoryStore
   secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'), // Random secret for sessions
   resave: false,                         // Don't save session if unmodified
   saveUninitialized: false,              // Don't create session until something stored
@@ -65,29 +78,25 @@ app.use(cors({
 }));
 
 // === RATE LIMITING SETUP ===
+// Per-route limiters, added in routes.js, and the failed-authentication limit on all of /api
+// (see rateLimiting.js for the policy table)
 const { setupRateLimiting } = require('./rateLimiting');
-setupRateLimiting(app);
-
-// === OPENAI CLIENT SETUP ===
-// Validate API key exists and has correct format
-if (!process.env.OPENAI_API_KEY) {
-  console.error('❌ OPENAI_API_KEY is required in project.env file');
+setupRateLimiting(app, { store: sharedStore, db });
+
+// === LLM PROVIDER SETUP ===
+// LLM_PROVIDER selects OpenAI (default), a local OpenAI-compatible server or the offline mock
+let provider;
+try {
+  provider = createProvider(process.env);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
-
-if (!process.env.OPENAI_API_KEY.startsWith('sk-')) {
-  console.error('❌ Invalid OPENAI_API_KEY format. Must start with "sk-"');
-  process.exit(1);
-}
-
-// This connects to OpenAI's servers using your API key
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,    // Your secret key from project.env file
-});
+console.log(`🤖 LLM provider: ${provider.name} (${provider.defaultModel})`);
 
 // === ROUTE SETUP ===
 const { setupRoutes } = require('./routes');
-setupRoutes(app, { supabase, supabaseAdmin, openai, db });
+setupRoutes(app, { supabase, supabaseAdmin, provider, db, store: sharedStore });
 
 // === CATCH-ALL ROUTE FOR REACT APP ===
 // Serve React app for any non-API routes (SPA routing)
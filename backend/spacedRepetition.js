@@ -0,0 +1,70 @@
+// === SPACED REPETITION (SM-2) ===
+// Schedules flashcard reviews. Only the schedule lives on the server;
+// card text is encrypted client-side and never needed here.
+
+// Review buttons map onto SM-2 quality scores (0-5)
+const REVIEW_GRADES = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  easy: 5
+};
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const RELEARN_MINUTES = 10;              // A failed card comes back later in the same session
+
+// Schedule a brand new card: due immediately
+const initialSchedule = (now = new Date()) => ({
+  ease: DEFAULT_EASE,
+  intervalDays: 0,
+  repetitions: 0,
+  dueAt: now.toISOString()
+});
+
+// === SCHEDULE THE NEXT REVIEW ===
+// card: { ease, intervalDays, repetitions }, grade: one of REVIEW_GRADES.
+// Returns the card's new { ease, intervalDays, repetitions, dueAt }
+const scheduleReview = (card, grade, now = new Date()) => {
+  const quality = REVIEW_GRADES[grade];
+  if (quality === undefined) {
+    throw new Error(`Unknown review grade "${grade}"`);
+  }
+
+  const ease = Math.max(
+    MIN_EASE,
+    (card.ease || DEFAULT_EASE) + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  if (quality < 3) {
+    return {
+      ease: Number(ease.toFixed(2)),
+      intervalDays: 0,
+      repetitions: 0,
+      dueAt: new Date(now.getTime() + RELEARN_MINUTES * 60 * 1000).toISOString()
+    };
+  }
+
+  const repetitions = (card.repetitions || 0) + 1;
+  let intervalDays;
+  if (repetitions === 1) {
+    intervalDays = 1;
+  } else if (repetitions === 2) {
+    intervalDays = 6;
+  } else {
+    intervalDays = Math.round(Math.max(card.intervalDays || 1, 1) * ease);
+  }
+
+  return {
+    ease: Number(ease.toFixed(2)),
+    intervalDays,
+    repetitions,
+    dueAt: new Date(now.getTime() + intervalDays * 24 * 60 * 60 * 1000).toISOString()
+  };
+};
+
+module.exports = {
+  REVIEW_GRADES,
+  initialSchedule,
+  scheduleReview
+};
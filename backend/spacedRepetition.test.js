@@ -0,0 +1,62 @@
+/**
+ * @jest-environment node
+ */
+// === SPACED REPETITION TESTS ===
+const { initialSchedule, scheduleReview } = require('./spacedRepetition');
+
+const NOW = new Date('2026-10-01T12:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysAfterNow = (dueAt) => (new Date(dueAt) - NOW) / DAY_MS;
+
+describe('initialSchedule', () => {
+  test('a new card is due straight away', () => {
+    expect(initialSchedule(NOW)).toEqual({ ease: 2.5, intervalDays: 0, repetitions: 0, dueAt: NOW.toISOString() });
+  });
+});
+
+describe('scheduleReview', () => {
+  test('good reviews space out to 1, 6, then interval times ease days', () => {
+    const first = scheduleReview(initialSchedule(NOW), 'good', NOW);
+    const second = scheduleReview(first, 'good', NOW);
+    const third = scheduleReview(second, 'good', NOW);
+
+    expect([first, second, third].map(card => card.intervalDays)).toEqual([1, 6, 15]);
+    expect([first, second, third].map(card => card.repetitions)).toEqual([1, 2, 3]);
+    expect(daysAfterNow(third.dueAt)).toBe(15);
+    expect(third.ease).toBe(2.5);
+  });
+
+  test('the grade moves the ease', () => {
+    const card = initialSchedule(NOW);
+
+    expect(scheduleReview(card, 'easy', NOW).ease).toBe(2.6);
+    expect(scheduleReview(card, 'hard', NOW).ease).toBe(2.36);
+  });
+
+  test('again starts the card over and brings it back in ten minutes', () => {
+    const learned = { ease: 2.5, intervalDays: 15, repetitions: 3 };
+    const failed = scheduleReview(learned, 'again', NOW);
+
+    expect(failed).toEqual({
+      ease: 1.96,
+      intervalDays: 0,
+      repetitions: 0,
+      dueAt: new Date(NOW.getTime() + 10 * 60 * 1000).toISOString()
+    });
+    expect(scheduleReview(failed, 'good', NOW).intervalDays).toBe(1);
+  });
+
+  test('ease never drops below 1.3', () => {
+    let card = initialSchedule(NOW);
+    for (let review = 0; review < 5; review++) {
+      card = scheduleReview(card, 'again', NOW);
+    }
+
+    expect(card.ease).toBe(1.3);
+  });
+
+  test('rejects unknown grades', () => {
+    expect(() => scheduleReview(initialSchedule(NOW), 'perfect', NOW)).toThrow('Unknown review grade "perfect"');
+  });
+});
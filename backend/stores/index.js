@@ -0,0 +1,36 @@
+// === SHARED STORE SELECTION ===
+// Rate-limit counters, prompt-injection cooldowns and sessions live in one key-value store, so they
+// survive restarts and are shared between instances. Every store exposes:
+//   name
+//   increment(key, windowMs) -> { totalHits, resetTime }   a new window starts on the first hit after expiry
+//   count(key) -> hits                                    0 when missing or expired
+//   decrement(key)
+//   get(key) -> value or null                             values are JSON
+//   set(key, value, ttlMs)
+//   delete(key)                                            removes counters and values alike
+const { createMemoryStore } = require('./memoryStore');
+const { createSupabaseStore } = require('./supabaseStore');
+const { createSessionStore } = require('./sessionStore');
+
+// === CREATE STORE FROM ENVIRONMENT ===
+// STORE_BACKEND picks the adapter: supabase (default) or memory (single process - tests and local dev).
+// The Supabase adapter needs the service-role client.
+const createStore = (env = process.env, { supabaseAdmin = null } = {}) => {
+  const storeName = (env.STORE_BACKEND || 'supabase').toLowerCase();
+
+  switch (storeName) {
+    case 'supabase':
+      if (!supabaseAdmin) {
+        throw new Error('The supabase store needs a service-role Supabase client');
+      }
+      return createSupabaseStore({ supabase: supabaseAdmin });
+
+    case 'memory':
+      return createMemoryStore();
+
+    default:
+      throw new Error(`Unknown STORE_BACKEND "${storeName}". Use supabase or memory.`);
+  }
+};
+
+module.exports = { createStore, createSessionStore };
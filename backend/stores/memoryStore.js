@@ -0,0 +1,64 @@
+// === IN-PROCESS STORE ===
+// Everything lives in this process's memory, so it resets on restart and isn't shared between
+// instances. Meant for tests and local development; deployments use the Supabase store.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+  const counters = new Map();            // key -> { hits, resetTime }
+  const values = new Map();              // key -> { json, expiresAt }
+
+  // Drop anything that has expired
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetTime.getTime() <= now) counters.delete(key);
+    }
+    for (const [key, entry] of values) {
+      if (entry.expiresAt <= now) values.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: 'memory',
+
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      const counter = counters.get(key);
+      if (!counter || counter.resetTime.getTime() <= now) {
+        const fresh = { hits: 1, resetTime: new Date(now + windowMs) };
+        counters.set(key, fresh);
+        return { totalHits: fresh.hits, resetTime: fresh.resetTime };
+      }
+      counter.hits += 1;
+      return { totalHits: counter.hits, resetTime: counter.resetTime };
+    },
+
+    count: async (key) => {
+      const counter = counters.get(key);
+      return counter && counter.resetTime.getTime() > Date.now() ? counter.hits : 0;
+    },
+
+    decrement: async (key) => {
+      const counter = counters.get(key);
+      if (counter && counter.hits > 0) counter.hits -= 1;
+    },
+
+    // Values are kept as JSON, like the database store, so callers can't share object references
+    get: async (key) => {
+      const entry = values.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) return null;
+      return JSON.parse(entry.json);
+    },
+
+    set: async (key, value, ttlMs) => {
+      values.set(key, { json: JSON.stringify(value), expiresAt: Date.now() + ttlMs });
+    },
+
+    delete: async (key) => {
+      counters.delete(key);
+      values.delete(key);
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,68 @@
+/**
+ * @jest-environment node
+ */
+// === IN-PROCESS STORE TESTS ===
+const { createMemoryStore } = require('./memoryStore');
+
+describe('createMemoryStore', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counters count up within their window and start over after it', async () => {
+    const store = createMemoryStore();
+
+    await expect(store.increment('hits', 1000)).resolves.toEqual({ totalHits: 1, resetTime: new Date(now + 1000) });
+    await expect(store.increment('hits', 1000)).resolves.toMatchObject({ totalHits: 2 });
+    await expect(store.count('hits')).resolves.toBe(2);
+
+    now += 1000;
+    await expect(store.count('hits')).resolves.toBe(0);
+    await expect(store.increment('hits', 1000)).resolves.toEqual({ totalHits: 1, resetTime: new Date(now + 1000) });
+  });
+
+  test('decrement takes a hit back but never goes below zero', async () => {
+    const store = createMemoryStore();
+    await store.increment('hits', 1000);
+
+    await store.decrement('hits');
+    await store.decrement('hits');
+    await store.decrement('missing');
+
+    await expect(store.count('hits')).resolves.toBe(0);
+    await expect(store.count('missing')).resolves.toBe(0);
+  });
+
+  test('values are copies that expire after their ttl', async () => {
+    const store = createMemoryStore();
+    const value = { guest: true, tags: ['a'] };
+    await store.set('session', value, 500);
+    value.tags.push('b');
+
+    const stored = await store.get('session');
+    expect(stored).toEqual({ guest: true, tags: ['a'] });
+    stored.guest = false;
+    await expect(store.get('session')).resolves.toEqual({ guest: true, tags: ['a'] });
+
+    now += 500;
+    await expect(store.get('session')).resolves.toBeNull();
+  });
+
+  test('delete removes counters and values under the key', async () => {
+    const store = createMemoryStore();
+    await store.increment('key', 1000);
+    await store.set('key', 'value', 1000);
+
+    await store.delete('key');
+
+    await expect(store.count('key')).resolves.toBe(0);
+    await expect(store.get('key')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+// === SESSION ADAPTER ===
+// Wraps a shared store in express-session's Store interface. Sessions expire with their cookie,
+// or after a day when the cookie has no maxAge.
+// Sessions only carry the guest flag, so a store outage shouldn't fail the request: express-session
+// would turn an error into a 500. Failed reads carry on without a session and failed writes are dropped.
+const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const createSessionStore = (session, store) => {
+  const keyFor = (sid) => `sess:${sid}`;
+  const ttlFor = (sess) => (sess.cookie && sess.cookie.maxAge) || DEFAULT_SESSION_TTL_MS;
+
+  class SharedSessionStore extends session.Store {
+    get(sid, callback) {
+      store.get(keyFor(sid)).then(sess => callback(null, sess), error => {
+        console.error('Session read error:', error.message);
+        callback(null, null);
+      });
+    }
+
+    set(sid, sess, callback = () => {}) {
+      store.set(keyFor(sid), sess, ttlFor(sess)).then(() => callback(null), error => {
+        console.error('Session write error:', error.message);
+        callback(null);
+      });
+    }
+
+    // Rewriting the session pushes its expiry back, like express-session's MemoryStore
+    touch(sid, sess, callback = () => {}) {
+      this.set(sid, sess, callback);
+    }
+
+    destroy(sid, callback = () => {}) {
+      store.delete(keyFor(sid)).then(() => callback(null), error => {
+        console.error('Session delete error:', error.message);
+        callback(null);
+      });
+    }
+  }
+
+  return new SharedSessionStore();
+};
+
+module.exports = { createSessionStore };
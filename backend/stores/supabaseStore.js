@@ -0,0 +1,104 @@
+// === SUPABASE STORE ===
+// Counters and values in the kv_store table (see SETUP_INSTRUCTIONS.md), so they survive restarts
+// and every serverless instance sees the same numbers. Uses the service role - the table has
+// row level security with no policies, so users can't read or reset it with their own tokens.
+// Counters go through the kv_increment / kv_decrement database functions so concurrent hits from
+// different instances can't overwrite each other.
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+const createSupabaseStore = ({ supabase, table = 'kv_store' }) => {
+  // Expired rows are already ignored and overwritten; this only keeps the table small
+  setInterval(async () => {
+    const { error } = await supabase
+      .from(table)
+      .delete()
+      .lt('expires_at', new Date().toISOString());
+
+    if (error) {
+      console.error('Supabase error sweeping expired store entries:', error);
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: 'supabase',
+
+    increment: async (key, windowMs) => {
+      const { data, error } = await supabase
+        .rpc('kv_increment', { store_key: key, window_ms: windowMs })
+        .single();
+
+      if (error) {
+        console.error('Supabase error incrementing store counter:', error);
+        throw new Error('Failed to increment store counter');
+      }
+
+      return { totalHits: data.hits, resetTime: new Date(data.expires_at) };
+    },
+
+    count: async (key) => {
+      const { data, error } = await supabase
+        .from(table)
+        .select('hits')
+        .eq('key', key)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle();
+
+      if (error) {
+        console.error('Supabase error reading store counter:', error);
+        throw new Error('Failed to read store counter');
+      }
+
+      return data ? data.hits : 0;
+    },
+
+    decrement: async (key) => {
+      const { error } = await supabase.rpc('kv_decrement', { store_key: key });
+
+      if (error) {
+        console.error('Supabase error decrementing store counter:', error);
+        throw new Error('Failed to decrement store counter');
+      }
+    },
+
+    get: async (key) => {
+      const { data, error } = await supabase
+        .from(table)
+        .select('value')
+        .eq('key', key)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle();
+
+      if (error) {
+        console.error('Supabase error reading store entry:', error);
+        throw new Error('Failed to read store entry');
+      }
+
+      return data ? data.value : null;
+    },
+
+    set: async (key, value, ttlMs) => {
+      const { error } = await supabase
+        .from(table)
+        .upsert({ key, value, hits: 0, expires_at: new Date(Date.now() + ttlMs).toISOString() });
+
+      if (error) {
+        console.error('Supabase error writing store entry:', error);
+        throw new Error('Failed to write store entry');
+      }
+    },
+
+    delete: async (key) => {
+      const { error } = await supabase
+        .from(table)
+        .delete()
+        .eq('key', key);
+
+      if (error) {
+        console.error('Supabase error deleting store entry:', error);
+        throw new Error('Failed to delete store entry');
+      }
+    }
+  };
+};
+
+module.exports = { createSupabaseStore };
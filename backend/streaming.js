@@ -0,0 +1,190 @@
+// === SERVER-SENT EVENTS HELPERS ===
+// Used by the streaming variants of /api/gpt and /api/public/gpt
+const { estimateUsage } = require('./conversationContext');
+
+// === TERMINAL EVENTS ===
+// Every stream ends with exactly one of these so the client knows why it stopped
+const TERMINAL_EVENTS = {
+  DONE: 'done',                          // Completion finished normally
+  MODERATION_ERROR: 'moderation_error',  // Input was flagged by moderation
+  RATE_LIMIT_ERROR: 'rate_limit_error',  // Our limiter or the upstream provider said slow down
+  UPSTREAM_ERROR: 'upstream_error'       // Anything else went wrong talking to the model
+};
+
+// Is this request asking for the SSE variant of an endpoint?
+const isStreamRequest = (req) => {
+  return (req.originalUrl || req.url || '').split('?')[0].endsWith('/stream');
+};
+
+// === OPEN THE STREAM ===
+const startEventStream = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'            // Stop proxies from buffering the whole response
+  });
+  res.flushHeaders();
+};
+
+// === SEND ONE EVENT ===
+const sendEvent = (res, event, data) => {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// === SEND A TERMINAL EVENT AND CLOSE ===
+const endEventStream = (res, event, data) => {
+  if (!res.headersSent) {
+    startEventStream(res);
+  }
+  sendEvent(res, event, data);
+  if (!res.writableEnded) {
+    res.end();
+  }
+};
+
+// === OUTPUT CHUNKS ===
+// With moderateChunk, text is checked in pieces before it is sent. A piece is cut at the end of a
+// sentence or line once it is long enough to judge, so the first words arrive quickly and the rest
+// follows sentence by sentence; text without sentence breaks is cut at whitespace instead.
+const OUTPUT_CHUNK_MIN_CHARS = 80;       // Shortest piece cut at a sentence or line end
+const OUTPUT_CHUNK_CHARS = 400;          // Longest piece before it is cut at whitespace
+const OUTPUT_CHUNK_OVERLAP = 100;        // Tail of the previous piece sent along, so a split phrase is still seen
+
+// === RELAY A MODEL STREAM TO THE CLIENT ===
+// Pushes each text delta as a `token` event and returns the assembled completion.
+// Once holdWhen(textSoFar) returns true, the rest of the reply is collected but not sent,
+// so the caller can replace it in the terminal event.
+// With moderateChunk(text) -> Promise<{ allowed }>, text is buffered into chunks and each chunk is sent
+// once its check passes. Checks run while the model keeps generating, so delivery lags by about one
+// moderation call rather than waiting for the whole reply. A failed check stops delivery and generation.
+// The caller decides which terminal event to send once this resolves.
+// onUsage(usage) is called once the stream ends, however it ends. A stream that stopped before the
+// provider's usage report (the client left, or a chunk was flagged) reports an estimate instead.
+const relayCompletionStream = async (res, provider, request, { holdWhen = null, moderateChunk = null, onUsage = null } = {}) => {
+  let response = '';
+  let usage = null;
+  let model = null;
+  let held = false;
+  let flagged = null;                    // The failed chunk check, if any
+
+  // === CHUNKED OUTPUT MODERATION ===
+  let pending = '';                      // Text waiting to be cut into a chunk
+  let previousTail = '';
+  const chunks = [];                     // In order: { text, checked, result, check }
+
+  const deliverCheckedChunks = () => {
+    while (!flagged && chunks.length > 0 && chunks[0].checked) {
+      const chunk = chunks.shift();
+      if (!chunk.result.allowed) {
+        flagged = chunk.result;
+        chunks.length = 0;
+        return;
+      }
+      sendEvent(res, 'token', { text: chunk.text });
+    }
+  };
+
+  const cutChunk = (length = pending.length) => {
+    const chunk = { text: pending.slice(0, length), checked: false, result: null };
+    chunk.check = moderateChunk(previousTail + chunk.text)
+      .then(result => { chunk.result = result; })
+      .catch(() => { chunk.result = { allowed: false, categories: [], failed: true }; })
+      .finally(() => {
+        chunk.checked = true;
+        deliverCheckedChunks();
+      });
+    previousTail = chunk.text.slice(-OUTPUT_CHUNK_OVERLAP);
+    pending = pending.slice(length);
+    chunks.push(chunk);
+  };
+
+  // Where to cut pending, or 0 to keep buffering: after the last sentence or line end, or at whitespace
+  // so words aren't split, unless a piece has none for a long stretch
+  const chunkLength = () => {
+    let sentenceEnd = 0;
+    for (const match of pending.matchAll(/[.!?:]["')\]]*\s+|\n+/g)) {
+      sentenceEnd = match.index + match[0].length;
+    }
+    if (sentenceEnd >= OUTPUT_CHUNK_MIN_CHARS) {
+      return sentenceEnd;
+    }
+    if (pending.length < OUTPUT_CHUNK_CHARS) {
+      return 0;
+    }
+    const lastSpace = pending.search(/\s\S*$/);
+    if (lastSpace >= OUTPUT_CHUNK_MIN_CHARS) {
+      return lastSpace + 1;
+    }
+    return pending.length >= OUTPUT_CHUNK_CHARS * 2 ? pending.length : 0;
+  };
+
+  // Stop paying for tokens nobody will read
+  const abortController = new AbortController();
+  const handleClose = () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  };
+  res.on('close', handleClose);
+
+  try {
+    const completionStream = provider.streamChatCompletion({ ...request, signal: abortController.signal });
+
+    for await (const chunk of completionStream) {
+      if (flagged) {
+        break;                           // Nothing more of this reply will be shown
+      }
+      if (chunk.text) {
+        response += chunk.text;
+        held = held || Boolean(holdWhen && holdWhen(response));
+        if (!held && moderateChunk) {
+          pending += chunk.text;
+          const length = chunkLength();
+          if (length > 0) {
+            cutChunk(length);
+          }
+        } else if (!held) {
+          sendEvent(res, 'token', { text: chunk.text });
+        }
+      }
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+      model = chunk.model || model;
+    }
+
+    // Check and send whatever is still buffered
+    if (moderateChunk && !flagged) {
+      if (pending) {
+        cutChunk();
+      }
+      await Promise.all(chunks.map(chunk => chunk.check));
+      deliverCheckedChunks();
+    }
+  } finally {
+    res.removeListener('close', handleClose);
+
+    // Nothing generated and nothing aborted means the provider refused the request - nothing to count
+    if (!usage && (response || abortController.signal.aborted)) {
+      usage = estimateUsage(request.messages, response);
+    }
+    if (onUsage && usage) {
+      onUsage(usage);
+    }
+  }
+
+  return { response, usage, model, held, flagged };
+};
+
+module.exports = {
+  TERMINAL_EVENTS,
+  isStreamRequest,
+  startEventStream,
+  sendEvent,
+  endEventStream,
+  relayCompletionStream
+};
@@ -0,0 +1,178 @@
+/**
+ * @jest-environment node
+ */
+// === STREAMING TESTS ===
+const { EventEmitter } = require('events');
+const { TERMINAL_EVENTS, isStreamRequest, endEventStream, relayCompletionStream } = require('./streaming');
+
+// Just enough of an Express response to record the events written to it
+const eventRecorder = () => {
+  const res = new EventEmitter();
+  res.written = '';
+  res.headersSent = false;
+  res.writableEnded = false;
+  res.status = () => res;
+  res.set = () => res;
+  res.flushHeaders = () => { res.headersSent = true; };
+  res.write = (text) => { res.written += text; };
+  res.end = () => { res.writableEnded = true; };
+  res.events = () => res.written.split('\n\n').filter(Boolean).map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+  res.tokens = () => res.events().filter(event => event.event === 'token').map(event => event.data.text);
+  return res;
+};
+
+const streamingProvider = (pieces, { usage = null } = {}) => ({
+  streamChatCompletion: async function* () {
+    for (const text of pieces) {
+      yield { text, model: 'mock-tutor' };
+    }
+    if (usage) {
+      yield { usage };
+    }
+  }
+});
+
+const request = { messages: [{ role: 'user', content: 'Explain limits' }] };
+
+// Sentences long enough to be cut into a chunk of their own
+const sentence = (word) => `${word} ${'is part of a sentence that is long enough to be moderated on its own '.repeat(2)}here. `;
+
+describe('isStreamRequest', () => {
+  test('matches the /stream variant of an endpoint, ignoring the query string', () => {
+    expect(isStreamRequest({ originalUrl: '/api/gpt/stream?x=1' })).toBe(true);
+    expect(isStreamRequest({ originalUrl: '/api/gpt' })).toBe(false);
+  });
+});
+
+describe('endEventStream', () => {
+  test('opens the stream if needed, sends one terminal event and closes it', () => {
+    const res = eventRecorder();
+    endEventStream(res, TERMINAL_EVENTS.DONE, { success: true });
+
+    expect(res.headersSent).toBe(true);
+    expect(res.events()).toEqual([{ event: 'done', data: { success: true } }]);
+    expect(res.writableEnded).toBe(true);
+  });
+});
+
+describe('relayCompletionStream', () => {
+  test('relays each delta as a token and assembles the completion', async () => {
+    const res = eventRecorder();
+    const usage = { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 };
+
+    const result = await relayCompletionStream(res, streamingProvider(['Limits ', 'describe ', 'approach.'], { usage }), request);
+
+    expect(res.tokens()).toEqual(['Limits ', 'describe ', 'approach.']);
+    expect(result).toEqual({ response: 'Limits describe approach.', usage, model: 'mock-tutor', held: false, flagged: null });
+  });
+
+  test('holds back the rest of the reply once holdWhen says so', async () => {
+    const res = eventRecorder();
+    const holdWhen = (textSoFar) => textSoFar.includes('def ');
+
+    const result = await relayCompletionStream(res, streamingProvider(['Here is ', 'def solve():', ' return 42']), request, { holdWhen });
+
+    expect(res.tokens()).toEqual(['Here is ']);
+    expect(result.held).toBe(true);
+    expect(result.response).toBe('Here is def solve(): return 42');
+  });
+
+  test('aborts the model request when the client goes away', async () => {
+    const res = eventRecorder();
+    let signal = null;
+    const provider = {
+      streamChatCompletion: async function* (completionRequest) {
+        signal = completionRequest.signal;
+        yield { text: 'First ' };
+        res.emit('close');
+        yield { text: 'second' };
+      }
+    };
+
+    await relayCompletionStream(res, provider, request);
+
+    expect(signal.aborted).toBe(true);
+  });
+
+  test('reports the provider\'s usage once the stream ends', async () => {
+    const usage = { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 };
+    const onUsage = jest.fn();
+
+    await relayCompletionStream(eventRecorder(), streamingProvider(['A reply.'], { usage }), request, { onUsage });
+
+    expect(onUsage).toHaveBeenCalledTimes(1);
+    expect(onUsage).toHaveBeenCalledWith(usage);
+  });
+
+  test('estimates usage when the stream ends without a usage report', async () => {
+    const onUsage = jest.fn();
+    await relayCompletionStream(eventRecorder(), streamingProvider(['A short reply.']), request, { onUsage });
+
+    expect(onUsage).toHaveBeenCalledWith(expect.objectContaining({ prompt_tokens: expect.any(Number), completion_tokens: expect.any(Number) }));
+  });
+
+  test('sends moderated text in sentence-sized chunks, each checked with the tail of the one before', async () => {
+    const res = eventRecorder();
+    const moderateChunk = jest.fn(async () => ({ allowed: true }));
+    const first = sentence('First');
+    const second = sentence('Second');
+
+    const result = await relayCompletionStream(res, streamingProvider([first.slice(0, 30), first.slice(30), second]), request, { moderateChunk });
+
+    expect(res.tokens()).toEqual([first, second]);
+    expect(moderateChunk).toHaveBeenCalledTimes(2);
+    expect(moderateChunk.mock.calls[0][0]).toBe(first);
+    expect(moderateChunk.mock.calls[1][0]).toBe(first.slice(-100) + second);
+    expect(result.flagged).toBeNull();
+  });
+
+  test('sends nothing from a flagged chunk onwards and stops generating', async () => {
+    const res = eventRecorder();
+    const flaggedCheck = { allowed: false, categories: ['violence'] };
+    const moderateChunk = jest.fn(async (text) => (text.includes('Second') ? flaggedCheck : { allowed: true }));
+    const pieces = [sentence('First'), sentence('Second'), sentence('Third'), sentence('Fourth')];
+    const provider = streamingProvider(pieces);
+    const generated = jest.fn();
+    const stream = provider.streamChatCompletion;
+    provider.streamChatCompletion = async function* (...args) {
+      for await (const chunk of stream(...args)) {
+        generated();
+        yield chunk;
+        await new Promise(resolve => setImmediate(resolve)); // Let the chunk's check finish first
+      }
+    };
+
+    const result = await relayCompletionStream(res, provider, request, { moderateChunk });
+
+    expect(res.tokens()).toEqual([pieces[0]]);
+    expect(result.flagged).toBe(flaggedCheck);
+    expect(generated).toHaveBeenCalledTimes(3); // The piece read while the flag came back is the last
+  });
+
+  test('treats a check that throws as flagged', async () => {
+    const res = eventRecorder();
+    const moderateChunk = jest.fn(async () => { throw new Error('Moderation API is down'); });
+
+    const result = await relayCompletionStream(res, streamingProvider(['Short reply.']), request, { moderateChunk });
+
+    expect(res.tokens()).toEqual([]);
+    expect(result.flagged).toMatchObject({ allowed: false, failed: true });
+  });
+
+  test('cuts long text without sentence breaks at whitespace', async () => {
+    const res = eventRecorder();
+    const moderateChunk = jest.fn(async () => ({ allowed: true }));
+    const words = Array(120).fill('word ');
+    const text = words.join('');
+
+    await relayCompletionStream(res, streamingProvider(words), request, { moderateChunk });
+
+    const tokens = res.tokens();
+    expect(tokens.join('')).toBe(text);
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.every(token => token.endsWith(' '))).toBe(true);
+  });
+});
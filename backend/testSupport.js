@@ -0,0 +1,26 @@
+// === TEST SUPPORT ===
+// Shared by the backend tests. The config loaders read files, so tests write their fixtures to
+// temporary directories; call removeTempFiles in afterEach to delete them again.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDirectories = [];
+
+// Writes value as JSON to a new temporary file and returns the file's path
+const writeTempJson = (value) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'honorably-test-'));
+  tempDirectories.push(directory);
+
+  const filePath = path.join(directory, 'config.json');
+  fs.writeFileSync(filePath, JSON.stringify(value));
+  return filePath;
+};
+
+const removeTempFiles = () => {
+  for (const directory of tempDirectories.splice(0)) {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+};
+
+module.exports = { writeTempJson, removeTempFiles };
@@ -0,0 +1,111 @@
+// === CONVERSATION TITLE ENDPOINT ===
+// Handles POST /api/titles/suggest. Suggests a short topical title from a conversation's first
+// exchange, instead of the student's first message cut off at 50 characters. Titles are encrypted
+// client-side, so the client sends the decrypted exchange, encrypts the suggestion itself and saves
+// it with PUT /api/conversations/:id. Nothing is kept on the server.
+const { sanitizeText, validateHistory, buildConversationMessages } = require('./conversationContext');
+const { buildSystemPrompt } = require('./aiInstructions');
+const { moderateText, sendModerationError } = require('./moderation');
+const { recordTokenUsage } = require('./tokenQuotas');
+
+const MAX_TITLE_TURNS = 4;               // The opening exchange is enough to name the topic
+const MAX_TITLE_LENGTH = 60;
+
+// === TITLE OVERLAY ===
+const TITLE_OVERLAY = `TITLE MODE: Name the subject of this study session for the student's conversation list.
+Reply with ONLY the title: 2 to 6 words naming the topic (for example "Derivatives of trig functions" or "Causes of World War I").
+Name the concept, not the request - never "Answer to question 3" or "Homework help". No quotes, no ending punctuation.`;
+
+// === CLEAN THE MODEL'S TITLE ===
+// Returns the title, or null when the reply is not usable
+const cleanTitle = (content) => {
+  const firstLine = (content || '').split('\n').map(line => line.trim()).find(Boolean) || '';
+  const title = firstLine
+    .replace(/^title\s*:\s*/i, '')
+    .replace(/^["'“”‘’*]+|["'“”‘’*]+$/g, '')
+    .replace(/[.!?:;,]+$/, '')
+    .trim();
+
+  if (!title) return null;
+  return title.length > MAX_TITLE_LENGTH ? `${title.substring(0, MAX_TITLE_LENGTH - 3).trim()}...` : title;
+};
+
+// === SUGGEST ENDPOINT ===
+const handleSuggestTitle = async (req, res, { provider, systemInstructions, db }) => {
+  try {
+    // === STEP 1: EXTRACT AND VALIDATE INPUT ===
+    const {
+      messages = []                      // Decrypted opening turns of the conversation
+    } = req.body;
+
+    const messagesError = validateHistory(messages);
+    if (messagesError) {
+      return res.status(400).json({ error: `Invalid messages: ${messagesError}` });
+    }
+
+    if (!messages.some(message => message.role === 'user')) {
+      return res.status(400).json({ error: 'At least one student message is required to suggest a title' });
+    }
+
+    const opening = messages.slice(0, MAX_TITLE_TURNS);
+
+    // === STEP 2: CONTENT MODERATION ===
+    const studentText = opening
+      .filter(message => message.role === 'user')
+      .map(message => message.content)
+      .join('\n');
+    const moderation = await moderateText(provider, studentText, { endpoint: 'titles' });
+    if (!moderation.allowed) {
+      return sendModerationError(res, moderation);
+    }
+
+    // === STEP 3: WRITE THE TITLE ===
+    const transcript = opening
+      .map(message => `${message.role === 'user' ? 'Student' : 'Tutor'}: ${sanitizeText(message.content)}`)
+      .join('\n\n')
+      .replace(/"""/g, '" " "');
+    const { messages: promptMessages } = buildConversationMessages({
+      systemInstructions: buildSystemPrompt(systemInstructions, {
+        overlays: [TITLE_OVERLAY]
+      }),
+      history: [],
+      message: `Title this study session:\n"""\n${transcript}\n"""`,
+      maxTokens: 20
+    });
+
+    const completion = await provider.createChatCompletion({
+      messages: promptMessages,
+      maxTokens: 20,
+      temperature: 0.3
+    });
+    recordTokenUsage(db, req, completion.usage);
+
+    const title = cleanTitle(completion.content);
+    if (!title) {
+      console.error('Title suggestion returned an unusable reply');
+      return res.status(502).json({ error: 'Could not suggest a title. Please try again.' });
+    }
+
+    // === STEP 4: SEND RESPONSE ===
+    res.json({
+      success: true,
+      title: title,
+      usage: completion.usage,
+      model: completion.model
+    });
+
+  } catch (error) {
+    console.error('Title suggestion error:', error);
+
+    if (error.status === 429 || error.code === 'rate_limit_exceeded') {
+      return res.status(429).json({ error: 'The AI service is busy right now. Please try again in a moment.' });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+};
+
+module.exports = { handleSuggestTitle, cleanTitle };
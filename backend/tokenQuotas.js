@@ -0,0 +1,171 @@
+// === TOKEN QUOTAS ===
+// The rate limiter caps requests, not how long they are, so each signed-in user also has daily and
+// monthly token budgets. Budgets come from the account role (app_metadata.role) with optional
+// per-user overrides in the token_quotas table. Usage is stored per user per UTC day in token_usage
+// and checked before any model call; it only ever grows, through the record_token_usage database
+// function, so nobody can lower their own count.
+const fs = require('fs');
+const { sendRateLimitResponse } = require('./rateLimiting');
+
+const QUOTA_PERIODS = ['daily', 'monthly'];
+const DEFAULT_ROLE = 'student';
+
+// null means unlimited
+const DEFAULT_ROLE_QUOTAS = {
+  student: { daily: 50000, monthly: 600000 },
+  instructor: { daily: 200000, monthly: 2000000 },
+  admin: { daily: null, monthly: null }
+};
+
+const QUOTA_MESSAGES = {
+  daily: 'You\'ve used today\'s AI tutor allowance. It resets at midnight UTC - your conversations and flashcards are still available until then.',
+  monthly: 'You\'ve used this month\'s AI tutor allowance. It resets on the 1st - ask your instructor or administrator if you need more.'
+};
+
+// === ROLE QUOTAS ===
+// TOKEN_QUOTAS_PATH may point at a JSON object of { role: { daily, monthly } } that overrides the defaults
+const validateLimit = (role, period, limit) => {
+  if (limit !== null && (!Number.isInteger(limit) || limit < 0)) {
+    throw new Error(`Token quota "${role}.${period}" must be a whole number of tokens or null`);
+  }
+};
+
+const loadRoleQuotas = (quotasPath = process.env.TOKEN_QUOTAS_PATH) => {
+  const overrides = quotasPath ? JSON.parse(fs.readFileSync(quotasPath, 'utf8')) : {};
+
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Token quotas file must contain a JSON object');
+  }
+
+  const quotas = { ...DEFAULT_ROLE_QUOTAS };
+  for (const [role, limits] of Object.entries(overrides)) {
+    const merged = { ...(quotas[role] || quotas[DEFAULT_ROLE]), ...limits };
+    QUOTA_PERIODS.forEach(period => validateLimit(role, period, merged[period]));
+    quotas[role] = merged;
+  }
+  return quotas;
+};
+
+const roleQuotas = loadRoleQuotas();
+
+const roleFor = (user) => {
+  const role = user.app_metadata && user.app_metadata.role;
+  return roleQuotas[role] ? role : DEFAULT_ROLE;
+};
+
+// === PERIODS ===
+// UTC, matching the usage_date the database function writes
+const periodStart = (period, now) => {
+  const day = now.toISOString().slice(0, 10);
+  return period === 'daily' ? day : `${day.slice(0, 7)}-01`;
+};
+
+const periodReset = (period, now) => {
+  const reset = period === 'daily'
+    ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+    : Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return new Date(reset).toISOString();
+};
+
+// === QUOTA STATUS ===
+// Returns { role, daily, monthly, exceeded } where each period is { used, limit, resetsAt }
+// and exceeded names the first period that is used up, or null
+const getQuotaStatus = async (db, user, accessToken) => {
+  const now = new Date();
+  const [usageRows, override] = await Promise.all([
+    db.getTokenUsage(user.id, periodStart('monthly', now), accessToken),
+    db.getUserTokenQuota(user.id, accessToken)
+  ]);
+
+  const role = roleFor(user);
+  const status = { role, exceeded: null };
+
+  for (const period of QUOTA_PERIODS) {
+    const since = periodStart(period, now);
+    const used = usageRows
+      .filter(row => row.usage_date >= since)
+      .reduce((total, row) => total + Number(row.total_tokens), 0);
+
+    // A per-user override replaces the role's limit for that period; null there means "use the role's"
+    const overrideLimit = override ? override[`${period}_limit`] : null;
+    const limit = overrideLimit !== null && overrideLimit !== undefined ? overrideLimit : roleQuotas[role][period];
+
+    status[period] = { used, limit, resetsAt: periodReset(period, now) };
+    if (!status.exceeded && limit !== null && used >= limit) {
+      status.exceeded = period;
+    }
+  }
+
+  return status;
+};
+
+// === QUOTA MIDDLEWARE ===
+// Runs after authenticateUser on every route that calls the model. Over-quota requests get a 429
+// with code "token_quota_exceeded" - as a rate_limit_error event on streams.
+const requireTokenQuota = async (req, res, next, { db }) => {
+  let status;
+  try {
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    status = await getQuotaStatus(db, req.user, accessToken);
+  } catch (error) {
+    // A usage lookup failure shouldn't lock every student out
+    console.error('Token quota check error:', error);
+    return next();
+  }
+
+  if (!status.exceeded) {
+    return next();
+  }
+
+  const { used, limit, resetsAt } = status[status.exceeded];
+  res.set('Retry-After', String(Math.ceil((new Date(resetsAt) - Date.now()) / 1000)));
+  sendRateLimitResponse(req, res, next, {
+    statusCode: 429,
+    message: {
+      error: QUOTA_MESSAGES[status.exceeded],
+      code: 'token_quota_exceeded',
+      period: status.exceeded,
+      used,
+      limit,
+      resetsAt
+    }
+  });
+};
+
+// === RECORD USAGE ===
+// Fire-and-forget after every model call a request makes - including classifier calls, audit retries
+// and streams cut short (see relayCompletionStream). Counting must never slow down or break a request.
+const recordTokenUsage = (db, req, usage) => {
+  if (!usage) return;
+
+  const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  if (promptTokens + completionTokens === 0) return;
+
+  db.recordTokenUsage(promptTokens, completionTokens, accessToken).catch(error => {
+    console.error('Failed to record token usage:', error.message);
+  });
+};
+
+// === USAGE ENDPOINT ===
+// Handles GET /api/usage - the signed-in user's consumption and limits
+const handleGetUsage = async (req, res, { db }) => {
+  try {
+    const accessToken = req.headers.authorization.substring(7); // Remove 'Bearer ' prefix
+    const { role, daily, monthly } = await getQuotaStatus(db, req.user, accessToken);
+    res.json({ role, daily, monthly });
+  } catch (error) {
+    console.error('Error loading token usage:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  QUOTA_PERIODS,
+  loadRoleQuotas,
+  getQuotaStatus,
+  requireTokenQuota,
+  recordTokenUsage,
+  handleGetUsage
+};
@@ -0,0 +1,145 @@
+/**
+ * @jest-environment node
+ */
+// === TOKEN QUOTA TESTS ===
+const { loadRoleQuotas, getQuotaStatus, requireTokenQuota, recordTokenUsage } = require('./tokenQuotas');
+const { writeTempJson, removeTempFiles } = require('./testSupport');
+
+afterEach(removeTempFiles);
+
+const NOW = new Date('2026-10-19T15:00:00.000Z');
+const student = { id: 'student-1', app_metadata: {} };
+const req = { user: student, headers: { authorization: 'Bearer test-token' }, originalUrl: '/api/gpt' };
+
+const usageDb = (rows, override = null) => ({
+  getTokenUsage: jest.fn().mockResolvedValue(rows),
+  getUserTokenQuota: jest.fn().mockResolvedValue(override),
+  recordTokenUsage: jest.fn().mockResolvedValue({ success: true })
+});
+
+const responseRecorder = () => {
+  const res = { statusCode: 200, body: null, headers: {} };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  return res;
+};
+
+describe('loadRoleQuotas', () => {
+  test('overrides single limits and gives new roles the student limits to start from', () => {
+    const quotas = loadRoleQuotas(writeTempJson({ ta: { monthly: null }, student: { daily: 20000 } }));
+
+    expect(quotas.student).toEqual({ daily: 20000, monthly: 600000 });
+    expect(quotas.ta).toEqual({ daily: 50000, monthly: null });
+  });
+
+  test('rejects limits that are not whole numbers of tokens', () => {
+    expect(() => loadRoleQuotas(writeTempJson({ student: { daily: 1.5 } }))).toThrow('"student.daily"');
+    expect(() => loadRoleQuotas(writeTempJson([]))).toThrow('JSON object');
+  });
+});
+
+describe('getQuotaStatus', () => {
+  beforeEach(() => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('adds up today\'s and this month\'s usage against the role\'s limits', async () => {
+    const db = usageDb([
+      { usage_date: '2026-10-02', total_tokens: '100000' },
+      { usage_date: '2026-10-19', total_tokens: 30000 }
+    ]);
+
+    const status = await getQuotaStatus(db, student, 'test-token');
+
+    expect(db.getTokenUsage).toHaveBeenCalledWith('student-1', '2026-10-01', 'test-token');
+    expect(status).toEqual({
+      role: 'student',
+      exceeded: null,
+      daily: { used: 30000, limit: 50000, resetsAt: '2026-10-20T00:00:00.000Z' },
+      monthly: { used: 130000, limit: 600000, resetsAt: '2026-11-01T00:00:00.000Z' }
+    });
+  });
+
+  test('a per-user override replaces the role\'s limit, and null there keeps it', async () => {
+    const db = usageDb([{ usage_date: '2026-10-19', total_tokens: 60000 }], { daily_limit: 150000, monthly_limit: null });
+
+    const status = await getQuotaStatus(db, student, 'test-token');
+
+    expect(status.daily.limit).toBe(150000);
+    expect(status.monthly.limit).toBe(600000);
+    expect(status.exceeded).toBeNull();
+  });
+
+  test('names the first period that is used up; unknown roles count as students', async () => {
+    const db = usageDb([{ usage_date: '2026-10-19', total_tokens: 50000 }]);
+
+    const status = await getQuotaStatus(db, { ...student, app_metadata: { role: 'wizard' } }, 'test-token');
+
+    expect(status.role).toBe('student');
+    expect(status.exceeded).toBe('daily');
+  });
+});
+
+describe('requireTokenQuota', () => {
+  test('lets requests under the limit through', async () => {
+    const next = jest.fn();
+    await requireTokenQuota(req, responseRecorder(), next, { db: usageDb([]) });
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('turns away a user over the limit with a 429 until the reset', async () => {
+    const next = jest.fn();
+    const res = responseRecorder();
+    const today = new Date().toISOString().slice(0, 10);
+
+    await requireTokenQuota(req, res, next, { db: usageDb([{ usage_date: today, total_tokens: 50000 }]) });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(429);
+    expect(res.body).toMatchObject({ code: 'token_quota_exceeded', period: 'daily', used: 50000, limit: 50000 });
+    expect(Number(res.headers['Retry-After'])).toBeGreaterThan(0);
+  });
+
+  test('a usage lookup failure lets the request through', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const db = usageDb([]);
+    db.getTokenUsage.mockRejectedValue(new Error('Database unavailable'));
+    const next = jest.fn();
+
+    await requireTokenQuota(req, responseRecorder(), next, { db });
+
+    expect(next).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
+
+describe('recordTokenUsage', () => {
+  test('records through the database function with the user\'s own token', () => {
+    const db = usageDb([]);
+    recordTokenUsage(db, req, { prompt_tokens: 120, completion_tokens: 80, total_tokens: 200 });
+
+    expect(db.recordTokenUsage).toHaveBeenCalledWith(120, 80, 'test-token');
+  });
+
+  test('skips empty usage and never throws when recording fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const db = usageDb([]);
+    db.recordTokenUsage.mockRejectedValue(new Error('Database unavailable'));
+
+    recordTokenUsage(db, req, null);
+    recordTokenUsage(db, req, { prompt_tokens: 0, completion_tokens: 0 });
+    expect(db.recordTokenUsage).not.toHaveBeenCalled();
+
+    expect(() => recordTokenUsage(db, req, { prompt_tokens: 1, completion_tokens: 1 })).not.toThrow();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(console.error).toHaveBeenCalledWith('Failed to record token usage:', 'Database unavailable');
+    console.error.mockRestore();
+  });
+});
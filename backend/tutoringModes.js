@@ -0,0 +1,69 @@
+// === TUTORING MODES ===
+// Vetted prompt overlays a student can pick per conversation.
+// Overlays are appended after the locked system instructions and never replace them,
+// so the anti-cheating rules apply in every mode.
+
+const DEFAULT_MODE = 'explain';
+
+const TUTORING_MODES = {
+  socratic: {
+    label: 'Socratic',
+    description: 'Answers with guiding questions only',
+    maxTokens: 250,
+    temperature: 0.6,
+    overlay: `TUTORING MODE - SOCRATIC: Respond only with guiding questions.
+Ask 1-3 short questions that lead the student to the next idea. Do not explain the answer or state conclusions yourself.
+If the student is stuck after several questions, narrow the question rather than giving the answer.`
+  },
+
+  hints: {
+    label: 'Hints',
+    description: 'Progressive hints, one step at a time',
+    maxTokens: 200,
+    temperature: 0.5,
+    overlay: `TUTORING MODE - HINTS: Give exactly one hint per reply, starting with the gentlest nudge.
+Each later hint may be slightly more specific than the last, but never reveal the final answer or complete the final step.`
+  },
+
+  explain: {
+    label: 'Explain',
+    description: 'Full explanations of concepts (not homework answers)',
+    maxTokens: 500,
+    temperature: 0.7,
+    overlay: `TUTORING MODE - EXPLAIN: Explain the underlying concept clearly and completely, with a small example that is different from any homework problem the student shared.
+This mode is for understanding concepts - it does not relax the anti-cheating rules above.`
+  },
+
+  check: {
+    label: 'Check my work',
+    description: 'Feedback on your own attempt',
+    maxTokens: 400,
+    temperature: 0.3,
+    overlay: `TUTORING MODE - CHECK MY WORK: The student will share their own attempt. Point out which steps are correct and where the first mistake is, and explain why it is a mistake.
+Do not write a corrected full solution - let the student fix it. If no attempt is included, ask the student to share their work first.`
+  }
+};
+
+// === LOOKUPS ===
+const isValidMode = (mode) => Object.prototype.hasOwnProperty.call(TUTORING_MODES, mode);
+
+const getTutoringMode = (mode) => {
+  return TUTORING_MODES[isValidMode(mode) ? mode : DEFAULT_MODE];
+};
+
+// Public listing for the mode picker (no prompt text)
+const listTutoringModes = () => {
+  return Object.entries(TUTORING_MODES).map(([id, mode]) => ({
+    id,
+    label: mode.label,
+    description: mode.description
+  }));
+};
+
+module.exports = {
+  DEFAULT_MODE,
+  TUTORING_MODES,
+  isValidMode,
+  getTutoringMode,
+  listTutoringModes
+};
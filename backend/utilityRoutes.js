@@ -1,3 +1,7 @@
+const { DEFAULT_MODE, listTutoringModes } = require('./tutoringModes');
+const { getPolicyProfile, listPolicyProfiles } = require('./policyProfiles');
+const { activeThresholds, moderateText } = require('./moderation');
+
 // === UTILITY ENDPOINTS ===
 
 // Health check endpoint
@@ -5,31 +9,40 @@ const healthCheck = (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 };
 
-// Moderation test endpoint
-const testModeration = async (req, res, { openai }) => {
-  try {
-    const testMessage = req.body.message || "This is a test message";
-    
-    console.log('🧪 Testing moderation with:', testMessage);
-    
-    const moderation = await openai.moderations.create({
-      model: "omni-moderation-latest",
-      input: [
-        { type: "text", text: testMessage }
-      ],
-    });
-
-    const result = moderation.results[0];
-    
-    res.json({
-      message: testMessage,
-      flagged: result.flagged,
-      categories: Object.keys(result.categories).filter(key => result.categories[key]),
-      scores: result.category_scores
-    });
-  } catch (error) {
-    res.status(500).json({ error: 'Moderation test failed', details: error.message });
+// Moderation test endpoint - same service and thresholds as the chat endpoints, with the details shown
+const testModeration = async (req, res, { provider }) => {
+  const testMessage = req.body.message || "This is a test message";
+
+  console.log('🧪 Testing moderation with:', testMessage);
+
+  const result = await moderateText(provider, testMessage, { endpoint: 'test' });
+  if (result.failed) {
+    return res.status(500).json({ error: 'Moderation test failed' });
   }
+
+  res.json({
+    message: testMessage,
+    flagged: !result.allowed,
+    categories: result.categories,
+    scores: result.scores,
+    thresholds: activeThresholds,
+    skipped: result.skipped
+  });
+};
+
+// Tutoring modes endpoint (labels only - prompt overlays stay on the server)
+const getTutoringModes = (req, res) => {
+  res.json({ defaultMode: DEFAULT_MODE, modes: listTutoringModes() });
+};
+
+// Policy profiles endpoint (labels only - trigger lists and wording stay on the server)
+const getPolicyProfiles = (req, res) => {
+  const deploymentProfile = getPolicyProfile(null);
+  res.json({
+    defaultProfile: deploymentProfile.id,
+    version: deploymentProfile.version,
+    profiles: listPolicyProfiles()
+  });
 };
 
-module.exports = { healthCheck, testModeration };
+module.exports = { healthCheck, testModeration, getTutoringModes, getPolicyProfiles };
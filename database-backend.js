@@ -4,6 +4,7 @@ const { createClient } = require('@supabase/supabase-js');
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
+const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY; // Only for de-identified course analytics
 
 if (!supabaseUrl || !supabaseAnonKey) {
   console.error('❌ SUPABASE_URL and SUPABASE_ANON_KEY are required in environment variables');
@@ -15,7 +16,8 @@ const supabase = createClient(supabaseUrl, supabaseAnonKey);
 // === CONVERSATION ENDPOINTS ===
 
 // Create new conversation
-async function createConversation(userId, title, accessToken) {
+// courseId/assignmentId link the conversation to a course the user belongs to
+async function createConversation(userId, title, accessToken, { mode, courseId = null, assignmentId = null } = {}) {
   try {
     // Create authenticated Supabase client with user's session token
     const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
@@ -26,11 +28,40 @@ async function createConversation(userId, title, accessToken) {
       }
     });
 
+    // Verify the user belongs to the course, and the assignment to the course
+    if (courseId) {
+      const { data: membership, error: memberError } = await authenticatedSupabase
+        .from('course_members')
+        .select('role')
+        .eq('course_id', courseId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (memberError || !membership) {
+        throw new Error('Course not found');
+      }
+    }
+
+    if (assignmentId) {
+      const { data: assignment, error: assignmentError } = await authenticatedSupabase
+        .from('assignments')
+        .select('course_id')
+        .eq('id', assignmentId)
+        .single();
+
+      if (assignmentError || !assignment || assignment.course_id !== courseId) {
+        throw new Error('Assignment not found in this course');
+      }
+    }
+
     const { data, error } = await authenticatedSupabase
       .from('conversations')
       .insert([{ 
         title: title, 
-        user_id: userId 
+        user_id: userId,
+        mode: mode,
+        course_id: courseId,
+        assignment_id: assignmentId
       }])
       .select()
       .single();
@@ -107,6 +138,66 @@ async function updateConversationTitle(conversationId, userId, newTitle, accessT
   }
 }
 
+// Lock or unlock a conversation's title. A locked title is never replaced by a suggested one.
+async function updateConversationTitleLock(conversationId, userId, locked, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { error } = await authenticatedSupabase
+      .from('conversations')
+      .update({ title_locked: locked })
+      .eq('id', conversationId)
+      .eq('user_id', userId); // Ensure user owns the conversation
+
+    if (error) {
+      console.error('Supabase error updating title lock:', error);
+      throw new Error('Failed to update title lock');
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating title lock:', error);
+    throw error;
+  }
+}
+
+// Update conversation tutoring mode
+async function updateConversationMode(conversationId, userId, mode, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { error } = await authenticatedSupabase
+      .from('conversations')
+      .update({ mode: mode })
+      .eq('id', conversationId)
+      .eq('user_id', userId); // Ensure user owns the conversation
+
+    if (error) {
+      console.error('Supabase error updating conversation mode:', error);
+      throw new Error('Failed to update conversation mode');
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating conversation mode:', error);
+    throw error;
+  }
+}
+
 // Delete conversation and all its messages
 async function deleteConversation(conversationId, userId, accessToken) {
   try {
@@ -198,7 +289,9 @@ async function getConversationMessages(conversationId, userId, accessToken) {
 }
 
 // Add new message to conversation
-async function addMessage(conversationId, userId, role, content, accessToken) {
+// type marks special messages (e.g. 'quiz_result'); ordinary chat turns are 'text'
+// metadata is stored unencrypted - only non-content state such as hint levels belongs there
+async function addMessage(conversationId, userId, role, content, accessToken, { type = 'text', metadata = null } = {}) {
   try {
     // Create authenticated Supabase client with user's session token
     const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
@@ -230,7 +323,9 @@ async function addMessage(conversationId, userId, role, content, accessToken) {
       .insert([{
         conversation_id: conversationId,
         role: role,
-        content: content
+        content: content,
+        type: type,
+        metadata: metadata
       }])
       .select()
       .single();
@@ -247,14 +342,1091 @@ async function addMessage(conversationId, userId, role, content, accessToken) {
   }
 }
 
-module.exports = {
-  // Conversation operations
-  createConversation,
-  getUserConversations,
-  updateConversationTitle,
-  deleteConversation,
-  
-  // Message operations
-  getConversationMessages,
-  addMessage
+// Add a batch of messages in one insert. Messages without a createdAt get the current time.
+async function addMessages(conversationId, userId, messages, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    // First verify user owns the conversation
+    const { data: conversation, error: convError } = await authenticatedSupabase
+      .from('conversations')
+      .select('user_id')
+      .eq('id', conversationId)
+      .single();
+
+    if (convError || !conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (conversation.user_id !== userId) {
+      throw new Error('Unauthorized access to conversation');
+    }
+
+    const { data, error } = await authenticatedSupabase
+      .from('messages')
+      .insert(messages.map(message => ({
+        conversation_id: conversationId,
+        role: message.role,
+        content: message.content,
+        type: message.type,
+        metadata: message.metadata,
+        ...(message.createdAt ? { created_at: message.createdAt } : {})
+      })), { defaultToNull: false }) // Rows without created_at take the column default, not null
+      .select();
+
+    if (error) {
+      console.error('Supabase error adding messages:', error);
+      throw new Error('Failed to add messages');
+    }
+
+    return { success: true, messages: data || [] };
+  } catch (error) {
+    console.error('Error adding messages:', error);
+    throw error;
+  }
+}
+
+// === HINT LADDER ENDPOINTS ===
+
+// Get the current hint level for a problem (0 when no hint has been given yet)
+async function getHintLevel(conversationId, userId, problemKey, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    // First verify user owns the conversation
+    const { data: conversation, error: convError } = await authenticatedSupabase
+      .from('conversations')
+      .select('user_id')
+      .eq('id', conversationId)
+      .single();
+
+    if (convError || !conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (conversation.user_id !== userId) {
+      throw new Error('Unauthorized access to conversation');
+    }
+
+    const { data, error } = await authenticatedSupabase
+      .from('hint_ladders')
+      .select('level')
+      .eq('conversation_id', conversationId)
+      .eq('problem_key', problemKey)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error loading hint level:', error);
+      throw new Error('Failed to load hint level');
+    }
+
+    return data ? data.level : 0;
+  } catch (error) {
+    console.error('Error loading hint level:', error);
+    throw error;
+  }
+}
+
+// Save the hint level reached for a problem.
+// Students can only read hint_ladders, so this goes through the record_hint_level database function,
+// which checks the conversation is theirs and never lowers a level.
+async function saveHintLevel(conversationId, userId, problemKey, level, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { error } = await authenticatedSupabase
+      .rpc('record_hint_level', { ladder_conversation: conversationId, ladder_problem: problemKey, new_level: level });
+
+    if (error) {
+      console.error('Supabase error saving hint level:', error);
+      throw new Error('Failed to save hint level');
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving hint level:', error);
+    throw error;
+  }
+}
+
+// === FLASHCARD ENDPOINTS ===
+// Deck names and card text arrive already encrypted by the client; only the review schedule is plaintext
+
+// Create a new deck
+async function createDeck(userId, name, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { data, error } = await authenticatedSupabase
+      .from('flashcard_decks')
+      .insert([{
+        name: name,
+        user_id: userId
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error creating deck:', error);
+      throw new Error('Failed to create deck');
+    }
+
+    return { success: true, deck: data };
+  } catch (error) {
+    console.error('Error creating deck:', error);
+    throw error;
+  }
+}
+
+// Get all decks for user
+async function getUserDecks(userId, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { data, error } = await authenticatedSupabase
+      .from('flashcard_decks')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Supabase error loading decks:', error);
+      throw new Error('Failed to load decks');
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error loading decks:', error);
+    throw error;
+  }
+}
+
+// Count cards due for review, per deck
+async function getDueCardCounts(userId, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { data, error } = await authenticatedSupabase
+      .from('flashcards')
+      .select('deck_id')
+      .eq('user_id', userId)
+      .lte('due_at', new Date().toISOString());
+
+    if (error) {
+      console.error('Supabase error counting due cards:', error);
+      throw new Error('Failed to count due cards');
+    }
+
+    return (data || []).reduce((counts, card) => {
+      counts[card.deck_id] = (counts[card.deck_id] || 0) + 1;
+      return counts;
+    }, {});
+  } catch (error) {
+    console.error('Error counting due cards:', error);
+    throw error;
+  }
+}
+
+// Delete a deck and all of its cards
+async function deleteDeck(deckId, userId, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    // First delete all cards in the deck
+    const { error: cardsError } = await authenticatedSupabase
+      .from('flashcards')
+      .delete()
+      .eq('deck_id', deckId)
+      .eq('user_id', userId);
+
+    if (cardsError) {
+      console.error('Supabase error deleting cards:', cardsError);
+      throw new Error('Failed to delete deck cards');
+    }
+
+    // Then delete the deck
+    const { error } = await authenticatedSupabase
+      .from('flashcard_decks')
+      .delete()
+      .eq('id', deckId)
+      .eq('user_id', userId); // Ensure user owns the deck
+
+    if (error) {
+      console.error('Supabase error deleting deck:', error);
+      throw new Error('Failed to delete deck');
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting deck:', error);
+    throw error;
+  }
+}
+
+// Get the cards in a deck (only the due ones when dueOnly is set)
+async function getDeckCards(deckId, userId, accessToken, { dueOnly = false } = {}) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    // First verify user owns the deck
+    const { data: deck, error: deckError } = await authenticatedSupabase
+      .from('flashcard_decks')
+      .select('user_id')
+      .eq('id', deckId)
+      .single();
+
+    if (deckError || !deck) {
+      throw new Error('Deck not found');
+    }
+
+    if (deck.user_id !== userId) {
+      throw new Error('Unauthorized access to deck');
+    }
+
+    let query = authenticatedSupabase
+      .from('flashcards')
+      .select('*')
+      .eq('deck_id', deckId);
+
+    if (dueOnly) {
+      query = query.lte('due_at', new Date().toISOString());
+    }
+
+    const { data, error } = await query.order('due_at', { ascending: true });
+
+    if (error) {
+      console.error('Supabase error loading cards:', error);
+      throw new Error('Failed to load cards');
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error loading cards:', error);
+    throw error;
+  }
+}
+
+// Add cards to a deck. cards: [{ front, back }], schedule: the initial review schedule
+async function addCards(deckId, userId, cards, schedule, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    // First verify user owns the deck
+    const { data: deck, error: deckError } = await authenticatedSupabase
+      .from('flashcard_decks')
+      .select('user_id')
+      .eq('id', deckId)
+      .single();
+
+    if (deckError || !deck) {
+      throw new Error('Deck not found');
+    }
+
+    if (deck.user_id !== userId) {
+      throw new Error('Unauthorized access to deck');
+    }
+
+    const { data, error } = await authenticatedSupabase
+      .from('flashcards')
+      .insert(cards.map(card => ({
+        deck_id: deckId,
+        user_id: userId,
+        front: card.front,
+        back: card.back,
+        ease: schedule.ease,
+        interval_days: schedule.intervalDays,
+        repetitions: schedule.repetitions,
+        due_at: schedule.dueAt
+      })))
+      .select();
+
+    if (error) {
+      console.error('Supabase error adding cards:', error);
+      throw new Error('Failed to add cards');
+    }
+
+    return { success: true, cards: data || [] };
+  } catch (error) {
+    console.error('Error adding cards:', error);
+    throw error;
+  }
+}
+
+// Get a single card
+async function getFlashcard(cardId, userId, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { data, error } = await authenticatedSupabase
+      .from('flashcards')
+      .select('*')
+      .eq('id', cardId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !data) {
+      throw new Error('Card not found');
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error loading card:', error);
+    throw error;
+  }
+}
+
+// Save a card's next review schedule
+async function updateFlashcardSchedule(cardId, userId, schedule, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { data, error } = await authenticatedSupabase
+      .from('flashcards')
+      .update({
+        ease: schedule.ease,
+        interval_days: schedule.intervalDays,
+        repetitions: schedule.repetitions,
+        due_at: schedule.dueAt,
+        last_reviewed_at: new Date().toISOString()
+      })
+      .eq('id', cardId)
+      .eq('user_id', userId) // Ensure user owns the card
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error updating card schedule:', error);
+      throw new Error('Failed to update card schedule');
+    }
+
+    return { success: true, card: data };
+  } catch (error) {
+    console.error('Error updating card schedule:', error);
+    throw error;
+  }
+}
+
+// Delete a single card
+async function deleteFlashcard(cardId, userId, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { error } = await authenticatedSupabase
+      .from('flashcards')
+      .delete()
+      .eq('id', cardId)
+      .eq('user_id', userId); // Ensure user owns the card
+
+    if (error) {
+      console.error('Supabase error deleting card:', error);
+      throw new Error('Failed to delete card');
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting card:', error);
+    throw error;
+  }
+}
+
+// === COURSE ENDPOINTS ===
+// Course names, assignment titles and policies are shared between students and instructors,
+// so unlike conversations they are stored in plaintext
+
+// Throws unless the user is an instructor of the course
+async function verifyCourseInstructor(authenticatedSupabase, courseId, userId) {
+  const { data: membership, error } = await authenticatedSupabase
+    .from('course_members')
+    .select('role')
+    .eq('course_id', courseId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error || !membership) {
+    throw new Error('Course not found');
+  }
+
+  if (membership.role !== 'instructor') {
+    throw new Error('Only instructors can manage this course');
+  }
+}
+
+// Create new course; the creator becomes its instructor
+async function createCourse(userId, name, joinCode, policyProfile, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { data: course, error } = await authenticatedSupabase
+      .from('courses')
+      .insert([{
+        name: name,
+        join_code: joinCode,
+        owner_id: userId,
+        policy_profile: policyProfile
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error creating course:', error);
+      const courseError = new Error('Failed to create course');
+      if (error.code === '23505') {
+        courseError.code = 'join_code_taken'; // Unique violation - caller retries with a new code
+      }
+      throw courseError;
+    }
+
+    const { error: memberError } = await authenticatedSupabase
+      .from('course_members')
+      .insert([{
+        course_id: course.id,
+        user_id: userId,
+        role: 'instructor'
+      }]);
+
+    if (memberError) {
+      console.error('Supabase error adding course instructor:', memberError);
+      throw new Error('Failed to create course');
+    }
+
+    return { success: true, course: { ...course, role: 'instructor', assignments: [] } };
+  } catch (error) {
+    console.error('Error creating course:', error);
+    throw error;
+  }
+}
+
+// Get all courses the user belongs to, with their assignments
+async function getUserCourses(userId, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { data, error } = await authenticatedSupabase
+      .from('course_members')
+      .select('role, courses(id, name, join_code, owner_id, policy_profile, created_at, assignments(id, title, policy, max_code_lines, created_at))')
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Supabase error loading courses:', error);
+      throw new Error('Failed to load courses');
+    }
+
+    return (data || [])
+      .filter(membership => membership.courses)
+      .map(membership => ({
+        ...membership.courses,
+        role: membership.role,
+        assignments: (membership.courses.assignments || [])
+          .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      }));
+  } catch (error) {
+    console.error('Error loading courses:', error);
+    throw error;
+  }
+}
+
+// Change which institution policy profile a course follows (null follows the deployment's)
+async function updateCoursePolicyProfile(courseId, userId, policyProfile, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    await verifyCourseInstructor(authenticatedSupabase, courseId, userId);
+
+    const { data: course, error } = await authenticatedSupabase
+      .from('courses')
+      .update({ policy_profile: policyProfile })
+      .eq('id', courseId)
+      .select('id, policy_profile')
+      .single();
+
+    if (error) {
+      console.error('Supabase error updating course:', error);
+      throw new Error('Failed to update course');
+    }
+
+    return { success: true, course: course };
+  } catch (error) {
+    console.error('Error updating course:', error);
+    throw error;
+  }
+}
+
+// Join a course by its join code. Returns the course id, or null for an unknown code.
+// Students can't read a course before joining, so this goes through the join_course database function.
+async function joinCourse(userId, joinCode, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { data, error } = await authenticatedSupabase
+      .rpc('join_course', { code: joinCode });
+
+    if (error) {
+      console.error('Supabase error joining course:', error);
+      throw new Error('Failed to join course');
+    }
+
+    return data || null;
+  } catch (error) {
+    console.error('Error joining course:', error);
+    throw error;
+  }
+}
+
+// Create an assignment with its policy
+async function createAssignment(courseId, userId, { title, policy, maxCodeLines }, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    await verifyCourseInstructor(authenticatedSupabase, courseId, userId);
+
+    const { data, error } = await authenticatedSupabase
+      .from('assignments')
+      .insert([{
+        course_id: courseId,
+        title: title,
+        policy: policy,
+        max_code_lines: maxCodeLines
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error creating assignment:', error);
+      throw new Error('Failed to create assignment');
+    }
+
+    return { success: true, assignment: data };
+  } catch (error) {
+    console.error('Error creating assignment:', error);
+    throw error;
+  }
+}
+
+// Update an assignment's title and policy
+async function updateAssignment(assignmentId, userId, { title, policy, maxCodeLines }, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { data: assignment, error: assignmentError } = await authenticatedSupabase
+      .from('assignments')
+      .select('course_id')
+      .eq('id', assignmentId)
+      .single();
+
+    if (assignmentError || !assignment) {
+      throw new Error('Assignment not found');
+    }
+
+    await verifyCourseInstructor(authenticatedSupabase, assignment.course_id, userId);
+
+    const { data, error } = await authenticatedSupabase
+      .from('assignments')
+      .update({
+        title: title,
+        policy: policy,
+        max_code_lines: maxCodeLines
+      })
+      .eq('id', assignmentId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Supabase error updating assignment:', error);
+      throw new Error('Failed to update assignment');
+    }
+
+    return { success: true, assignment: data };
+  } catch (error) {
+    console.error('Error updating assignment:', error);
+    throw error;
+  }
+}
+
+// Delete an assignment (its conversations keep their course but lose the policy)
+async function deleteAssignment(assignmentId, userId, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { data: assignment, error: assignmentError } = await authenticatedSupabase
+      .from('assignments')
+      .select('course_id')
+      .eq('id', assignmentId)
+      .single();
+
+    if (assignmentError || !assignment) {
+      throw new Error('Assignment not found');
+    }
+
+    await verifyCourseInstructor(authenticatedSupabase, assignment.course_id, userId);
+
+    const { error } = await authenticatedSupabase
+      .from('assignments')
+      .delete()
+      .eq('id', assignmentId);
+
+    if (error) {
+      console.error('Supabase error deleting assignment:', error);
+      throw new Error('Failed to delete assignment');
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting assignment:', error);
+    throw error;
+  }
+}
+
+// Get the course and assignment a conversation belongs to: { course_id, course_name, policy_profile, assignment }
+// where assignment is null for course-only conversations. Returns null outside any course.
+async function getConversationCourse(conversationId, userId, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    // First verify user owns the conversation
+    const { data: conversation, error: convError } = await authenticatedSupabase
+      .from('conversations')
+      .select('user_id, course_id, assignment_id, courses(name, policy_profile)')
+      .eq('id', conversationId)
+      .single();
+
+    if (convError || !conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (conversation.user_id !== userId) {
+      throw new Error('Unauthorized access to conversation');
+    }
+
+    if (!conversation.course_id) {
+      return null;
+    }
+
+    const course = {
+      course_id: conversation.course_id,
+      course_name: conversation.courses ? conversation.courses.name : '',
+      policy_profile: conversation.courses ? conversation.courses.policy_profile : null,
+      assignment: null
+    };
+
+    if (!conversation.assignment_id) {
+      return course;
+    }
+
+    const { data, error } = await authenticatedSupabase
+      .from('assignments')
+      .select('id, title, policy, max_code_lines')
+      .eq('id', conversation.assignment_id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error loading assignment policy:', error);
+      throw new Error('Failed to load assignment policy');
+    }
+
+    return { ...course, assignment: data || null };
+  } catch (error) {
+    console.error('Error loading conversation course:', error);
+    throw error;
+  }
+}
+
+// Get the user's role in a course ('instructor' or 'student'), or null when not a member
+async function getCourseRole(courseId, userId, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { data, error } = await authenticatedSupabase
+      .from('course_members')
+      .select('role')
+      .eq('course_id', courseId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error loading course role:', error);
+      throw new Error('Failed to load course role');
+    }
+
+    return data ? data.role : null;
+  } catch (error) {
+    console.error('Error loading course role:', error);
+    throw error;
+  }
+}
+
+// Get a course's name and assignment titles
+async function getCourseSummary(courseId, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { data, error } = await authenticatedSupabase
+      .from('courses')
+      .select('id, name, assignments(id, title)')
+      .eq('id', courseId)
+      .single();
+
+    if (error || !data) {
+      throw new Error('Course not found');
+    }
+
+    return { ...data, assignments: data.assignments || [] };
+  } catch (error) {
+    console.error('Error loading course summary:', error);
+    throw error;
+  }
+}
+
+// === INTEGRITY EVENT ENDPOINTS ===
+
+// Record one de-identified integrity event (see backend/integrityEvents.js).
+// Students have no insert policy on integrity_events, so only the server writes them, with the service
+// role - after checking that the student (userId, never stored) still belongs to the course
+async function recordIntegrityEvent(event, userId) {
+  try {
+    const serviceSupabase = createClient(supabaseUrl, supabaseServiceRoleKey);
+
+    const { data: membership, error: memberError } = await serviceSupabase
+      .from('course_members')
+      .select('course_id')
+      .eq('course_id', event.course_id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (memberError || !membership) {
+      throw new Error('Not a member of this course');
+    }
+
+    const { error } = await serviceSupabase
+      .from('integrity_events')
+      .insert([event]);
+
+    if (error) {
+      console.error('Supabase error recording integrity event:', error);
+      throw new Error('Failed to record integrity event');
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error recording integrity event:', error);
+    throw error;
+  }
+}
+
+// Get all integrity events for a course.
+// Nobody can read integrity_events through row level security, so this uses the service role:
+// callers must check that the user teaches the course first (requireCourseRole)
+async function getCourseIntegrityEvents(courseId) {
+  try {
+    const serviceSupabase = createClient(supabaseUrl, supabaseServiceRoleKey);
+
+    const { data, error } = await serviceSupabase
+      .from('integrity_events')
+      .select('assignment_id, actor_hash, event_type, topic, hint_level')
+      .eq('course_id', courseId);
+
+    if (error) {
+      console.error('Supabase error loading integrity events:', error);
+      throw new Error('Failed to load integrity events');
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error loading integrity events:', error);
+    throw error;
+  }
+}
+
+// === TOKEN USAGE ENDPOINTS ===
+
+// Get a user's daily usage rows since a date (YYYY-MM-DD), for quota checks
+async function getTokenUsage(userId, sinceDate, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { data, error } = await authenticatedSupabase
+      .from('token_usage')
+      .select('usage_date, total_tokens')
+      .eq('user_id', userId)
+      .gte('usage_date', sinceDate);
+
+    if (error) {
+      console.error('Supabase error loading token usage:', error);
+      throw new Error('Failed to load token usage');
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error loading token usage:', error);
+    throw error;
+  }
+}
+
+// Get a user's personal token limits, or null when the role's limits apply
+async function getUserTokenQuota(userId, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { data, error } = await authenticatedSupabase
+      .from('token_quotas')
+      .select('daily_limit, monthly_limit')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Supabase error loading token quota:', error);
+      throw new Error('Failed to load token quota');
+    }
+
+    return data || null;
+  } catch (error) {
+    console.error('Error loading token quota:', error);
+    throw error;
+  }
+}
+
+// Add tokens to today's usage for the signed-in user.
+// Users can't write token_usage themselves, so this goes through the record_token_usage database function.
+async function recordTokenUsage(promptTokens, completionTokens, accessToken) {
+  try {
+    // Create authenticated Supabase client with user's session token
+    const authenticatedSupabase = createClient(supabaseUrl, supabaseAnonKey, {
+      global: {
+        headers: {
+          Authorization: `Bearer ${accessToken}`
+        }
+      }
+    });
+
+    const { error } = await authenticatedSupabase
+      .rpc('record_token_usage', { used_prompt: promptTokens, used_completion: completionTokens });
+
+    if (error) {
+      console.error('Supabase error recording token usage:', error);
+      throw new Error('Failed to record token usage');
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error recording token usage:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  // Conversation operations
+  createConversation,
+  getUserConversations,
+  updateConversationTitle,
+  updateConversationTitleLock,
+  updateConversationMode,
+  deleteConversation,
+  
+  // Message operations
+  getConversationMessages,
+  addMessage,
+  addMessages,
+
+  // Hint ladder operations
+  getHintLevel,
+  saveHintLevel,
+
+  // Flashcard operations
+  createDeck,
+  getUserDecks,
+  getDueCardCounts,
+  deleteDeck,
+  getDeckCards,
+  addCards,
+  getFlashcard,
+  updateFlashcardSchedule,
+  deleteFlashcard,
+
+  // Course operations
+  createCourse,
+  getUserCourses,
+  updateCoursePolicyProfile,
+  joinCourse,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  getConversationCourse,
+  getCourseRole,
+  getCourseSummary,
+
+  // Integrity event operations
+  recordIntegrityEvent,
+  getCourseIntegrityEvents,
+
+  // Token usage operations
+  getTokenUsage,
+  getUserTokenQuota,
+  recordTokenUsage
 };
@@ -1,14 +1,34 @@
 // === IMPORTS ===
 import React, { useState, useRef, useEffect } from 'react';  // React hooks for state and lifecycle
-import axios from 'axios';                                   // HTTP client for API calls
 import { supabase } from './supabaseClient';                 // Supabase client for authentication
 import AuthForm from './AuthForm';                           // Authentication form component
 import PasswordReset from './PasswordReset';                 // Password reset component
 import ConversationSidebar from './ConversationSidebar';     // Conversation sidebar component
 import { encryptText, decryptText } from './encryption';     // Encryption utilities
 import PublicChat from './PublicChat';                       // Public chat component
+import { streamChat } from './streamClient';                 // Server-Sent Events client for tutor replies
+import QuizPanel from './QuizPanel';                         // Self-test quiz modal
+import FlashcardDialog from './FlashcardDialog';             // Turn a tutor reply into flashcards
+import ReviewView from './ReviewView';                       // Spaced-repetition flashcard review
+import { loadDecks } from './flashcardsApi';                 // Flashcard deck requests
+import CoursesPanel from './CoursesPanel';                   // Join courses, manage assignment policies
+import { loadCourses } from './coursesApi';                  // Course requests
+import UsageMeter from './UsageMeter';                       // Token allowance used so far
+import { loadUsage } from './usageApi';                      // Token usage requests
+import { retryAfterFrom, useRetryCountdown } from './retryCountdown'; // Wait out a rate limit before sending again
+import { buildModelContext, needsSummary, summarizeContext } from './conversationContext'; // Summary + recent turns for the tutor
+import { suggestTitle, saveConversationTitle } from './titlesApi';  // Topical titles, encrypted before saving
+import SearchPanel from './SearchPanel';                     // Search across conversations
+import ImportDialog from './ImportDialog';                   // Restore conversations from a JSON export
+import { indexSavedMessage, forgetSearchIndex } from './searchIndex'; // Encrypted local search index
 import './App.css';                                          // Styling for this component
 
+// Account roles that may create courses - mirrors backend/auth.js, which enforces it
+const INSTRUCTOR_ACCOUNT_ROLES = ['instructor', 'admin'];
+
+// Error codes from backend/moderation.js - their messages are written for students
+const MODERATION_ERROR_CODES = ['content_flagged', 'moderation_unavailable'];
+
 // === SAFE TEXT FORMATTER COMPONENT ===
 const FormattedText = ({ text }) => {
   // Split text by ** patterns and create elements
@@ -30,6 +50,51 @@ const FormattedText = ({ text }) => {
   );
 };
 
+// === HINT LADDER STATE ===
+// The ladder belongs to the latest tutor reply: it is active when that reply carries hint
+// metadata, and the problem is the student message that started it.
+const findHintLadder = (messages) => {
+  for (let index = messages.length - 1; index >= 0; index--) {
+    const message = messages[index];
+    if (message.role === 'user' || (message.type && message.type !== 'text')) return null;
+    if (message.metadata?.hint) {
+      const problemMessage = messages.slice(0, index).reverse().find(m => m.role === 'user');
+      return problemMessage ? { problem: problemMessage.content, ...message.metadata.hint } : null;
+    }
+  }
+  return null;
+};
+
+// === QUIZ RESULT CARD ===
+const QuizResultCard = ({ content }) => {
+  let result;
+  try {
+    result = JSON.parse(content);
+  } catch (error) {
+    return <FormattedText text={content} />;
+  }
+
+  return (
+    <div className="quiz-result-card">
+      <strong>📝 {result.title}: {result.score}/{result.total}</strong>
+      <ul>
+        {result.questions.map((question, index) => (
+          <li key={index}>{question.correct ? '✅' : '❌'} {question.question}</li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// === CONVERSATION SUMMARY NOTE ===
+// Collapsed by default - the summary is there for the tutor, the turns it covers are still above it
+const SummaryNote = ({ content }) => (
+  <details className="summary-note">
+    <summary>🗒️ Earlier messages summarized for the tutor</summary>
+    <FormattedText text={content} />
+  </details>
+);
+
 // === MAIN CHAT APPLICATION COMPONENT ===
 function App() {
   // === STATE MANAGEMENT (React Hooks) ===
@@ -41,7 +106,23 @@ function App() {
   const [messages, setMessages] = useState([]);            // Array of all chat messages
   const [inputMessage, setInputMessage] = useState('');    // What user is currently typing
   const [isLoading, setIsLoading] = useState(false);      // True when waiting for AI response
+  const [streamingText, setStreamingText] = useState(null); // AI reply received so far while streaming
   const [isMobileSidebarOpen, setIsMobileSidebarOpen] = useState(false); // Mobile sidebar toggle state
+  const [showQuiz, setShowQuiz] = useState(false);        // Quiz modal visibility
+  const [decks, setDecks] = useState([]);                  // Flashcard decks with due counts
+  const [reviewDeckId, setReviewDeckId] = useState(undefined); // Review view: undefined = closed, null = deck list
+  const [flashcardSource, setFlashcardSource] = useState(null); // Tutor reply being turned into flashcards
+  const [courses, setCourses] = useState([]);              // Courses the user belongs to, with assignments
+  const [showCourses, setShowCourses] = useState(false);   // Courses panel visibility
+  const [tutoringModes, setTutoringModes] = useState([]);  // Modes offered by the backend
+  const [defaultMode, setDefaultMode] = useState('explain'); // Mode for conversations without one
+  const [usage, setUsage] = useState(null);                // Token usage and limits for the header meter
+  const [retrySeconds, startRetryCountdown] = useRetryCountdown(); // Seconds until a rate limit lets the next message through
+  const [isSummarizing, setIsSummarizing] = useState(false); // True while older turns are folded into the summary
+  const [conversationsVersion, setConversationsVersion] = useState(0); // Bumped when the sidebar should reload titles
+  const [showSearch, setShowSearch] = useState(false);     // Search panel visibility
+  const [showImport, setShowImport] = useState(false);     // Import dialog visibility
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null); // Search result being shown
   const messagesEndRef = useRef(null);                    // Reference to scroll to bottom
 
   // === AUTO-SCROLL TO BOTTOM FUNCTION ===
@@ -83,6 +164,7 @@ function App() {
             setLoading(false)
           }
         } else if (event === 'SIGNED_OUT') {
+          forgetSearchIndex()
           setUser(null)
           setShowPasswordReset(false)
           setLoading(false)
@@ -109,6 +191,67 @@ function App() {
     return () => window.removeEventListener('resize', handleResize)
   }, [])
 
+  // === LOAD TUTORING MODES ===
+  useEffect(() => {
+    const loadTutoringModes = async () => {
+      try {
+        const backendUrl = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3000'
+        const response = await fetch(`${backendUrl}/api/tutoring-modes`)
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`)
+        }
+        const data = await response.json()
+        setTutoringModes(data.modes)
+        setDefaultMode(data.defaultMode)
+      } catch (error) {
+        console.error('Error loading tutoring modes:', error)
+      }
+    }
+
+    loadTutoringModes()
+  }, [])
+
+  // === LOAD FLASHCARD DECKS ===
+  const refreshDecks = async () => {
+    try {
+      setDecks(await loadDecks())
+    } catch (error) {
+      console.error('Error loading flashcard decks:', error)
+    }
+  }
+
+  // === LOAD COURSES ===
+  const refreshCourses = async () => {
+    try {
+      setCourses(await loadCourses())
+    } catch (error) {
+      console.error('Error loading courses:', error)
+    }
+  }
+
+  useEffect(() => {
+    if (user) {
+      refreshDecks()
+      refreshCourses()
+    }
+  }, [user])
+
+  // === LOAD TOKEN USAGE ===
+  const refreshUsage = async () => {
+    try {
+      setUsage(await loadUsage())
+    } catch (error) {
+      console.error('Error loading token usage:', error)
+    }
+  }
+
+  // On sign-in and whenever a tutor request finishes
+  useEffect(() => {
+    if (user && !isLoading) {
+      refreshUsage()
+    }
+  }, [user, isLoading])
+
   // === AUTHENTICATION HANDLERS ===
   const handleAuthSuccess = (user) => {
     setUser(user)
@@ -131,7 +274,19 @@ function App() {
   // === SIDE EFFECT: SCROLL WHEN MESSAGES CHANGE ===
   useEffect(() => {
     scrollToBottom();                                      // Run scrollToBottom every time messages array changes
-  }, [messages]);                                          // Dependency array: only run when 'messages' changes
+  }, [messages, streamingText]);                           // Dependency array: also follow a reply while it streams
+
+  // === SIDE EFFECT: SHOW A SEARCH RESULT ===
+  // Runs after the scroll above, so the message found stays in view; the highlight fades after a few seconds
+  useEffect(() => {
+    if (!highlightedMessageId) return
+    const element = document.querySelector(`[data-message-id="${highlightedMessageId}"]`)
+    if (!element) return
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    const timer = setTimeout(() => setHighlightedMessageId(null), 4000)
+    return () => clearTimeout(timer)
+  }, [messages, highlightedMessageId]);
 
   // === CONVERSATION MANAGEMENT FUNCTIONS ===
   const handleConversationSelect = async (conversation) => {
@@ -146,11 +301,23 @@ function App() {
     setIsMobileSidebarOpen(false)
   }
 
+  // === OPEN A SEARCH RESULT ===
+  const handleOpenSearchResult = async (result) => {
+    setShowSearch(false)
+    const isShowing = currentConversation?.id === result.conversation.id &&
+      messages.some(message => message.id === result.messageId)
+    if (!isShowing) {
+      await handleConversationSelect(result.conversation)
+    }
+    setHighlightedMessageId(result.messageId)
+  }
+
   const handleNewConversation = (conversation) => {
     setCurrentConversation(conversation)
     setMessages([{
       role: 'assistant',
-      content: 'Hello! I\'m your educational AI assistant. My name is Honorably. I am a GPT-4o model that is designed to help you learn and understand the material, rather than giving you direct solutions. I believe in you!'
+      content: 'Hello! I\'m your educational AI assistant. My name is Honorably. I am a GPT-4o model that is designed to help you learn and understand the material, rather than giving you direct solutions. I believe in you!',
+      local: true // Greeting is not part of the tutoring context
     }])
     
     // Close mobile sidebar after creating a new conversation
@@ -204,14 +371,16 @@ function App() {
         // Show welcome message for empty conversation
         setMessages([{
           role: 'assistant',
-          content: 'Hello! I\'m your educational AI assistant. My name is Honorably. I am a GPT-4o model that is designed to help you learn and understand the material. I believe in you!'
+          content: 'Hello! I\'m your educational AI assistant. My name is Honorably. I am a GPT-4o model that is designed to help you learn and understand the material. I believe in you!',
+          local: true // Greeting is not part of the tutoring context
         }])
       }
     } catch (error) {
       console.error('Error loading messages:', error)
       setMessages([{
         role: 'assistant',
-        content: 'Sorry, I encountered an error loading the conversation. Please try again.'
+        content: 'Sorry, I encountered an error loading the conversation. Please try again.',
+        local: true
       }])
     }
   }
@@ -219,10 +388,11 @@ function App() {
   // === MAIN FUNCTION: SEND MESSAGE TO BACKEND ===
   const sendMessage = async () => {
     // Guard clause: Don't send if input is empty, already loading, or no conversation selected
-    if (!inputMessage.trim() || isLoading || !currentConversation) return;
+    if (!inputMessage.trim() || isLoading || isSummarizing || !currentConversation || retrySeconds > 0) return;
 
     const userMessage = inputMessage.trim();             // Clean up the message
     setInputMessage('');                                 // Clear the input field immediately
+    const { summary, history } = buildModelContext(messages); // Prior turns (and a summary of older ones) give the tutor context
     
     // === STEP 1: ADD USER MESSAGE TO CHAT ===
     const userMessageObj = { role: 'user', content: userMessage }
@@ -243,49 +413,104 @@ function App() {
       const backendUrl = process.env.NODE_ENV === 'production' 
         ? '' // In production, use same domain (Vercel handles routing)
         : 'http://localhost:3000'; // In development, use localhost
-      const response = await axios.post(`${backendUrl}/api/gpt`, {  // HTTP POST request
-        message: userMessage,                            // Send the user's message
-        maxTokens: 300,                                  // Limit response length
-        temperature: 0.7                                 // Control AI creativity (0-1)
-      }, {
+      const result = await streamChat({                  // Stream the reply as Server-Sent Events
+        url: `${backendUrl}/api/gpt/stream`,
+        body: {
+          message: userMessage,                          // Send the user's message
+          history: history,                              // Earlier turns of this conversation
+          summary: summary,                              // Summary of the turns before those, in long conversations
+          mode: currentConversation.mode || defaultMode, // Tutoring mode sets length and style
+          conversationId: currentConversation.id         // Lets the server apply the course assignment's policy
+        },
         headers: {
           'Authorization': `Bearer ${session.access_token}` // Include auth token
+        },
+        onToken: (text) => {
+          setStreamingText(prev => (prev || '') + text); // Render tokens as they arrive
         }
       });
 
       // === STEP 5: ADD AI RESPONSE TO CHAT ===
-      const aiMessageObj = { role: 'assistant', content: response.data.response }
+      // Refused or guided requests start a hint ladder for this problem.
+      // The policy profile stamp is kept with the reply so a disputed refusal can be traced to its wording.
+      // Crisis-support replies are marked so they aren't offered as study material.
+      const aiMessageObj = result.crisis
+        ? { role: 'assistant', content: result.response, metadata: { crisis: { locale: result.crisis.locale }, policy: result.policy } }
+        : result.integrity && result.integrity.verdict !== 'allowed'
+          ? { role: 'assistant', content: result.response, metadata: { hint: { level: 0 }, policy: result.policy } }
+          : { role: 'assistant', content: result.response, metadata: { policy: result.policy } }
+      setStreamingText(null);
       setMessages(prev => [...prev, aiMessageObj]);     // Add AI response to messages array
 
       // === STEP 6: SAVE AI MESSAGE TO DATABASE ===
+      // Only the completed reply is saved - partial streams never reach the database
       await saveMessageToDatabase(aiMessageObj)
 
+      // === STEP 7: KEEP THE CONTEXT SMALL ===
+      // Long conversations fold their older turns into the summary once the reply is in
+      summarizeIfNeeded([...messages, userMessageObj, aiMessageObj])
+
+      // === STEP 8: TITLE A NEW CONVERSATION ===
+      // Once there is an exchange to name, unless the title is locked. Crisis replies aren't a topic.
+      if (currentConversation.title === 'New Conversation' && !currentConversation.title_locked && !result.crisis) {
+        titleConversation(currentConversation.id, [...history, { role: 'user', content: userMessage }, { role: 'assistant', content: result.response }])
+      }
+
     } catch (error) {
-      // === STEP 7: HANDLE ERRORS GRACEFULLY ===
+      // === STEP 9: HANDLE ERRORS GRACEFULLY ===
       console.error('Error calling backend:', error);   // Log error for debugging
+      setStreamingText(null);                            // Drop any partial reply
       
       let errorMessage = 'Sorry, I encountered an error. Please make sure the backend server is running on port 3000.';
       
       // Handle specific error types
-      if (error.response?.status === 400 && error.response?.data?.flagged) {
-        // Content moderation rejection (violent/criminal content only)
-        errorMessage = error.response.data.error;
-      } else if (error.response?.status === 429) {
+      if (error.event === 'moderation_error' || MODERATION_ERROR_CODES.includes(error.data?.code)) {
+        // Content moderation rejection, or the safety check was down and this endpoint fails closed
+        errorMessage = error.data.error;
+      } else if (error.data?.code === 'injection_cooldown' || error.data?.code === 'rate_limited') {
+        // Paused after repeated attempts to get around the tutor's guidelines, or sending too fast -
+        // the send button counts down until the server will take another message
+        errorMessage = error.data.error;
+        startRetryCountdown(retryAfterFrom(error.data) || 0);
+      } else if (error.data?.code === 'token_quota_exceeded') {
+        // Daily or monthly token allowance used up - the message says when it resets
+        errorMessage = error.data.error;
+      } else if (error.event === 'rate_limit_error' || error.status === 429) {
         // Rate limiting
         errorMessage = 'Too many requests. Please wait a moment before trying again.';
+      } else if (error.event === 'upstream_error') {
+        // The AI service failed mid-response
+        errorMessage = 'Sorry, the AI service stopped responding. Please try again.';
       }
       
-      // Show appropriate error message in chat
-      const errorMessageObj = { role: 'assistant', content: errorMessage }
+      // Show appropriate error message in chat. It isn't saved: the local flag that keeps it out of
+      // the tutor's history wouldn't survive a reload.
+      const errorMessageObj = { role: 'assistant', content: errorMessage, local: true }
       setMessages(prev => [...prev, errorMessageObj]);
-      
-      // Save error message to database
-      await saveMessageToDatabase(errorMessageObj)
     } finally {
       setIsLoading(false);                               // Always hide typing indicator when done
     }
   };
 
+  // === ROLLING SUMMARY ===
+  // Sending is paused until the summary is saved, so no new turn lands before it unsummarized.
+  // A failed summary just means the full history goes with the next message and it is tried again.
+  const summarizeIfNeeded = async (conversationMessages) => {
+    const context = buildModelContext(conversationMessages)
+    if (!needsSummary(context)) return
+
+    setIsSummarizing(true)
+    try {
+      const summaryMessageObj = await summarizeContext(context)
+      setMessages(prev => [...prev, summaryMessageObj])
+      await saveMessageToDatabase(summaryMessageObj)
+    } catch (error) {
+      console.error('Error summarizing conversation:', error)
+    } finally {
+      setIsSummarizing(false)
+    }
+  }
+
   // === SAVE MESSAGE TO DATABASE ===
   const saveMessageToDatabase = async (messageObj) => {
     try {
@@ -316,69 +541,150 @@ function App() {
         },
         body: JSON.stringify({
           role: messageObj.role,
-          content: encryptedContent
+          content: encryptedContent,
+          type: messageObj.type || 'text',
+          metadata: messageObj.metadata || null       // Hint level etc. - never message content
         })
       })
 
       if (!response.ok) {
         const errorData = await response.json()
         console.error('Error saving message to database:', errorData.error)
-      } else {
-        // Update conversation title if it's still "New Conversation" and this is the first user message
-        if (currentConversation.title === 'New Conversation' && messageObj.role === 'user') {
-          await updateConversationTitle(currentConversation.id, messageObj.content)
-        }
+        return
       }
+
+      // Keep the local search index up to date with the decrypted text
+      const saved = await response.json()
+      indexSavedMessage(userId, currentConversation.id, { ...saved.message, content: messageObj.content })
     } catch (error) {
       console.error('Error saving message to database:', error)
     }
   }
 
-  // === UPDATE CONVERSATION TITLE ===
-  const updateConversationTitle = async (conversationId, userMessage) => {
+  // === TITLE FROM THE FIRST EXCHANGE ===
+  // The server suggests a topical title from the opening turns; it is encrypted like any title before it
+  // is saved. Falls back to the first message cut to 50 characters if no suggestion comes back.
+  const titleConversation = async (conversationId, turns) => {
+    let title
     try {
-      // Create a title from the first user message (truncate if too long)
-      const title = userMessage.length > 50 
-        ? userMessage.substring(0, 50) + '...' 
-        : userMessage
+      title = await suggestTitle(turns)
+    } catch (error) {
+      console.error('Error suggesting conversation title:', error)
+      const firstMessage = turns[0].content
+      title = firstMessage.length > 50 ? firstMessage.substring(0, 50) + '...' : firstMessage
+    }
+
+    try {
+      await saveConversationTitle(conversationId, title)
+      handleConversationChange(conversationId, { title })
+      setConversationsVersion(prev => prev + 1)            // Sidebar reloads its (decrypted) titles
+    } catch (error) {
+      console.error('Error updating conversation title:', error)
+    }
+  }
+
+  // Title or lock changed here or in the sidebar - keep the open conversation in step
+  const handleConversationChange = (conversationId, changes) => {
+    setCurrentConversation(prev => (prev && prev.id === conversationId ? { ...prev, ...changes } : prev))
+  }
+
+  // === REQUEST THE NEXT HINT ===
+  const requestNextHint = async () => {
+    const ladder = findHintLadder(messages)
+    if (!ladder || isLoading || isSummarizing || !currentConversation) return
+
+    setIsLoading(true)
 
+    try {
       const { data: { session } } = await supabase.auth.getSession()
       if (!session) {
         throw new Error('No active session')
       }
 
-      // Encrypt the title using user's ID
-      const userId = session.user.id;
-      let encryptedTitle = title;
-      
-      if (userId) {
-        try {
-          encryptedTitle = await encryptText(title, userId);
-        } catch (error) {
-          console.error('Error encrypting title:', error);
-          // Fall back to plaintext if encryption fails
-        }
+      const { summary, history } = buildModelContext(messages)
+
+      const backendUrl = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3000'
+      const response = await fetch(`${backendUrl}/api/hints/next`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${session.access_token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          conversationId: currentConversation.id,
+          problem: ladder.problem,
+          history: history,
+          summary: summary
+        })
+      })
+
+      const data = await response.json()
+
+      if (response.status === 409 && data.code === 'hint_ladder_exhausted') {
+        // Every rung used - show the nudge and keep the ladder at its top
+        setMessages(prev => [...prev, { role: 'assistant', content: data.error, metadata: { hint: data.hint }, local: true }])
+        return
+      }
+
+      if (MODERATION_ERROR_CODES.includes(data.code) || ['token_quota_exceeded', 'rate_limited', 'injection_cooldown'].includes(data.code)) {
+        // Moderation, quota, rate-limit and cooldown errors have a user-facing message of their own
+        setMessages(prev => [...prev, { role: 'assistant', content: data.error, local: true }])
+        startRetryCountdown(retryAfterFrom(data) || 0)
+        return
+      }
+
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`)
+      }
+
+      const hintMessageObj = { role: 'assistant', content: data.response, metadata: { hint: data.hint, policy: data.policy } }
+      setMessages(prev => [...prev, hintMessageObj])
+      await saveMessageToDatabase(hintMessageObj)
+    } catch (error) {
+      console.error('Error requesting hint:', error)
+      setMessages(prev => [...prev, { role: 'assistant', content: 'Sorry, I couldn\'t get the next hint. Please try again.', local: true }])
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // === SAVE QUIZ RESULT ===
+  // Stored like any other message, so the score is encrypted with the rest of the conversation
+  const handleQuizResult = async (result) => {
+    const quizMessageObj = { role: 'assistant', type: 'quiz_result', content: JSON.stringify(result) }
+    setMessages(prev => [...prev, quizMessageObj])
+    await saveMessageToDatabase(quizMessageObj)
+  }
+
+  // === CHANGE TUTORING MODE ===
+  const handleModeChange = async (mode) => {
+    const previousMode = currentConversation.mode
+    setCurrentConversation(prev => prev ? { ...prev, mode: mode } : null)
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession()
+      if (!session) {
+        throw new Error('No active session')
       }
 
       const backendUrl = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3000'
-      const response = await fetch(`${backendUrl}/api/conversations/${conversationId}`, {
+      const response = await fetch(`${backendUrl}/api/conversations/${currentConversation.id}/mode`, {
         method: 'PUT',
         headers: {
           'Authorization': `Bearer ${session.access_token}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ title: encryptedTitle })
+        body: JSON.stringify({ mode: mode })
       })
 
       if (!response.ok) {
         const errorData = await response.json()
-        console.error('Error updating conversation title:', errorData.error)
-      } else {
-        // Update local state
-        setCurrentConversation(prev => prev ? { ...prev, title: title } : null)
+        throw new Error(errorData.error || `HTTP ${response.status}`)
       }
     } catch (error) {
-      console.error('Error updating conversation title:', error)
+      console.error('Error updating tutoring mode:', error)
+      // Keep the picker in sync with what is actually stored
+      setCurrentConversation(prev => prev ? { ...prev, mode: previousMode } : null)
     }
   }
 
@@ -419,6 +725,7 @@ function App() {
   }
 
   // Show main chat interface if user is authenticated
+  const hintLadder = currentConversation ? findHintLadder(messages) : null;
   return (
     <div className="app">                                {/* Main container for entire app */}
       
@@ -428,8 +735,24 @@ function App() {
          currentConversationId={currentConversation?.id}
          onConversationSelect={handleConversationSelect}
          onNewConversation={handleNewConversation}
+         onConversationChange={handleConversationChange}
+         refreshKey={conversationsVersion}
          isMobileOpen={isMobileSidebarOpen}
          onMobileClose={() => setIsMobileSidebarOpen(false)}
+         decks={decks}
+         onOpenReview={(deckId) => {
+           setReviewDeckId(deckId)
+           setIsMobileSidebarOpen(false)
+         }}
+         courses={courses}
+         onOpenCourses={() => {
+           setShowCourses(true)
+           setIsMobileSidebarOpen(false)
+         }}
+         onOpenImport={() => {
+           setShowImport(true)
+           setIsMobileSidebarOpen(false)
+         }}
          key={currentConversation?.id} // Force re-render when conversation changes
        />
 
@@ -462,102 +785,246 @@ function App() {
               Honorably
             </a>
           </div>
-          
 
+          {/* === TUTORING MODE PICKER === */}
+          {currentConversation && tutoringModes.length > 0 && (
+            <div className="mode-picker">
+              <label htmlFor="tutoring-mode">Mode</label>
+              <select
+                id="tutoring-mode"
+                value={currentConversation.mode || defaultMode}
+                onChange={(e) => handleModeChange(e.target.value)}
+                disabled={isLoading}
+                title={tutoringModes.find(mode => mode.id === (currentConversation.mode || defaultMode))?.description}
+              >
+                {tutoringModes.map(mode => (
+                  <option key={mode.id} value={mode.id}>{mode.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
           
           {/* === USER MENU === */}
           <div className="user-menu">
+            <UsageMeter usage={usage} />
+            <button
+              onClick={() => setShowSearch(true)}
+              className="quiz-button"
+              title="Search all your conversations"
+            >
+              🔍 Search
+            </button>
+            {currentConversation && buildModelContext(messages).history.length > 0 && (
+              <button
+                onClick={() => setShowQuiz(true)}
+                className="quiz-button"
+                disabled={isLoading}
+                title="Test yourself on this conversation"
+              >
+                📝 Quiz me
+              </button>
+            )}
             <button onClick={handleSignOut} className="sign-out-button">
               Sign Out
             </button>
           </div>
         </header>
 
-        {/* === CHAT MESSAGES SECTION === */}
-        <div className="chat-container">                   {/* Scrollable container for all messages */}
-          <div className="messages">                       {/* Inner wrapper for message list */}
+        {/* === FLASHCARD REVIEW VIEW (replaces the chat while open) === */}
+        {reviewDeckId !== undefined ? (
+          <ReviewView
+            decks={decks}
+            initialDeckId={reviewDeckId}
+            onClose={() => setReviewDeckId(undefined)}
+            onDecksChanged={refreshDecks}
+          />
+        ) : (
+          <>
+            {/* === CHAT MESSAGES SECTION === */}
+            <div className="chat-container">                   {/* Scrollable container for all messages */}
+              <div className="messages">                       {/* Inner wrapper for message list */}
             
-            {/* === NO CONVERSATION SELECTED === */}
-            {!currentConversation && (
-              <div className="no-conversation-message">
-                <div className="no-conversation-content">
-                  <h2>Welcome to Honorably!</h2>
-                  <p>Select a conversation from the sidebar or create a new one to get started.</p>
-                </div>
-              </div>
-            )}
+                {/* === NO CONVERSATION SELECTED === */}
+                {!currentConversation && (
+                  <div className="no-conversation-message">
+                    <div className="no-conversation-content">
+                      <h2>Welcome to Honorably!</h2>
+                      <p>Select a conversation from the sidebar or create a new one to get started.</p>
+                    </div>
+                  </div>
+                )}
 
-            {/* === LOOP THROUGH ALL MESSAGES === */}
-            {currentConversation && messages.map((message, index) => (            /* .map() creates one div per message */
-              <div key={index} className={`message ${message.role}`}>  {/* Dynamic CSS class: "message user" or "message assistant" */}
+                {/* === LOOP THROUGH ALL MESSAGES === */}
+                {currentConversation && messages.map((message, index) => (            /* .map() creates one div per message */
+                  <div
+                    key={index}
+                    className={`message ${message.role} ${message.id && message.id === highlightedMessageId ? 'highlighted' : ''}`} /* Dynamic CSS class: "message user" or "message assistant" */
+                    data-message-id={message.id}               /* Lets a search result scroll to this message */
+                  >
                 
-                {/* === MESSAGE AVATAR === */}
-                <div className="message-avatar">           {/* Profile picture area */}
-                  {message.role === 'user' ? '🙋' : '🤖'}  {/* Conditional emoji: user gets friendly hand-raise, AI gets robot */}
-                </div>
+                    {/* === MESSAGE AVATAR === */}
+                    <div className="message-avatar">           {/* Profile picture area */}
+                      {message.role === 'user' ? '🙋' : '🤖'}  {/* Conditional emoji: user gets friendly hand-raise, AI gets robot */}
+                    </div>
                 
-                {/* === MESSAGE CONTENT === */}
-                <div className="message-content">          {/* Container for the actual message */}
-                  <div className="message-text">           {/* The speech bubble */}
-                    <FormattedText text={message.content} /> {/* Safe formatting component */}
+                    {/* === MESSAGE CONTENT === */}
+                    <div className="message-content">          {/* Container for the actual message */}
+                      <div className="message-text">           {/* The speech bubble */}
+                        {message.type === 'quiz_result'
+                          ? <QuizResultCard content={message.content} />
+                          : message.type === 'summary'
+                            ? <SummaryNote content={message.content} />
+                            : <FormattedText text={message.content} />} {/* Safe formatting component */}
+                      </div>
+                      {message.role === 'assistant' && !message.local && (!message.type || message.type === 'text') && !message.metadata?.crisis && (
+                        <div className="message-actions">
+                          <button
+                            className="message-action-button"
+                            onClick={() => setFlashcardSource(message.content)}
+                            title="Turn this explanation into flashcards"
+                          >
+                            🗂️ Flashcards
+                          </button>
+                        </div>
+                      )}
+                    </div>
                   </div>
-                </div>
-              </div>
-            ))}
+                ))}
             
-            {/* === TYPING INDICATOR (CONDITIONAL) === */}
-            {isLoading && (                                /* Only show when AI is "thinking" */
-              <div className="message assistant">         {/* Styled like an AI message */}
-                <div className="message-avatar">🤖</div>   {/* Robot avatar */}
-                <div className="message-content">
-                  <div className="typing-indicator">       {/* The animated "..." dots */}
-                    <span></span>                          {/* Dot 1 */}
-                    <span></span>                          {/* Dot 2 */}
-                    <span></span>                          {/* Dot 3 - each animates with delay */}
+                {/* === STREAMING REPLY (CONDITIONAL) === */}
+                {streamingText && (                            /* Tokens received so far */
+                  <div className="message assistant">
+                    <div className="message-avatar">🤖</div>
+                    <div className="message-content">
+                      <div className="message-text">
+                        <FormattedText text={streamingText} />
+                      </div>
+                    </div>
                   </div>
-                </div>
-              </div>
-            )}
+                )}
+
+                {/* === TYPING INDICATOR (CONDITIONAL) === */}
+                {isLoading && !streamingText && (              /* Only show when AI is "thinking" */
+                  <div className="message assistant">         {/* Styled like an AI message */}
+                    <div className="message-avatar">🤖</div>   {/* Robot avatar */}
+                    <div className="message-content">
+                      <div className="typing-indicator">       {/* The animated "..." dots */}
+                        <span></span>                          {/* Dot 1 */}
+                        <span></span>                          {/* Dot 2 */}
+                        <span></span>                          {/* Dot 3 - each animates with delay */}
+                      </div>
+                    </div>
+                  </div>
+                )}
             
-            {/* === INVISIBLE SCROLL TARGET === */}
-            <div ref={messagesEndRef} />                   {/* This div is used by scrollToBottom() function */}
-          </div>
-        </div>
+                {/* === INVISIBLE SCROLL TARGET === */}
+                <div ref={messagesEndRef} />                   {/* This div is used by scrollToBottom() function */}
+              </div>
+            </div>
+
+            {/* === INPUT AREA SECTION === */}
+            <div className="input-container">                  {/* Bottom section for user input */}
 
-        {/* === INPUT AREA SECTION === */}
-        <div className="input-container">                  {/* Bottom section for user input */}
-          <div className="input-wrapper">                  {/* Container for textarea + send button */}
+              {/* === HINT LADDER (CONDITIONAL) === */}
+              {hintLadder && (                                 /* Only after a refused or guided request */
+                <div className="hint-ladder">
+                  <span className="hint-ladder-status">
+                    {hintLadder.level > 0
+                      ? `Hint ${hintLadder.level} of ${hintLadder.maxLevel}`
+                      : 'Stuck? Climb the hint ladder one step at a time.'}
+                  </span>
+                  <button
+                    onClick={requestNextHint}
+                    disabled={isLoading || (hintLadder.maxLevel && hintLadder.level >= hintLadder.maxLevel)}
+                    className="hint-ladder-button"
+                  >
+                    {hintLadder.level > 0 ? 'Next hint' : 'Get a hint'}
+                  </button>
+                </div>
+              )}
+              <div className="input-wrapper">                  {/* Container for textarea + send button */}
             
-            {/* === TEXT INPUT FIELD === */}
-            <textarea                                      /* Multi-line text input */
-              value={inputMessage}                         /* Controlled component: React manages the value */
-              onChange={(e) => setInputMessage(e.target.value)}  /* Update state when user types */
-              onKeyPress={handleKeyPress}                  /* Listen for Enter key presses */
-              placeholder={currentConversation ? "Ask me anything! I'll help you learn..." : "Select a conversation to start chatting..."}  /* Hint text when empty */
-              disabled={isLoading || !currentConversation}  /* Disable input while AI is responding or no conversation selected */
-              rows="1"                                     /* Start with single line (auto-expands) */
-            />
+                {/* === TEXT INPUT FIELD === */}
+                <textarea                                      /* Multi-line text input */
+                  value={inputMessage}                         /* Controlled component: React manages the value */
+                  onChange={(e) => setInputMessage(e.target.value)}  /* Update state when user types */
+                  onKeyPress={handleKeyPress}                  /* Listen for Enter key presses */
+                  placeholder={currentConversation ? "Ask me anything! I'll help you learn..." : "Select a conversation to start chatting..."}  /* Hint text when empty */
+                  disabled={isLoading || !currentConversation}  /* Disable input while AI is responding or no conversation selected */
+                  rows="1"                                     /* Start with single line (auto-expands) */
+                />
             
-            {/* === SEND BUTTON === */}
-            <button                                        /* Submit button */
-              onClick={sendMessage}                        /* Call sendMessage function when clicked */
-              disabled={!inputMessage.trim() || isLoading || !currentConversation}  /* Disable if empty message, loading, or no conversation */
-              className="send-button"                      /* CSS class for styling */
-            >
-              📤                                           {/* Send icon emoji */}
-            </button>
-          </div>
+                {/* === SEND BUTTON === */}
+                <button                                        /* Submit button */
+                  onClick={sendMessage}                        /* Call sendMessage function when clicked */
+                  disabled={!inputMessage.trim() || isLoading || isSummarizing || !currentConversation || retrySeconds > 0}  /* Disable if empty message, loading, summarizing, no conversation, or rate limited */
+                  className="send-button"                      /* CSS class for styling */
+                  title={retrySeconds > 0 ? `You can send again in ${retrySeconds}s` : undefined}
+                >
+                  {retrySeconds > 0 ? `${retrySeconds}s` : '📤'}  {/* Countdown while rate limited, else the send icon */}
+                </button>
+              </div>
           
-          {/* === HELP TEXT === */}
-          <div className="input-footer">                   {/* Small instruction text */}
-            <small>Press Enter to send • Shift+Enter for new line</small>  {/* User instructions */}
-            <div className="privacy-notice">
-              <small>🔒 Privacy-first: We use temporary sessions for rate limiting only. No personal data is stored or shared.</small>
+              {/* === HELP TEXT === */}
+              <div className="input-footer">                   {/* Small instruction text */}
+                <small>{isSummarizing ? 'Summarizing earlier messages…' : 'Press Enter to send • Shift+Enter for new line'}</small>  {/* User instructions */}
+                <div className="privacy-notice">
+                  <small>🔒 Privacy-first: We use temporary sessions for rate limiting only. No personal data is stored or shared.</small>
+                </div>
+              </div>
             </div>
-          </div>
-        </div>
+          </>
+        )}
       </div>
 
+      {/* === QUIZ MODAL === */}
+      {showQuiz && (
+        <QuizPanel
+          messages={buildModelContext(messages).history}
+          onClose={() => setShowQuiz(false)}
+          onSaveResult={handleQuizResult}
+        />
+      )}
+
+      {/* === FLASHCARD DIALOG === */}
+      {flashcardSource && (
+        <FlashcardDialog
+          sourceText={flashcardSource}
+          decks={decks}
+          onClose={() => setFlashcardSource(null)}
+          onSaved={() => {
+            setFlashcardSource(null)
+            refreshDecks()
+          }}
+        />
+      )}
+
+      {/* === COURSES PANEL === */}
+      {showCourses && (
+        <CoursesPanel
+          courses={courses}
+          canCreateCourses={INSTRUCTOR_ACCOUNT_ROLES.includes(user?.app_metadata?.role)}
+          onClose={() => setShowCourses(false)}
+          onCoursesChanged={refreshCourses}
+        />
+      )}
+
+      {/* === SEARCH PANEL === */}
+      {showSearch && (
+        <SearchPanel
+          userId={user.id}
+          onOpenResult={handleOpenSearchResult}
+          onClose={() => setShowSearch(false)}
+        />
+      )}
+
+      {/* === IMPORT DIALOG === */}
+      {showImport && (
+        <ImportDialog
+          onClose={() => setShowImport(false)}
+          onImported={() => setConversationsVersion(prev => prev + 1)} // Sidebar lists the new conversations
+        />
+      )}
 
       {/* Close main app container */}
     </div>
@@ -3,6 +3,9 @@
 import React, { useState, useEffect } from 'react'
 import { supabase } from './supabaseClient'
 import { encryptText, decryptText } from './encryption' // Encryption utilities
+import { suggestTitleForConversation, saveConversationTitle, setTitleLock } from './titlesApi'
+import { exportConversation, exportAllConversations } from './conversationExport'
+import { downloadTextFile, downloadBlob } from './deckTransfer'
 import './ConversationSidebar.css'
 
 const ConversationSidebar = ({ 
@@ -10,8 +13,15 @@ const ConversationSidebar = ({
   currentConversationId, 
   onConversationSelect, 
   onNewConversation,
+  onConversationChange,
+  refreshKey = 0,
   isMobileOpen,
-  onMobileClose
+  onMobileClose,
+  decks = [],
+  onOpenReview,
+  courses = [],
+  onOpenCourses,
+  onOpenImport
 }) => {
   // === STATE MANAGEMENT ===
   const [conversations, setConversations] = useState([])
@@ -19,13 +29,22 @@ const ConversationSidebar = ({
   const [error, setError] = useState('')
   const [canAddConversation, setCanAddConversation] = useState(true)
   const [editingId, setEditingId] = useState(null)
+  const [regeneratingId, setRegeneratingId] = useState(null)
+  const [exportMenuId, setExportMenuId] = useState(null) // Conversation whose export options are open
+  const [exporting, setExporting] = useState(false)
+  const [showCoursePicker, setShowCoursePicker] = useState(false)
+  const [pickedCourseId, setPickedCourseId] = useState('')
+  const [pickedAssignmentId, setPickedAssignmentId] = useState('')
+
+  const pickedCourse = courses.find(course => course.id === pickedCourseId)
 
   // === LOAD CONVERSATIONS WHEN USER IS AVAILABLE ===
+  // Reloaded when the app changes a title itself (refreshKey), e.g. after suggesting one
   useEffect(() => {
     if (user) {
       loadConversations()
     }
-  }, [user])
+  }, [user, refreshKey])
 
   // === LOAD USER'S CONVERSATIONS ===
   const loadConversations = async () => {
@@ -86,8 +105,36 @@ const ConversationSidebar = ({
     }
   }
 
+  // === COURSE LABEL FOR A CONVERSATION ===
+  const courseLabelFor = (conversation) => {
+    const course = courses.find(c => c.id === conversation.course_id)
+    if (!course) return null
+    const assignment = course.assignments.find(a => a.id === conversation.assignment_id)
+    return assignment ? `${course.name} • ${assignment.title}` : course.name
+  }
+
+  // === NEW CONVERSATION BUTTON ===
+  // Students in a course pick the course/assignment first so its policy applies
+  const handleNewConversationClick = () => {
+    if (courses.length > 0) {
+      setShowCoursePicker(prev => !prev)
+    } else {
+      handleNewConversation()
+    }
+  }
+
+  const handleStartFromPicker = () => {
+    setShowCoursePicker(false)
+    handleNewConversation({
+      courseId: pickedCourseId || null,
+      assignmentId: pickedAssignmentId || null
+    })
+    setPickedCourseId('')
+    setPickedAssignmentId('')
+  }
+
   // === CREATE NEW CONVERSATION ===
-  const handleNewConversation = async () => {
+  const handleNewConversation = async ({ courseId = null, assignmentId = null } = {}) => {
     try {
       setError('')
 
@@ -126,7 +173,11 @@ const ConversationSidebar = ({
           'Authorization': `Bearer ${session.access_token}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ title: encryptedTitle })
+        body: JSON.stringify({
+          title: encryptedTitle,
+          courseId: courseId,                 // Optional course workspace
+          assignmentId: assignmentId          // Optional assignment whose policy applies
+        })
       })
 
       if (!response.ok) {
@@ -232,12 +283,52 @@ const ConversationSidebar = ({
             : conv
         )
       )
+      onConversationChange(conversationId, { title: newTitle })
     } catch (error) {
       console.error('Error updating conversation title:', error)
       setError('Failed to update conversation title')
     }
   }
 
+  // === REGENERATE TITLE ===
+  // Asks for a new suggestion from the conversation's opening turns
+  const handleRegenerateTitle = async (conversation, event) => {
+    event.stopPropagation() // Prevent conversation selection
+
+    try {
+      setError('')
+      setRegeneratingId(conversation.id)
+      const title = await suggestTitleForConversation(conversation.id)
+      await saveConversationTitle(conversation.id, title)
+
+      setConversations(prev => prev.map(conv => (conv.id === conversation.id ? { ...conv, title } : conv)))
+      onConversationChange(conversation.id, { title })
+    } catch (error) {
+      console.error('Error regenerating conversation title:', error)
+      setError('Failed to suggest a title: ' + error.message)
+    } finally {
+      setRegeneratingId(null)
+    }
+  }
+
+  // === LOCK TITLE ===
+  // A locked title is kept as it is - no suggestions replace it
+  const handleToggleTitleLock = async (conversation, event) => {
+    event.stopPropagation() // Prevent conversation selection
+    const locked = !conversation.title_locked
+
+    try {
+      setError('')
+      await setTitleLock(conversation.id, locked)
+
+      setConversations(prev => prev.map(conv => (conv.id === conversation.id ? { ...conv, title_locked: locked } : conv)))
+      onConversationChange(conversation.id, { title_locked: locked })
+    } catch (error) {
+      console.error('Error updating title lock:', error)
+      setError('Failed to update title lock')
+    }
+  }
+
   // === DELETE CONVERSATION ===
   const handleDeleteConversation = async (conversationId, event) => {
     event.stopPropagation() // Prevent conversation selection
@@ -313,8 +404,53 @@ const ConversationSidebar = ({
     })
   }
 
+  // === EXPORT ===
+  // format: 'markdown', 'json', 'html' or 'print' (the HTML transcript in a new window, ready to print)
+  const handleExport = async (conversation, format, event) => {
+    event.stopPropagation() // Prevent conversation selection
+
+    // Opened before anything is awaited, so popup blockers treat it as part of the click
+    const printWindow = format === 'print' ? window.open('', '_blank') : null
+
+    try {
+      setError('')
+      setExporting(true)
+      const { filename, content, mimeType } = await exportConversation(conversation, format === 'print' ? 'html' : format)
+
+      if (printWindow) {
+        printWindow.document.write(content)
+        printWindow.document.close()
+        printWindow.focus()
+        printWindow.print()
+      } else {
+        downloadTextFile(filename, content, mimeType)
+      }
+      setExportMenuId(null)
+    } catch (error) {
+      console.error('Error exporting conversation:', error)
+      printWindow?.close()
+      setError('Failed to export conversation: ' + error.message)
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const handleExportAll = async () => {
+    try {
+      setError('')
+      setExporting(true)
+      const { filename, blob } = await exportAllConversations(conversations)
+      downloadBlob(filename, blob)
+    } catch (error) {
+      console.error('Error exporting conversations:', error)
+      setError('Failed to export conversations: ' + error.message)
+    } finally {
+      setExporting(false)
+    }
+  }
+
   // === EDITABLE TITLE COMPONENT ===
-  const EditableTitle = ({ conversation, isEditing, onEdit, onSave, onCancel }) => {
+  const EditableTitle = ({ conversation, isEditing, isRegenerating, onEdit, onSave, onCancel, onRegenerate, onToggleLock }) => {
     const [editValue, setEditValue] = useState(conversation.title === 'New Conversation' ? '' : conversation.title)
 
     const handleSave = () => {
@@ -347,12 +483,33 @@ const ConversationSidebar = ({
     }
 
     return (
-      <div 
-        className="conversation-title"
-        onDoubleClick={() => onEdit(conversation.id)}
-        title="Double-click to edit title"
-      >
-        {formatTitle(conversation.title, conversation.updated_at)}
+      <div className="conversation-title-row">
+        <div 
+          className="conversation-title"
+          onDoubleClick={() => onEdit(conversation.id)}
+          title="Double-click to edit title"
+        >
+          {isRegenerating ? 'Suggesting a title…' : formatTitle(conversation.title, conversation.updated_at)}
+        </div>
+        <div className="conversation-title-actions">
+          {!conversation.title_locked && (
+            <button
+              className="title-action-btn"
+              onClick={(e) => onRegenerate(conversation, e)}
+              disabled={isRegenerating}
+              title="Suggest a new title"
+            >
+              🔄
+            </button>
+          )}
+          <button
+            className={`title-action-btn ${conversation.title_locked ? 'locked' : ''}`}
+            onClick={(e) => onToggleLock(conversation, e)}
+            title={conversation.title_locked ? 'Title locked - click to allow new suggestions' : 'Lock this title'}
+          >
+            {conversation.title_locked ? '🔒' : '🔓'}
+          </button>
+        </div>
       </div>
     )
   }
@@ -374,12 +531,44 @@ const ConversationSidebar = ({
         <h3>Conversations</h3>
         <button 
           className={`new-conversation-btn ${!canAddConversation ? 'disabled' : ''}`}
-          onClick={handleNewConversation}
+          onClick={handleNewConversationClick}
           disabled={!canAddConversation}
           title={!canAddConversation ? 'Maximum 3 conversations reached' : 'Start new conversation'}
         >
           + New Conversation
         </button>
+
+        {/* === COURSE / ASSIGNMENT PICKER === */}
+        {showCoursePicker && canAddConversation && (
+          <div className="course-picker">
+            <select
+              value={pickedCourseId}
+              onChange={(e) => {
+                setPickedCourseId(e.target.value)
+                setPickedAssignmentId('')
+              }}
+            >
+              <option value="">No course</option>
+              {courses.map(course => (
+                <option key={course.id} value={course.id}>{course.name}</option>
+              ))}
+            </select>
+            {pickedCourse && pickedCourse.assignments.length > 0 && (
+              <select
+                value={pickedAssignmentId}
+                onChange={(e) => setPickedAssignmentId(e.target.value)}
+              >
+                <option value="">No assignment</option>
+                {pickedCourse.assignments.map(assignment => (
+                  <option key={assignment.id} value={assignment.id}>{assignment.title}</option>
+                ))}
+              </select>
+            )}
+            <button className="course-picker-start" onClick={handleStartFromPicker}>
+              Start
+            </button>
+          </div>
+        )}
       </div>
 
       {/* === ERROR MESSAGE === */}
@@ -413,14 +602,38 @@ const ConversationSidebar = ({
                 <EditableTitle
                   conversation={conversation}
                   isEditing={editingId === conversation.id}
+                  isRegenerating={regeneratingId === conversation.id}
                   onEdit={setEditingId}
                   onSave={handleUpdateTitle}
                   onCancel={() => setEditingId(null)}
+                  onRegenerate={handleRegenerateTitle}
+                  onToggleLock={handleToggleTitleLock}
                 />
+                {courseLabelFor(conversation) && (
+                  <div className="conversation-course">{courseLabelFor(conversation)}</div>
+                )}
                 <div className="conversation-date">
                   {new Date(conversation.updated_at).toLocaleDateString()}
                 </div>
+                {exportMenuId === conversation.id && (
+                  <div className="conversation-export-menu">
+                    <button onClick={(e) => handleExport(conversation, 'markdown', e)} disabled={exporting}>Markdown</button>
+                    <button onClick={(e) => handleExport(conversation, 'json', e)} disabled={exporting}>JSON</button>
+                    <button onClick={(e) => handleExport(conversation, 'html', e)} disabled={exporting}>HTML</button>
+                    <button onClick={(e) => handleExport(conversation, 'print', e)} disabled={exporting}>Print</button>
+                  </div>
+                )}
               </div>
+              <button
+                className="delete-conversation-btn export-conversation-btn"
+                onClick={(e) => {
+                  e.stopPropagation() // Prevent conversation selection
+                  setExportMenuId(prev => (prev === conversation.id ? null : conversation.id))
+                }}
+                title="Export conversation"
+              >
+                ⬇️
+              </button>
               <button
                 className="delete-conversation-btn"
                 onClick={(e) => handleDeleteConversation(conversation.id, e)}
@@ -433,6 +646,55 @@ const ConversationSidebar = ({
         )}
       </div>
 
+      {/* === STUDY TOOLS (FLASHCARDS, COURSES) === */}
+      {user && (
+        <div className="sidebar-tools">
+          <button
+            className="sidebar-tool-btn"
+            onClick={() => onOpenReview(null)}
+            title="Review flashcards"
+          >
+            🗂️ Flashcards
+            {decks.some(deck => deck.due_count > 0) && (
+              <span className="due-badge">{decks.reduce((total, deck) => total + deck.due_count, 0)}</span>
+            )}
+          </button>
+          {decks.filter(deck => deck.due_count > 0).map(deck => (
+            <div
+              key={deck.id}
+              className="sidebar-deck-item"
+              onClick={() => onOpenReview(deck.id)}
+              title="Review due cards"
+            >
+              <span className="sidebar-deck-name">{deck.name}</span>
+              <span className="due-badge">{deck.due_count}</span>
+            </div>
+          ))}
+          <button
+            className="sidebar-tool-btn"
+            onClick={onOpenCourses}
+            title="Join or manage courses"
+          >
+            🏫 Courses
+          </button>
+          <button
+            className="sidebar-tool-btn"
+            onClick={handleExportAll}
+            disabled={exporting || conversations.length === 0}
+            title="Download every conversation as Markdown, HTML and JSON in one zip"
+          >
+            {exporting ? '⏳ Exporting…' : '📦 Export all'}
+          </button>
+          <button
+            className="sidebar-tool-btn"
+            onClick={onOpenImport}
+            title="Restore conversations from a JSON export"
+          >
+            📥 Import
+          </button>
+        </div>
+      )}
+
       {/* === FOOTER === */}
       <div className="sidebar-footer">
         <div className="conversation-count">
@@ -0,0 +1,306 @@
+// === COURSES PANEL COMPONENT ===
+// Join courses by code, create courses (instructor accounts), and for instructors pick the course's
+// institution policy profile, write assignment policies and open the course's integrity dashboard.
+// Policies are layered on the tutor's locked instructions - they can only make it stricter.
+import React, { useState, useEffect } from 'react'
+import {
+  createCourse,
+  updateCoursePolicyProfile,
+  loadPolicyProfiles,
+  joinCourse,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment
+} from './coursesApi'
+import InstructorDashboard from './InstructorDashboard'
+import './CoursesPanel.css'
+
+// === ASSIGNMENT FORM ===
+const AssignmentForm = ({ assignment, onSave, onCancel }) => {
+  const [title, setTitle] = useState(assignment?.title || '')
+  const [policy, setPolicy] = useState(assignment?.policy || '')
+  const [maxCodeLines, setMaxCodeLines] = useState(
+    assignment && assignment.max_code_lines !== null ? String(assignment.max_code_lines) : ''
+  )
+  const [saving, setSaving] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    await onSave({
+      title: title.trim(),
+      policy: policy.trim(),
+      maxCodeLines: maxCodeLines === '' ? null : parseInt(maxCodeLines, 10)
+    })
+    setSaving(false)
+  }
+
+  return (
+    <form className="assignment-form" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        placeholder="Assignment title (e.g. PS3)"
+        maxLength={200}
+        required
+      />
+      <textarea
+        value={policy}
+        onChange={(e) => setPolicy(e.target.value)}
+        placeholder='Policy for the tutor (e.g. "Outline feedback only - no rewritten paragraphs")'
+        maxLength={1500}
+        rows={3}
+      />
+      <label className="assignment-code-limit">
+        Max lines of code per reply
+        <input
+          type="number"
+          min="0"
+          max="40"
+          value={maxCodeLines}
+          onChange={(e) => setMaxCodeLines(e.target.value)}
+          placeholder="No limit"
+        />
+      </label>
+      <div className="assignment-form-actions">
+        <button type="button" className="courses-secondary-button" onClick={onCancel}>Cancel</button>
+        <button type="submit" className="courses-primary-button" disabled={saving || !title.trim()}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+// === POLICY PROFILE PICKER ===
+// "" means the course follows the deployment's default profile
+const PolicyProfileSelect = ({ policyProfiles, value, onChange }) => {
+  const defaultProfile = policyProfiles.profiles.find(profile => profile.id === policyProfiles.defaultProfile)
+  return (
+    <select
+      className="course-profile-select"
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value || null)}
+      title="Institution policy profile: which requests the tutor refuses and how"
+    >
+      <option value="">Default policy ({defaultProfile ? defaultProfile.label : policyProfiles.defaultProfile})</option>
+      {policyProfiles.profiles.map(profile => (
+        <option key={profile.id} value={profile.id}>{profile.label} - {profile.description}</option>
+      ))}
+    </select>
+  )
+}
+
+const CoursesPanel = ({ courses, canCreateCourses, onClose, onCoursesChanged }) => {
+  // === STATE MANAGEMENT ===
+  const [joinCode, setJoinCode] = useState('')
+  const [newCourseName, setNewCourseName] = useState('')
+  const [newCourseProfile, setNewCourseProfile] = useState(null)
+  const [policyProfiles, setPolicyProfiles] = useState(null) // { defaultProfile, version, profiles }
+  const [editing, setEditing] = useState(null) // { courseId, assignmentId } - assignmentId null for a new one
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+  const [dashboardCourse, setDashboardCourse] = useState(null) // Course whose dashboard is open
+
+  // Profile labels for the pickers - without them the panel still works, just without the picker
+  useEffect(() => {
+    loadPolicyProfiles()
+      .then(setPolicyProfiles)
+      .catch(error => console.error('Error loading policy profiles:', error))
+  }, [])
+
+  const profileLabel = (profileId) => {
+    const id = profileId || policyProfiles.defaultProfile
+    const profile = policyProfiles.profiles.find(candidate => candidate.id === id)
+    return profile ? profile.label : id
+  }
+
+  // Runs a course action, reporting failures in the panel and refreshing the list on success
+  const runAction = async (action, successNotice = '') => {
+    try {
+      setError('')
+      setNotice('')
+      await action()
+      setNotice(successNotice)
+      await onCoursesChanged()
+      return true
+    } catch (error) {
+      console.error('Course action failed:', error)
+      setError(error.message)
+      return false
+    }
+  }
+
+  // === JOIN / CREATE ===
+  const handleJoin = async (e) => {
+    e.preventDefault()
+    if (await runAction(() => joinCourse(joinCode), 'Joined the course!')) {
+      setJoinCode('')
+    }
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (await runAction(() => createCourse(newCourseName.trim(), newCourseProfile), 'Course created - share its join code with your students.')) {
+      setNewCourseName('')
+      setNewCourseProfile(null)
+    }
+  }
+
+  const handleChangeProfile = async (course, policyProfile) => {
+    await runAction(() => updateCoursePolicyProfile(course.id, policyProfile), `${course.name} now follows the ${profileLabel(policyProfile)} policy.`)
+  }
+
+  // === ASSIGNMENTS ===
+  const handleSaveAssignment = async (fields) => {
+    const { courseId, assignmentId } = editing
+    const saved = await runAction(() => assignmentId
+      ? updateAssignment(assignmentId, fields)
+      : createAssignment(courseId, fields))
+    if (saved) {
+      setEditing(null)
+    }
+  }
+
+  const handleDeleteAssignment = async (assignment) => {
+    if (!window.confirm(`Delete "${assignment.title}"? Conversations for it will no longer follow its policy.`)) {
+      return
+    }
+    await runAction(() => deleteAssignment(assignment.id))
+  }
+
+  // === RENDER ===
+  return (
+    <div className="courses-overlay" onClick={onClose}>
+      <div className="courses-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="courses-header">
+          <h3>Courses</h3>
+          <button className="courses-close-button" onClick={onClose} aria-label="Close courses">✕</button>
+        </div>
+
+        {dashboardCourse ? (
+          <InstructorDashboard course={dashboardCourse} onBack={() => setDashboardCourse(null)} />
+        ) : (
+          <>
+            {error && <div className="courses-error">{error}</div>}
+            {notice && <div className="courses-notice">{notice}</div>}
+
+            <div className="courses-body">
+              {/* === JOIN AND CREATE === */}
+              <form className="courses-inline-form" onSubmit={handleJoin}>
+                <input
+                  type="text"
+                  value={joinCode}
+                  onChange={(e) => setJoinCode(e.target.value.toUpperCase())}
+                  placeholder="Join code"
+                  maxLength={12}
+                />
+                <button type="submit" className="courses-primary-button" disabled={!joinCode.trim()}>Join</button>
+              </form>
+
+              {canCreateCourses && (
+                <form className="courses-inline-form" onSubmit={handleCreate}>
+                  <input
+                    type="text"
+                    value={newCourseName}
+                    onChange={(e) => setNewCourseName(e.target.value)}
+                    placeholder="New course name"
+                    maxLength={200}
+                  />
+                  {policyProfiles && (
+                    <PolicyProfileSelect
+                      policyProfiles={policyProfiles}
+                      value={newCourseProfile}
+                      onChange={setNewCourseProfile}
+                    />
+                  )}
+                  <button type="submit" className="courses-secondary-button" disabled={!newCourseName.trim()}>Create</button>
+                </form>
+              )}
+
+              {/* === COURSE LIST === */}
+              {courses.length === 0 && (
+                <p className="courses-empty">You haven't joined any courses yet.</p>
+              )}
+
+              {courses.map(course => (
+                <div key={course.id} className="course-card">
+                  <div className="course-card-header">
+                    <strong>{course.name}</strong>
+                    <span className="course-role">{course.role}</span>
+                    {course.join_code && <span className="course-join-code">Code: {course.join_code}</span>}
+                    {course.role === 'instructor' && (
+                      <button className="courses-secondary-button" onClick={() => setDashboardCourse(course)}>📊 Dashboard</button>
+                    )}
+                  </div>
+
+                  {policyProfiles && (
+                    course.role === 'instructor' ? (
+                      <PolicyProfileSelect
+                        policyProfiles={policyProfiles}
+                        value={course.policy_profile}
+                        onChange={(policyProfile) => handleChangeProfile(course, policyProfile)}
+                      />
+                    ) : (
+                      <small className="course-profile">
+                        Policy: {profileLabel(course.policy_profile)} (v{policyProfiles.version})
+                      </small>
+                    )
+                  )}
+
+                  {course.assignments.map(assignment => (
+                    editing && editing.assignmentId === assignment.id ? (
+                      <AssignmentForm
+                        key={assignment.id}
+                        assignment={assignment}
+                        onSave={handleSaveAssignment}
+                        onCancel={() => setEditing(null)}
+                      />
+                    ) : (
+                      <div key={assignment.id} className="assignment-item">
+                        <div className="assignment-info">
+                          <span className="assignment-title">{assignment.title}</span>
+                          {assignment.policy && <small>{assignment.policy}</small>}
+                          {assignment.max_code_lines !== null && (
+                            <small>Code limit: {assignment.max_code_lines} lines</small>
+                          )}
+                        </div>
+                        {course.role === 'instructor' && (
+                          <div className="assignment-actions">
+                            <button
+                              className="courses-secondary-button"
+                              onClick={() => setEditing({ courseId: course.id, assignmentId: assignment.id })}
+                            >
+                              Edit
+                            </button>
+                            <button className="courses-remove-button" onClick={() => handleDeleteAssignment(assignment)} title="Delete assignment">🗑️</button>
+                          </div>
+                        )}
+                      </div>
+                    )
+                  ))}
+
+                  {course.role === 'instructor' && (
+                    editing && editing.courseId === course.id && editing.assignmentId === null ? (
+                      <AssignmentForm onSave={handleSaveAssignment} onCancel={() => setEditing(null)} />
+                    ) : (
+                      <button
+                        className="courses-secondary-button"
+                        onClick={() => setEditing({ courseId: course.id, assignmentId: null })}
+                      >
+                        + Add assignment
+                      </button>
+                    )
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CoursesPanel
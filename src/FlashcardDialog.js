@@ -0,0 +1,157 @@
+// === FLASHCARD DIALOG COMPONENT ===
+// Turns one tutor message into flashcards, written by hand or suggested by the model.
+// Suggested cards are only drafts - nothing is saved until the student saves them.
+import React, { useState } from 'react'
+import { createDeck, addCards, extractCards } from './flashcardsApi'
+import './Flashcards.css'
+
+const NEW_DECK = 'new'
+
+const FlashcardDialog = ({ sourceText, decks, onClose, onSaved }) => {
+  // === STATE MANAGEMENT ===
+  const [drafts, setDrafts] = useState([{ front: '', back: sourceText.substring(0, 500) }])
+  const [deckId, setDeckId] = useState(decks.length > 0 ? decks[0].id : NEW_DECK)
+  const [newDeckName, setNewDeckName] = useState('')
+  const [extracting, setExtracting] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const completeDrafts = drafts.filter(draft => draft.front.trim() && draft.back.trim())
+
+  // === DRAFT EDITING ===
+  const updateDraft = (index, field, value) => {
+    setDrafts(prev => prev.map((draft, i) => i === index ? { ...draft, [field]: value } : draft))
+  }
+
+  const removeDraft = (index) => {
+    setDrafts(prev => prev.filter((draft, i) => i !== index))
+  }
+
+  const addDraft = () => {
+    setDrafts(prev => [...prev, { front: '', back: '' }])
+  }
+
+  // === AUTO-EXTRACT WITH THE MODEL ===
+  const handleExtract = async () => {
+    try {
+      setExtracting(true)
+      setError('')
+      const cards = await extractCards(sourceText)
+      setDrafts(cards)
+    } catch (error) {
+      console.error('Error extracting flashcards:', error)
+      setError(error.message)
+    } finally {
+      setExtracting(false)
+    }
+  }
+
+  // === SAVE TO DECK ===
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      setError('')
+
+      let targetDeckId = deckId
+      if (deckId === NEW_DECK) {
+        if (!newDeckName.trim()) {
+          throw new Error('Give the new deck a name')
+        }
+        const deck = await createDeck(newDeckName.trim())
+        targetDeckId = deck.id
+      }
+
+      await addCards(targetDeckId, completeDrafts.map(draft => ({
+        front: draft.front.trim(),
+        back: draft.back.trim()
+      })))
+
+      onSaved(targetDeckId)
+    } catch (error) {
+      console.error('Error saving flashcards:', error)
+      setError(error.message)
+      setSaving(false)
+    }
+  }
+
+  // === RENDER ===
+  return (
+    <div className="flashcard-overlay" onClick={onClose}>
+      <div className="flashcard-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="flashcard-dialog-header">
+          <h3>Make flashcards</h3>
+          <button className="flashcard-close-button" onClick={onClose} aria-label="Close">✕</button>
+        </div>
+
+        {error && <div className="flashcard-error">{error}</div>}
+
+        <div className="flashcard-dialog-body">
+          <button
+            className="flashcard-secondary-button"
+            onClick={handleExtract}
+            disabled={extracting || saving}
+          >
+            {extracting ? 'Extracting...' : '✨ Auto-extract cards'}
+          </button>
+
+          {drafts.map((draft, index) => (
+            <div key={index} className="flashcard-draft">
+              <textarea
+                value={draft.front}
+                onChange={(e) => updateDraft(index, 'front', e.target.value)}
+                placeholder="Front (question)"
+                rows={2}
+              />
+              <textarea
+                value={draft.back}
+                onChange={(e) => updateDraft(index, 'back', e.target.value)}
+                placeholder="Back (answer)"
+                rows={3}
+              />
+              <button
+                className="flashcard-remove-button"
+                onClick={() => removeDraft(index)}
+                title="Remove card"
+              >
+                🗑️
+              </button>
+            </div>
+          ))}
+
+          <button className="flashcard-secondary-button" onClick={addDraft}>
+            + Add card
+          </button>
+        </div>
+
+        <div className="flashcard-dialog-footer">
+          <select value={deckId} onChange={(e) => setDeckId(e.target.value)}>
+            {decks.map(deck => (
+              <option key={deck.id} value={deck.id}>{deck.name}</option>
+            ))}
+            <option value={NEW_DECK}>New deck...</option>
+          </select>
+
+          {deckId === NEW_DECK && (
+            <input
+              type="text"
+              value={newDeckName}
+              onChange={(e) => setNewDeckName(e.target.value)}
+              placeholder="Deck name"
+              maxLength={100}
+            />
+          )}
+
+          <button
+            className="flashcard-primary-button"
+            onClick={handleSave}
+            disabled={saving || extracting || completeDrafts.length === 0}
+          >
+            {saving ? 'Saving...' : `Save ${completeDrafts.length} card${completeDrafts.length === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default FlashcardDialog
@@ -0,0 +1,133 @@
+// === IMPORT DIALOG COMPONENT ===
+// Restores conversations from a JSON export. Choosing a file only previews the import (a dry run):
+// which conversations are new, which are already there, and which don't fit. Nothing is saved until
+// the student confirms.
+import React, { useState } from 'react'
+import { parseExportFile, previewImport, runImport, IMPORT_STATUS } from './conversationImport'
+import './ImportDialog.css'
+
+const STATUS_LABELS = {
+  [IMPORT_STATUS.NEW]: 'Will import',
+  [IMPORT_STATUS.DUPLICATE]: 'Duplicate',
+  [IMPORT_STATUS.OVER_LIMIT]: 'No room',
+  [IMPORT_STATUS.INVALID]: 'Skipped'
+}
+
+const ImportDialog = ({ onClose, onImported }) => {
+  // === STATE MANAGEMENT ===
+  const [preview, setPreview] = useState(null)   // Dry-run result for the chosen file
+  const [busy, setBusy] = useState(false)
+  const [progress, setProgress] = useState(null) // { done, total } while importing
+  const [result, setResult] = useState(null)     // { imported, failed } once finished
+  const [error, setError] = useState('')
+
+  // === DRY RUN ===
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      setBusy(true)
+      setError('')
+      setPreview(null)
+      setResult(null)
+      setPreview(await previewImport(parseExportFile(await file.text())))
+    } catch (error) {
+      console.error('Error reading import file:', error)
+      setError(error.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  // === IMPORT ===
+  const handleImport = async () => {
+    try {
+      setBusy(true)
+      setError('')
+      const outcome = await runImport(preview, setProgress)
+      setResult(outcome)
+      setPreview(null)
+      if (outcome.imported > 0) onImported()
+    } catch (error) {
+      console.error('Error importing conversations:', error)
+      setError(error.message)
+    } finally {
+      setBusy(false)
+      setProgress(null)
+    }
+  }
+
+  // === RENDER ===
+  return (
+    <div className="import-overlay" onClick={busy ? undefined : onClose}>
+      <div className="import-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="import-header">
+          <h3>Import conversations</h3>
+          <button className="import-close-button" onClick={onClose} disabled={busy} aria-label="Close">✕</button>
+        </div>
+
+        {error && <div className="import-error">{error}</div>}
+
+        <div className="import-body">
+          {!preview && !result && (
+            <label className="import-file">
+              <p>Choose a JSON export - a single conversation, or <code>conversations.json</code> from an "Export all" zip.
+                You'll see what would be imported before anything is saved.</p>
+              <input type="file" accept=".json,application/json" onChange={handleFile} disabled={busy} />
+              {busy && <p className="import-status">Checking the file against your conversations…</p>}
+            </label>
+          )}
+
+          {preview && (
+            <>
+              <ul className="import-preview">
+                {preview.items.map(item => (
+                  <li key={item.index} className={`import-item ${item.status}`}>
+                    <div className="import-item-title">{item.title}</div>
+                    <div className="import-item-detail">
+                      <span className="import-badge">{STATUS_LABELS[item.status]}</span>
+                      {item.messages.length} message{item.messages.length === 1 ? '' : 's'}
+                      {item.skippedMessages > 0 && ` • ${item.skippedMessages} unreadable, skipped`}
+                      {item.reason && ` • ${item.reason}`}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+              <p className="import-status">
+                {progress
+                  ? `Importing ${Math.min(progress.done + 1, progress.total)} of ${progress.total}…`
+                  : `${preview.toImport} of ${preview.items.length} will be imported and encrypted with your key.`}
+              </p>
+            </>
+          )}
+
+          {result && (
+            <div className="import-result">
+              <p>Imported {result.imported} conversation{result.imported === 1 ? '' : 's'}.</p>
+              {result.failed.map(failure => (
+                <p key={failure.title} className="import-failure">"{failure.title}" failed: {failure.error}</p>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="import-actions">
+          {preview ? (
+            <>
+              <button className="import-secondary-button" onClick={() => setPreview(null)} disabled={busy}>Choose another file</button>
+              <button className="import-primary-button" onClick={handleImport} disabled={busy || preview.toImport === 0}>
+                Import {preview.toImport} conversation{preview.toImport === 1 ? '' : 's'}
+              </button>
+            </>
+          ) : (
+            <button className="import-secondary-button" onClick={onClose} disabled={busy}>{result ? 'Done' : 'Cancel'}</button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ImportDialog
@@ -0,0 +1,140 @@
+// === INSTRUCTOR DASHBOARD COMPONENT ===
+// Aggregate integrity stats for one course. The backend only sends counts - never message text or
+// who asked what - and any count backed by too few students arrives as null and is shown as hidden.
+import React, { useState, useEffect } from 'react'
+import { loadCourseDashboard } from './coursesApi'
+import './InstructorDashboard.css'
+
+// Short names for the hint ladder's rungs (backend/hintLadder.js)
+const HINT_LEVEL_NAMES = ['Concept', 'Technique', 'First step', 'Parallel example', 'Walkthrough']
+
+const METRIC_COLUMNS = [
+  { key: 'questions', label: 'Questions' },
+  { key: 'refused', label: 'Refused' },
+  { key: 'guided', label: 'Guided' },
+  { key: 'hints', label: 'Hints' },
+  { key: 'moderationFlags', label: 'Flags' },
+  { key: 'outputFlags', label: 'Replies withheld' },
+  { key: 'crisisSupport', label: 'Support shown' }
+]
+
+// null means "too few students to show"
+const Count = ({ value, minCohort }) => (
+  value === null
+    ? <span className="dashboard-hidden" title={`Fewer than ${minCohort} students - hidden to protect privacy`}>—</span>
+    : <span>{value}</span>
+)
+
+const BarList = ({ rows, minCohort }) => {
+  const largest = Math.max(1, ...rows.map(row => row.count || 0))
+  return (
+    <div className="dashboard-bars">
+      {rows.map(row => (
+        <div key={row.label} className="dashboard-bar-row">
+          <span className="dashboard-bar-label">{row.label}</span>
+          <div className="dashboard-bar-track">
+            {row.count !== null && (
+              <div className="dashboard-bar-fill" style={{ width: `${(row.count / largest) * 100}%` }} />
+            )}
+          </div>
+          <Count value={row.count} minCohort={minCohort} />
+        </div>
+      ))}
+    </div>
+  )
+}
+
+const InstructorDashboard = ({ course, onBack }) => {
+  // === STATE MANAGEMENT ===
+  const [dashboard, setDashboard] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    loadCourseDashboard(course.id)
+      .then(setDashboard)
+      .catch(error => {
+        console.error('Error loading dashboard:', error)
+        setError(error.message)
+      })
+  }, [course.id])
+
+  // === RENDER ===
+  return (
+    <div className="courses-body">
+      <button className="courses-secondary-button dashboard-back" onClick={onBack}>← Back to courses</button>
+      <h4 className="dashboard-title">📊 {course.name} - integrity overview</h4>
+
+      {error && <div className="courses-error">{error}</div>}
+      {!dashboard && !error && <p className="courses-empty">Loading...</p>}
+
+      {dashboard && dashboard.suppressed && (
+        <p className="courses-empty">
+          Fewer than {dashboard.minCohort} students have used the tutor in this course yet.
+          Stats appear once enough students are active that nobody can be singled out.
+        </p>
+      )}
+
+      {dashboard && !dashboard.suppressed && (
+        <>
+          <p className="dashboard-note">
+            {dashboard.activeStudents} active students. Counts backed by fewer than {dashboard.minCohort} students
+            are hidden (—), along with any count that would let a hidden one be worked out.
+          </p>
+
+          {/* === TOTALS === */}
+          <div className="dashboard-totals">
+            {METRIC_COLUMNS.map(column => (
+              <div key={column.key} className="dashboard-total">
+                <strong><Count value={dashboard.totals[column.key]} minCohort={dashboard.minCohort} /></strong>
+                <small>{column.label}</small>
+              </div>
+            ))}
+          </div>
+
+          {/* === HINT LEVELS AND TOPICS === */}
+          <h5>Hint levels reached</h5>
+          <BarList
+            minCohort={dashboard.minCohort}
+            rows={dashboard.hintLevels.map(row => ({
+              label: HINT_LEVEL_NAMES[row.level - 1] || `Level ${row.level}`,
+              count: row.count
+            }))}
+          />
+
+          <h5>Topics asked about</h5>
+          {dashboard.topics.length === 0 ? (
+            <p className="courses-empty">No questions yet.</p>
+          ) : (
+            <BarList
+              minCohort={dashboard.minCohort}
+              rows={dashboard.topics.map(row => ({ label: row.topic, count: row.count }))}
+            />
+          )}
+
+          {/* === PER-ASSIGNMENT TABLE === */}
+          <h5>By assignment</h5>
+          <table className="dashboard-table">
+            <thead>
+              <tr>
+                <th>Assignment</th>
+                {METRIC_COLUMNS.map(column => <th key={column.key}>{column.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {dashboard.assignments.map(row => (
+                <tr key={row.id || 'none'}>
+                  <td>{row.title}</td>
+                  {METRIC_COLUMNS.map(column => (
+                    <td key={column.key}><Count value={row[column.key]} minCohort={dashboard.minCohort} /></td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default InstructorDashboard
@@ -3,7 +3,8 @@
 // Maintains same aesthetic as main app but without database features
 
 import React, { useState, useRef, useEffect } from 'react';
-import axios from 'axios';
+import { streamChat } from './streamClient';
+import { retryAfterFrom, useRetryCountdown } from './retryCountdown';
 
 // === SAFE TEXT FORMATTER COMPONENT (Same as App.js) ===
 const FormattedText = ({ text }) => {
@@ -31,6 +32,8 @@ function PublicChat({ onSignUp }) {
   }]);
   const [inputMessage, setInputMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [streamingText, setStreamingText] = useState(null); // Reply received so far while streaming
+  const [retrySeconds, startRetryCountdown] = useRetryCountdown(); // Seconds until the rate limit lets the next message through
   const messagesEndRef = useRef(null);
 
   // === AUTO-SCROLL TO BOTTOM ===
@@ -40,11 +43,11 @@ function PublicChat({ onSignUp }) {
 
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [messages, streamingText]);
 
   // === SEND MESSAGE FUNCTION ===
   const sendMessage = async () => {
-    if (!inputMessage.trim() || isLoading) return;
+    if (!inputMessage.trim() || isLoading || retrySeconds > 0) return;
 
     const userMessage = inputMessage.trim();
     setInputMessage('');
@@ -57,25 +60,38 @@ function PublicChat({ onSignUp }) {
     try {
       // Call public GPT endpoint (no authentication required)
       const backendUrl = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3000';
-      const response = await axios.post(`${backendUrl}/api/public/gpt`, {
-        message: userMessage,
-        maxTokens: 300,
-        temperature: 0.7
+      const result = await streamChat({
+        url: `${backendUrl}/api/public/gpt/stream`,
+        body: {
+          message: userMessage,
+          maxTokens: 300,
+          temperature: 0.7
+        },
+        onToken: (text) => {
+          setStreamingText(prev => (prev || '') + text);
+        }
       });
 
       // Add AI response to chat
-      const aiMessageObj = { role: 'assistant', content: response.data.response };
+      const aiMessageObj = { role: 'assistant', content: result.response };
+      setStreamingText(null);
       setMessages(prev => [...prev, aiMessageObj]);
 
     } catch (error) {
       console.error('Error calling backend:', error);
+      setStreamingText(null);
       
       let errorMessage = 'Sorry, I encountered an error. Please try again.';
       
-      if (error.response?.status === 400 && error.response?.data?.flagged) {
-        errorMessage = error.response.data.error;
-      } else if (error.response?.status === 429) {
+      if (error.event === 'moderation_error' || error.data?.code === 'content_flagged' || error.data?.code === 'moderation_unavailable') {
+        errorMessage = error.data.error;
+      } else if (error.data?.code === 'injection_cooldown' || error.data?.code === 'rate_limited') {
+        errorMessage = error.data.error;
+        startRetryCountdown(retryAfterFrom(error.data) || 0);
+      } else if (error.event === 'rate_limit_error' || error.status === 429) {
         errorMessage = 'Too many requests. Please wait a moment before trying again.';
+      } else if (error.event === 'upstream_error') {
+        errorMessage = 'Sorry, the AI service stopped responding. Please try again.';
       }
       
       const errorMessageObj = { role: 'assistant', content: errorMessage };
@@ -151,8 +167,20 @@ function PublicChat({ onSignUp }) {
               </div>
             ))}
             
+            {/* === STREAMING REPLY === */}
+            {streamingText && (
+              <div className="message assistant">
+                <div className="message-avatar">🤖</div>
+                <div className="message-content">
+                  <div className="message-text">
+                    <FormattedText text={streamingText} />
+                  </div>
+                </div>
+              </div>
+            )}
+
             {/* === TYPING INDICATOR === */}
-            {isLoading && (
+            {isLoading && !streamingText && (
               <div className="message assistant">
                 <div className="message-avatar">🤖</div>
                 <div className="message-content">
@@ -186,10 +214,11 @@ function PublicChat({ onSignUp }) {
             {/* === SEND BUTTON === */}
             <button
               onClick={sendMessage}
-              disabled={!inputMessage.trim() || isLoading}
+              disabled={!inputMessage.trim() || isLoading || retrySeconds > 0}
               className="send-button"
+              title={retrySeconds > 0 ? `You can send again in ${retrySeconds}s` : undefined}
             >
-              📤
+              {retrySeconds > 0 ? `${retrySeconds}s` : '📤'}
             </button>
           </div>
           
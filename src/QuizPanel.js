@@ -0,0 +1,200 @@
+// === QUIZ PANEL COMPONENT ===
+// Generates a short quiz from the current conversation and grades it in the browser.
+// The answer key never leaves this component; only the graded result is saved.
+import React, { useState, useEffect, useRef } from 'react'
+import { supabase } from './supabaseClient'
+import './QuizPanel.css'
+
+// === LOCAL GRADING ===
+const normalizeAnswer = (text) => {
+  return (text || '').toLowerCase()
+    .replace(/[^a-z0-9.\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+// Short answers count as correct when they match, or contain most of the key's words
+const gradeShortAnswer = (given, answer) => {
+  const normalizedGiven = normalizeAnswer(given)
+  const normalizedAnswer = normalizeAnswer(answer)
+  if (!normalizedGiven) return false
+  if (normalizedGiven === normalizedAnswer) return true
+
+  const keywords = normalizedAnswer.split(' ').filter(word => word.length > 2)
+  if (keywords.length === 0) {
+    return normalizedGiven.split(' ').includes(normalizedAnswer)
+  }
+
+  const matched = keywords.filter(word => normalizedGiven.includes(word)).length
+  return matched / keywords.length >= 0.6
+}
+
+const gradeQuiz = (quiz, answers) => {
+  const questions = quiz.questions.map((question, index) => {
+    const given = answers[index] || ''
+    const correct = question.type === 'multiple_choice'
+      ? given === question.answer
+      : gradeShortAnswer(given, question.answer)
+
+    return {
+      question: question.question,
+      answer: question.answer,
+      given: given,
+      correct: correct,
+      explanation: question.explanation
+    }
+  })
+
+  return {
+    title: quiz.title,
+    score: questions.filter(question => question.correct).length,
+    total: questions.length,
+    questions: questions,
+    completedAt: new Date().toISOString()
+  }
+}
+
+const QuizPanel = ({ messages, onClose, onSaveResult }) => {
+  // === STATE MANAGEMENT ===
+  const [quiz, setQuiz] = useState(null)
+  const [answers, setAnswers] = useState({})
+  const [result, setResult] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  // The conversation as it was when the panel opened - later messages don't change the quiz in progress
+  const openingMessages = useRef(messages)
+
+  // === GENERATE QUIZ WHEN OPENED ===
+  useEffect(() => {
+    const generateQuiz = async () => {
+      try {
+        setLoading(true)
+        setError('')
+
+        const { data: { session } } = await supabase.auth.getSession()
+        if (!session) {
+          throw new Error('No active session')
+        }
+
+        const backendUrl = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3000'
+        const response = await fetch(`${backendUrl}/api/quiz`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${session.access_token}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ messages: openingMessages.current, questionCount: 5 })
+        })
+
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.error || `HTTP ${response.status}`)
+        }
+
+        setQuiz(data.quiz)
+      } catch (error) {
+        console.error('Error generating quiz:', error)
+        setError(error.message)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    generateQuiz()
+  }, [])
+
+  // === SUBMIT ANSWERS ===
+  const handleSubmit = () => {
+    const graded = gradeQuiz(quiz, answers)
+    setResult(graded)
+    onSaveResult(graded)
+  }
+
+  const setAnswer = (index, value) => {
+    setAnswers(prev => ({ ...prev, [index]: value }))
+  }
+
+  // === RENDER ===
+  return (
+    <div className="quiz-overlay" onClick={onClose}>
+      <div className="quiz-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="quiz-header">
+          <h3>{quiz ? quiz.title : 'Quiz'}</h3>
+          <button className="quiz-close-button" onClick={onClose} aria-label="Close quiz">✕</button>
+        </div>
+
+        {loading && <div className="quiz-status">Writing your quiz...</div>}
+        {error && <div className="quiz-error">{error}</div>}
+
+        {quiz && (
+          <div className="quiz-questions">
+            {quiz.questions.map((question, index) => {
+              const graded = result ? result.questions[index] : null
+
+              return (
+                <div
+                  key={index}
+                  className={`quiz-question ${graded ? (graded.correct ? 'correct' : 'incorrect') : ''}`}
+                >
+                  <p className="quiz-question-text">{index + 1}. {question.question}</p>
+
+                  {question.type === 'multiple_choice' ? (
+                    question.choices.map(choice => (
+                      <label key={choice} className="quiz-choice">
+                        <input
+                          type="radio"
+                          name={`question-${index}`}
+                          value={choice}
+                          checked={answers[index] === choice}
+                          onChange={() => setAnswer(index, choice)}
+                          disabled={Boolean(result)}
+                        />
+                        {choice}
+                      </label>
+                    ))
+                  ) : (
+                    <input
+                      type="text"
+                      className="quiz-short-answer"
+                      value={answers[index] || ''}
+                      onChange={(e) => setAnswer(index, e.target.value)}
+                      disabled={Boolean(result)}
+                      placeholder="Your answer"
+                    />
+                  )}
+
+                  {graded && (
+                    <div className="quiz-feedback">
+                      {graded.correct ? '✅ Correct' : `❌ Answer: ${graded.answer}`}
+                      {graded.explanation && <small>{graded.explanation}</small>}
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        <div className="quiz-footer">
+          {result ? (
+            <>
+              <span className="quiz-score">Score: {result.score}/{result.total}</span>
+              <button className="quiz-submit-button" onClick={onClose}>Done</button>
+            </>
+          ) : (
+            <button
+              className="quiz-submit-button"
+              onClick={handleSubmit}
+              disabled={!quiz}
+            >
+              Check answers
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default QuizPanel
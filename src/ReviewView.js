@@ -0,0 +1,237 @@
+// === FLASHCARD REVIEW VIEW ===
+// Lists the student's decks with due counts, runs spaced-repetition review sessions,
+// and imports/exports decks as CSV or Anki text. Scheduling happens on the server (SM-2).
+import React, { useState, useEffect } from 'react'
+import { loadCards, reviewCard, deleteDeck, createDeck, addCards } from './flashcardsApi'
+import { exportDeck, parseDeckText, downloadTextFile } from './deckTransfer'
+import './Flashcards.css'
+
+const IMPORT_BATCH_SIZE = 500            // Matches the backend's per-request card limit
+
+const REVIEW_BUTTONS = [
+  { grade: 'again', label: 'Again' },
+  { grade: 'hard', label: 'Hard' },
+  { grade: 'good', label: 'Good' },
+  { grade: 'easy', label: 'Easy' }
+]
+
+const ReviewView = ({ decks, initialDeckId, onClose, onDecksChanged }) => {
+  // === STATE MANAGEMENT ===
+  const [activeDeckId, setActiveDeckId] = useState(null)
+  const [queue, setQueue] = useState([])
+  const [showAnswer, setShowAnswer] = useState(false)
+  const [reviewedCount, setReviewedCount] = useState(0)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  const activeDeck = decks.find(deck => deck.id === activeDeckId)
+  const currentCard = queue[0]
+
+  // === OPEN THE REQUESTED DECK ===
+  useEffect(() => {
+    if (initialDeckId) {
+      startReview(initialDeckId)
+    }
+    // Only when the view is opened for a different deck
+  }, [initialDeckId])
+
+  // === START A REVIEW SESSION ===
+  const startReview = async (deckId) => {
+    try {
+      setBusy(true)
+      setError('')
+      setNotice('')
+      const dueCards = await loadCards(deckId, { dueOnly: true })
+      setActiveDeckId(deckId)
+      setQueue(dueCards)
+      setShowAnswer(false)
+      setReviewedCount(0)
+    } catch (error) {
+      console.error('Error loading due cards:', error)
+      setError(error.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  // === GRADE THE CURRENT CARD ===
+  const handleGrade = async (grade) => {
+    try {
+      setBusy(true)
+      setError('')
+      await reviewCard(currentCard.id, grade)
+
+      // A failed card comes back at the end of this session
+      setQueue(prev => grade === 'again' ? [...prev.slice(1), prev[0]] : prev.slice(1))
+      setReviewedCount(prev => prev + 1)
+      setShowAnswer(false)
+
+      if (grade !== 'again' && queue.length === 1) {
+        onDecksChanged()
+      }
+    } catch (error) {
+      console.error('Error saving review:', error)
+      setError(error.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const endSession = () => {
+    setActiveDeckId(null)
+    setQueue([])
+    onDecksChanged()
+  }
+
+  // === EXPORT ===
+  const handleExport = async (deck, format) => {
+    try {
+      setError('')
+      const cards = await loadCards(deck.id)
+      const { content, mimeType, extension } = exportDeck(cards, format)
+      downloadTextFile(`${deck.name}.${extension}`, content, mimeType)
+    } catch (error) {
+      console.error('Error exporting deck:', error)
+      setError(error.message)
+    }
+  }
+
+  // === IMPORT ===
+  // Each imported file becomes a new deck named after the file
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      setBusy(true)
+      setError('')
+      setNotice('')
+
+      const { cards, skipped } = parseDeckText(await file.text())
+      if (cards.length === 0) {
+        throw new Error('No cards found. Use "front,back" CSV or Anki tab-separated text.')
+      }
+
+      const deck = await createDeck(file.name.replace(/\.[^.]+$/, '').substring(0, 100) || 'Imported deck')
+      for (let start = 0; start < cards.length; start += IMPORT_BATCH_SIZE) {
+        await addCards(deck.id, cards.slice(start, start + IMPORT_BATCH_SIZE))
+      }
+
+      setNotice(`Imported ${cards.length} card${cards.length === 1 ? '' : 's'} into "${deck.name}"` +
+        (skipped > 0 ? ` (${skipped} row${skipped === 1 ? '' : 's'} skipped)` : ''))
+      onDecksChanged()
+    } catch (error) {
+      console.error('Error importing deck:', error)
+      setError(error.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  // === DELETE ===
+  const handleDelete = async (deck) => {
+    if (!window.confirm(`Delete the deck "${deck.name}" and all of its cards?`)) {
+      return
+    }
+
+    try {
+      setError('')
+      await deleteDeck(deck.id)
+      onDecksChanged()
+    } catch (error) {
+      console.error('Error deleting deck:', error)
+      setError(error.message)
+    }
+  }
+
+  // === RENDER ===
+  return (
+    <div className="review-view">
+      <div className="review-header">
+        <h2>{activeDeck ? activeDeck.name : 'Flashcards'}</h2>
+        <button className="flashcard-secondary-button" onClick={activeDeck ? endSession : onClose}>
+          {activeDeck ? '← All decks' : '← Back to chat'}
+        </button>
+      </div>
+
+      {error && <div className="flashcard-error">{error}</div>}
+      {notice && <div className="flashcard-notice">{notice}</div>}
+
+      {activeDeck ? (
+        /* === REVIEW SESSION === */
+        currentCard ? (
+          <div className="review-session">
+            <div className="review-progress">{queue.length} left • {reviewedCount} reviewed</div>
+            <div className="review-card">
+              <div className="review-card-front">{currentCard.front}</div>
+              {showAnswer && <div className="review-card-back">{currentCard.back}</div>}
+            </div>
+
+            {showAnswer ? (
+              <div className="review-grade-buttons">
+                {REVIEW_BUTTONS.map(button => (
+                  <button
+                    key={button.grade}
+                    className={`review-grade-button ${button.grade}`}
+                    onClick={() => handleGrade(button.grade)}
+                    disabled={busy}
+                  >
+                    {button.label}
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <button className="flashcard-primary-button" onClick={() => setShowAnswer(true)}>
+                Show answer
+              </button>
+            )}
+          </div>
+        ) : (
+          <div className="review-empty">
+            <p>🎉 All caught up! {reviewedCount > 0 && `You reviewed ${reviewedCount} card${reviewedCount === 1 ? '' : 's'}.`}</p>
+            <button className="flashcard-primary-button" onClick={endSession}>Back to decks</button>
+          </div>
+        )
+      ) : (
+        /* === DECK LIST === */
+        <div className="deck-list">
+          {decks.length === 0 && (
+            <div className="review-empty">
+              <p>No decks yet. Use "🗂️ Flashcards" under a tutor reply, or import a deck.</p>
+            </div>
+          )}
+
+          {decks.map(deck => (
+            <div key={deck.id} className="deck-item">
+              <div className="deck-info">
+                <span className="deck-name">{deck.name}</span>
+                <span className="deck-due">{deck.due_count} due</span>
+              </div>
+              <div className="deck-actions">
+                <button
+                  className="flashcard-primary-button"
+                  onClick={() => startReview(deck.id)}
+                  disabled={busy}
+                >
+                  Review
+                </button>
+                <button className="flashcard-secondary-button" onClick={() => handleExport(deck, 'csv')}>CSV</button>
+                <button className="flashcard-secondary-button" onClick={() => handleExport(deck, 'anki')}>Anki</button>
+                <button className="flashcard-remove-button" onClick={() => handleDelete(deck)} title="Delete deck">🗑️</button>
+              </div>
+            </div>
+          ))}
+
+          <label className="deck-import">
+            📥 Import deck (CSV or Anki .txt)
+            <input type="file" accept=".csv,.txt,.tsv,text/csv,text/plain" onChange={handleImport} disabled={busy} />
+          </label>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReviewView
@@ -0,0 +1,101 @@
+// === SEARCH PANEL COMPONENT ===
+// Finds messages across all of the user's conversations. Searching happens in the browser over the
+// encrypted local index (see searchIndex.js) - queries and results never reach the server.
+import React, { useState, useEffect, useRef } from 'react'
+import { searchConversations } from './searchIndex'
+import './SearchPanel.css'
+
+const SEARCH_DELAY_MS = 250              // Wait for a pause in typing before searching
+
+const formatDate = (createdAt) => {
+  return createdAt ? new Date(createdAt).toLocaleDateString() : ''
+}
+
+const SearchPanel = ({ userId, onOpenResult, onClose }) => {
+  // === STATE MANAGEMENT ===
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState(null) // null until the first search finishes
+  const [searching, setSearching] = useState(false)
+  const [error, setError] = useState('')
+  const inputRef = useRef(null)
+
+  useEffect(() => {
+    inputRef.current?.focus()
+  }, [])
+
+  // === SEARCH AS YOU TYPE ===
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults(null)
+      return
+    }
+
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      try {
+        setSearching(true)
+        setError('')
+        const found = await searchConversations(userId, query)
+        if (!cancelled) setResults(found)
+      } catch (error) {
+        console.error('Error searching conversations:', error)
+        if (!cancelled) setError('Search failed: ' + error.message)
+      } finally {
+        if (!cancelled) setSearching(false)
+      }
+    }, SEARCH_DELAY_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [query, userId])
+
+  // === RENDER ===
+  return (
+    <div className="search-overlay" onClick={onClose}>
+      <div className="search-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="search-header">
+          <input
+            ref={inputRef}
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && onClose()}
+            placeholder="Search your conversations"
+            className="search-input"
+          />
+          <button className="search-close-button" onClick={onClose} aria-label="Close search">✕</button>
+        </div>
+
+        {error && <div className="search-error">{error}</div>}
+
+        <div className="search-results">
+          {searching && results === null && <p className="search-status">Searching… the first search reads every conversation</p>}
+          {results && results.length === 0 && <p className="search-status">No messages match "{query.trim()}"</p>}
+          {results && results.map(result => (
+            <button
+              key={`${result.conversation.id}:${result.messageId}`}
+              className="search-result"
+              onClick={() => onOpenResult(result)}
+            >
+              <div className="search-result-meta">
+                <span className="search-result-title">{result.conversation.title}</span>
+                <span>{result.role === 'user' ? 'You' : 'Tutor'} • {formatDate(result.createdAt)}</span>
+              </div>
+              <div className="search-result-snippet">
+                {result.snippet.before}<mark>{result.snippet.match}</mark>{result.snippet.after}
+              </div>
+            </button>
+          ))}
+        </div>
+
+        <div className="search-footer">
+          <small>🔒 Searched on this device. The index is stored encrypted in your browser.</small>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SearchPanel
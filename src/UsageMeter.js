@@ -0,0 +1,35 @@
+// === USAGE METER COMPONENT ===
+// AI tutor token use against the account's daily and monthly limits (GET /api/usage).
+// Shows whichever period is closer to its limit, with both in the tooltip; nothing when unlimited.
+import React from 'react'
+
+const PERIOD_NAMES = { daily: 'Today', monthly: 'This month' }
+
+const formatTokens = (count) => (count >= 1000 ? `${Math.round(count / 100) / 10}k` : String(count))
+
+const UsageMeter = ({ usage }) => {
+  if (!usage) return null
+
+  const periods = Object.keys(PERIOD_NAMES)
+    .map(period => ({ period, ...usage[period], fraction: usage[period].used / Math.max(usage[period].limit, 1) }))
+    .filter(period => period.limit !== null)
+  if (periods.length === 0) return null
+
+  const tightest = periods.reduce((closest, period) => (period.fraction > closest.fraction ? period : closest))
+  const level = tightest.fraction >= 1 ? 'full' : tightest.fraction >= 0.8 ? 'high' : 'normal'
+  const details = periods
+    .map(period => `${PERIOD_NAMES[period.period]}: ${period.used.toLocaleString()} of ${period.limit.toLocaleString()} tokens, resets ${new Date(period.resetsAt).toLocaleString()}`)
+    .join('\n')
+
+  return (
+    <div className={`usage-meter usage-${level}`} title={details}>
+      <span className="usage-label">{PERIOD_NAMES[tightest.period]}</span>
+      <div className="usage-track">
+        <div className="usage-fill" style={{ width: `${Math.min(tightest.fraction, 1) * 100}%` }} />
+      </div>
+      <span className="usage-count">{formatTokens(tightest.used)}/{formatTokens(tightest.limit)}</span>
+    </div>
+  )
+}
+
+export default UsageMeter
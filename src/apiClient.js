@@ -0,0 +1,31 @@
+// === AUTHENTICATED API CLIENT ===
+// Shared by the feature API modules (flashcards, courses). Sends the Supabase session token
+// and turns error responses into thrown Errors carrying the backend's message.
+import { supabase } from './supabaseClient'
+
+export const apiRequest = async (path, { method = 'GET', body } = {}) => {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session) {
+    throw new Error('No active session')
+  }
+
+  const backendUrl = process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3000'
+  const response = await fetch(`${backendUrl}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${session.access_token}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  })
+
+  const data = await response.json()
+  if (!response.ok) {
+    const error = new Error(data.error || `HTTP ${response.status}`)
+    error.status = response.status
+    error.data = data
+    throw error
+  }
+
+  return { data, userId: session.user.id }
+}
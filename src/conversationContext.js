@@ -0,0 +1,55 @@
+// === TUTORING CONTEXT ===
+// What the tutor sees of a conversation. Long conversations are folded into a rolling summary
+// (POST /api/summarize), saved encrypted as a message of type "summary"; requests then send the
+// latest summary plus the turns it doesn't cover instead of the whole history.
+import { apiRequest } from './apiClient'
+
+const SUMMARIZE_AFTER_TURNS = 24         // Unsummarized turns that trigger a summary...
+const SUMMARIZE_AFTER_CHARS = 20000      // ...or this much unsummarized text, whichever comes first
+const KEEP_RECENT_TURNS = 8              // Newest turns always sent word for word
+const MAX_TURNS_PER_SUMMARY = 50         // The server's history cap; only reached after failed summaries
+
+// Turns the model sees: no greetings or error notices, no quiz results and no summaries
+export const toModelHistory = (messages) => {
+  return messages
+    .filter(message => !message.local && (!message.type || message.type === 'text'))
+    .map(({ role, content }) => ({ role, content }))
+}
+
+// Returns { summary, history }. A summary message covers every turn before it except the last
+// keptTurns, which stay in the history along with everything after it.
+export const buildModelContext = (messages) => {
+  const summaryIndex = messages.reduce((latest, message, index) => (message.type === 'summary' ? index : latest), -1)
+  if (summaryIndex === -1) {
+    return { summary: null, history: toModelHistory(messages) }
+  }
+
+  const summaryMessage = messages[summaryIndex]
+  const keptTurns = summaryMessage.metadata?.summary?.keptTurns || 0
+  const before = toModelHistory(messages.slice(0, summaryIndex))
+
+  return {
+    summary: summaryMessage.content,
+    history: [...(keptTurns > 0 ? before.slice(-keptTurns) : []), ...toModelHistory(messages.slice(summaryIndex + 1))]
+  }
+}
+
+export const needsSummary = ({ history }) => {
+  const chars = history.reduce((total, turn) => total + turn.content.length, 0)
+  return history.length > KEEP_RECENT_TURNS && (history.length >= SUMMARIZE_AFTER_TURNS || chars >= SUMMARIZE_AFTER_CHARS)
+}
+
+// Folds all but the newest turns into the summary. Returns the summary message to save.
+export const summarizeContext = async ({ summary, history }) => {
+  const { data } = await apiRequest('/api/summarize', {
+    method: 'POST',
+    body: { summary, turns: history.slice(0, -KEEP_RECENT_TURNS).slice(-MAX_TURNS_PER_SUMMARY) }
+  })
+
+  return {
+    role: 'assistant',
+    type: 'summary',
+    content: data.summary,
+    metadata: { summary: { keptTurns: KEEP_RECENT_TURNS } }
+  }
+}
@@ -0,0 +1,218 @@
+// === CONVERSATION EXPORT ===
+// Transcripts for attaching to assignments, and backups. Messages are decrypted in the browser and
+// written out as Markdown, printable HTML, or JSON (the backup format, read back by the importer).
+// Exporting everything bundles the three into a zip built in the browser - nothing passes the server decrypted.
+import { decryptText } from './encryption'
+import { apiRequest } from './apiClient'
+import { createZip } from './zipArchive'
+
+export const EXPORT_SCHEMA = 'honorably.conversations'
+export const EXPORT_SCHEMA_VERSION = 1
+
+const ROLE_LABELS = { user: 'Student', assistant: 'Honorably tutor' }
+
+// Stands in for a message that failed to decrypt. Such messages also carry metadata.undecryptable,
+// so the importer skips them instead of saving the placeholder as if it were the message.
+export const UNDECRYPTABLE_PLACEHOLDER = '[This message could not be decrypted]'
+
+// === LOAD ===
+// conversation is a sidebar row with its title already decrypted. Returns { conversation, messages }
+// with message contents decrypted; messages that fail to decrypt are marked rather than dropped, so
+// transcripts show where something is missing.
+export const loadConversationForExport = async (conversation) => {
+  const { data, userId } = await apiRequest(`/api/conversations/${conversation.id}/messages`)
+  const messages = await Promise.all((data || []).map(async (message) => {
+    try {
+      return { ...message, content: await decryptText(message.content, userId) }
+    } catch (error) {
+      console.error('Error decrypting message for export:', error)
+      return { ...message, content: UNDECRYPTABLE_PLACEHOLDER, metadata: { ...message.metadata, undecryptable: true } }
+    }
+  }))
+  return { conversation, messages }
+}
+
+// === HELPERS ===
+const formatTimestamp = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '')
+
+// Safe file names: keeps letters and digits in any script, caps the length
+export const fileNameFor = (title, fallback = 'conversation') => {
+  const name = (title || '')
+    .normalize('NFKC')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60)
+  return name || fallback
+}
+
+// Quiz results are stored as JSON; transcripts show them as a score and a question list
+const parseQuizResult = (content) => {
+  try {
+    return JSON.parse(content)
+  } catch (error) {
+    return null
+  }
+}
+
+// === JSON ===
+const toExportedConversation = ({ conversation, messages }) => ({
+  id: conversation.id,
+  title: conversation.title,
+  mode: conversation.mode || null,
+  courseId: conversation.course_id || null,
+  assignmentId: conversation.assignment_id || null,
+  createdAt: conversation.created_at,
+  updatedAt: conversation.updated_at,
+  messages: messages.map(message => ({
+    id: message.id,
+    role: message.role,
+    type: message.type || 'text',
+    content: message.content,
+    metadata: message.metadata || null,
+    createdAt: message.created_at
+  }))
+})
+
+// entries: [{ conversation, messages }]
+export const toExportJson = (entries) => {
+  const document = {
+    schema: EXPORT_SCHEMA,
+    version: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversations: entries.map(toExportedConversation)
+  }
+  return JSON.stringify(document, null, 2) + '\n'
+}
+
+// === MARKDOWN ===
+const markdownBody = (message) => {
+  if (message.type === 'quiz_result') {
+    const result = parseQuizResult(message.content)
+    if (result) {
+      return [
+        `📝 **${result.title}: ${result.score}/${result.total}**`,
+        '',
+        ...result.questions.map(question => `- ${question.correct ? '✅' : '❌'} ${question.question}`)
+      ].join('\n')
+    }
+  }
+  if (message.type === 'summary') {
+    return message.content.split('\n').map(line => `> ${line}`).join('\n')
+  }
+  return message.content
+}
+
+export const toMarkdown = ({ conversation, messages }) => {
+  const lines = [
+    `# ${conversation.title}`,
+    '',
+    `Exported from Honorably on ${formatTimestamp(new Date())}. Started ${formatTimestamp(conversation.created_at)}.`,
+    ''
+  ]
+
+  for (const message of messages) {
+    const label = message.type === 'summary' ? 'Summary of earlier messages' : ROLE_LABELS[message.role] || message.role
+    lines.push('---', '', `**${label}** · ${formatTimestamp(message.created_at)}`, '', markdownBody(message), '')
+  }
+
+  return lines.join('\n')
+}
+
+// === PRINTABLE HTML ===
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+// Same **bold** formatting the chat shows; everything else stays plain text
+const htmlText = (text) => escapeHtml(text).replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+
+const htmlBody = (message) => {
+  if (message.type === 'quiz_result') {
+    const result = parseQuizResult(message.content)
+    if (result) {
+      const questions = result.questions
+        .map(question => `<li>${question.correct ? '✅' : '❌'} ${escapeHtml(question.question)}</li>`)
+        .join('')
+      return `<p><strong>📝 ${escapeHtml(result.title)}: ${escapeHtml(result.score)}/${escapeHtml(result.total)}</strong></p><ul>${questions}</ul>`
+    }
+  }
+  return `<div class="text">${htmlText(message.content)}</div>`
+}
+
+const PRINT_STYLES = `
+  body { font-family: Georgia, 'Times New Roman', serif; color: #111; max-width: 720px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  .exported { color: #555; font-size: 0.85rem; margin-bottom: 1.5rem; }
+  .message { border-top: 1px solid #ccc; padding: 0.75rem 0; page-break-inside: avoid; break-inside: avoid; }
+  .label { font-family: Arial, sans-serif; font-size: 0.8rem; color: #555; margin-bottom: 0.25rem; }
+  .label strong { color: #111; }
+  .text { white-space: pre-wrap; }
+  .summary { color: #444; font-style: italic; }
+  @media print { body { margin: 0; max-width: none; } a { color: inherit; } }
+`
+
+export const toHtml = ({ conversation, messages }) => {
+  const items = messages.map(message => {
+    const label = message.type === 'summary' ? 'Summary of earlier messages' : ROLE_LABELS[message.role] || message.role
+    return `<section class="message ${message.role}${message.type === 'summary' ? ' summary' : ''}">
+  <div class="label"><strong>${escapeHtml(label)}</strong> · ${escapeHtml(formatTimestamp(message.created_at))}</div>
+  ${htmlBody(message)}
+</section>`
+  })
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(conversation.title)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(conversation.title)}</h1>
+<p class="exported">Exported from Honorably on ${escapeHtml(formatTimestamp(new Date()))}. Started ${escapeHtml(formatTimestamp(conversation.created_at))}.</p>
+${items.join('\n')}
+</body>
+</html>
+`
+}
+
+// === EXPORT ===
+const FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown', render: toMarkdown },
+  json: { extension: 'json', mimeType: 'application/json', render: (entry) => toExportJson([entry]) },
+  html: { extension: 'html', mimeType: 'text/html', render: toHtml }
+}
+
+// format: 'markdown', 'json' or 'html'. Returns { filename, content, mimeType }
+export const exportConversation = async (conversation, format) => {
+  const { extension, mimeType, render } = FORMATS[format]
+  const entry = await loadConversationForExport(conversation)
+  return { filename: `${fileNameFor(conversation.title)}.${extension}`, content: render(entry), mimeType }
+}
+
+// Everything in one zip: conversations.json for backups, plus a Markdown and an HTML transcript per conversation
+export const exportAllConversations = async (conversations) => {
+  const entries = []
+  for (const conversation of conversations) {
+    entries.push(await loadConversationForExport(conversation))
+  }
+
+  const usedNames = new Set()
+  const files = [{ name: 'conversations.json', content: toExportJson(entries) }]
+  for (const entry of entries) {
+    let name = fileNameFor(entry.conversation.title)
+    for (let suffix = 2; usedNames.has(name); suffix++) {
+      name = `${fileNameFor(entry.conversation.title)}-${suffix}`
+    }
+    usedNames.add(name)
+    files.push({ name: `markdown/${name}.md`, content: toMarkdown(entry) })
+    files.push({ name: `html/${name}.html`, content: toHtml(entry) })
+  }
+
+  return { filename: `honorably-export-${new Date().toISOString().slice(0, 10)}.zip`, blob: createZip(files) }
+}
@@ -0,0 +1,254 @@
+// === CONVERSATION IMPORT ===
+// Reads the JSON export (conversationExport.js) back in - after switching accounts, or to restore
+// deleted conversations. Everything up to the final import runs in the browser: the file is checked
+// against the schema, compared with the user's existing conversations to skip duplicates (the server
+// only holds ciphertext, so it can't compare), and previewed. Titles and messages are then encrypted
+// under the current user's key and saved with POST /api/conversations and the bulk message endpoint.
+import { supabase } from './supabaseClient'
+import { encryptText, decryptText } from './encryption'
+import { apiRequest } from './apiClient'
+import { EXPORT_SCHEMA, EXPORT_SCHEMA_VERSION, UNDECRYPTABLE_PLACEHOLDER } from './conversationExport'
+
+const MAX_CONVERSATIONS = 3              // Per user - mirrors the database trigger
+const MESSAGE_ROLES = ['user', 'assistant']
+const MESSAGE_TYPES = ['text', 'quiz_result', 'summary']
+const MAX_METADATA_LENGTH = 2000         // The backend's limit on plaintext metadata
+const BATCH_MAX_MESSAGES = 200           // The backend's per-request message limit
+const BATCH_MAX_CHARS = 700000           // Keeps each request under the 1mb body limit
+
+// Preview statuses
+export const IMPORT_STATUS = {
+  NEW: 'new',
+  DUPLICATE: 'duplicate',                // Already in the account, or earlier in the same file
+  OVER_LIMIT: 'over_limit',              // No free conversation slot left
+  INVALID: 'invalid'
+}
+
+// === PARSE AND VALIDATE ===
+const validMessage = (message) => {
+  if (!message || typeof message !== 'object') return null
+  const type = message.type || 'text'
+  const metadata = message.metadata ?? null
+
+  if (!MESSAGE_ROLES.includes(message.role) || !MESSAGE_TYPES.includes(type)) return null
+  if (typeof message.content !== 'string' || !message.content) return null
+  // Messages the exporting browser couldn't decrypt - older exports only have the placeholder text
+  if (metadata?.undecryptable === true || message.content === UNDECRYPTABLE_PLACEHOLDER) return null
+  if (metadata !== null && (typeof metadata !== 'object' || Array.isArray(metadata) || JSON.stringify(metadata).length > MAX_METADATA_LENGTH)) {
+    return null
+  }
+
+  // Original dates keep the messages in order; unusable ones are filled in by fillDates
+  const createdAt = new Date(message.createdAt)
+  const keepDate = typeof message.createdAt === 'string' && !isNaN(createdAt) && createdAt <= new Date()
+
+  return { role: message.role, type, content: message.content, metadata, createdAt: keepDate ? createdAt.toISOString() : null }
+}
+
+// Messages are shown in date order and a batch is inserted at one instant, so every message gets a
+// distinct date: missing or repeated ones are placed a millisecond after the message before them
+const fillDates = (messages) => {
+  const firstKnown = messages.find(message => message.createdAt)
+  let previous = (firstKnown ? new Date(firstKnown.createdAt).getTime() : Date.now()) - messages.length - 1
+
+  return messages.map(message => {
+    const time = message.createdAt ? Math.max(new Date(message.createdAt).getTime(), previous + 1) : previous + 1
+    previous = time
+    return { ...message, createdAt: new Date(time).toISOString() }
+  })
+}
+
+const parseConversation = (conversation, index) => {
+  const entry = {
+    index,
+    title: typeof conversation?.title === 'string' && conversation.title.trim() ? conversation.title.trim() : `Imported conversation ${index + 1}`,
+    mode: typeof conversation?.mode === 'string' ? conversation.mode : null,
+    messages: [],
+    skippedMessages: 0,
+    problem: null
+  }
+
+  if (!conversation || typeof conversation !== 'object' || !Array.isArray(conversation.messages)) {
+    return { ...entry, problem: 'Not a conversation' }
+  }
+
+  for (const message of conversation.messages) {
+    const valid = validMessage(message)
+    if (valid) {
+      entry.messages.push(valid)
+    } else {
+      entry.skippedMessages++
+    }
+  }
+
+  if (entry.messages.length === 0) {
+    return { ...entry, problem: 'No readable messages' }
+  }
+  return { ...entry, messages: fillDates(entry.messages) }
+}
+
+// Returns [{ index, title, mode, messages, skippedMessages, problem }]. Throws for files that aren't an export.
+export const parseExportFile = (text) => {
+  let document
+  try {
+    document = JSON.parse(text)
+  } catch (error) {
+    throw new Error('This file is not JSON. Choose a .json export, or conversations.json from an "Export all" zip.')
+  }
+
+  if (!document || document.schema !== EXPORT_SCHEMA || !Array.isArray(document.conversations)) {
+    throw new Error('This file is not a Honorably conversation export.')
+  }
+  if (!Number.isInteger(document.version) || document.version < 1) {
+    throw new Error('This export has no valid schema version.')
+  }
+  if (document.version > EXPORT_SCHEMA_VERSION) {
+    throw new Error(`This export uses schema version ${document.version}, made by a newer version of Honorably. Update the app and try again.`)
+  }
+
+  return document.conversations.map(parseConversation)
+}
+
+// === DUPLICATE DETECTION ===
+// A conversation is a duplicate when its messages match the start of a conversation already there -
+// the same conversation, or an older export of one that has grown since
+const messageKeys = (messages) => messages.map(message => `${message.role}\u0000${message.type || 'text'}\u0000${message.content}`)
+
+const isPrefixOf = (keys, existingKeys) => {
+  return keys.length <= existingKeys.length && keys.every((key, index) => key === existingKeys[index])
+}
+
+const loadExistingKeys = async (conversations, userId) => {
+  return Promise.all(conversations.map(async (conversation) => {
+    const { data } = await apiRequest(`/api/conversations/${conversation.id}/messages`)
+    const messages = await Promise.all((data || []).map(async (message) => {
+      try {
+        return { ...message, content: await decryptText(message.content, userId) }
+      } catch (error) {
+        console.error('Error decrypting message for import check:', error)
+        return message
+      }
+    }))
+    return messageKeys(messages)
+  }))
+}
+
+// === DRY RUN ===
+// Works out what an import would do without writing anything.
+// Returns { items: [{ ...entry, status, reason }], toImport, freeSlots }
+export const previewImport = async (entries) => {
+  const { data: conversations, userId } = await apiRequest('/api/conversations')
+  const existingKeys = await loadExistingKeys(conversations || [], userId)
+  let freeSlots = Math.max(0, MAX_CONVERSATIONS - (conversations || []).length)
+
+  const planned = []
+  const items = entries.map(entry => {
+    if (entry.problem) {
+      return { ...entry, status: IMPORT_STATUS.INVALID, reason: entry.problem }
+    }
+
+    const keys = messageKeys(entry.messages)
+    if (existingKeys.some(existing => isPrefixOf(keys, existing))) {
+      return { ...entry, status: IMPORT_STATUS.DUPLICATE, reason: 'Already in your conversations' }
+    }
+    if (planned.some(other => isPrefixOf(keys, other) || isPrefixOf(other, keys))) {
+      return { ...entry, status: IMPORT_STATUS.DUPLICATE, reason: 'Repeated in this file' }
+    }
+
+    if (freeSlots === 0) {
+      return { ...entry, status: IMPORT_STATUS.OVER_LIMIT, reason: `You can have ${MAX_CONVERSATIONS} conversations - delete one to make room` }
+    }
+
+    freeSlots--
+    planned.push(keys)
+    return { ...entry, status: IMPORT_STATUS.NEW, reason: null }
+  })
+
+  return {
+    items,
+    toImport: items.filter(item => item.status === IMPORT_STATUS.NEW).length,
+    freeSlots: Math.max(0, MAX_CONVERSATIONS - (conversations || []).length)
+  }
+}
+
+// === IMPORT ===
+// Splits encrypted messages into requests under the backend's count and size limits
+const toBatches = (messages) => {
+  const batches = []
+  let batch = []
+  let chars = 0
+
+  for (const message of messages) {
+    const size = message.content.length + JSON.stringify(message.metadata).length + 100
+    if (batch.length > 0 && (batch.length >= BATCH_MAX_MESSAGES || chars + size > BATCH_MAX_CHARS)) {
+      batches.push(batch)
+      batch = []
+      chars = 0
+    }
+    batch.push(message)
+    chars += size
+  }
+
+  if (batch.length > 0) batches.push(batch)
+  return batches
+}
+
+const loadModeIds = async () => {
+  try {
+    const { data } = await apiRequest('/api/tutoring-modes')
+    return data.modes.map(mode => mode.id)
+  } catch (error) {
+    console.error('Error loading tutoring modes:', error)
+    return []
+  }
+}
+
+// Imports the preview's new conversations. A conversation that fails part-way is deleted again,
+// so nothing is left half imported. Returns { imported, failed: [{ title, error }] }.
+export const runImport = async (preview, onProgress = () => {}) => {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session) {
+    throw new Error('No active session')
+  }
+
+  const userId = session.user.id         // Copies are encrypted under the current user's key
+  const items = preview.items.filter(item => item.status === IMPORT_STATUS.NEW)
+  const modeIds = await loadModeIds()
+  const failed = []
+  let imported = 0
+
+  for (const [position, item] of items.entries()) {
+    onProgress({ done: position, total: items.length, title: item.title })
+    let conversationId = null
+
+    try {
+      const { data } = await apiRequest('/api/conversations', {
+        method: 'POST',
+        body: {
+          title: await encryptText(item.title, userId),
+          ...(modeIds.includes(item.mode) ? { mode: item.mode } : {})
+        }
+      })
+      conversationId = data.conversation.id
+
+      const encrypted = await Promise.all(item.messages.map(async (message) => ({
+        ...message,
+        content: await encryptText(message.content, userId)
+      })))
+      for (const batch of toBatches(encrypted)) {
+        await apiRequest(`/api/conversations/${conversationId}/messages/bulk`, { method: 'POST', body: { messages: batch } })
+      }
+      imported++
+    } catch (error) {
+      console.error('Error importing conversation:', error)
+      failed.push({ title: item.title, error: error.message })
+      if (conversationId) {
+        await apiRequest(`/api/conversations/${conversationId}`, { method: 'DELETE' })
+          .catch(deleteError => console.error('Error removing partly imported conversation:', deleteError))
+      }
+    }
+  }
+
+  onProgress({ done: items.length, total: items.length })
+  return { imported, failed }
+}
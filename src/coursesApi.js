@@ -0,0 +1,52 @@
+// === COURSE API CLIENT ===
+// Courses and assignment policies are shared between a course's members,
+// so unlike conversations they are sent and stored without per-user encryption.
+import { apiRequest } from './apiClient'
+
+export const loadCourses = async () => {
+  const { data } = await apiRequest('/api/courses')
+  return data
+}
+
+// policyProfile null follows the deployment's institution policy profile
+export const createCourse = async (name, policyProfile = null) => {
+  const { data } = await apiRequest('/api/courses', { method: 'POST', body: { name, policyProfile } })
+  return data.course
+}
+
+export const updateCoursePolicyProfile = async (courseId, policyProfile) => {
+  const { data } = await apiRequest(`/api/courses/${courseId}`, { method: 'PUT', body: { policyProfile } })
+  return data.course
+}
+
+// Profile labels for the picker: { defaultProfile, version, profiles: [{ id, label, description, strictness }] }
+export const loadPolicyProfiles = async () => {
+  const { data } = await apiRequest('/api/policy-profiles')
+  return data
+}
+
+export const joinCourse = async (joinCode) => {
+  const { data } = await apiRequest('/api/courses/join', { method: 'POST', body: { joinCode } })
+  return data.courseId
+}
+
+// fields: { title, policy, maxCodeLines } - maxCodeLines null for no code limit
+export const createAssignment = async (courseId, fields) => {
+  const { data } = await apiRequest(`/api/courses/${courseId}/assignments`, { method: 'POST', body: fields })
+  return data.assignment
+}
+
+export const updateAssignment = async (assignmentId, fields) => {
+  const { data } = await apiRequest(`/api/assignments/${assignmentId}`, { method: 'PUT', body: fields })
+  return data.assignment
+}
+
+export const deleteAssignment = async (assignmentId) => {
+  await apiRequest(`/api/assignments/${assignmentId}`, { method: 'DELETE' })
+}
+
+// Aggregate, de-identified integrity stats - instructors of the course only
+export const loadCourseDashboard = async (courseId) => {
+  const { data } = await apiRequest(`/api/courses/${courseId}/dashboard`)
+  return data
+}
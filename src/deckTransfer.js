@@ -0,0 +1,122 @@
+// === DECK IMPORT / EXPORT ===
+// Decks move in and out as plain text the student controls: CSV, or Anki's
+// tab-separated "Notes in Plain Text" format. Runs in the browser on decrypted cards.
+
+// === CSV ===
+const escapeCsvField = (field) => {
+  return /[",\n\r]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field
+}
+
+// Splits CSV text into rows, honouring quoted fields with commas, quotes and newlines
+const parseCsvRows = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index]
+
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"'
+        index++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows
+}
+
+// === ANKI TEXT ===
+// Anki stores line breaks inside a field as <br> when importing plain text
+const toAnkiField = (field) => field.replace(/\t/g, ' ').replace(/\r?\n/g, '<br>')
+const fromAnkiField = (field) => field.replace(/<br\s*\/?>/gi, '\n')
+
+// === EXPORT ===
+// format: 'csv' or 'anki'. Returns { content, mimeType, extension }
+export const exportDeck = (cards, format = 'csv') => {
+  if (format === 'anki') {
+    const lines = [
+      '#separator:tab',
+      '#html:true',
+      ...cards.map(card => `${toAnkiField(card.front)}\t${toAnkiField(card.back)}`)
+    ]
+    return { content: lines.join('\n') + '\n', mimeType: 'text/plain', extension: 'txt' }
+  }
+
+  const lines = [
+    'front,back',
+    ...cards.map(card => `${escapeCsvField(card.front)},${escapeCsvField(card.back)}`)
+  ]
+  return { content: lines.join('\n') + '\n', mimeType: 'text/csv', extension: 'csv' }
+}
+
+// === IMPORT ===
+// Accepts either format: Anki text is detected by its header lines or tab separators.
+// Returns { cards: [{ front, back }], skipped } where skipped counts unusable rows
+export const parseDeckText = (text) => {
+  const lines = text.split(/\r?\n/)
+  const firstRow = lines.find(line => line.trim() && !line.startsWith('#')) || ''
+  const isAnki = lines.some(line => line.startsWith('#separator:')) || firstRow.includes('\t')
+
+  let rows
+  if (isAnki) {
+    const separator = (lines.find(line => line.startsWith('#separator:')) || '#separator:tab')
+      .slice('#separator:'.length).trim()
+    const delimiter = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ' }[separator.toLowerCase()] || '\t'
+    rows = lines
+      .filter(line => line.trim() && !line.startsWith('#'))
+      .map(line => line.split(delimiter).map(fromAnkiField))
+  } else {
+    rows = parseCsvRows(text).filter(row => row.some(field => field.trim()))
+    const header = rows[0] || []
+    if (header[0]?.trim().toLowerCase() === 'front' && header[1]?.trim().toLowerCase() === 'back') {
+      rows = rows.slice(1)
+    }
+  }
+
+  const cards = rows
+    .map(row => ({ front: (row[0] || '').trim(), back: (row[1] || '').trim() }))
+    .filter(card => card.front && card.back)
+
+  return { cards, skipped: rows.length - cards.length }
+}
+
+// === DOWNLOAD HELPERS ===
+export const downloadTextFile = (filename, content, mimeType) => {
+  downloadBlob(filename, new Blob([content], { type: `${mimeType};charset=utf-8` }))
+}
+
+export const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
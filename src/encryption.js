@@ -73,7 +73,7 @@ async function encryptText(text, userId) {
     combined.set(new Uint8Array(iv), 0);
     combined.set(new Uint8Array(encrypted), iv.byteLength);
 
-    return btoa(String.fromCharCode.apply(null, combined));
+    return bytesToBase64(combined);
   } catch (error) {
     console.error('Error encrypting text:', error);
     throw new Error('Failed to encrypt text');
@@ -117,6 +117,16 @@ async function decryptText(encryptedText, userId) {
 }
 
 // === HELPER FUNCTIONS ===
+// Converted in chunks - passing a large array to String.fromCharCode at once overflows the call stack
+// (search index records hold whole conversations)
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+}
+
 function isEncrypted(text) {
   // Check if the text is base64 encoded and has the expected length for IV + some data
   try {
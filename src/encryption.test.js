@@ -0,0 +1,32 @@
+/**
+ * @jest-environment node
+ */
+// === ENCRYPTION TESTS ===
+import { webcrypto } from 'crypto'
+import { encryptText, decryptText, isEncrypted } from './encryption'
+
+// Jest's node environment doesn't expose the browser's Web Crypto global
+global.crypto = webcrypto
+
+describe('encryptText', () => {
+  test('round-trips text for the same user', async () => {
+    const encrypted = await encryptText('What is a derivative? ∂', 'user-1')
+
+    expect(isEncrypted(encrypted)).toBe(true)
+    await expect(decryptText(encrypted, 'user-1')).resolves.toBe('What is a derivative? ∂')
+  })
+
+  test('handles texts far larger than the call stack allows in one conversion', async () => {
+    const text = 'A long conversation. '.repeat(50000)
+
+    const encrypted = await encryptText(text, 'user-1')
+    await expect(decryptText(encrypted, 'user-1')).resolves.toBe(text)
+  })
+
+  test('another user\'s key cannot decrypt it', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const encrypted = await encryptText('Private notes', 'user-1')
+
+    await expect(decryptText(encrypted, 'user-2')).rejects.toThrow('Failed to decrypt text')
+  })
+})
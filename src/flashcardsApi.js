@@ -0,0 +1,77 @@
+// === FLASHCARD API CLIENT ===
+// Deck and card requests shared by the flashcard dialog, review view and sidebar.
+// Deck names and card text are encrypted with the user's key before they leave the browser.
+import { supabase } from './supabaseClient'
+import { encryptText, decryptText } from './encryption'
+import { apiRequest } from './apiClient'
+
+// Falls back to the stored text if decryption fails, like conversation titles
+const safeDecrypt = async (text, userId) => {
+  try {
+    return await decryptText(text, userId)
+  } catch (error) {
+    console.error('Error decrypting flashcard text:', error)
+    return text
+  }
+}
+
+// === DECKS ===
+export const loadDecks = async () => {
+  const { data, userId } = await apiRequest('/api/decks')
+  return Promise.all(data.map(async (deck) => ({ ...deck, name: await safeDecrypt(deck.name, userId) })))
+}
+
+export const createDeck = async (name) => {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session) {
+    throw new Error('No active session')
+  }
+
+  const encryptedName = await encryptText(name, session.user.id)
+  const { data } = await apiRequest('/api/decks', { method: 'POST', body: { name: encryptedName } })
+  return { ...data.deck, name }
+}
+
+export const deleteDeck = async (deckId) => {
+  await apiRequest(`/api/decks/${deckId}`, { method: 'DELETE' })
+}
+
+// === CARDS ===
+export const loadCards = async (deckId, { dueOnly = false } = {}) => {
+  const { data, userId } = await apiRequest(`/api/decks/${deckId}/cards${dueOnly ? '?due=true' : ''}`)
+  return Promise.all(data.map(async (card) => ({
+    ...card,
+    front: await safeDecrypt(card.front, userId),
+    back: await safeDecrypt(card.back, userId)
+  })))
+}
+
+// cards: [{ front, back }] in plaintext
+export const addCards = async (deckId, cards) => {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session) {
+    throw new Error('No active session')
+  }
+
+  const userId = session.user.id
+  const encryptedCards = await Promise.all(cards.map(async (card) => ({
+    front: await encryptText(card.front, userId),
+    back: await encryptText(card.back, userId)
+  })))
+
+  const { data } = await apiRequest(`/api/decks/${deckId}/cards`, { method: 'POST', body: { cards: encryptedCards } })
+  return data.cards
+}
+
+// grade: again, hard, good or easy
+export const reviewCard = async (cardId, grade) => {
+  const { data } = await apiRequest(`/api/flashcards/${cardId}/review`, { method: 'POST', body: { grade } })
+  return data.card
+}
+
+// === MODEL EXTRACTION ===
+// Sends the decrypted explanation; returns suggested { front, back } cards for the student to edit
+export const extractCards = async (content) => {
+  const { data } = await apiRequest('/api/flashcards/extract', { method: 'POST', body: { content } })
+  return data.cards
+}
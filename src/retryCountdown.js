@@ -0,0 +1,34 @@
+// === RETRY COUNTDOWN ===
+// Rate-limited and cooled-down requests come back with retryAfter (seconds), as a 429 body or a
+// rate_limit_error stream event. The chat keeps the send button disabled and counts down until then.
+import { useState, useEffect } from 'react'
+
+// Seconds to wait from a StreamError or error body, or null when the error isn't a timed limit
+export const retryAfterFrom = (data) => {
+  if (!data || (data.code !== 'rate_limited' && data.code !== 'injection_cooldown')) return null
+  return typeof data.retryAfter === 'number' && data.retryAfter > 0 ? Math.ceil(data.retryAfter) : null
+}
+
+// Returns [secondsLeft, startCountdown]. Counts against a deadline, so a throttled background tab stays accurate.
+export const useRetryCountdown = () => {
+  const [retryAt, setRetryAt] = useState(null)
+  const [secondsLeft, setSecondsLeft] = useState(0)
+
+  useEffect(() => {
+    if (!retryAt) return
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000))
+      setSecondsLeft(remaining)
+      if (remaining === 0) setRetryAt(null)
+    }
+
+    tick()
+    const timer = setInterval(tick, 1000)
+    return () => clearInterval(timer)
+  }, [retryAt])
+
+  const startCountdown = (seconds) => setRetryAt(Date.now() + seconds * 1000)
+
+  return [secondsLeft, startCountdown]
+}
@@ -0,0 +1,273 @@
+// === CONVERSATION SEARCH INDEX ===
+// Messages are encrypted per user, so the server can't search them. The browser keeps its own index
+// instead: one record per conversation in IndexedDB, holding the decrypted title and messages and
+// encrypted with the user's key like everything else. It is built on the first search and kept up to
+// date as messages are saved; conversations changed elsewhere are re-read on the next search.
+import { encryptText, decryptText } from './encryption'
+import { apiRequest } from './apiClient'
+
+const DB_NAME = 'honorably-search'
+const DB_VERSION = 1
+const STORE_NAME = 'conversations'
+const INDEX_FORMAT = 1                   // Bump to rebuild records written by older versions
+const INDEXED_TYPES = ['text', 'summary']
+const MAX_RESULTS = 50
+const SNIPPET_CONTEXT = 60               // Characters kept on each side of the first match
+
+// === INDEXEDDB ===
+let databasePromise = null
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' })
+        store.createIndex('userId', 'userId')
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        databasePromise = null
+        reject(request.error)
+      }
+    })
+  }
+  return databasePromise
+}
+
+// Runs one request in its own transaction and resolves with its result once the transaction commits
+const runRequest = async (mode, makeRequest) => {
+  const database = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode)
+    const request = makeRequest(transaction.objectStore(STORE_NAME))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+const recordKey = (userId, conversationId) => `${userId}:${conversationId}`
+
+// === ENCRYPTED RECORDS ===
+// A document is { conversationId, title, syncedAt, messages: [{ id, role, type, text, createdAt }] }.
+// Only the user and conversation ids are stored in the clear.
+const writeDocument = async (userId, document) => {
+  const data = await encryptText(JSON.stringify({ format: INDEX_FORMAT, ...document }), userId)
+  await runRequest('readwrite', store => store.put({
+    key: recordKey(userId, document.conversationId),
+    userId,
+    conversationId: document.conversationId,
+    data
+  }))
+}
+
+const readDocument = async (userId, record) => {
+  try {
+    const document = JSON.parse(await decryptText(record.data, userId))
+    return document.format === INDEX_FORMAT ? document : null
+  } catch (error) {
+    console.error('Error reading search index record:', error)
+    return null // Rebuilt from the server below
+  }
+}
+
+const deleteDocument = (userId, conversationId) => {
+  return runRequest('readwrite', store => store.delete(recordKey(userId, conversationId)))
+}
+
+const toIndexedMessage = (message) => ({
+  id: message.id,
+  role: message.role,
+  type: message.type || 'text',
+  text: message.content,
+  createdAt: message.created_at
+})
+
+// === BUILD ===
+// In memory once loaded: { userId, documents: Map(conversationId -> document), conversations: Map(id -> row) }
+let loaded = null
+let building = null
+let writes = Promise.resolve()           // Index writes run one at a time so appends don't overwrite each other
+
+const queueWrite = (task) => {
+  const next = writes.then(task)
+  writes = next.catch(error => console.error('Error updating search index:', error))
+  return next
+}
+
+// Reads a conversation's messages from the server and decrypts them into a fresh document
+const fetchDocument = async (conversation, userId) => {
+  const { data } = await apiRequest(`/api/conversations/${conversation.id}/messages`)
+  const messages = await Promise.all(
+    (data || [])
+      .filter(message => INDEXED_TYPES.includes(message.type || 'text'))
+      .map(async (message) => {
+        try {
+          return toIndexedMessage({ ...message, content: await decryptText(message.content, userId) })
+        } catch (error) {
+          console.error('Error decrypting message for search:', error)
+          return null
+        }
+      })
+  )
+
+  return {
+    conversationId: conversation.id,
+    title: conversation.title,
+    syncedAt: conversation.updated_at,
+    messages: messages.filter(Boolean)
+  }
+}
+
+const buildIndex = async (userId) => {
+  const { data: rows } = await apiRequest('/api/conversations')
+  const conversations = await Promise.all((rows || []).map(async (conversation) => {
+    try {
+      return { ...conversation, title: await decryptText(conversation.title, userId) }
+    } catch (error) {
+      console.error('Error decrypting title:', error)
+      return conversation
+    }
+  }))
+
+  const records = await runRequest('readonly', store => store.index('userId').getAll(userId))
+  const stored = new Map()
+  for (const record of records) {
+    const document = await readDocument(userId, record)
+    if (document) stored.set(record.conversationId, document)
+  }
+
+  // A conversation that can't be fetched or stored keeps its old record, if it has one, rather than failing the whole index
+  const documents = new Map()
+  for (const conversation of conversations) {
+    let document = stored.get(conversation.id)
+    try {
+      if (!document || new Date(conversation.updated_at) > new Date(document.syncedAt)) {
+        document = await fetchDocument(conversation, userId)
+        await writeDocument(userId, document)
+      } else if (document.title !== conversation.title) {
+        document = { ...document, title: conversation.title }
+        await writeDocument(userId, document)
+      }
+    } catch (error) {
+      console.error('Error indexing conversation for search:', error)
+      if (!document) continue
+    }
+    documents.set(conversation.id, document)
+  }
+
+  // Deleted conversations
+  const current = new Set(conversations.map(conversation => conversation.id))
+  for (const conversationId of stored.keys()) {
+    if (!current.has(conversationId)) {
+      await deleteDocument(userId, conversationId)
+    }
+  }
+
+  return {
+    userId,
+    documents,
+    conversations: new Map(conversations.map(conversation => [conversation.id, conversation]))
+  }
+}
+
+// Brings the index up to date with the server. Called before each search, so it is cheap when nothing changed.
+export const refreshSearchIndex = (userId) => {
+  if (!building) {
+    building = queueWrite(() => buildIndex(userId))
+      .then((index) => {
+        loaded = index
+        return index
+      })
+      .finally(() => {
+        building = null
+      })
+  }
+  return building
+}
+
+// === INCREMENTAL UPDATES ===
+// Called with each message as it is saved: the decrypted content plus the row the server returned.
+// Conversations that haven't been indexed yet are left for the next search to build.
+export const indexSavedMessage = (userId, conversationId, message) => {
+  if (!INDEXED_TYPES.includes(message.type || 'text')) return Promise.resolve()
+
+  return queueWrite(async () => {
+    let document = loaded?.userId === userId ? loaded.documents.get(conversationId) : null
+    if (!document) {
+      const record = await runRequest('readonly', store => store.get(recordKey(userId, conversationId)))
+      document = record ? await readDocument(userId, record) : null
+    }
+    if (!document) return
+
+    const indexedMessage = toIndexedMessage(message)
+    const updated = {
+      ...document,
+      syncedAt: indexedMessage.createdAt || document.syncedAt,
+      messages: [...document.messages.filter(existing => existing.id !== indexedMessage.id), indexedMessage]
+    }
+    await writeDocument(userId, updated)
+    if (loaded?.userId === userId) loaded.documents.set(conversationId, updated)
+  })
+}
+
+// Drops the decrypted copy from memory (on sign out). The encrypted records stay for next time.
+export const forgetSearchIndex = () => {
+  loaded = null
+}
+
+// === SEARCH ===
+// Case and accents are ignored; every word in the query must appear in the message
+const normalize = (text) => text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+
+const termsFor = (query) => normalize(query).split(/\s+/).filter(Boolean)
+
+// NFKD can change lengths, so snippets are cut from the normalized text's positions only when they line up
+const snippetFor = (text, normalized, terms) => {
+  const source = normalized.length === text.length ? text : normalized
+  const start = Math.min(...terms.map(term => normalized.indexOf(term)))
+  const term = terms.find(candidate => normalized.indexOf(candidate) === start)
+  const from = Math.max(0, start - SNIPPET_CONTEXT)
+  const to = Math.min(source.length, start + term.length + SNIPPET_CONTEXT)
+
+  return {
+    before: (from > 0 ? '…' : '') + source.slice(from, start).replace(/\s+/g, ' '),
+    match: source.slice(start, start + term.length),
+    after: source.slice(start + term.length, to).replace(/\s+/g, ' ') + (to < source.length ? '…' : '')
+  }
+}
+
+const countOccurrences = (text, term) => text.split(term).length - 1
+
+// Returns up to 50 matches, best first: { conversation, messageId, role, createdAt, snippet: { before, match, after } }
+export const searchConversations = async (userId, query) => {
+  const terms = termsFor(query)
+  if (terms.length === 0) return []
+
+  const index = await refreshSearchIndex(userId)
+  const results = []
+
+  for (const document of index.documents.values()) {
+    const conversation = index.conversations.get(document.conversationId)
+    const titleMatches = terms.every(term => normalize(document.title || '').includes(term))
+
+    for (const message of document.messages) {
+      const normalized = normalize(message.text)
+      if (!terms.every(term => normalized.includes(term))) continue
+
+      results.push({
+        conversation,
+        messageId: message.id,
+        role: message.role,
+        createdAt: message.createdAt,
+        snippet: snippetFor(message.text, normalized, terms),
+        score: terms.reduce((total, term) => total + countOccurrences(normalized, term), 0) + (titleMatches ? 5 : 0)
+      })
+    }
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, MAX_RESULTS)
+}
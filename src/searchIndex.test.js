@@ -0,0 +1,131 @@
+// === SEARCH INDEX TESTS ===
+// The index runs on fake-indexeddb, with the API and encryption mocked. Each test uses its own user,
+// since the index is kept per user in IndexedDB and in memory.
+import { serialize, deserialize } from 'v8'
+import 'fake-indexeddb/auto'
+import { searchConversations, indexSavedMessage } from './searchIndex'
+import { apiRequest } from './apiClient'
+import { encryptText, decryptText } from './encryption'
+
+jest.mock('./apiClient')
+jest.mock('./encryption')
+jest.mock('./supabaseClient', () => ({ supabase: { auth: {} } }))
+
+// Jest's jsdom environment doesn't expose structuredClone, which fake-indexeddb stores records with
+global.structuredClone = (value) => deserialize(serialize(value))
+
+const sealed = (text) => `enc:${text}`
+
+const row = (id, title, updatedAt = '2026-10-01T10:00:00.000Z') => ({ id, title: sealed(title), updated_at: updatedAt })
+const message = (id, role, content, type = 'text') => ({ id, role, type, content: sealed(content), created_at: '2026-10-01T10:00:00.000Z' })
+
+// Serves the conversation list and each conversation's messages from a plain object
+let server
+const messagesRequested = (conversationId) => apiRequest.mock.calls.filter(([path]) => path === `/api/conversations/${conversationId}/messages`).length
+
+const storedRecords = (userId) => new Promise((resolve, reject) => {
+  const open = indexedDB.open('honorably-search')
+  open.onsuccess = () => {
+    const request = open.result.transaction('conversations').objectStore('conversations').index('userId').getAll(userId)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  }
+})
+
+beforeEach(() => {
+  server = { conversations: [], messages: {} }
+  apiRequest.mockImplementation(async (path) => {
+    if (path === '/api/conversations') return { data: server.conversations }
+    const [, id] = path.match(/^\/api\/conversations\/([^/]+)\/messages$/)
+    if (server.messages[id] instanceof Error) throw server.messages[id]
+    return { data: server.messages[id] || [] }
+  })
+  encryptText.mockImplementation(async (text) => sealed(text))
+  decryptText.mockImplementation(async (text) => {
+    if (!text.startsWith('enc:')) throw new Error('Decryption failed')
+    return text.slice(4)
+  })
+  jest.spyOn(console, 'error').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  console.error.mockRestore()
+})
+
+describe('searchConversations', () => {
+  test('finds messages by every word, ignoring case and accents, with a snippet around the match', async () => {
+    server.conversations = [row('c1', 'Chemistry')]
+    server.messages.c1 = [
+      message('m1', 'user', 'What is the Café au lait effect in chemistry?'),
+      message('m2', 'assistant', 'Coffee has nothing to do with chemistry here.'),
+      message('m3', 'assistant', 'Quiz about cafe au lait', 'quiz')
+    ]
+
+    const results = await searchConversations('user-1', 'CAFE chemistry')
+
+    expect(results).toHaveLength(1)
+    expect(results[0]).toMatchObject({ messageId: 'm1', role: 'user', conversation: { id: 'c1', title: 'Chemistry' } })
+    expect(results[0].snippet).toMatchObject({ before: 'What is the ', match: 'Café', after: ' au lait effect in chemistry?' })
+  })
+
+  test('ranks messages in a conversation whose title matches first', async () => {
+    server.conversations = [row('c1', 'History'), row('c2', 'Derivatives')]
+    server.messages.c1 = [message('m1', 'user', 'Derivatives, derivatives, derivatives')]
+    server.messages.c2 = [message('m2', 'user', 'How do derivatives work?')]
+
+    const results = await searchConversations('user-2', 'derivatives')
+
+    expect(results.map(result => result.messageId)).toEqual(['m2', 'm1'])
+  })
+
+  test('keeps the index encrypted, and re-reads only conversations that changed', async () => {
+    server.conversations = [row('c1', 'Limits'), row('c2', 'Integrals')]
+    server.messages.c1 = [message('m1', 'user', 'What is a limit?')]
+    server.messages.c2 = [message('m2', 'user', 'What is an integral?')]
+    await searchConversations('user-3', 'limit')
+
+    const records = await storedRecords('user-3')
+    expect(records.map(record => Object.keys(record).sort())).toEqual([
+      ['conversationId', 'data', 'key', 'userId'],
+      ['conversationId', 'data', 'key', 'userId']
+    ])
+    expect(encryptText).toHaveBeenCalledWith(expect.stringContaining('What is a limit?'), 'user-3')
+
+    server.conversations = [row('c1', 'Limits', '2026-10-02T10:00:00.000Z')]
+    server.messages.c1.push(message('m3', 'user', 'And a one-sided limit?'))
+    const results = await searchConversations('user-3', 'limit')
+
+    expect(results.map(result => result.messageId).sort()).toEqual(['m1', 'm3'])
+    expect(messagesRequested('c1')).toBe(2)
+    expect(messagesRequested('c2')).toBe(1)
+    expect((await storedRecords('user-3')).map(record => record.conversationId)).toEqual(['c1'])
+  })
+
+  test('a conversation that fails to load keeps its old record and does not stop the others', async () => {
+    server.conversations = [row('c1', 'Limits'), row('c2', 'Integrals')]
+    server.messages.c1 = [message('m1', 'user', 'What is a limit?')]
+    server.messages.c2 = [message('m2', 'user', 'What is an integral?')]
+    await searchConversations('user-4', 'what')
+
+    server.conversations = [row('c1', 'Limits', '2026-10-02T10:00:00.000Z'), row('c2', 'Integrals', '2026-10-02T10:00:00.000Z')]
+    server.messages.c1 = new Error('Network error')
+    server.messages.c2.push(message('m3', 'user', 'What about improper integrals?'))
+    const results = await searchConversations('user-4', 'what')
+
+    expect(results.map(result => result.messageId).sort()).toEqual(['m1', 'm2', 'm3'])
+  })
+})
+
+describe('indexSavedMessage', () => {
+  test('adds a saved message to an indexed conversation without re-reading it', async () => {
+    server.conversations = [row('c1', 'Limits')]
+    server.messages.c1 = [message('m1', 'user', 'What is a limit?')]
+    await searchConversations('user-5', 'limit')
+
+    await indexSavedMessage('user-5', 'c1', { id: 'm2', role: 'assistant', content: 'A limit is the value a function approaches.', created_at: '2026-10-01T10:00:00.000Z' })
+    const results = await searchConversations('user-5', 'approaches')
+
+    expect(results.map(result => result.messageId)).toEqual(['m2'])
+    expect(messagesRequested('c1')).toBe(1)
+  })
+})
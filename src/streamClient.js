@@ -0,0 +1,94 @@
+// === STREAMING CHAT CLIENT ===
+// Reads Server-Sent Events from the streaming GPT endpoints.
+// EventSource only supports GET, so the POST body is sent with fetch and the stream parsed by hand.
+
+// === STREAM ERROR ===
+// `event` is the terminal SSE event (moderation_error, rate_limit_error, upstream_error),
+// or null when the request failed before the stream opened (then `status` is the HTTP status)
+class StreamError extends Error {
+  constructor(message, { event = null, status = null, data = {} } = {}) {
+    super(message)
+    this.name = 'StreamError'
+    this.event = event
+    this.status = status
+    this.data = data
+  }
+}
+
+// === PARSE ONE SSE BLOCK ===
+const parseEventBlock = (block) => {
+  let event = 'message'
+  const dataLines = []
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim()
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim())
+    }
+  })
+
+  if (dataLines.length === 0) return null
+
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) }
+  } catch (error) {
+    return null
+  }
+}
+
+// === STREAM A CHAT COMPLETION ===
+// Calls onToken(text) for every delta and resolves with the `done` payload
+const streamChat = async ({ url, body, headers = {}, onToken }) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+      ...headers
+    },
+    body: JSON.stringify(body)
+  })
+
+  // Validation and auth errors arrive as plain JSON before the stream opens
+  const contentType = response.headers.get('Content-Type') || ''
+  if (!contentType.includes('text/event-stream')) {
+    const data = await response.json().catch(() => ({}))
+    throw new StreamError(data.error || `HTTP ${response.status}`, { status: response.status, data })
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true })
+
+    // Events are separated by a blank line
+    let boundary = buffer.indexOf('\n\n')
+    while (boundary !== -1) {
+      const parsed = parseEventBlock(buffer.slice(0, boundary))
+      buffer = buffer.slice(boundary + 2)
+      boundary = buffer.indexOf('\n\n')
+
+      if (!parsed) continue
+
+      if (parsed.event === 'token') {
+        onToken && onToken(parsed.data.text)
+      } else if (parsed.event === 'done') {
+        reader.cancel()
+        return parsed.data
+      } else {
+        reader.cancel()
+        throw new StreamError(parsed.data.error || 'Stream failed', { event: parsed.event, data: parsed.data })
+      }
+    }
+  }
+
+  throw new StreamError('Stream ended unexpectedly', { event: 'upstream_error' })
+}
+
+export { streamChat, StreamError }
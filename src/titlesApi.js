@@ -0,0 +1,43 @@
+// === CONVERSATION TITLE API CLIENT ===
+// Suggested titles come from POST /api/titles/suggest. Like every title, a suggestion is encrypted
+// with the user's key before it is saved, so the server only ever sees the opening turns in transit.
+import { supabase } from './supabaseClient'
+import { encryptText, decryptText } from './encryption'
+import { apiRequest } from './apiClient'
+import { toModelHistory } from './conversationContext'
+
+const OPENING_TURNS = 4                  // The first exchange is enough to name the topic
+
+// === SUGGEST ===
+// turns are decrypted { role, content } model turns, oldest first
+export const suggestTitle = async (turns) => {
+  const { data } = await apiRequest('/api/titles/suggest', {
+    method: 'POST',
+    body: { messages: turns.slice(0, OPENING_TURNS) }
+  })
+  return data.title
+}
+
+// For conversations that aren't open: loads and decrypts the opening turns first
+export const suggestTitleForConversation = async (conversationId) => {
+  const { data, userId } = await apiRequest(`/api/conversations/${conversationId}/messages`)
+  const opening = toModelHistory(data).slice(0, OPENING_TURNS)
+  const turns = await Promise.all(opening.map(async (turn) => ({ ...turn, content: await decryptText(turn.content, userId) })))
+  return suggestTitle(turns)
+}
+
+// === SAVE ===
+export const saveConversationTitle = async (conversationId, title) => {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session) {
+    throw new Error('No active session')
+  }
+
+  const encryptedTitle = await encryptText(title, session.user.id)
+  await apiRequest(`/api/conversations/${conversationId}`, { method: 'PUT', body: { title: encryptedTitle } })
+}
+
+// A locked title is never replaced by a suggestion
+export const setTitleLock = async (conversationId, locked) => {
+  await apiRequest(`/api/conversations/${conversationId}/title-lock`, { method: 'PUT', body: { locked } })
+}
@@ -0,0 +1,8 @@
+// === USAGE API CLIENT ===
+import { apiRequest } from './apiClient'
+
+// { role, daily: { used, limit, resetsAt }, monthly: { used, limit, resetsAt } } - limit null means unlimited
+export const loadUsage = async () => {
+  const { data } = await apiRequest('/api/usage')
+  return data
+}
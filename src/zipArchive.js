@@ -0,0 +1,87 @@
+// === ZIP ARCHIVE WRITER ===
+// Just enough of the ZIP format to bundle exported files in the browser, without a dependency:
+// entries are stored uncompressed, which every unzip tool reads. Text exports are small anyway.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS date and time, as ZIP headers store them (local time, 2-second resolution)
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+})
+
+const UTF8_FLAG = 0x0800                 // File names are UTF-8
+
+// files: [{ name, content }] where content is a string or a Uint8Array. Returns a Blob.
+export const createZip = (files, modified = new Date()) => {
+  const encoder = new TextEncoder()
+  const { time, date } = dosDateTime(modified)
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = encoder.encode(file.name)
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)  // Local file header signature
+    local.setUint16(4, 20, true)          // Version needed to extract
+    local.setUint16(6, UTF8_FLAG, true)
+    local.setUint16(8, 0, true)           // Stored, no compression
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true)          // No extra field
+    localParts.push(new Uint8Array(local.buffer), name, data)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true) // Central directory header signature
+    central.setUint16(4, 20, true)        // Version made by
+    central.setUint16(6, 20, true)        // Version needed to extract
+    central.setUint16(8, UTF8_FLAG, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(12, time, true)
+    central.setUint16(14, date, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, name.length, true)
+    central.setUint32(42, offset, true)   // Where the local header starts; the rest stays zero
+    centralParts.push(new Uint8Array(central.buffer), name)
+
+    offset += 30 + name.length + data.length
+  }
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)      // End of central directory signature
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' })
+}
@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+// === ZIP ARCHIVE WRITER TESTS ===
+// Reads the archive back with the same header layout an unzip tool uses. Node's Blob stands in for the
+// browser's, which jsdom doesn't implement fully.
+import { Blob } from 'buffer'
+import { createZip } from './zipArchive'
+
+global.Blob = Blob
+
+const readZip = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer())
+  const view = new DataView(bytes.buffer)
+  const decoder = new TextDecoder()
+
+  const endOffset = bytes.length - 22
+  const end = {
+    signature: view.getUint32(endOffset, true),
+    entries: view.getUint16(endOffset + 10, true),
+    centralSize: view.getUint32(endOffset + 12, true),
+    centralOffset: view.getUint32(endOffset + 16, true)
+  }
+
+  const entries = []
+  let position = end.centralOffset
+  for (let index = 0; index < end.entries; index++) {
+    const nameLength = view.getUint16(position + 28, true)
+    const localOffset = view.getUint32(position + 42, true)
+    const size = view.getUint32(localOffset + 18, true)
+    const localNameLength = view.getUint16(localOffset + 26, true)
+    const dataStart = localOffset + 30 + localNameLength
+
+    entries.push({
+      centralSignature: view.getUint32(position, true),
+      localSignature: view.getUint32(localOffset, true),
+      flags: view.getUint16(position + 8, true),
+      method: view.getUint16(localOffset + 8, true),
+      time: view.getUint16(localOffset + 10, true),
+      date: view.getUint16(localOffset + 12, true),
+      crc: view.getUint32(localOffset + 14, true),
+      centralCrc: view.getUint32(position + 16, true),
+      name: decoder.decode(bytes.slice(position + 46, position + 46 + nameLength)),
+      localName: decoder.decode(bytes.slice(localOffset + 30, dataStart)),
+      content: bytes.slice(dataStart, dataStart + size)
+    })
+    position += 46 + nameLength
+  }
+
+  return { end, entries, centralEnd: position, endOffset }
+}
+
+describe('createZip', () => {
+  const modified = new Date(2026, 9, 19, 14, 30, 11)
+
+  test('stores each file uncompressed with its name and content', async () => {
+    const zip = await readZip(createZip([
+      { name: 'conversations.json', content: '{"conversations":[]}\n' },
+      { name: 'markdown/Résumé notes.md', content: '# Notes – ∫ x dx\n' }
+    ], modified))
+
+    expect(zip.end.signature).toBe(0x06054b50)
+    expect(zip.end.entries).toBe(2)
+    expect(zip.centralEnd).toBe(zip.endOffset)
+    expect(zip.end.centralSize).toBe(zip.endOffset - zip.end.centralOffset)
+
+    expect(zip.entries.map(entry => entry.name)).toEqual(['conversations.json', 'markdown/Résumé notes.md'])
+    expect(new TextDecoder().decode(zip.entries[1].content)).toBe('# Notes – ∫ x dx\n')
+    for (const entry of zip.entries) {
+      expect(entry.centralSignature).toBe(0x02014b50)
+      expect(entry.localSignature).toBe(0x04034b50)
+      expect(entry.localName).toBe(entry.name)
+      expect(entry.method).toBe(0)
+      expect(entry.flags).toBe(0x0800)
+    }
+  })
+
+  test('writes standard CRC-32 checksums', async () => {
+    const zip = await readZip(createZip([
+      { name: 'hello.txt', content: 'hello' },
+      { name: 'bytes.bin', content: new Uint8Array([0x31, 0x32, 0x33, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39]) },
+      { name: 'empty.txt', content: '' }
+    ], modified))
+
+    expect(zip.entries.map(entry => entry.crc)).toEqual([0x3610a686, 0xcbf43926, 0])
+    expect(zip.entries.map(entry => entry.centralCrc)).toEqual([0x3610a686, 0xcbf43926, 0])
+  })
+
+  test('stamps entries with the modified time in MS-DOS format', async () => {
+    const [entry] = (await readZip(createZip([{ name: 'a.txt', content: 'a' }], modified))).entries
+
+    expect(entry.time).toBe((14 << 11) | (30 << 5) | 5)
+    expect(entry.date).toBe(((2026 - 1980) << 9) | (10 << 5) | 19)
+  })
+
+  test('an empty archive is just the end record', async () => {
+    const blob = createZip([], modified)
+
+    expect(blob.type).toBe('application/zip')
+    expect(blob.size).toBe(22)
+  })
+})